@@ -25,6 +25,7 @@ var isNumber = require( '@stdlib/assert-is-number' ).isPrimitive;
 var pow = require( '@stdlib/math-base-special-pow' );
 var floor = require( '@stdlib/math-base-special-floor' );
 var discreteUniform = require( '@stdlib/random-array-discrete-uniform' );
+var PINF = require( '@stdlib/constants-float64-pinf' );
 var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
 var format = require( '@stdlib/string-format' );
 var pkg = require( './../package.json' ).name;
@@ -35,6 +36,10 @@ var countIf = require( './../lib/10d_blocked.js' );
 
 var types = [ 'float64' ];
 var order = 'column-major';
+var opts = {
+	'limit': PINF,
+	'indices': 'none'
+};
 
 
 // FUNCTIONS //
@@ -84,7 +89,7 @@ function createBenchmark( len, shape, xtype ) {
 
 		b.tic();
 		for ( i = 0; i < b.iterations; i++ ) {
-			out = countIf( x, clbk );
+			out = countIf( x, opts, clbk );
 			if ( typeof out !== 'number' ) {
 				b.fail( 'should return a number' );
 			}
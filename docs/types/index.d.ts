@@ -20,8 +20,8 @@
 
 /// <reference types="@stdlib/types"/>
 
-import { ArrayLike } from '@stdlib/types/array';
-import { typedndarray } from '@stdlib/types/ndarray';
+import { ArrayLike, Collection } from '@stdlib/types/array';
+import { typedndarray, Order } from '@stdlib/types/ndarray';
 
 /**
 * Returns a boolean indicating whether an element passes a test.
@@ -67,6 +67,1735 @@ type Ternary<T, U> = ( this: U, value: T, indices: Array<number>, arr: typedndar
 */
 type Predicate<T, U> = Nullary<U> | Unary<T, U> | Binary<T, U> | Ternary<T, U>;
 
+/**
+* Returns a boolean indicating whether an element passes a test.
+*
+* @param value - current array element
+* @param index - current array element linear view index
+* @returns boolean indicating whether an ndarray element passes a test
+*/
+type LinearBinary<T, U> = ( this: U, value: T, index: number ) => boolean;
+
+/**
+* Returns a boolean indicating whether an element passes a test.
+*
+* @param value - current array element
+* @param index - current array element linear view index
+* @param arr - input array
+* @returns boolean indicating whether an ndarray element passes a test
+*/
+type LinearTernary<T, U> = ( this: U, value: T, index: number, arr: typedndarray<T> ) => boolean;
+
+/**
+* Returns a boolean indicating whether an element passes a test.
+*
+* @param value - current array element
+* @param index - current array element linear view index
+* @param arr - input array
+* @returns boolean indicating whether an ndarray element passes a test
+*/
+type LinearPredicate<T, U> = Nullary<U> | Unary<T, U> | LinearBinary<T, U> | LinearTernary<T, U>;
+
+/**
+* Returns a boolean indicating whether a pair of elements passes a test.
+*
+* @param vx - current element in the first input array
+* @returns boolean indicating whether a pair of ndarray elements passes a test
+*/
+type PairUnary<T, V, U> = ( this: U, vx: T ) => boolean;
+
+/**
+* Returns a boolean indicating whether a pair of elements passes a test.
+*
+* @param vx - current element in the first input array
+* @param vy - current element in the second input array
+* @returns boolean indicating whether a pair of ndarray elements passes a test
+*/
+type PairBinary<T, V, U> = ( this: U, vx: T, vy: V ) => boolean;
+
+/**
+* Returns a boolean indicating whether a pair of elements passes a test.
+*
+* @param vx - current element in the first input array
+* @param vy - current element in the second input array
+* @param indices - current element indices
+* @returns boolean indicating whether a pair of ndarray elements passes a test
+*/
+type PairTernary<T, V, U> = ( this: U, vx: T, vy: V, indices: Array<number> ) => boolean;
+
+/**
+* Returns a boolean indicating whether a pair of elements passes a test.
+*
+* @param vx - current element in the first input array
+* @param vy - current element in the second input array
+* @param indices - current element indices
+* @returns boolean indicating whether a pair of ndarray elements passes a test
+*/
+type PairPredicate<T, V, U> = Nullary<U> | PairUnary<T, V, U> | PairBinary<T, V, U> | PairTernary<T, V, U>;
+
+/**
+* Returns a boolean indicating whether a pair of elements passes a test.
+*
+* @param vx - current element in the first input array
+* @param vy - current element in the second input array
+* @param index - current element linear view index
+* @returns boolean indicating whether a pair of ndarray elements passes a test
+*/
+type LinearPairTernary<T, V, U> = ( this: U, vx: T, vy: V, index: number ) => boolean;
+
+/**
+* Returns a boolean indicating whether a pair of elements passes a test.
+*
+* @param vx - current element in the first input array
+* @param vy - current element in the second input array
+* @param index - current element linear view index
+* @returns boolean indicating whether a pair of ndarray elements passes a test
+*/
+type LinearPairPredicate<T, V, U> = Nullary<U> | PairUnary<T, V, U> | PairBinary<T, V, U> | LinearPairTernary<T, V, U>;
+
+/**
+* Returns a boolean indicating whether a set of elements passes a test.
+*
+* ## Notes
+*
+* -   The function is provided one element from each input ndarray, followed by element indices (or a linear view index).
+*
+* @param args - current elements followed by element indices
+* @returns boolean indicating whether a set of ndarray elements passes a test
+*/
+type NaryPredicate<U> = ( this: U, ...args: Array<any> ) => boolean;
+
+/**
+* Returns a boolean, or a promise which resolves a boolean, indicating whether an element passes a test.
+*
+* @param value - current array element
+* @param indices - current array element indices
+* @param arr - input array
+* @returns boolean, or a promise which resolves a boolean, indicating whether an ndarray element passes a test
+*/
+type AsyncPredicate<T, U> = ( this: U, value: T, indices: Array<number>, arr: typedndarray<T> ) => boolean | Promise<boolean>;
+
+/**
+* Returns a boolean, or a promise which resolves a boolean, indicating whether an element passes a test.
+*
+* @param value - current array element
+* @param index - current array element linear view index
+* @param arr - input array
+* @returns boolean, or a promise which resolves a boolean, indicating whether an ndarray element passes a test
+*/
+type AsyncLinearPredicate<T, U> = ( this: U, value: T, index: number, arr: typedndarray<T> ) => boolean | Promise<boolean>;
+
+/**
+* Returns a boolean, or a promise which resolves a boolean, indicating whether a set of elements passes a test.
+*
+* @param args - current elements followed by element indices
+* @returns boolean, or a promise which resolves a boolean, indicating whether a set of ndarray elements passes a test
+*/
+type AsyncNaryPredicate<U> = ( this: U, ...args: Array<any> ) => boolean | Promise<boolean>;
+
+/**
+* Callback invoked to report progress.
+*
+* @param processed - number of processed elements
+* @param total - total number of elements
+*/
+type ProgressCallback = ( processed: number, total: number ) => void;
+
+/**
+* Returns a block size (in units of elements per dimension) for performing loop tiling.
+*
+* @param dtype - ndarray data type
+* @returns block size
+*/
+type BlockSizeFunction = ( dtype: string ) => number;
+
+/**
+* Order in which to visit elements.
+*/
+type VisitOrder = 'memory' | 'row-major' | 'column-major';
+
+/**
+* Interface describing a predicate descriptor for comparing elements to a value.
+*/
+interface ComparisonDescriptor {
+	/**
+	* Comparison operation.
+	*/
+	op: 'eq' | 'ne' | 'gt' | 'ge' | 'lt' | 'le';
+
+	/**
+	* Value to which to compare elements.
+	*/
+	value: any;
+}
+
+/**
+* Interface describing a predicate descriptor for testing whether elements are within an inclusive range.
+*/
+interface RangeDescriptor {
+	/**
+	* Range operation.
+	*/
+	op: 'within';
+
+	/**
+	* Lower bound (inclusive).
+	*/
+	min: number;
+
+	/**
+	* Upper bound (inclusive).
+	*/
+	max: number;
+}
+
+/**
+* Interface describing a predicate descriptor for testing whether elements are `NaN`.
+*/
+interface NaNDescriptor {
+	/**
+	* Operation.
+	*/
+	op: 'isnan';
+}
+
+/**
+* Predicate descriptor.
+*/
+type PredicateDescriptor = 'isnan' | ComparisonDescriptor | RangeDescriptor | NaNDescriptor;
+
+/**
+* Interface describing an object for aborting an operation (e.g., an `AbortSignal`).
+*/
+interface AbortSignalLike {
+	/**
+	* Boolean indicating whether the operation has been aborted.
+	*/
+	readonly aborted: boolean;
+
+	/**
+	* Abort reason.
+	*/
+	readonly reason?: any;
+
+	/**
+	* Registers a listener which is invoked when the operation is aborted.
+	*
+	* @param type - event type
+	* @param listener - event listener
+	*/
+	addEventListener( type: 'abort', listener: () => void ): void;
+
+	/**
+	* Removes a registered listener.
+	*
+	* @param type - event type
+	* @param listener - event listener
+	*/
+	removeEventListener( type: 'abort', listener: () => void ): void;
+}
+
+/**
+* Interface defining function options.
+*/
+interface Options {
+	/**
+	* Maximum number of elements which may pass a test before the function stops iterating.
+	*/
+	limit?: number;
+
+	/**
+	* Specifies how to provide element indices to the predicate function.
+	*
+	* ## Notes
+	*
+	* -   `'array'`: provide a new array of element indices and the input ndarray for each tested element.
+	* -   `'none'`: only provide element values.
+	* -   `'shared'`: provide a single array of element indices, which is reused and updated in place for each tested element, and the input ndarray. The array of element indices is only valid for the duration of a predicate function call.
+	* -   Default: `'none'` if the predicate function declares fewer than two parameters; otherwise, `'array'`.
+	*/
+	indices?: 'array' | 'none' | 'shared';
+
+	/**
+	* Signal for aborting the operation.
+	*/
+	signal?: AbortSignalLike;
+
+	/**
+	* Callback invoked to report progress.
+	*/
+	onProgress?: ProgressCallback;
+
+	/**
+	* Number of processed elements between progress reports when not using loop blocking. Default: `1024`.
+	*/
+	progressInterval?: number;
+
+	/**
+	* Block size (in units of elements per dimension) when using loop blocking, or a function which returns a block size for a provided data type.
+	*/
+	blockSize?: number | BlockSizeFunction;
+
+	/**
+	* Order in which to visit elements.
+	*
+	* ## Notes
+	*
+	* -   `'memory'`: visit elements in the order in which they are stored in memory.
+	* -   `'row-major'`: visit elements in row-major (C-style) logical order.
+	* -   `'column-major'`: visit elements in column-major (Fortran-style) logical order.
+	* -   Default: `'memory'`.
+	*/
+	order?: VisitOrder;
+}
+
+/**
+* Interface defining function options when providing linear view indices to a predicate function.
+*/
+interface LinearOptions {
+	/**
+	* Maximum number of elements which may pass a test before the function stops iterating.
+	*/
+	limit?: number;
+
+	/**
+	* Specifies that the predicate function should be provided the linear index of each tested element with respect to the ndarray view (i.e., the index of an element when iterating over an ndarray in the order specified by the ndarray's `order` property), in place of an array of element indices.
+	*/
+	indices: 'linear';
+
+	/**
+	* Signal for aborting the operation.
+	*/
+	signal?: AbortSignalLike;
+
+	/**
+	* Callback invoked to report progress.
+	*/
+	onProgress?: ProgressCallback;
+
+	/**
+	* Number of processed elements between progress reports when not using loop blocking. Default: `1024`.
+	*/
+	progressInterval?: number;
+
+	/**
+	* Block size (in units of elements per dimension) when using loop blocking, or a function which returns a block size for a provided data type.
+	*/
+	blockSize?: number | BlockSizeFunction;
+
+	/**
+	* Order in which to visit elements. Default: `'memory'`.
+	*/
+	order?: VisitOrder;
+}
+
+/**
+* Function returned by `plan` for counting the number of elements which pass a test.
+*
+* @param data - data buffer
+* @param offset - index offset
+* @param predicate - predicate function
+* @param thisArg - predicate function execution context
+* @returns result
+*/
+type PlanFunction<T> = <U = unknown>( data: Collection, offset: number, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ) => number;
+
+/**
+* Function returned by `plan` for counting the number of elements which pass a test when providing linear view indices to a predicate function.
+*
+* @param data - data buffer
+* @param offset - index offset
+* @param predicate - predicate function
+* @param thisArg - predicate function execution context
+* @returns result
+*/
+type LinearPlanFunction<T> = <U = unknown>( data: Collection, offset: number, predicate: LinearPredicate<T, U>, thisArg?: ThisParameterType<LinearPredicate<T, U>> ) => number;
+
+/**
+* Interface defining `parallel` options.
+*/
+interface ParallelOptions {
+	/**
+	* Maximum number of elements which may pass a test before the function stops iterating.
+	*/
+	limit?: number;
+
+	/**
+	* Specifies how to provide element indices to the predicate function.
+	*/
+	indices?: 'array' | 'none' | 'shared' | 'linear';
+
+	/**
+	* Maximum number of worker threads (must be a positive integer).
+	*/
+	workers?: number;
+
+	/**
+	* Signal for aborting the operation.
+	*/
+	signal?: AbortSignalLike;
+
+	/**
+	* Block size (in units of elements per dimension) when using loop blocking, or a function which returns a block size for a provided data type.
+	*/
+	blockSize?: number | BlockSizeFunction;
+}
+
+/**
+* Interface defining `explain` options.
+*/
+interface ExplainOptions {
+	/**
+	* Block size (in units of elements per dimension) when using loop blocking, or a function which returns a block size for a provided data type.
+	*/
+	blockSize?: number | BlockSizeFunction;
+
+	/**
+	* Order in which to visit elements. Default: `'memory'`.
+	*/
+	order?: VisitOrder;
+}
+
+/**
+* Interface defining `async` options.
+*/
+interface AsyncOptions extends Options {
+	/**
+	* Maximum number of pending predicate invocations (must be greater than or equal to one).
+	*/
+	concurrency?: number;
+}
+
+/**
+* Interface defining `async` options when providing linear view indices to a predicate function.
+*/
+interface AsyncLinearOptions extends LinearOptions {
+	/**
+	* Maximum number of pending predicate invocations (must be greater than or equal to one).
+	*/
+	concurrency?: number;
+}
+
+/**
+* Interface defining `cooperative` options.
+*/
+interface CooperativeOptions extends Options {
+	/**
+	* Maximum duration (in milliseconds) of a slice (must be greater than or equal to zero).
+	*/
+	sliceDuration?: number;
+
+	/**
+	* Maximum number of elements to test during a slice (must be greater than or equal to one).
+	*/
+	sliceSize?: number;
+}
+
+/**
+* Interface defining `cooperative` options when providing linear view indices to a predicate function.
+*/
+interface CooperativeLinearOptions extends LinearOptions {
+	/**
+	* Maximum duration (in milliseconds) of a slice (must be greater than or equal to zero).
+	*/
+	sliceDuration?: number;
+
+	/**
+	* Maximum number of elements to test during a slice (must be greater than or equal to one).
+	*/
+	sliceSize?: number;
+}
+
+/**
+* Interface defining `findIf` and `findLastIf` options.
+*/
+interface FindOptions {
+	/**
+	* Logical order in which to visit elements.
+	*/
+	order?: Order;
+}
+
+/**
+* Interface describing a found element.
+*/
+interface FindResult<T> {
+	/**
+	* Element value.
+	*/
+	value: T;
+
+	/**
+	* Element indices.
+	*/
+	indices: Array<number>;
+}
+
+/**
+* Kernel type.
+*/
+type KernelType = 'none' | 'strided' | 'blocked' | 'generated' | 'generated-blocked' | 'nd' | 'nd-blocked';
+
+/**
+* Interface describing the kernel used to count the number of elements which pass a test.
+*/
+interface KernelDescription {
+	/**
+	* Kernel type.
+	*/
+	kernel: KernelType;
+
+	/**
+	* Number of dimensions.
+	*/
+	ndims: number;
+
+	/**
+	* Boolean indicating whether the kernel accesses elements using accessors.
+	*/
+	accessors: boolean;
+
+	/**
+	* Iteration order of the first input ndarray.
+	*/
+	iterationOrder: -1 | 0 | 1;
+
+	/**
+	* Dimension indices in loop order, from the innermost loop to the outermost loop, or `null` if the kernel does not perform loop tiling.
+	*/
+	loopOrder: Array<number> | null;
+
+	/**
+	* Block size or `null` if the kernel does not perform loop tiling.
+	*/
+	blockSize: number | null;
+}
+
+/**
+* Interface defining `assign` options.
+*
+* ## Notes
+*
+* -   Options other than `keepdims` apply to each reduced sub-array independently.
+*/
+interface AssignOptions extends Options {
+	/**
+	* Boolean indicating whether the reduced dimensions should be included in the output ndarray as singleton dimensions.
+	*/
+	keepdims?: boolean;
+}
+
+/**
+* Interface describing `countIf`.
+*/
+interface CountIf {
+	/**
+	* Counts the number of elements in an ndarray which pass a test implemented by a predicate function.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Define the shape of the array:
+	* var shape = [ 3, 1, 2 ];
+	*
+	* // Define the array strides:
+	* var sx = [ 4, 4, 1 ];
+	*
+	* // Define the index offset:
+	* var ox = 1;
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, shape, sx, ox, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf( [ x ], predicate );
+	* // returns 5
+	*/
+	<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): number;
+
+	/**
+	* Counts the number of elements in an ndarray which pass a test implemented by a predicate function.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param options.indices - specifies how to provide element indices to the predicate function
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf( [ x ], { 'limit': 2 }, predicate );
+	* // returns 2
+	*/
+	<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, options: Options, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): number;
+
+	/**
+	* Counts the number of elements in an ndarray which pass a test implemented by a predicate function which is provided linear view indices.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param options.indices - specifies that the predicate function should be provided linear view indices
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value, index ) {
+	*    return index % 2 === 0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf( [ x ], { 'indices': 'linear' }, predicate );
+	* // returns 3
+	*/
+	<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, options: LinearOptions, predicate: LinearPredicate<T, U>, thisArg?: ThisParameterType<LinearPredicate<T, U>> ): number;
+
+	/**
+	* Counts the number of sets of corresponding elements in multiple ndarrays which pass a test implemented by a predicate function.
+	*
+	* ## Notes
+	*
+	* -   The input ndarrays must have the same shape.
+	* -   The predicate function is provided one element from each input ndarray, followed by element indices if the predicate function declares more parameters than the number of input ndarrays.
+	*
+	* @param arrays - array-like object containing two or more input ndarrays
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( x, y, z ) {
+	*    return x > y && z;
+	* }
+	*
+	* // Create the input ndarrays:
+	* var x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	* var y = ndarray( 'float64', new Float64Array( [ 2.0, 2.0, 2.0, 2.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	* var z = ndarray( 'generic', [ true, true, false, true ], [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf( [ x, y, z ], predicate );
+	* // returns 1
+	*/
+	<U = unknown>( arrays: [ typedndarray<any>, typedndarray<any>, ...Array<typedndarray<any>> ], predicate: NaryPredicate<U>, thisArg?: ThisParameterType<NaryPredicate<U>> ): number;
+
+	/**
+	* Counts the number of sets of corresponding elements in multiple ndarrays which pass a test implemented by a predicate function.
+	*
+	* ## Notes
+	*
+	* -   The input ndarrays must have the same shape.
+	* -   The predicate function is provided one element from each input ndarray, followed by element indices (unless the `indices` option is `'none'`).
+	*
+	* @param arrays - array-like object containing two or more input ndarrays
+	* @param options - function options
+	* @param options.limit - maximum number of element sets which may pass a test before the function stops iterating
+	* @param options.indices - specifies how to provide element indices to the predicate function
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( x, y, z ) {
+	*    return x > y && z;
+	* }
+	*
+	* // Create the input ndarrays:
+	* var x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	* var y = ndarray( 'float64', new Float64Array( [ 2.0, 2.0, 2.0, 2.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	* var z = ndarray( 'generic', [ true, true, false, true ], [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf( [ x, y, z ], { 'limit': 1 }, predicate );
+	* // returns 1
+	*/
+	<U = unknown>( arrays: [ typedndarray<any>, typedndarray<any>, ...Array<typedndarray<any>> ], options: Options | LinearOptions, predicate: NaryPredicate<U>, thisArg?: ThisParameterType<NaryPredicate<U>> ): number;
+
+	/**
+	* Counts the number of elements in an ndarray which pass a test specified by a predicate descriptor or an expression.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param predicate - predicate descriptor or expression
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, NaN, 3.0, -4.0, 5.0, NaN ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 2 ], [ 2, 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf( [ x ], { 'op': 'gt', 'value': 0.0 } );
+	* // returns 3
+	*
+	* out = countIf( [ x ], 'isnan' );
+	* // returns 2
+	*
+	* out = countIf( [ x ], 'x > 0 && x < 5' );
+	* // returns 2
+	*/
+	( arrays: ArrayLike<typedndarray<any>>, predicate: PredicateDescriptor | string ): number;
+
+	/**
+	* Counts the number of elements in an ndarray which pass a test specified by a predicate descriptor or an expression.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param predicate - predicate descriptor or expression
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, NaN, 3.0, -4.0, 5.0, NaN ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 2 ], [ 2, 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf( [ x ], { 'limit': 2 }, { 'op': 'gt', 'value': 0.0 } );
+	* // returns 2
+	*/
+	( arrays: ArrayLike<typedndarray<any>>, options: Options, predicate: PredicateDescriptor | string ): number;
+
+	/**
+	* Counts the number of elements along one or more ndarray dimensions which pass a test implemented by a predicate function and assigns the results to an output ndarray.
+	*
+	* @param arrays - array-like object containing one input ndarray and one output ndarray
+	* @param dims - list of dimensions over which to perform a reduction
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns output ndarray
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create data buffers:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	* var ybuf = new Float64Array( 3 );
+	*
+	* // Create the input and output ndarrays:
+	* var x = ndarray( 'float64', xbuf, [ 3, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+	* var y = ndarray( 'float64', ybuf, [ 3 ], [ 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.assign( [ x, y ], [ 1, 2 ], predicate );
+	* // returns <ndarray>
+	*
+	* var v = ybuf;
+	* // returns <Float64Array>[ 4.0, 3.0, 4.0 ]
+	*/
+	assign<T = unknown, U = unknown, V extends typedndarray<number> = typedndarray<number>>( arrays: [ typedndarray<T>, V ], dims: ArrayLike<number>, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): V;
+
+	/**
+	* Counts the number of elements along one or more ndarray dimensions which pass a test implemented by a predicate function and assigns the results to an output ndarray.
+	*
+	* @param arrays - array-like object containing one input ndarray and one output ndarray
+	* @param dims - list of dimensions over which to perform a reduction
+	* @param options - function options
+	* @param options.keepdims - boolean indicating whether the reduced dimensions should be included in the output ndarray as singleton dimensions
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns output ndarray
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create data buffers:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	* var ybuf = new Float64Array( 3 );
+	*
+	* // Create the input and output ndarrays:
+	* var x = ndarray( 'float64', xbuf, [ 3, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+	* var y = ndarray( 'float64', ybuf, [ 3, 1, 1 ], [ 1, 1, 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.assign( [ x, y ], [ 1, 2 ], { 'keepdims': true }, predicate );
+	* // returns <ndarray>
+	*
+	* var v = ybuf;
+	* // returns <Float64Array>[ 4.0, 3.0, 4.0 ]
+	*/
+	assign<T = unknown, U = unknown, V extends typedndarray<number> = typedndarray<number>>( arrays: [ typedndarray<T>, V ], dims: ArrayLike<number>, options: AssignOptions, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): V;
+
+	/**
+	* Counts the number of elements along one or more ndarray dimensions which pass a test specified by a predicate descriptor or an expression and assigns the results to an output ndarray.
+	*
+	* @param arrays - array-like object containing one input ndarray and one output ndarray
+	* @param dims - list of dimensions over which to perform a reduction
+	* @param predicate - predicate descriptor or expression
+	* @returns output ndarray
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* // Create data buffers:
+	* var xbuf = new Float64Array( [ 1.0, NaN, -3.0, 4.0, NaN, NaN ] );
+	* var ybuf = new Float64Array( 2 );
+	*
+	* // Create the input and output ndarrays:
+	* var x = ndarray( 'float64', xbuf, [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+	* var y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.assign( [ x, y ], [ 1 ], 'isnan' );
+	* // returns <ndarray>
+	*
+	* var v = ybuf;
+	* // returns <Float64Array>[ 1.0, 2.0 ]
+	*/
+	assign<V extends typedndarray<number> = typedndarray<number>>( arrays: [ typedndarray<any>, V ], dims: ArrayLike<number>, predicate: PredicateDescriptor | string ): V;
+
+	/**
+	* Counts the number of elements along one or more ndarray dimensions which pass a test specified by a predicate descriptor or an expression and assigns the results to an output ndarray.
+	*
+	* @param arrays - array-like object containing one input ndarray and one output ndarray
+	* @param dims - list of dimensions over which to perform a reduction
+	* @param options - function options
+	* @param options.keepdims - boolean indicating whether the reduced dimensions should be included in the output ndarray as singleton dimensions
+	* @param options.limit - maximum number of elements in each reduced sub-array which may pass a test before the function stops iterating over that sub-array
+	* @param predicate - predicate descriptor or expression
+	* @returns output ndarray
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* // Create data buffers:
+	* var xbuf = new Float64Array( [ 1.0, NaN, -3.0, 4.0, NaN, NaN ] );
+	* var ybuf = new Float64Array( 2 );
+	*
+	* // Create the input and output ndarrays:
+	* var x = ndarray( 'float64', xbuf, [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+	* var y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.assign( [ x, y ], [ 1 ], { 'limit': 1 }, 'isnan' );
+	* // returns <ndarray>
+	*
+	* var v = ybuf;
+	* // returns <Float64Array>[ 1.0, 1.0 ]
+	*/
+	assign<V extends typedndarray<number> = typedndarray<number>>( arrays: [ typedndarray<any>, V ], dims: ArrayLike<number>, options: AssignOptions, predicate: PredicateDescriptor | string ): V;
+
+	/**
+	* Tests whether each element in an ndarray passes a test implemented by a predicate function, assigns each test result to an output ndarray, and returns the number of elements which pass the test.
+	*
+	* @param arrays - array-like object containing one input ndarray and one output ndarray
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create data buffers:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	* var ybuf = [ false, false, false, false, false, false ];
+	*
+	* // Create the input and output ndarrays:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	* var y = ndarray( 'generic', ybuf, [ 3, 1, 2 ], [ 2, 2, 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.mask( [ x, y ], predicate );
+	* // returns 5
+	*
+	* var v = ybuf;
+	* // returns [ true, true, false, true, true, true ]
+	*/
+	mask<T = unknown, U = unknown>( arrays: [ typedndarray<T>, typedndarray<boolean> ], predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): number;
+
+	/**
+	* Tests whether each element in an ndarray passes a test implemented by a predicate function, assigns each test result to an output ndarray, and returns the number of elements which pass the test.
+	*
+	* @param arrays - array-like object containing one input ndarray and one output ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param options.indices - specifies how to provide element indices to the predicate function
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create data buffers:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	* var ybuf = [ false, false, false, false, false, false ];
+	*
+	* // Create the input and output ndarrays:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	* var y = ndarray( 'generic', ybuf, [ 3, 1, 2 ], [ 2, 2, 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.mask( [ x, y ], { 'limit': 2 }, predicate );
+	* // returns 2
+	*
+	* var v = ybuf;
+	* // returns [ true, true, false, false, false, false ]
+	*/
+	mask<T = unknown, U = unknown>( arrays: [ typedndarray<T>, typedndarray<boolean> ], options: Options, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): number;
+
+	/**
+	* Tests whether each element in an ndarray passes a test implemented by a predicate function which is provided linear view indices, assigns each test result to an output ndarray, and returns the number of elements which pass the test.
+	*
+	* @param arrays - array-like object containing one input ndarray and one output ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param options.indices - specifies that the predicate function should be provided linear view indices
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value, index ) {
+	*    return index < 2;
+	* }
+	*
+	* // Create data buffers:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	* var ybuf = [ false, false, false, false, false, false ];
+	*
+	* // Create the input and output ndarrays:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	* var y = ndarray( 'generic', ybuf, [ 3, 1, 2 ], [ 2, 2, 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.mask( [ x, y ], { 'indices': 'linear' }, predicate );
+	* // returns 2
+	*
+	* var v = ybuf;
+	* // returns [ true, true, false, false, false, false ]
+	*/
+	mask<T = unknown, U = unknown>( arrays: [ typedndarray<T>, typedndarray<boolean> ], options: LinearOptions, predicate: LinearPredicate<T, U>, thisArg?: ThisParameterType<LinearPredicate<T, U>> ): number;
+
+	/**
+	* Counts the number of pairs of corresponding elements in two ndarrays which pass a test implemented by a predicate function.
+	*
+	* ## Notes
+	*
+	* -   The input ndarrays must be broadcast compatible. Element indices are provided with respect to the broadcast shape.
+	*
+	* @param arrays - array-like object containing two input ndarrays
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( vx, vy ) {
+	*    return vx > vy;
+	* }
+	*
+	* // Create data buffers:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	* var ybuf = new Float64Array( [ 2.0, 5.0 ] );
+	*
+	* // Create the input ndarrays:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	* var y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.binary( [ x, y ], predicate );
+	* // returns 3
+	*/
+	binary<T = unknown, V = unknown, U = unknown>( arrays: [ typedndarray<T>, typedndarray<V> ], predicate: PairPredicate<T, V, U>, thisArg?: ThisParameterType<PairPredicate<T, V, U>> ): number;
+
+	/**
+	* Counts the number of pairs of corresponding elements in two ndarrays which pass a test implemented by a predicate function.
+	*
+	* ## Notes
+	*
+	* -   The input ndarrays must be broadcast compatible. Element indices are provided with respect to the broadcast shape.
+	* -   When not provided an `indices` option, if the predicate function declares fewer than three parameters, the predicate function is only provided element values.
+	*
+	* @param arrays - array-like object containing two input ndarrays
+	* @param options - function options
+	* @param options.limit - maximum number of element pairs which may pass a test before the function stops iterating
+	* @param options.indices - specifies how to provide element indices to the predicate function
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( vx, vy ) {
+	*    return vx > vy;
+	* }
+	*
+	* // Create data buffers:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	* var ybuf = new Float64Array( [ 2.0, 5.0 ] );
+	*
+	* // Create the input ndarrays:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	* var y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.binary( [ x, y ], { 'limit': 2 }, predicate );
+	* // returns 2
+	*/
+	binary<T = unknown, V = unknown, U = unknown>( arrays: [ typedndarray<T>, typedndarray<V> ], options: Options, predicate: PairPredicate<T, V, U>, thisArg?: ThisParameterType<PairPredicate<T, V, U>> ): number;
+
+	/**
+	* Counts the number of pairs of corresponding elements in two ndarrays which pass a test implemented by a predicate function which is provided linear view indices.
+	*
+	* @param arrays - array-like object containing two input ndarrays
+	* @param options - function options
+	* @param options.limit - maximum number of element pairs which may pass a test before the function stops iterating
+	* @param options.indices - specifies that the predicate function should be provided linear view indices
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns result
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( vx, vy, index ) {
+	*    return ( index % 2 === 0 ) && vx > vy;
+	* }
+	*
+	* // Create data buffers:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	* var ybuf = new Float64Array( [ 2.0, 5.0 ] );
+	*
+	* // Create the input ndarrays:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	* var y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.binary( [ x, y ], { 'indices': 'linear' }, predicate );
+	* // returns 2
+	*/
+	binary<T = unknown, V = unknown, U = unknown>( arrays: [ typedndarray<T>, typedndarray<V> ], options: LinearOptions, predicate: LinearPairPredicate<T, V, U>, thisArg?: ThisParameterType<LinearPairPredicate<T, V, U>> ): number;
+
+	/**
+	* Counts the number of elements in an ndarray backed by a `SharedArrayBuffer` which pass a test implemented by a predicate function, partitioning the work across worker threads.
+	*
+	* ## Notes
+	*
+	* -   Each input ndarray must have a data buffer which is a typed array backed by a `SharedArrayBuffer`.
+	* -   The predicate function is serialized and reconstructed within each worker thread. Accordingly, the predicate function must be self-contained, and a provided execution context must be serializable via the structured clone algorithm.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of elements which pass the test
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create a data buffer backed by a SharedArrayBuffer:
+	* var xbuf = new Float64Array( new SharedArrayBuffer( 96 ) );
+	* xbuf.set( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* countIf.parallel( [ x ], predicate ).then( onResolve );
+	*
+	* function onResolve( count ) {
+	*     console.log( count );
+	*     // => 5
+	* }
+	*/
+	parallel<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): Promise<number>;
+
+	/**
+	* Counts the number of elements in an ndarray backed by a `SharedArrayBuffer` which pass a test implemented by a predicate function, partitioning the work across worker threads.
+	*
+	* ## Notes
+	*
+	* -   Each input ndarray must have a data buffer which is a typed array backed by a `SharedArrayBuffer`.
+	* -   The predicate function is serialized and reconstructed within each worker thread. Accordingly, the predicate function must be self-contained, and a provided execution context must be serializable via the structured clone algorithm.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param options.indices - specifies how to provide element indices to the predicate function
+	* @param options.workers - maximum number of worker threads
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of elements which pass the test
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create a data buffer backed by a SharedArrayBuffer:
+	* var xbuf = new Float64Array( new SharedArrayBuffer( 96 ) );
+	* xbuf.set( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* countIf.parallel( [ x ], { 'workers': 2 }, predicate ).then( onResolve );
+	*
+	* function onResolve( count ) {
+	*     console.log( count );
+	*     // => 5
+	* }
+	*/
+	parallel<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, options: ParallelOptions, predicate: Predicate<T, U> | LinearPredicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): Promise<number>;
+
+	/**
+	* Counts the number of sets of corresponding elements in multiple ndarrays backed by `SharedArrayBuffer` objects which pass a test implemented by a predicate function, partitioning the work across worker threads.
+	*
+	* ## Notes
+	*
+	* -   Each input ndarray must have a data buffer which is a typed array backed by a `SharedArrayBuffer`.
+	* -   The predicate function is serialized and reconstructed within each worker thread. Accordingly, the predicate function must be self-contained, and a provided execution context must be serializable via the structured clone algorithm.
+	*
+	* @param arrays - array-like object containing two or more input ndarrays
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of element sets which pass the test
+	*/
+	parallel<U = unknown>( arrays: [ typedndarray<any>, typedndarray<any>, ...Array<typedndarray<any>> ], predicate: NaryPredicate<U>, thisArg?: ThisParameterType<NaryPredicate<U>> ): Promise<number>;
+
+	/**
+	* Counts the number of sets of corresponding elements in multiple ndarrays backed by `SharedArrayBuffer` objects which pass a test implemented by a predicate function, partitioning the work across worker threads.
+	*
+	* ## Notes
+	*
+	* -   Each input ndarray must have a data buffer which is a typed array backed by a `SharedArrayBuffer`.
+	* -   The predicate function is serialized and reconstructed within each worker thread. Accordingly, the predicate function must be self-contained, and a provided execution context must be serializable via the structured clone algorithm.
+	*
+	* @param arrays - array-like object containing two or more input ndarrays
+	* @param options - function options
+	* @param options.limit - maximum number of element sets which may pass a test before the function stops iterating
+	* @param options.indices - specifies how to provide element indices to the predicate function
+	* @param options.workers - maximum number of worker threads
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of element sets which pass the test
+	*/
+	parallel<U = unknown>( arrays: [ typedndarray<any>, typedndarray<any>, ...Array<typedndarray<any>> ], options: ParallelOptions, predicate: NaryPredicate<U>, thisArg?: ThisParameterType<NaryPredicate<U>> ): Promise<number>;
+
+	/**
+	* Counts the number of elements in an ndarray which pass a test implemented by a (possibly) asynchronous predicate function.
+	*
+	* ## Notes
+	*
+	* -   The predicate function may return either a boolean or a promise which resolves a boolean.
+	* -   The predicate function is invoked in the same order in which elements are visited by `countIf`.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of elements which pass the test
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return Promise.resolve( value > 0.0 );
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* countIf.async( [ x ], predicate ).then( onResolve );
+	*
+	* function onResolve( count ) {
+	*     console.log( count );
+	*     // => 5
+	* }
+	*/
+	async<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, predicate: AsyncPredicate<T, U>, thisArg?: ThisParameterType<AsyncPredicate<T, U>> ): Promise<number>;
+
+	/**
+	* Counts the number of elements in an ndarray which pass a test implemented by a (possibly) asynchronous predicate function.
+	*
+	* ## Notes
+	*
+	* -   The predicate function may return either a boolean or a promise which resolves a boolean.
+	* -   The predicate function is invoked in the same order in which elements are visited by `countIf`.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param options.indices - specifies how to provide element indices to the predicate function
+	* @param options.concurrency - maximum number of pending predicate invocations
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of elements which pass the test
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return Promise.resolve( value > 0.0 );
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* countIf.async( [ x ], { 'concurrency': 2 }, predicate ).then( onResolve );
+	*
+	* function onResolve( count ) {
+	*     console.log( count );
+	*     // => 5
+	* }
+	*/
+	async<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, options: AsyncOptions, predicate: AsyncPredicate<T, U>, thisArg?: ThisParameterType<AsyncPredicate<T, U>> ): Promise<number>;
+
+	/**
+	* Counts the number of elements in an ndarray which pass a test implemented by a (possibly) asynchronous predicate function.
+	*
+	* ## Notes
+	*
+	* -   The predicate function may return either a boolean or a promise which resolves a boolean.
+	* -   The predicate function is invoked in the same order in which elements are visited by `countIf`.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param options.indices - specifies that the predicate function should be provided linear view indices
+	* @param options.concurrency - maximum number of pending predicate invocations
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of elements which pass the test
+	*/
+	async<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, options: AsyncLinearOptions, predicate: AsyncLinearPredicate<T, U>, thisArg?: ThisParameterType<AsyncLinearPredicate<T, U>> ): Promise<number>;
+
+	/**
+	* Counts the number of sets of corresponding elements in multiple ndarrays which pass a test implemented by a (possibly) asynchronous predicate function.
+	*
+	* ## Notes
+	*
+	* -   The predicate function may return either a boolean or a promise which resolves a boolean.
+	* -   The predicate function is invoked in the same order in which elements are visited by `countIf`.
+	*
+	* @param arrays - array-like object containing two or more input ndarrays
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of element sets which pass the test
+	*/
+	async<U = unknown>( arrays: [ typedndarray<any>, typedndarray<any>, ...Array<typedndarray<any>> ], predicate: AsyncNaryPredicate<U>, thisArg?: ThisParameterType<AsyncNaryPredicate<U>> ): Promise<number>;
+
+	/**
+	* Counts the number of sets of corresponding elements in multiple ndarrays which pass a test implemented by a (possibly) asynchronous predicate function.
+	*
+	* ## Notes
+	*
+	* -   The predicate function may return either a boolean or a promise which resolves a boolean.
+	* -   The predicate function is invoked in the same order in which elements are visited by `countIf`.
+	*
+	* @param arrays - array-like object containing two or more input ndarrays
+	* @param options - function options
+	* @param options.limit - maximum number of element sets which may pass a test before the function stops iterating
+	* @param options.indices - specifies how to provide element indices to the predicate function
+	* @param options.concurrency - maximum number of pending predicate invocations
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of element sets which pass the test
+	*/
+	async<U = unknown>( arrays: [ typedndarray<any>, typedndarray<any>, ...Array<typedndarray<any>> ], options: AsyncOptions | AsyncLinearOptions, predicate: AsyncNaryPredicate<U>, thisArg?: ThisParameterType<AsyncNaryPredicate<U>> ): Promise<number>;
+
+	/**
+	* Counts the number of elements in an ndarray which pass a test implemented by a predicate function, periodically yielding to the event loop.
+	*
+	* ## Notes
+	*
+	* -   The function tests elements in slices, yielding to the event loop between slices.
+	* -   The function visits elements using loop blocking, regardless of the number of dimensions and the iteration order of the input ndarray.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of elements which pass the test
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* countIf.cooperative( [ x ], predicate ).then( onResolve );
+	*
+	* function onResolve( count ) {
+	*     console.log( count );
+	*     // => 5
+	* }
+	*/
+	cooperative<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): Promise<number>;
+
+	/**
+	* Counts the number of elements in an ndarray which pass a test implemented by a predicate function, periodically yielding to the event loop.
+	*
+	* ## Notes
+	*
+	* -   The function tests elements in slices, yielding to the event loop between slices.
+	* -   The function visits elements using loop blocking, regardless of the number of dimensions and the iteration order of the input ndarray.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param options.indices - specifies how to provide element indices to the predicate function
+	* @param options.sliceDuration - maximum duration (in milliseconds) of a slice
+	* @param options.sliceSize - maximum number of elements to test during a slice
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of elements which pass the test
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* countIf.cooperative( [ x ], { 'sliceSize': 2 }, predicate ).then( onResolve );
+	*
+	* function onResolve( count ) {
+	*     console.log( count );
+	*     // => 5
+	* }
+	*/
+	cooperative<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, options: CooperativeOptions, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): Promise<number>;
+
+	/**
+	* Counts the number of elements in an ndarray which pass a test implemented by a predicate function, periodically yielding to the event loop.
+	*
+	* ## Notes
+	*
+	* -   The function tests elements in slices, yielding to the event loop between slices.
+	* -   The function visits elements using loop blocking, regardless of the number of dimensions and the iteration order of the input ndarray.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param options.indices - specifies that the predicate function should be provided linear view indices
+	* @param options.sliceDuration - maximum duration (in milliseconds) of a slice
+	* @param options.sliceSize - maximum number of elements to test during a slice
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns promise which resolves the number of elements which pass the test
+	*/
+	cooperative<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, options: CooperativeLinearOptions, predicate: LinearPredicate<T, U>, thisArg?: ThisParameterType<LinearPredicate<T, U>> ): Promise<number>;
+
+	/**
+	* Returns a function for counting the number of elements in ndarrays having fixed meta data which pass a test implemented by a predicate function.
+	*
+	* ## Notes
+	*
+	* -   The function standardizes the provided ndarray meta data, selects a kernel, and, when performing loop blocking, resolves the loop interchange order and block size once, such that the returned function only needs to be provided a data buffer and an index offset.
+	* -   Data buffers provided to the returned function must have the same data type as the data buffer of the provided ndarray and must be compatible with the provided shape and strides.
+	* -   Data buffers provided to the returned function must use accessors if and only if the data buffer of the provided ndarray uses accessors. Otherwise, the returned function throws an error.
+	*
+	* @param meta - input ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param options.indices - specifies how to provide element indices to the predicate function
+	* @returns function for counting the number of elements which pass a test
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create an ndarray describing the ndarrays to be tested:
+	* var meta = ndarray( 'float64', new Float64Array( 6 ), [ 3, 2 ], [ 2, 1 ], 0, 'row-major' );
+	*
+	* // Create a plan:
+	* var run = countIf.plan( meta );
+	*
+	* // Perform operation:
+	* var out = run( new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0 ] ), 0, predicate );
+	* // returns 5
+	*/
+	plan<T = unknown>( meta: typedndarray<T>, options?: Options ): PlanFunction<T>;
+
+	/**
+	* Returns a function for counting the number of elements in ndarrays having fixed meta data which pass a test implemented by a predicate function.
+	*
+	* @param meta - input ndarray
+	* @param options - function options
+	* @param options.limit - maximum number of elements which may pass a test before the function stops iterating
+	* @param options.indices - specifies that the predicate function should be provided linear view indices
+	* @returns function for counting the number of elements which pass a test
+	*/
+	plan<T = unknown>( meta: typedndarray<T>, options: LinearOptions ): LinearPlanFunction<T>;
+
+	/**
+	* Returns an object describing the kernel used to count the number of elements in one or more ndarrays which pass a test implemented by a predicate function.
+	*
+	* ## Notes
+	*
+	* -   The returned object describes the kernel used when provided a predicate function and the same options. When provided an `order` option specifying a logical order in which nested loops iterating according to memory layout would not visit elements, the kernel type is `'nd'`.
+	* -   Predicate descriptors and expressions never use the described kernel, as they are evaluated using loops specialized for the predicate.
+	*
+	* @param arrays - array-like object containing one or more input ndarrays
+	* @param options - function options
+	* @param options.blockSize - block size or a function which returns a block size
+	* @param options.order - order in which to visit elements
+	* @returns kernel description
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* // Create an ndarray having mixed sign strides:
+	* var x = ndarray( 'float64', new Float64Array( 12 ), [ 3, 4 ], [ -4, 1 ], 8, 'row-major' );
+	*
+	* var out = countIf.explain( [ x ] );
+	* // returns { 'kernel': 'blocked', 'ndims': 2, 'accessors': false, 'iterationOrder': 0, 'loopOrder': [ 1, 0 ], 'blockSize': 8 }
+	*/
+	explain<T = unknown>( arrays: ArrayLike<typedndarray<T>>, options?: ExplainOptions ): KernelDescription;
+
+	/**
+	* Tests whether at least one element in an ndarray passes a test implemented by a predicate function.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns boolean indicating whether at least one element passes a test
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 10.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.anyIf( [ x ], predicate );
+	* // returns true
+	*/
+	anyIf<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): boolean;
+
+	/**
+	* Tests whether every element in an ndarray passes a test implemented by a predicate function.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns boolean indicating whether every element passes a test
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.allIf( [ x ], predicate );
+	* // returns false
+	*/
+	allIf<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): boolean;
+
+	/**
+	* Tests whether every element in an ndarray fails a test implemented by a predicate function.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns boolean indicating whether every element fails a test
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 10.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.noneIf( [ x ], predicate );
+	* // returns false
+	*/
+	noneIf<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): boolean;
+
+	/**
+	* Tests whether at least `n` elements in an ndarray pass a test implemented by a predicate function.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param n - minimum number of elements which must pass a test
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns boolean indicating whether at least `n` elements pass a test
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 0.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.someIf( [ x ], 3, predicate );
+	* // returns true
+	*/
+	someIf<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, n: number, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): boolean;
+
+	/**
+	* Returns the first element in an ndarray which passes a test implemented by a predicate function.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns object containing the element value and indices or null
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 2.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.findIf( [ x ], predicate );
+	* // returns { 'value': 3.0, 'indices': [ 0, 0, 1 ] }
+	*/
+	findIf<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): FindResult<T> | null;
+
+	/**
+	* Returns the first element in an ndarray which passes a test implemented by a predicate function.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param options - function options
+	* @param options.order - logical order in which to visit elements
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns object containing the element value and indices or null
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value > 2.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.findIf( [ x ], { 'order': 'column-major' }, predicate );
+	* // returns { 'value': 10.0, 'indices': [ 2, 0, 0 ] }
+	*/
+	findIf<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, options: FindOptions, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): FindResult<T> | null;
+
+	/**
+	* Returns the last element in an ndarray which passes a test implemented by a predicate function.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns object containing the element value and indices or null
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value < 5.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.findLastIf( [ x ], predicate );
+	* // returns { 'value': 0.0, 'indices': [ 1, 0, 0 ] }
+	*/
+	findLastIf<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): FindResult<T> | null;
+
+	/**
+	* Returns the last element in an ndarray which passes a test implemented by a predicate function.
+	*
+	* @param arrays - array-like object containing an input ndarray
+	* @param options - function options
+	* @param options.order - logical order in which to visit elements
+	* @param predicate - predicate function
+	* @param thisArg - predicate function execution context
+	* @returns object containing the element value and indices or null
+	*
+	* @example
+	* var Float64Array = require( '@stdlib/array-float64' );
+	* var ndarray = require( '@stdlib/ndarray-base-ctor' );
+	*
+	* function predicate( value ) {
+	*    return value < 5.0;
+	* }
+	*
+	* // Create a data buffer:
+	* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	*
+	* // Create the input ndarray:
+	* var x = ndarray( 'float64', xbuf, [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	*
+	* // Perform operation:
+	* var out = countIf.findLastIf( [ x ], { 'order': 'column-major' }, predicate );
+	* // returns { 'value': 3.0, 'indices': [ 0, 0, 1 ] }
+	*/
+	findLastIf<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, options: FindOptions, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): FindResult<T> | null;
+}
+
 /**
 * Counts the number of elements in an ndarray which pass a test implemented by a predicate function.
 *
@@ -102,7 +1831,7 @@ type Predicate<T, U> = Nullary<U> | Unary<T, U> | Binary<T, U> | Ternary<T, U>;
 * var out = countIf( [ x ], predicate );
 * // returns 5
 */
-declare function countIf<T = unknown, U = unknown>( arrays: ArrayLike<typedndarray<T>>, predicate: Predicate<T, U>, thisArg?: ThisParameterType<Predicate<T, U>> ): number;
+declare var countIf: CountIf;
 
 
 // EXPORTS //
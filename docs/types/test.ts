@@ -19,6 +19,7 @@
 /// <reference types="@stdlib/types"/>
 
 import zeros = require( '@stdlib/ndarray-zeros' );
+import scalar2ndarray = require( '@stdlib/ndarray-from-scalar' );
 import countIf = require( './index' );
 
 /**
@@ -31,6 +32,57 @@ function clbk( v: any ): boolean {
 	return v > 0.0;
 }
 
+/**
+* Predicate function which is provided linear view indices.
+*
+* @param v - ndarray element
+* @param i - linear view index
+* @returns result
+*/
+function linear( v: any, i: number ): boolean {
+	return ( v > 0.0 && i > 0 );
+}
+
+/**
+* Predicate function which is provided a pair of ndarray elements.
+*
+* @param vx - first ndarray element
+* @param vy - second ndarray element
+* @returns result
+*/
+function pair( vx: any, vy: any ): boolean {
+	return vx > vy;
+}
+
+/**
+* Returns an object for aborting an operation.
+*
+* @returns abort signal
+*/
+function signal() {
+	return {
+		'aborted': false,
+		'addEventListener': ( type: 'abort', listener: () => void ): void => { // eslint-disable-line @typescript-eslint/no-unused-vars
+			// No-op...
+		},
+		'removeEventListener': ( type: 'abort', listener: () => void ): void => { // eslint-disable-line @typescript-eslint/no-unused-vars
+			// No-op...
+		}
+	};
+}
+
+/**
+* Progress callback.
+*
+* @param processed - number of processed elements
+* @param total - total number of elements
+*/
+function progress( processed: number, total: number ): void {
+	if ( processed > total ) {
+		throw new Error( 'something went wrong' );
+	}
+}
+
 
 // TESTS //
 
@@ -41,6 +93,26 @@ function clbk( v: any ): boolean {
 
 	countIf( arrays, clbk ); // $ExpectType number
 	countIf( arrays, clbk, {} ); // $ExpectType number
+	countIf( arrays, {}, clbk ); // $ExpectType number
+	countIf( arrays, { 'limit': 2 }, clbk, {} ); // $ExpectType number
+	countIf( arrays, { 'indices': 'none' }, clbk ); // $ExpectType number
+	countIf( arrays, { 'indices': 'shared' }, clbk ); // $ExpectType number
+	countIf( arrays, { 'indices': 'linear' }, linear ); // $ExpectType number
+	countIf( arrays, { 'indices': 'linear' }, clbk ); // $ExpectType number
+}
+
+// The function returns a number when provided multiple input ndarrays...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2, 2 ] );
+	const z = zeros( [ 2, 2 ] );
+
+	countIf( [ x, y ], pair ); // $ExpectType number
+	countIf( [ x, y, z ], ( a: number, b: number, c: number ): boolean => a > b && b > c ); // $ExpectType number
+	countIf( [ x, y, z ], pair, {} ); // $ExpectType number
+	countIf( [ x, y, z ], {}, pair ); // $ExpectType number
+	countIf( [ x, y, z ], { 'limit': 2 }, pair, {} ); // $ExpectType number
+	countIf( [ x, y, z ], { 'indices': 'linear' }, pair ); // $ExpectType number
 }
 
 // The compiler throws an error if the function is provided a first argument which is not an array-like object containing ndarray-like objects...
@@ -69,7 +141,6 @@ function clbk( v: any ): boolean {
 	const x = zeros( [ 2, 2 ] );
 	const arrays = [ x ];
 
-	countIf( arrays, '10' ); // $ExpectError
 	countIf( arrays, 5 ); // $ExpectError
 	countIf( arrays, true ); // $ExpectError
 	countIf( arrays, false ); // $ExpectError
@@ -96,4 +167,978 @@ function clbk( v: any ): boolean {
 	countIf(); // $ExpectError
 	countIf( arrays ); // $ExpectError
 	countIf( arrays, clbk, {}, {} ); // $ExpectError
+	countIf( arrays, {}, clbk, {}, {} ); // $ExpectError
+}
+
+// The compiler throws an error if the function is provided a `limit` option which is not a number...
+{
+	const x = zeros( [ 2, 2 ] );
+	const arrays = [ x ];
+
+	countIf( arrays, { 'limit': '10' }, clbk ); // $ExpectError
+	countIf( arrays, { 'limit': true }, clbk ); // $ExpectError
+	countIf( arrays, { 'limit': null }, clbk ); // $ExpectError
+	countIf( arrays, { 'limit': [] }, clbk ); // $ExpectError
+	countIf( arrays, { 'limit': {} }, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the function is provided an `indices` option which is not a supported value...
+{
+	const x = zeros( [ 2, 2 ] );
+	const arrays = [ x ];
+
+	countIf( arrays, { 'indices': 'foo' }, clbk ); // $ExpectError
+	countIf( arrays, { 'indices': 'array' }, linear ); // $ExpectError
+	countIf( arrays, { 'indices': true }, clbk ); // $ExpectError
+	countIf( arrays, { 'indices': null }, clbk ); // $ExpectError
+	countIf( arrays, { 'indices': [] }, clbk ); // $ExpectError
+	countIf( arrays, { 'indices': {} }, clbk ); // $ExpectError
+}
+
+// The function supports providing a `signal` option...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2, 2 ] );
+
+	countIf( [ x ], { 'signal': signal() }, clbk ); // $ExpectType number
+	countIf( [ x ], { 'indices': 'linear', 'signal': signal() }, linear ); // $ExpectType number
+	countIf( [ x, y ], { 'signal': signal() }, pair ); // $ExpectType number
+	countIf.mask( [ x, scalar2ndarray( false, { 'dtype': 'bool' } ) ], { 'signal': signal() }, clbk ); // $ExpectType number
+	countIf.binary( [ x, y ], { 'signal': signal() }, pair ); // $ExpectType number
+	countIf.parallel( [ x ], { 'signal': signal() }, clbk ); // $ExpectType Promise<number>
+	countIf.async( [ x ], { 'signal': signal() }, clbk ); // $ExpectType Promise<number>
+	countIf.cooperative( [ x ], { 'signal': signal() }, clbk ); // $ExpectType Promise<number>
+}
+
+// The compiler throws an error if the function is provided a `signal` option which is not an abort signal...
+{
+	const x = zeros( [ 2, 2 ] );
+	const arrays = [ x ];
+
+	countIf( arrays, { 'signal': '10' }, clbk ); // $ExpectError
+	countIf( arrays, { 'signal': 10 }, clbk ); // $ExpectError
+	countIf( arrays, { 'signal': true }, clbk ); // $ExpectError
+	countIf( arrays, { 'signal': null }, clbk ); // $ExpectError
+	countIf( arrays, { 'signal': [] }, clbk ); // $ExpectError
+	countIf( arrays, { 'signal': {} }, clbk ); // $ExpectError
+}
+
+// The function supports providing an `onProgress` option...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2, 2 ] );
+
+	countIf( [ x ], { 'onProgress': progress }, clbk ); // $ExpectType number
+	countIf( [ x ], { 'onProgress': progress, 'progressInterval': 10 }, clbk ); // $ExpectType number
+	countIf( [ x ], { 'indices': 'linear', 'onProgress': progress }, linear ); // $ExpectType number
+	countIf( [ x, y ], { 'onProgress': progress }, pair ); // $ExpectType number
+	countIf.mask( [ x, scalar2ndarray( false, { 'dtype': 'bool' } ) ], { 'onProgress': progress }, clbk ); // $ExpectType number
+	countIf.binary( [ x, y ], { 'onProgress': progress }, pair ); // $ExpectType number
+	countIf.async( [ x ], { 'onProgress': progress }, clbk ); // $ExpectType Promise<number>
+	countIf.cooperative( [ x ], { 'onProgress': progress }, clbk ); // $ExpectType Promise<number>
+}
+
+// The compiler throws an error if the function is provided an `onProgress` option which is not a function...
+{
+	const x = zeros( [ 2, 2 ] );
+	const arrays = [ x ];
+
+	countIf( arrays, { 'onProgress': '10' }, clbk ); // $ExpectError
+	countIf( arrays, { 'onProgress': 10 }, clbk ); // $ExpectError
+	countIf( arrays, { 'onProgress': true }, clbk ); // $ExpectError
+	countIf( arrays, { 'onProgress': null }, clbk ); // $ExpectError
+	countIf( arrays, { 'onProgress': [] }, clbk ); // $ExpectError
+	countIf( arrays, { 'onProgress': {} }, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the function is provided a `progressInterval` option which is not a number...
+{
+	const x = zeros( [ 2, 2 ] );
+	const arrays = [ x ];
+
+	countIf( arrays, { 'progressInterval': '10' }, clbk ); // $ExpectError
+	countIf( arrays, { 'progressInterval': true }, clbk ); // $ExpectError
+	countIf( arrays, { 'progressInterval': null }, clbk ); // $ExpectError
+	countIf( arrays, { 'progressInterval': [] }, clbk ); // $ExpectError
+	countIf( arrays, { 'progressInterval': {} }, clbk ); // $ExpectError
+}
+
+// The function supports providing a `blockSize` option...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2, 2 ] );
+	const bsize = ( dtype: string ): number => ( dtype === 'float64' ) ? 16 : 64;
+
+	countIf( [ x ], { 'blockSize': 16 }, clbk ); // $ExpectType number
+	countIf( [ x ], { 'blockSize': bsize }, clbk ); // $ExpectType number
+	countIf( [ x ], { 'indices': 'linear', 'blockSize': 16 }, linear ); // $ExpectType number
+	countIf( [ x, y ], { 'blockSize': 16 }, pair ); // $ExpectType number
+	countIf.binary( [ x, y ], { 'blockSize': bsize }, pair ); // $ExpectType number
+	countIf.parallel( [ x ], { 'blockSize': 16 }, clbk ); // $ExpectType Promise<number>
+	countIf.async( [ x ], { 'blockSize': 16 }, clbk ); // $ExpectType Promise<number>
+	countIf.cooperative( [ x ], { 'blockSize': bsize }, clbk ); // $ExpectType Promise<number>
+	countIf.plan( x, { 'blockSize': 16 } ); // $ExpectType PlanFunction<number>
+}
+
+// The compiler throws an error if the function is provided a `blockSize` option which is not a number or a function...
+{
+	const x = zeros( [ 2, 2 ] );
+	const arrays = [ x ];
+
+	countIf( arrays, { 'blockSize': '10' }, clbk ); // $ExpectError
+	countIf( arrays, { 'blockSize': true }, clbk ); // $ExpectError
+	countIf( arrays, { 'blockSize': null }, clbk ); // $ExpectError
+	countIf( arrays, { 'blockSize': [] }, clbk ); // $ExpectError
+	countIf( arrays, { 'blockSize': {} }, clbk ); // $ExpectError
+}
+
+// The function supports providing an `order` option...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2, 2 ] );
+
+	countIf( [ x ], { 'order': 'memory' }, clbk ); // $ExpectType number
+	countIf( [ x ], { 'order': 'row-major' }, clbk ); // $ExpectType number
+	countIf( [ x ], { 'indices': 'linear', 'order': 'column-major' }, linear ); // $ExpectType number
+	countIf( [ x, y ], { 'order': 'row-major' }, pair ); // $ExpectType number
+	countIf.binary( [ x, y ], { 'order': 'column-major' }, pair ); // $ExpectType number
+	countIf.async( [ x ], { 'order': 'row-major' }, clbk ); // $ExpectType Promise<number>
+	countIf.cooperative( [ x ], { 'order': 'column-major' }, clbk ); // $ExpectType Promise<number>
+	countIf.plan( x, { 'order': 'row-major' } ); // $ExpectType PlanFunction<number>
+}
+
+// The compiler throws an error if the function is provided an `order` option which is not a supported order...
+{
+	const x = zeros( [ 2, 2 ] );
+	const arrays = [ x ];
+
+	countIf( arrays, { 'order': 'foo' }, clbk ); // $ExpectError
+	countIf( arrays, { 'order': 10 }, clbk ); // $ExpectError
+	countIf( arrays, { 'order': true }, clbk ); // $ExpectError
+	countIf( arrays, { 'order': null }, clbk ); // $ExpectError
+	countIf( arrays, { 'order': [] }, clbk ); // $ExpectError
+	countIf( arrays, { 'order': {} }, clbk ); // $ExpectError
+	countIf.parallel( arrays, { 'order': 'row-major' }, clbk ); // $ExpectError
+}
+
+// The function supports providing a predicate descriptor...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf( [ x ], 'isnan' ); // $ExpectType number
+	countIf( [ x ], { 'op': 'isnan' } ); // $ExpectType number
+	countIf( [ x ], { 'op': 'gt', 'value': 0 } ); // $ExpectType number
+	countIf( [ x ], { 'op': 'within', 'min': 0, 'max': 10 } ); // $ExpectType number
+	countIf( [ x ], { 'limit': 2 }, 'isnan' ); // $ExpectType number
+	countIf( [ x ], { 'limit': 2 }, { 'op': 'le', 'value': 0 } ); // $ExpectType number
+}
+
+// The function supports providing an expression...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf( [ x ], 'x > 0 && x < 10' ); // $ExpectType number
+	countIf( [ x ], { 'limit': 2 }, 'x > 0 && i0 === 1' ); // $ExpectType number
+}
+
+// The compiler throws an error if the function is provided an invalid predicate descriptor...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf( [ x ], { 'op': 'beep' } ); // $ExpectError
+	countIf( [ x ], { 'op': 'gt' } ); // $ExpectError
+	countIf( [ x ], { 'op': 'within', 'min': 0 } ); // $ExpectError
+	countIf( [ x ], {}, { 'op': 'beep' } ); // $ExpectError
+}
+
+// Attached to the main export is an `assign` method which returns an ndarray...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2 ] );
+
+	countIf.assign( [ x, y ], [ 1 ], clbk ); // $ExpectType float64ndarray
+	countIf.assign( [ x, y ], [ 1 ], clbk, {} ); // $ExpectType float64ndarray
+	countIf.assign( [ x, y ], [ 1 ], {}, clbk ); // $ExpectType float64ndarray
+	countIf.assign( [ x, y ], [ 1 ], { 'keepdims': true }, clbk, {} ); // $ExpectType float64ndarray
+	countIf.assign( [ x, y ], [ 1 ], { 'limit': 1, 'order': 'row-major' }, clbk ); // $ExpectType float64ndarray
+	countIf.assign( [ x, y ], [ 1 ], 'isnan' ); // $ExpectType float64ndarray
+	countIf.assign( [ x, y ], [ 1 ], { 'op': 'gt', 'value': 0 } ); // $ExpectType float64ndarray
+	countIf.assign( [ x, y ], [ 1 ], 'x > 0 && x < 10' ); // $ExpectType float64ndarray
+	countIf.assign( [ x, y ], [ 1 ], { 'keepdims': false, 'limit': 1 }, 'isnan' ); // $ExpectType float64ndarray
+}
+
+// The compiler throws an error if the `assign` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.assign( 5, [ 1 ], clbk ); // $ExpectError
+	countIf.assign( true, [ 1 ], clbk ); // $ExpectError
+	countIf.assign( false, [ 1 ], clbk ); // $ExpectError
+	countIf.assign( null, [ 1 ], clbk ); // $ExpectError
+	countIf.assign( undefined, [ 1 ], clbk ); // $ExpectError
+	countIf.assign( {}, [ 1 ], clbk ); // $ExpectError
+	countIf.assign( [ 1 ], [ 1 ], clbk ); // $ExpectError
+	countIf.assign( ( x: number ): number => x, [ 1 ], clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `assign` method is provided a second argument which is not an array-like object containing integers...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2 ] );
+
+	countIf.assign( [ x, y ], '10', clbk ); // $ExpectError
+	countIf.assign( [ x, y ], 5, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], true, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], false, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], null, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], undefined, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], [ '1' ], clbk ); // $ExpectError
+	countIf.assign( [ x, y ], {}, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `assign` method is provided a third argument which is not a callback function, predicate descriptor, or expression...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2 ] );
+
+	countIf.assign( [ x, y ], [ 1 ], 5 ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], true ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], false ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], null ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], undefined ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], [] ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], {} ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], { 'op': 'beep' } ); // $ExpectError
+}
+
+// The compiler throws an error if the `assign` method is provided a `keepdims` option which is not a boolean...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2 ] );
+
+	countIf.assign( [ x, y ], [ 1 ], { 'keepdims': '10' }, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], { 'keepdims': 5 }, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], { 'keepdims': null }, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], { 'keepdims': [] }, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], { 'keepdims': {} }, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `assign` method is provided a `limit` option which is not a number...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2 ] );
+
+	countIf.assign( [ x, y ], [ 1 ], { 'limit': '10' }, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], { 'limit': true }, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], { 'limit': null }, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], { 'limit': [] }, clbk ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], { 'limit': {} }, 'isnan' ); // $ExpectError
+}
+
+// The compiler throws an error if the `assign` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2 ] );
+
+	countIf.assign(); // $ExpectError
+	countIf.assign( [ x, y ] ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ] ); // $ExpectError
+	countIf.assign( [ x, y ], [ 1 ], {}, clbk, {}, {} ); // $ExpectError
+}
+
+// Attached to the main export is a `mask` method which returns a number...
+{
+	const x = scalar2ndarray( 1.0 );
+	const y = scalar2ndarray( false, { 'dtype': 'bool' } );
+
+	countIf.mask( [ x, y ], clbk ); // $ExpectType number
+	countIf.mask( [ x, y ], clbk, {} ); // $ExpectType number
+	countIf.mask( [ x, y ], {}, clbk ); // $ExpectType number
+	countIf.mask( [ x, y ], { 'limit': 2 }, clbk, {} ); // $ExpectType number
+	countIf.mask( [ x, y ], { 'indices': 'linear' }, linear ); // $ExpectType number
+}
+
+// The compiler throws an error if the `mask` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.mask( 5, clbk ); // $ExpectError
+	countIf.mask( true, clbk ); // $ExpectError
+	countIf.mask( false, clbk ); // $ExpectError
+	countIf.mask( null, clbk ); // $ExpectError
+	countIf.mask( undefined, clbk ); // $ExpectError
+	countIf.mask( {}, clbk ); // $ExpectError
+	countIf.mask( [ 1 ], clbk ); // $ExpectError
+	countIf.mask( ( x: number ): number => x, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `mask` method is provided a second argument which is not a callback function...
+{
+	const x = scalar2ndarray( 1.0 );
+	const y = scalar2ndarray( false, { 'dtype': 'bool' } );
+
+	countIf.mask( [ x, y ], '10' ); // $ExpectError
+	countIf.mask( [ x, y ], 5 ); // $ExpectError
+	countIf.mask( [ x, y ], true ); // $ExpectError
+	countIf.mask( [ x, y ], false ); // $ExpectError
+	countIf.mask( [ x, y ], null ); // $ExpectError
+	countIf.mask( [ x, y ], undefined ); // $ExpectError
+	countIf.mask( [ x, y ], [] ); // $ExpectError
+	countIf.mask( [ x, y ], {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `mask` method is provided an unsupported number of arguments...
+{
+	const x = scalar2ndarray( 1.0 );
+	const y = scalar2ndarray( false, { 'dtype': 'bool' } );
+
+	countIf.mask(); // $ExpectError
+	countIf.mask( [ x, y ] ); // $ExpectError
+	countIf.mask( [ x, y ], clbk, {}, {} ); // $ExpectError
+	countIf.mask( [ x, y ], {}, clbk, {}, {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `mask` method is provided a `limit` option which is not a number...
+{
+	const x = scalar2ndarray( 1.0 );
+	const y = scalar2ndarray( false, { 'dtype': 'bool' } );
+
+	countIf.mask( [ x, y ], { 'limit': '10' }, clbk ); // $ExpectError
+	countIf.mask( [ x, y ], { 'limit': true }, clbk ); // $ExpectError
+	countIf.mask( [ x, y ], { 'limit': null }, clbk ); // $ExpectError
+	countIf.mask( [ x, y ], { 'limit': [] }, clbk ); // $ExpectError
+	countIf.mask( [ x, y ], { 'limit': {} }, clbk ); // $ExpectError
+}
+
+// Attached to the main export is a `binary` method which returns a number...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2 ] );
+
+	countIf.binary( [ x, y ], pair ); // $ExpectType number
+	countIf.binary( [ x, y ], pair, {} ); // $ExpectType number
+	countIf.binary( [ x, y ], {}, pair ); // $ExpectType number
+	countIf.binary( [ x, y ], { 'limit': 2 }, pair, {} ); // $ExpectType number
+	countIf.binary( [ x, y ], { 'indices': 'linear' }, pair ); // $ExpectType number
+}
+
+// The compiler throws an error if the `binary` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.binary( 5, pair ); // $ExpectError
+	countIf.binary( true, pair ); // $ExpectError
+	countIf.binary( false, pair ); // $ExpectError
+	countIf.binary( null, pair ); // $ExpectError
+	countIf.binary( undefined, pair ); // $ExpectError
+	countIf.binary( {}, pair ); // $ExpectError
+	countIf.binary( [ 1, 2 ], pair ); // $ExpectError
+	countIf.binary( ( x: number ): number => x, pair ); // $ExpectError
+}
+
+// The compiler throws an error if the `binary` method is provided a second argument which is not a callback function...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2 ] );
+
+	countIf.binary( [ x, y ], '10' ); // $ExpectError
+	countIf.binary( [ x, y ], 5 ); // $ExpectError
+	countIf.binary( [ x, y ], true ); // $ExpectError
+	countIf.binary( [ x, y ], false ); // $ExpectError
+	countIf.binary( [ x, y ], null ); // $ExpectError
+	countIf.binary( [ x, y ], undefined ); // $ExpectError
+	countIf.binary( [ x, y ], [] ); // $ExpectError
+	countIf.binary( [ x, y ], {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `binary` method is provided a `limit` option which is not a number...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2 ] );
+
+	countIf.binary( [ x, y ], { 'limit': '10' }, pair ); // $ExpectError
+	countIf.binary( [ x, y ], { 'limit': true }, pair ); // $ExpectError
+	countIf.binary( [ x, y ], { 'limit': null }, pair ); // $ExpectError
+	countIf.binary( [ x, y ], { 'limit': [] }, pair ); // $ExpectError
+	countIf.binary( [ x, y ], { 'limit': {} }, pair ); // $ExpectError
+}
+
+// The compiler throws an error if the `binary` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2 ] );
+
+	countIf.binary(); // $ExpectError
+	countIf.binary( [ x, y ] ); // $ExpectError
+	countIf.binary( [ x, y ], pair, {}, {} ); // $ExpectError
+	countIf.binary( [ x, y ], {}, pair, {}, {} ); // $ExpectError
+}
+
+// Attached to the main export is a `parallel` method which returns a promise...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2, 2 ] );
+
+	countIf.parallel( [ x ], clbk ); // $ExpectType Promise<number>
+	countIf.parallel( [ x ], clbk, {} ); // $ExpectType Promise<number>
+	countIf.parallel( [ x ], {}, clbk ); // $ExpectType Promise<number>
+	countIf.parallel( [ x ], { 'workers': 2 }, clbk, {} ); // $ExpectType Promise<number>
+	countIf.parallel( [ x ], { 'indices': 'linear' }, linear ); // $ExpectType Promise<number>
+	countIf.parallel( [ x, y ], pair ); // $ExpectType Promise<number>
+	countIf.parallel( [ x, y ], { 'limit': 2 }, pair ); // $ExpectType Promise<number>
+}
+
+// The compiler throws an error if the `parallel` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.parallel( 5, clbk ); // $ExpectError
+	countIf.parallel( true, clbk ); // $ExpectError
+	countIf.parallel( false, clbk ); // $ExpectError
+	countIf.parallel( null, clbk ); // $ExpectError
+	countIf.parallel( undefined, clbk ); // $ExpectError
+	countIf.parallel( {}, clbk ); // $ExpectError
+	countIf.parallel( [ 1 ], clbk ); // $ExpectError
+	countIf.parallel( ( x: number ): number => x, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `parallel` method is provided a predicate argument which is not a function...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.parallel( [ x ], '10' ); // $ExpectError
+	countIf.parallel( [ x ], 5 ); // $ExpectError
+	countIf.parallel( [ x ], true ); // $ExpectError
+	countIf.parallel( [ x ], false ); // $ExpectError
+	countIf.parallel( [ x ], null ); // $ExpectError
+	countIf.parallel( [ x ], [] ); // $ExpectError
+	countIf.parallel( [ x ], {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `parallel` method is provided a `workers` option which is not a number...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.parallel( [ x ], { 'workers': '10' }, clbk ); // $ExpectError
+	countIf.parallel( [ x ], { 'workers': true }, clbk ); // $ExpectError
+	countIf.parallel( [ x ], { 'workers': null }, clbk ); // $ExpectError
+	countIf.parallel( [ x ], { 'workers': [] }, clbk ); // $ExpectError
+	countIf.parallel( [ x ], { 'workers': {} }, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `parallel` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.parallel(); // $ExpectError
+	countIf.parallel( [ x ] ); // $ExpectError
+	countIf.parallel( [ x ], {}, clbk, {}, {} ); // $ExpectError
+}
+
+// Attached to the main export is an `async` method which returns a promise...
+{
+	const x = zeros( [ 2, 2 ] );
+	const y = zeros( [ 2, 2 ] );
+
+	countIf.async( [ x ], clbk ); // $ExpectType Promise<number>
+	countIf.async( [ x ], ( v: any ): Promise<boolean> => Promise.resolve( v > 0.0 ) ); // $ExpectType Promise<number>
+	countIf.async( [ x ], clbk, {} ); // $ExpectType Promise<number>
+	countIf.async( [ x ], {}, clbk ); // $ExpectType Promise<number>
+	countIf.async( [ x ], { 'concurrency': 2 }, clbk, {} ); // $ExpectType Promise<number>
+	countIf.async( [ x ], { 'indices': 'linear' }, linear ); // $ExpectType Promise<number>
+	countIf.async( [ x, y ], pair ); // $ExpectType Promise<number>
+	countIf.async( [ x, y ], { 'concurrency': 2 }, pair ); // $ExpectType Promise<number>
+}
+
+// The compiler throws an error if the `async` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.async( 5, clbk ); // $ExpectError
+	countIf.async( true, clbk ); // $ExpectError
+	countIf.async( false, clbk ); // $ExpectError
+	countIf.async( null, clbk ); // $ExpectError
+	countIf.async( undefined, clbk ); // $ExpectError
+	countIf.async( {}, clbk ); // $ExpectError
+	countIf.async( [ 1 ], clbk ); // $ExpectError
+	countIf.async( ( x: number ): number => x, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `async` method is provided a predicate argument which is not a function...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.async( [ x ], '10' ); // $ExpectError
+	countIf.async( [ x ], 5 ); // $ExpectError
+	countIf.async( [ x ], true ); // $ExpectError
+	countIf.async( [ x ], false ); // $ExpectError
+	countIf.async( [ x ], null ); // $ExpectError
+	countIf.async( [ x ], [] ); // $ExpectError
+	countIf.async( [ x ], {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `async` method is provided a `concurrency` option which is not a number...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.async( [ x ], { 'concurrency': '10' }, clbk ); // $ExpectError
+	countIf.async( [ x ], { 'concurrency': true }, clbk ); // $ExpectError
+	countIf.async( [ x ], { 'concurrency': null }, clbk ); // $ExpectError
+	countIf.async( [ x ], { 'concurrency': [] }, clbk ); // $ExpectError
+	countIf.async( [ x ], { 'concurrency': {} }, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `async` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.async(); // $ExpectError
+	countIf.async( [ x ] ); // $ExpectError
+	countIf.async( [ x ], {}, clbk, {}, {} ); // $ExpectError
+}
+
+// Attached to the main export is a `cooperative` method which returns a promise...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.cooperative( [ x ], clbk ); // $ExpectType Promise<number>
+	countIf.cooperative( [ x ], clbk, {} ); // $ExpectType Promise<number>
+	countIf.cooperative( [ x ], {}, clbk ); // $ExpectType Promise<number>
+	countIf.cooperative( [ x ], { 'sliceDuration': 5 }, clbk, {} ); // $ExpectType Promise<number>
+	countIf.cooperative( [ x ], { 'sliceSize': 1000 }, clbk ); // $ExpectType Promise<number>
+	countIf.cooperative( [ x ], { 'indices': 'linear' }, linear ); // $ExpectType Promise<number>
+}
+
+// The compiler throws an error if the `cooperative` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.cooperative( 5, clbk ); // $ExpectError
+	countIf.cooperative( true, clbk ); // $ExpectError
+	countIf.cooperative( false, clbk ); // $ExpectError
+	countIf.cooperative( null, clbk ); // $ExpectError
+	countIf.cooperative( undefined, clbk ); // $ExpectError
+	countIf.cooperative( {}, clbk ); // $ExpectError
+	countIf.cooperative( [ 1 ], clbk ); // $ExpectError
+	countIf.cooperative( ( x: number ): number => x, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `cooperative` method is provided a predicate argument which is not a function...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.cooperative( [ x ], '10' ); // $ExpectError
+	countIf.cooperative( [ x ], 5 ); // $ExpectError
+	countIf.cooperative( [ x ], true ); // $ExpectError
+	countIf.cooperative( [ x ], false ); // $ExpectError
+	countIf.cooperative( [ x ], null ); // $ExpectError
+	countIf.cooperative( [ x ], [] ); // $ExpectError
+	countIf.cooperative( [ x ], {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `cooperative` method is provided a `sliceDuration` option which is not a number...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.cooperative( [ x ], { 'sliceDuration': '10' }, clbk ); // $ExpectError
+	countIf.cooperative( [ x ], { 'sliceDuration': true }, clbk ); // $ExpectError
+	countIf.cooperative( [ x ], { 'sliceDuration': null }, clbk ); // $ExpectError
+	countIf.cooperative( [ x ], { 'sliceDuration': [] }, clbk ); // $ExpectError
+	countIf.cooperative( [ x ], { 'sliceDuration': {} }, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `cooperative` method is provided a `sliceSize` option which is not a number...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.cooperative( [ x ], { 'sliceSize': '10' }, clbk ); // $ExpectError
+	countIf.cooperative( [ x ], { 'sliceSize': true }, clbk ); // $ExpectError
+	countIf.cooperative( [ x ], { 'sliceSize': null }, clbk ); // $ExpectError
+	countIf.cooperative( [ x ], { 'sliceSize': [] }, clbk ); // $ExpectError
+	countIf.cooperative( [ x ], { 'sliceSize': {} }, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `cooperative` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.cooperative(); // $ExpectError
+	countIf.cooperative( [ x ] ); // $ExpectError
+	countIf.cooperative( [ x ], {}, clbk, {}, {} ); // $ExpectError
+}
+
+// Attached to the main export is a `plan` method which returns a function...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.plan( x ); // $ExpectType PlanFunction<number>
+	countIf.plan( x, {} ); // $ExpectType PlanFunction<number>
+	countIf.plan( x, { 'limit': 2 } ); // $ExpectType PlanFunction<number>
+	countIf.plan( x, { 'indices': 'linear' } ); // $ExpectType LinearPlanFunction<number>
+
+	const run = countIf.plan( x );
+	run( new Float64Array( 4 ), 0, clbk ); // $ExpectType number
+	run( new Float64Array( 4 ), 0, clbk, {} ); // $ExpectType number
+
+	const lrun = countIf.plan( x, { 'indices': 'linear' } );
+	lrun( new Float64Array( 4 ), 0, linear ); // $ExpectType number
+}
+
+// The compiler throws an error if the `plan` method is provided a first argument which is not an ndarray...
+{
+	countIf.plan( 5 ); // $ExpectError
+	countIf.plan( true ); // $ExpectError
+	countIf.plan( false ); // $ExpectError
+	countIf.plan( null ); // $ExpectError
+	countIf.plan( undefined ); // $ExpectError
+	countIf.plan( {} ); // $ExpectError
+	countIf.plan( [ 1 ] ); // $ExpectError
+}
+
+// The compiler throws an error if the `plan` method is provided a second argument which is not an object...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.plan( x, '10' ); // $ExpectError
+	countIf.plan( x, 5 ); // $ExpectError
+	countIf.plan( x, true ); // $ExpectError
+	countIf.plan( x, null ); // $ExpectError
+	countIf.plan( x, { 'limit': '10' } ); // $ExpectError
+}
+
+// The compiler throws an error if the `plan` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.plan(); // $ExpectError
+	countIf.plan( x, {}, {} ); // $ExpectError
+}
+
+// The compiler throws an error if the function returned by the `plan` method is provided invalid arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+	const run = countIf.plan( x );
+
+	run( 5, 0, clbk ); // $ExpectError
+	run( new Float64Array( 4 ), '0', clbk ); // $ExpectError
+	run( new Float64Array( 4 ), 0, '10' ); // $ExpectError
+	run( new Float64Array( 4 ), 0 ); // $ExpectError
+	run(); // $ExpectError
+}
+
+// Attached to the main export is an `explain` method which returns a kernel description...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.explain( [ x ] ); // $ExpectType KernelDescription
+	countIf.explain( [ x, x ] ); // $ExpectType KernelDescription
+	countIf.explain( [ x ], {} ); // $ExpectType KernelDescription
+	countIf.explain( [ x ], { 'blockSize': 16 } ); // $ExpectType KernelDescription
+	countIf.explain( [ x ], { 'blockSize': ( dtype: string ): number => ( dtype === 'float64' ) ? 16 : 64 } ); // $ExpectType KernelDescription
+}
+
+// The compiler throws an error if the `explain` method is provided a first argument which is not an array-like object containing ndarrays...
+{
+	countIf.explain( 5 ); // $ExpectError
+	countIf.explain( true ); // $ExpectError
+	countIf.explain( false ); // $ExpectError
+	countIf.explain( null ); // $ExpectError
+	countIf.explain( undefined ); // $ExpectError
+	countIf.explain( {} ); // $ExpectError
+	countIf.explain( [ 1 ] ); // $ExpectError
+}
+
+// The compiler throws an error if the `explain` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.explain(); // $ExpectError
+	countIf.explain( [ x ], {}, {} ); // $ExpectError
+}
+
+// Attached to the main export is an `anyIf` method which returns a boolean...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.anyIf( [ x ], clbk ); // $ExpectType boolean
+	countIf.anyIf( [ x ], clbk, {} ); // $ExpectType boolean
+}
+
+// The compiler throws an error if the `anyIf` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.anyIf( 5, clbk ); // $ExpectError
+	countIf.anyIf( true, clbk ); // $ExpectError
+	countIf.anyIf( false, clbk ); // $ExpectError
+	countIf.anyIf( null, clbk ); // $ExpectError
+	countIf.anyIf( undefined, clbk ); // $ExpectError
+	countIf.anyIf( {}, clbk ); // $ExpectError
+	countIf.anyIf( [ 1 ], clbk ); // $ExpectError
+	countIf.anyIf( ( x: number ): number => x, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `anyIf` method is provided a second argument which is not a callback function...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.anyIf( [ x ], '10' ); // $ExpectError
+	countIf.anyIf( [ x ], 5 ); // $ExpectError
+	countIf.anyIf( [ x ], true ); // $ExpectError
+	countIf.anyIf( [ x ], false ); // $ExpectError
+	countIf.anyIf( [ x ], null ); // $ExpectError
+	countIf.anyIf( [ x ], undefined ); // $ExpectError
+	countIf.anyIf( [ x ], [] ); // $ExpectError
+	countIf.anyIf( [ x ], {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `anyIf` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.anyIf(); // $ExpectError
+	countIf.anyIf( [ x ] ); // $ExpectError
+	countIf.anyIf( [ x ], clbk, {}, {} ); // $ExpectError
+}
+
+// Attached to the main export is an `allIf` method which returns a boolean...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.allIf( [ x ], clbk ); // $ExpectType boolean
+	countIf.allIf( [ x ], clbk, {} ); // $ExpectType boolean
+}
+
+// The compiler throws an error if the `allIf` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.allIf( 5, clbk ); // $ExpectError
+	countIf.allIf( true, clbk ); // $ExpectError
+	countIf.allIf( false, clbk ); // $ExpectError
+	countIf.allIf( null, clbk ); // $ExpectError
+	countIf.allIf( undefined, clbk ); // $ExpectError
+	countIf.allIf( {}, clbk ); // $ExpectError
+	countIf.allIf( [ 1 ], clbk ); // $ExpectError
+	countIf.allIf( ( x: number ): number => x, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `allIf` method is provided a second argument which is not a callback function...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.allIf( [ x ], '10' ); // $ExpectError
+	countIf.allIf( [ x ], 5 ); // $ExpectError
+	countIf.allIf( [ x ], true ); // $ExpectError
+	countIf.allIf( [ x ], false ); // $ExpectError
+	countIf.allIf( [ x ], null ); // $ExpectError
+	countIf.allIf( [ x ], undefined ); // $ExpectError
+	countIf.allIf( [ x ], [] ); // $ExpectError
+	countIf.allIf( [ x ], {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `allIf` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.allIf(); // $ExpectError
+	countIf.allIf( [ x ] ); // $ExpectError
+	countIf.allIf( [ x ], clbk, {}, {} ); // $ExpectError
+}
+
+// Attached to the main export is a `noneIf` method which returns a boolean...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.noneIf( [ x ], clbk ); // $ExpectType boolean
+	countIf.noneIf( [ x ], clbk, {} ); // $ExpectType boolean
+}
+
+// The compiler throws an error if the `noneIf` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.noneIf( 5, clbk ); // $ExpectError
+	countIf.noneIf( true, clbk ); // $ExpectError
+	countIf.noneIf( false, clbk ); // $ExpectError
+	countIf.noneIf( null, clbk ); // $ExpectError
+	countIf.noneIf( undefined, clbk ); // $ExpectError
+	countIf.noneIf( {}, clbk ); // $ExpectError
+	countIf.noneIf( [ 1 ], clbk ); // $ExpectError
+	countIf.noneIf( ( x: number ): number => x, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `noneIf` method is provided a second argument which is not a callback function...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.noneIf( [ x ], '10' ); // $ExpectError
+	countIf.noneIf( [ x ], 5 ); // $ExpectError
+	countIf.noneIf( [ x ], true ); // $ExpectError
+	countIf.noneIf( [ x ], false ); // $ExpectError
+	countIf.noneIf( [ x ], null ); // $ExpectError
+	countIf.noneIf( [ x ], undefined ); // $ExpectError
+	countIf.noneIf( [ x ], [] ); // $ExpectError
+	countIf.noneIf( [ x ], {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `noneIf` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.noneIf(); // $ExpectError
+	countIf.noneIf( [ x ] ); // $ExpectError
+	countIf.noneIf( [ x ], clbk, {}, {} ); // $ExpectError
+}
+
+// Attached to the main export is a `someIf` method which returns a boolean...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.someIf( [ x ], 3, clbk ); // $ExpectType boolean
+	countIf.someIf( [ x ], 3, clbk, {} ); // $ExpectType boolean
+}
+
+// The compiler throws an error if the `someIf` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.someIf( 5, 3, clbk ); // $ExpectError
+	countIf.someIf( true, 3, clbk ); // $ExpectError
+	countIf.someIf( false, 3, clbk ); // $ExpectError
+	countIf.someIf( null, 3, clbk ); // $ExpectError
+	countIf.someIf( undefined, 3, clbk ); // $ExpectError
+	countIf.someIf( {}, 3, clbk ); // $ExpectError
+	countIf.someIf( [ 1 ], 3, clbk ); // $ExpectError
+	countIf.someIf( ( x: number ): number => x, 3, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `someIf` method is provided a second argument which is not a number...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.someIf( [ x ], '10', clbk ); // $ExpectError
+	countIf.someIf( [ x ], true, clbk ); // $ExpectError
+	countIf.someIf( [ x ], false, clbk ); // $ExpectError
+	countIf.someIf( [ x ], null, clbk ); // $ExpectError
+	countIf.someIf( [ x ], undefined, clbk ); // $ExpectError
+	countIf.someIf( [ x ], [], clbk ); // $ExpectError
+	countIf.someIf( [ x ], {}, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `someIf` method is provided a third argument which is not a callback function...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.someIf( [ x ], 3, '10' ); // $ExpectError
+	countIf.someIf( [ x ], 3, 5 ); // $ExpectError
+	countIf.someIf( [ x ], 3, true ); // $ExpectError
+	countIf.someIf( [ x ], 3, false ); // $ExpectError
+	countIf.someIf( [ x ], 3, null ); // $ExpectError
+	countIf.someIf( [ x ], 3, undefined ); // $ExpectError
+	countIf.someIf( [ x ], 3, [] ); // $ExpectError
+	countIf.someIf( [ x ], 3, {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `someIf` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.someIf(); // $ExpectError
+	countIf.someIf( [ x ], 3 ); // $ExpectError
+	countIf.someIf( [ x ], 3, clbk, {}, {} ); // $ExpectError
+}
+
+// Attached to the main export is a `findIf` method which returns an object or null...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.findIf( [ x ], clbk ); // $ExpectType FindResult<number> | null
+	countIf.findIf( [ x ], clbk, {} ); // $ExpectType FindResult<number> | null
+	countIf.findIf( [ x ], {}, clbk ); // $ExpectType FindResult<number> | null
+	countIf.findIf( [ x ], { 'order': 'column-major' }, clbk, {} ); // $ExpectType FindResult<number> | null
+}
+
+// The compiler throws an error if the `findIf` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.findIf( 5, clbk ); // $ExpectError
+	countIf.findIf( true, clbk ); // $ExpectError
+	countIf.findIf( false, clbk ); // $ExpectError
+	countIf.findIf( null, clbk ); // $ExpectError
+	countIf.findIf( undefined, clbk ); // $ExpectError
+	countIf.findIf( {}, clbk ); // $ExpectError
+	countIf.findIf( [ 1 ], clbk ); // $ExpectError
+	countIf.findIf( ( x: number ): number => x, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `findIf` method is provided a second argument which is not a callback function...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.findIf( [ x ], '10' ); // $ExpectError
+	countIf.findIf( [ x ], 5 ); // $ExpectError
+	countIf.findIf( [ x ], true ); // $ExpectError
+	countIf.findIf( [ x ], false ); // $ExpectError
+	countIf.findIf( [ x ], null ); // $ExpectError
+	countIf.findIf( [ x ], undefined ); // $ExpectError
+	countIf.findIf( [ x ], [] ); // $ExpectError
+	countIf.findIf( [ x ], {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `findIf` method is provided an `order` option which is not a supported order...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.findIf( [ x ], { 'order': 'foo' }, clbk ); // $ExpectError
+	countIf.findIf( [ x ], { 'order': 5 }, clbk ); // $ExpectError
+	countIf.findIf( [ x ], { 'order': true }, clbk ); // $ExpectError
+	countIf.findIf( [ x ], { 'order': null }, clbk ); // $ExpectError
+	countIf.findIf( [ x ], { 'order': [] }, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `findIf` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.findIf(); // $ExpectError
+	countIf.findIf( [ x ] ); // $ExpectError
+	countIf.findIf( [ x ], clbk, {}, {} ); // $ExpectError
+	countIf.findIf( [ x ], {}, clbk, {}, {} ); // $ExpectError
+}
+
+// Attached to the main export is a `findLastIf` method which returns an object or null...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.findLastIf( [ x ], clbk ); // $ExpectType FindResult<number> | null
+	countIf.findLastIf( [ x ], clbk, {} ); // $ExpectType FindResult<number> | null
+	countIf.findLastIf( [ x ], {}, clbk ); // $ExpectType FindResult<number> | null
+	countIf.findLastIf( [ x ], { 'order': 'column-major' }, clbk, {} ); // $ExpectType FindResult<number> | null
+}
+
+// The compiler throws an error if the `findLastIf` method is provided a first argument which is not an array-like object containing ndarray-like objects...
+{
+	countIf.findLastIf( 5, clbk ); // $ExpectError
+	countIf.findLastIf( true, clbk ); // $ExpectError
+	countIf.findLastIf( false, clbk ); // $ExpectError
+	countIf.findLastIf( null, clbk ); // $ExpectError
+	countIf.findLastIf( undefined, clbk ); // $ExpectError
+	countIf.findLastIf( {}, clbk ); // $ExpectError
+	countIf.findLastIf( [ 1 ], clbk ); // $ExpectError
+	countIf.findLastIf( ( x: number ): number => x, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `findLastIf` method is provided a second argument which is not a callback function...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.findLastIf( [ x ], '10' ); // $ExpectError
+	countIf.findLastIf( [ x ], 5 ); // $ExpectError
+	countIf.findLastIf( [ x ], true ); // $ExpectError
+	countIf.findLastIf( [ x ], false ); // $ExpectError
+	countIf.findLastIf( [ x ], null ); // $ExpectError
+	countIf.findLastIf( [ x ], undefined ); // $ExpectError
+	countIf.findLastIf( [ x ], [] ); // $ExpectError
+	countIf.findLastIf( [ x ], {} ); // $ExpectError
+}
+
+// The compiler throws an error if the `findLastIf` method is provided an `order` option which is not a supported order...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.findLastIf( [ x ], { 'order': 'foo' }, clbk ); // $ExpectError
+	countIf.findLastIf( [ x ], { 'order': 5 }, clbk ); // $ExpectError
+	countIf.findLastIf( [ x ], { 'order': true }, clbk ); // $ExpectError
+	countIf.findLastIf( [ x ], { 'order': null }, clbk ); // $ExpectError
+	countIf.findLastIf( [ x ], { 'order': [] }, clbk ); // $ExpectError
+}
+
+// The compiler throws an error if the `findLastIf` method is provided an unsupported number of arguments...
+{
+	const x = zeros( [ 2, 2 ] );
+
+	countIf.findLastIf(); // $ExpectError
+	countIf.findLastIf( [ x ] ); // $ExpectError
+	countIf.findLastIf( [ x ], clbk, {}, {} ); // $ExpectError
+	countIf.findLastIf( [ x ], {}, clbk, {}, {} ); // $ExpectError
 }
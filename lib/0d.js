@@ -18,13 +18,18 @@
 
 'use strict';
 
+// MODULES //
+
+var abortError = require( './abort_error.js' );
+
+
 // MAIN //
 
 /**
 * Counts the number of elements in an ndarray which pass a test implemented by a predicate function.
 *
 * @private
-* @param {Object} x - object containing ndarray meta data
+* @param {Object} x - object containing input ndarray meta data
 * @param {ndarrayLike} x.ref - reference to the original ndarray-like object
 * @param {*} x.dtype - data type
 * @param {Collection} x.data - data buffer
@@ -32,6 +37,13 @@
 * @param {IntegerArray} x.strides - stride lengths
 * @param {NonNegativeInteger} x.offset - index offset
 * @param {string} x.order - specifies whether `x` is row-major (C-style) or column-major (Fortran-style)
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
 * @param {Function} predicate - predicate function
 * @param {*} thisArg - predicate function execution context
 * @returns {integer} result
@@ -66,15 +78,36 @@
 *     'order': 'row-major'
 * };
 *
+* // Define function options:
+* var opts = {
+*     'limit': 1,
+*     'indices': 'array'
+* };
+*
 * // Perform operation:
-* var out = countIf0d( x, predicate );
+* var out = countIf0d( x, opts, predicate );
 * // returns 1
 */
-function countIf0d( x, predicate, thisArg ) {
-	if ( predicate.call( thisArg, x.data[ x.offset ], [], x.ref ) ) {
-		return 1;
+function countIf0d( x, opts, predicate, thisArg ) {
+	var bool;
+
+	// Check whether the operation has been aborted...
+	if ( opts.signal && opts.signal.aborted ) {
+		throw abortError( opts.signal, 0 );
+	}
+
+	if ( opts.indices === 'none' ) {
+		bool = predicate.call( thisArg, x.data[ x.offset ] );
+	} else if ( opts.indices === 'linear' ) {
+		bool = predicate.call( thisArg, x.data[ x.offset ], 0, x.ref );
+	} else {
+		bool = predicate.call( thisArg, x.data[ x.offset ], [], x.ref );
+	}
+	// Report progress:
+	if ( opts.onProgress ) {
+		opts.onProgress( 1, opts.total );
 	}
-	return 0;
+	return ( bool ) ? 1 : 0;
 }
 
 
@@ -18,13 +18,25 @@
 
 'use strict';
 
+// MODULES //
+
+var zeros = require( '@stdlib/array-base-zeros' );
+var abortError = require( './abort_error.js' );
+
+
+// VARIABLES //
+
+// Number of elements to test between successive checks of whether the operation has been aborted:
+var CHECK_INTERVAL = 1024;
+
+
 // MAIN //
 
 /**
 * Counts the number of elements in an ndarray which pass a test implemented by a predicate function.
 *
 * @private
-* @param {Object} x - object containing ndarray meta data
+* @param {Object} x - object containing input ndarray meta data
 * @param {ndarrayLike} x.ref - reference to the original ndarray-like object
 * @param {*} x.dtype - data type
 * @param {Collection} x.data - data buffer
@@ -32,6 +44,13 @@
 * @param {IntegerArray} x.strides - stride lengths
 * @param {NonNegativeInteger} x.offset - index offset
 * @param {string} x.order - specifies whether `x` is row-major (C-style) or column-major (Fortran-style)
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
 * @param {Function} predicate - predicate function
 * @param {*} thisArg - predicate function execution context
 * @returns {integer} result
@@ -66,13 +85,27 @@
 *     'order': 'row-major'
 * };
 *
+* // Define function options:
+* var opts = {
+*     'limit': 4,
+*     'indices': 'array'
+* };
+*
 * // Perform operation:
-* var out = countIf1d( x, predicate );
+* var out = countIf1d( x, opts, predicate );
 * // returns 3
 */
-function countIf1d( x, predicate, thisArg ) {
+function countIf1d( x, opts, predicate, thisArg ) {
+	var onProgress;
+	var processed;
+	var interval;
+	var signal;
 	var count;
+	var limit;
+	var imode;
+	var total;
 	var xbuf;
+	var sub;
 	var dx0;
 	var S0;
 	var ix;
@@ -93,12 +126,113 @@ function countIf1d( x, predicate, thisArg ) {
 	// Initialize a counter:
 	count = 0;
 
+	// Cache the number of elements which may pass a test before we stop iterating:
+	limit = opts.limit;
+
+	// Cache the manner in which to provide element indices to the predicate function:
+	imode = opts.indices;
+
+	// Cache the signal for aborting the operation:
+	signal = opts.signal;
+
+	// Cache the callback for reporting progress, the number of elements between successive progress reports, and the total number of elements:
+	onProgress = opts.onProgress;
+	interval = opts.progressInterval;
+	total = opts.total;
+
+	// Initialize a counter for the number of processed elements:
+	processed = 0;
+
+	// Initialize an array for storing the indices of the current element:
+	sub = zeros( 1 );
+
 	// Iterate over the ndarray dimensions...
-	for ( i0 = 0; i0 < S0; i0++ ) {
-		if ( predicate.call( thisArg, xbuf[ ix ], [ i0 ], x.ref ) ) {
-			count += 1;
+	// Test elements using a loop specific to the manner in which element indices are provided, thus avoiding branching on the manner for each element...
+	if ( imode === 'none' ) {
+		for ( i0 = 0; i0 < S0; i0++ ) {
+			// Periodically check whether the operation has been aborted...
+			if ( signal && ( i0 % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+				throw abortError( signal, count );
+			}
+			if ( predicate.call( thisArg, xbuf[ ix ] ) ) {
+				count += 1;
+				if ( count === limit ) {
+					return count;
+				}
+			}
+			// Report progress at regular intervals...
+			if ( onProgress ) {
+				processed += 1;
+				if ( processed % interval === 0 || processed === total ) {
+					onProgress( processed, total );
+				}
+			}
+			ix += dx0;
+		}
+	} else if ( imode === 'shared' ) {
+		for ( i0 = 0; i0 < S0; i0++ ) {
+			// Periodically check whether the operation has been aborted...
+			if ( signal && ( i0 % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+				throw abortError( signal, count );
+			}
+			sub[ 0 ] = i0;
+			if ( predicate.call( thisArg, xbuf[ ix ], sub, x.ref ) ) {
+				count += 1;
+				if ( count === limit ) {
+					return count;
+				}
+			}
+			// Report progress at regular intervals...
+			if ( onProgress ) {
+				processed += 1;
+				if ( processed % interval === 0 || processed === total ) {
+					onProgress( processed, total );
+				}
+			}
+			ix += dx0;
+		}
+	} else if ( imode === 'linear' ) {
+		for ( i0 = 0; i0 < S0; i0++ ) {
+			// Periodically check whether the operation has been aborted...
+			if ( signal && ( i0 % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+				throw abortError( signal, count );
+			}
+			if ( predicate.call( thisArg, xbuf[ ix ], i0, x.ref ) ) {
+				count += 1;
+				if ( count === limit ) {
+					return count;
+				}
+			}
+			// Report progress at regular intervals...
+			if ( onProgress ) {
+				processed += 1;
+				if ( processed % interval === 0 || processed === total ) {
+					onProgress( processed, total );
+				}
+			}
+			ix += dx0;
+		}
+	} else {
+		for ( i0 = 0; i0 < S0; i0++ ) {
+			// Periodically check whether the operation has been aborted...
+			if ( signal && ( i0 % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+				throw abortError( signal, count );
+			}
+			if ( predicate.call( thisArg, xbuf[ ix ], [ i0 ], x.ref ) ) {
+				count += 1;
+				if ( count === limit ) {
+					return count;
+				}
+			}
+			// Report progress at regular intervals...
+			if ( onProgress ) {
+				processed += 1;
+				if ( processed % interval === 0 || processed === total ) {
+					onProgress( processed, total );
+				}
+			}
+			ix += dx0;
 		}
-		ix += dx0;
 	}
 	return count;
 }
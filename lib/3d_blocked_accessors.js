@@ -16,7 +16,7 @@
 * limitations under the License.
 */
 
-/* eslint-disable max-depth */
+/* eslint-disable max-depth, max-len */
 
 'use strict';
 
@@ -24,8 +24,19 @@
 
 var loopOrder = require( '@stdlib/ndarray-base-nullary-loop-interchange-order' );
 var blockSize = require( '@stdlib/ndarray-base-nullary-tiling-block-size' );
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
 var take = require( '@stdlib/array-base-take-indexed' );
+var zeros = require( '@stdlib/array-base-zeros' );
 var reverse = require( '@stdlib/array-base-reverse' );
+var copy = require( '@stdlib/array-base-copy' );
+var inversePermutation = require( './inverse_permutation.js' );
+var abortError = require( './abort_error.js' );
+
+
+// VARIABLES //
+
+// Number of elements to test between successive checks of whether the operation has been aborted:
+var CHECK_INTERVAL = 1024;
 
 
 // MAIN //
@@ -34,7 +45,7 @@ var reverse = require( '@stdlib/array-base-reverse' );
 * Counts the number of elements in an ndarray which pass a test implemented by a predicate function via loop blocking.
 *
 * @private
-* @param {Object} x - object containing ndarray meta data
+* @param {Object} x - object containing input ndarray meta data
 * @param {ndarrayLike} x.ref - reference to the original ndarray-like object
 * @param {*} x.dtype - data type
 * @param {Collection} x.data - data buffer
@@ -43,6 +54,14 @@ var reverse = require( '@stdlib/array-base-reverse' );
 * @param {NonNegativeInteger} x.offset - index offset
 * @param {string} x.order - specifies whether `x` is row-major (C-style) or column-major (Fortran-style)
 * @param {Array<Function>} x.accessors - data buffer accessors
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {Object} [opts.loopOrder] - precomputed loop interchange order
+* @param {PositiveInteger} [opts.blockSize] - precomputed block size
 * @param {Function} predicate - predicate function
 * @param {*} thisArg - predicate function execution context
 * @returns {integer} result
@@ -79,108 +98,376 @@ var reverse = require( '@stdlib/array-base-reverse' );
 *     'accessors': accessors( xbuf ).accessors
 * };
 *
+* // Define function options:
+* var opts = {
+*     'limit': 8,
+*     'indices': 'array'
+* };
+*
 * // Perform operation:
-* var out = blockedCountIf3d( x, predicate );
+* var out = blockedCountIf3d( x, opts, predicate );
 * // returns 7
 */
-function blockedCountIf3d( x, predicate, thisArg ) {
+function blockedCountIf3d( x, opts, predicate, thisArg ) {
+	var onProgress;
+	var processed;
+	var signal;
 	var count;
 	var bsize;
+	var limit;
+	var imode;
+	var total;
 	var xbuf;
 	var idx;
+	var pdx;
+	var sub;
 	var get;
 	var dx0;
 	var dx1;
 	var dx2;
+	var dv0;
+	var dv1;
+	var dv2;
 	var ox1;
 	var ox2;
+	var ov1;
+	var ov2;
 	var sh;
 	var s0;
 	var s1;
 	var s2;
 	var sx;
+	var sv;
 	var ox;
+	var ov;
 	var ix;
+	var iv;
 	var i0;
 	var i1;
 	var i2;
 	var j0;
 	var j1;
 	var j2;
+	var n;
 	var o;
 
-	// Note on variable naming convention: s#, dx#, i#, j# where # corresponds to the loop number, with `0` being the innermost loop...
+	// Note on variable naming convention: s#, dx#, dv#, i#, j# where # corresponds to the loop number, with `0` being the innermost loop...
 
-	// Resolve the loop interchange order:
-	o = loopOrder( x.shape, x.strides );
+	// Resolve the loop interchange order, unless precomputed:
+	o = opts.loopOrder || loopOrder( x.shape, x.strides );
 	sh = o.sh;
 	sx = o.sx;
-	idx = reverse( o.idx );
+	sv = take( shape2strides( x.shape, x.order ), o.idx );
+	idx = reverse( copy( o.idx ) );
+	pdx = inversePermutation( idx );
 
-	// Determine the block size:
-	bsize = blockSize( x.dtype );
+	// Determine the block size, unless precomputed:
+	bsize = opts.blockSize || blockSize( x.dtype );
 
 	// Set a pointer to the first indexed element:
 	ox = x.offset;
+	ov = 0;
 
 	// Cache a reference to the input ndarray buffer:
 	xbuf = x.data;
 
-	// Cache the offset increment for the innermost loop:
+	// Cache the offset increments for the innermost loop:
 	dx0 = sx[0];
+	dv0 = sv[0];
 
 	// Cache accessor:
-	get = x.accessors[0];
+	get = x.accessors[ 0 ];
 
 	// Initialize a counter:
 	count = 0;
 
-	// Iterate over blocks...
-	for ( j2 = sh[2]; j2 > 0; ) {
-		if ( j2 < bsize ) {
-			s2 = j2;
-			j2 = 0;
-		} else {
-			s2 = bsize;
-			j2 -= bsize;
+	// Cache the number of elements which may pass a test before we stop iterating:
+	limit = opts.limit;
+
+	// Cache the manner in which to provide element indices to the predicate function:
+	imode = opts.indices;
+
+	// Cache the signal for aborting the operation:
+	signal = opts.signal;
+
+	// Cache the callback for reporting progress and the total number of elements:
+	onProgress = opts.onProgress;
+	total = opts.total;
+
+	// Initialize a counter for the number of processed elements:
+	processed = 0;
+
+	// Initialize a counter for the number of tested elements, which determines when to check whether the operation has been aborted:
+	n = 0;
+
+	// Initialize an array for storing the indices of the current element:
+	sub = zeros( sh.length );
+
+	// Iterate over blocks using a loop nest specific to the manner in which element indices are provided, thus avoiding branching on the manner within the loop nest and only tracking linear view indices when providing linear view indices...
+	if ( imode === 'none' ) {
+		for ( j2 = sh[2]; j2 > 0; ) {
+			if ( j2 < bsize ) {
+				s2 = j2;
+				j2 = 0;
+			} else {
+				s2 = bsize;
+				j2 -= bsize;
+			}
+			ox2 = ox + ( j2*sx[2] );
+			for ( j1 = sh[1]; j1 > 0; ) {
+				if ( j1 < bsize ) {
+					s1 = j1;
+					j1 = 0;
+				} else {
+					s1 = bsize;
+					j1 -= bsize;
+				}
+				dx2 = sx[2] - ( s1*sx[1] );
+				ox1 = ox2 + ( j1*sx[1] );
+				for ( j0 = sh[0]; j0 > 0; ) {
+					if ( j0 < bsize ) {
+						s0 = j0;
+						j0 = 0;
+					} else {
+						s0 = bsize;
+						j0 -= bsize;
+					}
+					// Compute the index offsets for the first input ndarray element in the current block:
+					ix = ox1 + ( j0*sx[0] );
+
+					// Compute the loop offset increments:
+					dx1 = sx[1] - ( s0*sx[0] );
+
+					// Iterate over the ndarray dimensions...
+					for ( i2 = 0; i2 < s2; i2++ ) {
+						for ( i1 = 0; i1 < s1; i1++ ) {
+							for ( i0 = 0; i0 < s0; i0++ ) {
+								// Periodically check whether the operation has been aborted...
+								if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+									throw abortError( signal, count );
+								}
+								n += 1;
+								if ( predicate.call( thisArg, get( xbuf, ix ) ) ) { // eslint-disable-line max-len
+									count += 1;
+									if ( count === limit ) {
+										return count;
+									}
+								}
+								ix += dx0;
+							}
+							ix += dx1;
+						}
+						ix += dx2;
+					}
+
+					// Report progress upon completing a block...
+					if ( onProgress ) {
+						processed += s0*s1*s2;
+						onProgress( processed, total );
+					}
+				}
+			}
 		}
-		ox2 = ox + ( j2*sx[2] );
-		for ( j1 = sh[1]; j1 > 0; ) {
-			if ( j1 < bsize ) {
-				s1 = j1;
-				j1 = 0;
+	} else if ( imode === 'shared' ) {
+		for ( j2 = sh[2]; j2 > 0; ) {
+			if ( j2 < bsize ) {
+				s2 = j2;
+				j2 = 0;
 			} else {
-				s1 = bsize;
-				j1 -= bsize;
+				s2 = bsize;
+				j2 -= bsize;
 			}
-			dx2 = sx[2] - ( s1*sx[1] );
-			ox1 = ox2 + ( j1*sx[1] );
-			for ( j0 = sh[0]; j0 > 0; ) {
-				if ( j0 < bsize ) {
-					s0 = j0;
-					j0 = 0;
+			ox2 = ox + ( j2*sx[2] );
+			for ( j1 = sh[1]; j1 > 0; ) {
+				if ( j1 < bsize ) {
+					s1 = j1;
+					j1 = 0;
 				} else {
-					s0 = bsize;
-					j0 -= bsize;
+					s1 = bsize;
+					j1 -= bsize;
 				}
-				// Compute the index offset for the first input ndarray element in the current block:
-				ix = ox1 + ( j0*sx[0] );
-
-				// Compute the loop offset increment:
-				dx1 = sx[1] - ( s0*sx[0] );
-
-				// Iterate over the ndarray dimensions...
-				for ( i2 = 0; i2 < s2; i2++ ) {
-					for ( i1 = 0; i1 < s1; i1++ ) {
-						for ( i0 = 0; i0 < s0; i0++ ) {
-							if ( predicate.call( thisArg, get( xbuf, ix ), take( [ j2+i2, j1+i1, j0+i0 ], idx ), x.ref ) ) { // eslint-disable-line max-len
-								count += 1;
+				dx2 = sx[2] - ( s1*sx[1] );
+				ox1 = ox2 + ( j1*sx[1] );
+				for ( j0 = sh[0]; j0 > 0; ) {
+					if ( j0 < bsize ) {
+						s0 = j0;
+						j0 = 0;
+					} else {
+						s0 = bsize;
+						j0 -= bsize;
+					}
+					// Compute the index offsets for the first input ndarray element in the current block:
+					ix = ox1 + ( j0*sx[0] );
+
+					// Compute the loop offset increments:
+					dx1 = sx[1] - ( s0*sx[0] );
+
+					// Iterate over the ndarray dimensions...
+					for ( i2 = 0; i2 < s2; i2++ ) {
+						for ( i1 = 0; i1 < s1; i1++ ) {
+							sub[ idx[ 0 ] ] = j2 + i2;
+							sub[ idx[ 1 ] ] = j1 + i1;
+							for ( i0 = 0; i0 < s0; i0++ ) {
+								// Periodically check whether the operation has been aborted...
+								if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+									throw abortError( signal, count );
+								}
+								n += 1;
+								sub[ idx[ 2 ] ] = j0 + i0;
+								if ( predicate.call( thisArg, get( xbuf, ix ), sub, x.ref ) ) { // eslint-disable-line max-len
+									count += 1;
+									if ( count === limit ) {
+										return count;
+									}
+								}
+								ix += dx0;
 							}
-							ix += dx0;
+							ix += dx1;
 						}
-						ix += dx1;
+						ix += dx2;
+					}
+
+					// Report progress upon completing a block...
+					if ( onProgress ) {
+						processed += s0*s1*s2;
+						onProgress( processed, total );
+					}
+				}
+			}
+		}
+	} else if ( imode === 'linear' ) {
+		for ( j2 = sh[2]; j2 > 0; ) {
+			if ( j2 < bsize ) {
+				s2 = j2;
+				j2 = 0;
+			} else {
+				s2 = bsize;
+				j2 -= bsize;
+			}
+			ox2 = ox + ( j2*sx[2] );
+			ov2 = ov + ( j2*sv[2] );
+			for ( j1 = sh[1]; j1 > 0; ) {
+				if ( j1 < bsize ) {
+					s1 = j1;
+					j1 = 0;
+				} else {
+					s1 = bsize;
+					j1 -= bsize;
+				}
+				dx2 = sx[2] - ( s1*sx[1] );
+				dv2 = sv[2] - ( s1*sv[1] );
+				ox1 = ox2 + ( j1*sx[1] );
+				ov1 = ov2 + ( j1*sv[1] );
+				for ( j0 = sh[0]; j0 > 0; ) {
+					if ( j0 < bsize ) {
+						s0 = j0;
+						j0 = 0;
+					} else {
+						s0 = bsize;
+						j0 -= bsize;
+					}
+					// Compute the index offsets for the first input ndarray element in the current block:
+					ix = ox1 + ( j0*sx[0] );
+					iv = ov1 + ( j0*sv[0] );
+
+					// Compute the loop offset increments:
+					dx1 = sx[1] - ( s0*sx[0] );
+					dv1 = sv[1] - ( s0*sv[0] );
+
+					// Iterate over the ndarray dimensions...
+					for ( i2 = 0; i2 < s2; i2++ ) {
+						for ( i1 = 0; i1 < s1; i1++ ) {
+							for ( i0 = 0; i0 < s0; i0++ ) {
+								// Periodically check whether the operation has been aborted...
+								if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+									throw abortError( signal, count );
+								}
+								n += 1;
+								if ( predicate.call( thisArg, get( xbuf, ix ), iv, x.ref ) ) { // eslint-disable-line max-len
+									count += 1;
+									if ( count === limit ) {
+										return count;
+									}
+								}
+								ix += dx0;
+								iv += dv0;
+							}
+							ix += dx1;
+							iv += dv1;
+						}
+						ix += dx2;
+						iv += dv2;
+					}
+
+					// Report progress upon completing a block...
+					if ( onProgress ) {
+						processed += s0*s1*s2;
+						onProgress( processed, total );
+					}
+				}
+			}
+		}
+	} else {
+		for ( j2 = sh[2]; j2 > 0; ) {
+			if ( j2 < bsize ) {
+				s2 = j2;
+				j2 = 0;
+			} else {
+				s2 = bsize;
+				j2 -= bsize;
+			}
+			ox2 = ox + ( j2*sx[2] );
+			for ( j1 = sh[1]; j1 > 0; ) {
+				if ( j1 < bsize ) {
+					s1 = j1;
+					j1 = 0;
+				} else {
+					s1 = bsize;
+					j1 -= bsize;
+				}
+				dx2 = sx[2] - ( s1*sx[1] );
+				ox1 = ox2 + ( j1*sx[1] );
+				for ( j0 = sh[0]; j0 > 0; ) {
+					if ( j0 < bsize ) {
+						s0 = j0;
+						j0 = 0;
+					} else {
+						s0 = bsize;
+						j0 -= bsize;
+					}
+					// Compute the index offsets for the first input ndarray element in the current block:
+					ix = ox1 + ( j0*sx[0] );
+
+					// Compute the loop offset increments:
+					dx1 = sx[1] - ( s0*sx[0] );
+
+					// Iterate over the ndarray dimensions...
+					for ( i2 = 0; i2 < s2; i2++ ) {
+						for ( i1 = 0; i1 < s1; i1++ ) {
+							for ( i0 = 0; i0 < s0; i0++ ) {
+								// Periodically check whether the operation has been aborted...
+								if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+									throw abortError( signal, count );
+								}
+								n += 1;
+								if ( predicate.call( thisArg, get( xbuf, ix ), take( [ j2 + i2, j1 + i1, j0 + i0 ], pdx ), x.ref ) ) { // eslint-disable-line max-len
+									count += 1;
+									if ( count === limit ) {
+										return count;
+									}
+								}
+								ix += dx0;
+							}
+							ix += dx1;
+						}
+						ix += dx2;
+					}
+
+					// Report progress upon completing a block...
+					if ( onProgress ) {
+						processed += s0*s1*s2;
+						onProgress( processed, total );
 					}
-					ix += dx2;
 				}
 			}
 		}
@@ -16,16 +16,25 @@
 * limitations under the License.
 */
 
-/* eslint-disable max-depth */
+/* eslint-disable max-depth, max-len */
 
 'use strict';
 
 // MODULES //
 
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
 var strides2order = require( '@stdlib/ndarray-base-strides2order' );
 var zeroTo = require( '@stdlib/array-base-zero-to' );
 var reverse = require( '@stdlib/array-base-reverse' );
+var zeros = require( '@stdlib/array-base-zeros' );
 var take = require( '@stdlib/array-base-take-indexed' );
+var abortError = require( './abort_error.js' );
+
+
+// VARIABLES //
+
+// Number of elements to test between successive checks of whether the operation has been aborted:
+var CHECK_INTERVAL = 1024;
 
 
 // MAIN //
@@ -34,7 +43,7 @@ var take = require( '@stdlib/array-base-take-indexed' );
 * Counts the number of elements in an ndarray which pass a test implemented by a predicate function.
 *
 * @private
-* @param {Object} x - object containing ndarray meta data
+* @param {Object} x - object containing input ndarray meta data
 * @param {ndarrayLike} x.ref - reference to the original ndarray-like object
 * @param {*} x.dtype - data type
 * @param {Collection} x.data - data buffer
@@ -42,6 +51,13 @@ var take = require( '@stdlib/array-base-take-indexed' );
 * @param {IntegerArray} x.strides - stride lengths
 * @param {NonNegativeInteger} x.offset - index offset
 * @param {string} x.order - specifies whether `x` is row-major (C-style) or column-major (Fortran-style)
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
 * @param {Function} predicate - predicate function
 * @param {*} thisArg - predicate function execution context
 * @returns {integer} result
@@ -76,14 +92,28 @@ var take = require( '@stdlib/array-base-take-indexed' );
 *     'order': 'row-major'
 * };
 *
+* // Define function options:
+* var opts = {
+*     'limit': 6,
+*     'indices': 'array'
+* };
+*
 * // Perform operation:
-* var out = countIf8d( x, predicate );
+* var out = countIf8d( x, opts, predicate );
 * // returns 5
 */
-function countIf8d( x, predicate, thisArg ) {
+function countIf8d( x, opts, predicate, thisArg ) {
+	var onProgress;
+	var processed;
+	var interval;
+	var signal;
 	var count;
+	var limit;
+	var imode;
+	var total;
 	var xbuf;
 	var idx;
+	var sub;
 	var dx0;
 	var dx1;
 	var dx2;
@@ -92,6 +122,14 @@ function countIf8d( x, predicate, thisArg ) {
 	var dx5;
 	var dx6;
 	var dx7;
+	var dv0;
+	var dv1;
+	var dv2;
+	var dv3;
+	var dv4;
+	var dv5;
+	var dv6;
+	var dv7;
 	var sh;
 	var S0;
 	var S1;
@@ -102,7 +140,9 @@ function countIf8d( x, predicate, thisArg ) {
 	var S6;
 	var S7;
 	var sx;
+	var sv;
 	var ix;
+	var iv;
 	var i0;
 	var i1;
 	var i2;
@@ -111,12 +151,14 @@ function countIf8d( x, predicate, thisArg ) {
 	var i5;
 	var i6;
 	var i7;
+	var n;
 
-	// Note on variable naming convention: S#, dx#, i# where # corresponds to the loop number, with `0` being the innermost loop...
+	// Note on variable naming convention: S#, dx#, dv#, i# where # corresponds to the loop number, with `0` being the innermost loop...
 
 	// Extract loop variables for purposes of loop interchange: dimensions and loop offset (pointer) increments...
 	sh = x.shape;
 	sx = x.strides;
+	sv = shape2strides( sh, x.order );
 	idx = zeroTo( sh.length );
 	if ( strides2order( sx ) === 1 ) {
 		// For row-major ndarrays, the last dimensions have the fastest changing indices...
@@ -136,6 +178,14 @@ function countIf8d( x, predicate, thisArg ) {
 		dx5 = sx[ 2 ] - ( S4*sx[3] );
 		dx6 = sx[ 1 ] - ( S5*sx[2] );
 		dx7 = sx[ 0 ] - ( S6*sx[1] ); // offset increment for outermost loop
+		dv0 = sv[ 7 ];
+		dv1 = sv[ 6 ] - ( S0*sv[7] );
+		dv2 = sv[ 5 ] - ( S1*sv[6] );
+		dv3 = sv[ 4 ] - ( S2*sv[5] );
+		dv4 = sv[ 3 ] - ( S3*sv[4] );
+		dv5 = sv[ 2 ] - ( S4*sv[3] );
+		dv6 = sv[ 1 ] - ( S5*sv[2] );
+		dv7 = sv[ 0 ] - ( S6*sv[1] );
 	} else { // order === 'column-major'
 		// For column-major ndarrays, the first dimensions have the fastest changing indices...
 		S0 = sh[ 0 ];
@@ -154,10 +204,19 @@ function countIf8d( x, predicate, thisArg ) {
 		dx5 = sx[ 5 ] - ( S4*sx[4] );
 		dx6 = sx[ 6 ] - ( S5*sx[5] );
 		dx7 = sx[ 7 ] - ( S6*sx[6] ); // offset increment for outermost loop
+		dv0 = sv[ 0 ];
+		dv1 = sv[ 1 ] - ( S0*sv[0] );
+		dv2 = sv[ 2 ] - ( S1*sv[1] );
+		dv3 = sv[ 3 ] - ( S2*sv[2] );
+		dv4 = sv[ 4 ] - ( S3*sv[3] );
+		dv5 = sv[ 5 ] - ( S4*sv[4] );
+		dv6 = sv[ 6 ] - ( S5*sv[5] );
+		dv7 = sv[ 7 ] - ( S6*sv[6] );
 		idx = reverse( idx );
 	}
 	// Set a pointer to the first indexed element:
 	ix = x.offset;
+	iv = 0;
 
 	// Cache a reference to the input ndarray buffer:
 	xbuf = x.data;
@@ -165,6 +224,29 @@ function countIf8d( x, predicate, thisArg ) {
 	// Initialize a counter:
 	count = 0;
 
+	// Cache the number of elements which may pass a test before we stop iterating:
+	limit = opts.limit;
+
+	// Cache the manner in which to provide element indices to the predicate function:
+	imode = opts.indices;
+
+	// Cache the signal for aborting the operation:
+	signal = opts.signal;
+
+	// Cache the callback for reporting progress, the number of elements between successive progress reports, and the total number of elements:
+	onProgress = opts.onProgress;
+	interval = opts.progressInterval;
+	total = opts.total;
+
+	// Initialize a counter for the number of processed elements:
+	processed = 0;
+
+	// Initialize a counter for the number of tested elements, which determines when to check whether the operation has been aborted:
+	n = 0;
+
+	// Initialize an array for storing the indices of the current element:
+	sub = zeros( sh.length );
+
 	// Iterate over the ndarray dimensions...
 	for ( i7 = 0; i7 < S7; i7++ ) {
 		for ( i6 = 0; i6 < S6; i6++ ) {
@@ -173,25 +255,125 @@ function countIf8d( x, predicate, thisArg ) {
 					for ( i3 = 0; i3 < S3; i3++ ) {
 						for ( i2 = 0; i2 < S2; i2++ ) {
 							for ( i1 = 0; i1 < S1; i1++ ) {
-								for ( i0 = 0; i0 < S0; i0++ ) {
-									if ( predicate.call( thisArg, xbuf[ ix ], take( [ i7, i6, i5, i4, i3, i2, i1, i0 ], idx ), x.ref ) ) { // eslint-disable-line max-len
-										count += 1;
+								// Test elements using a loop specific to the manner in which element indices are provided, thus avoiding branching on the manner for each element and only advancing the linear view index when providing linear view indices...
+								if ( imode === 'none' ) {
+									for ( i0 = 0; i0 < S0; i0++ ) {
+										// Periodically check whether the operation has been aborted...
+										if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+											throw abortError( signal, count );
+										}
+										n += 1;
+										if ( predicate.call( thisArg, xbuf[ ix ] ) ) { // eslint-disable-line max-len
+											count += 1;
+											if ( count === limit ) {
+												return count;
+											}
+										}
+										// Report progress at regular intervals...
+										if ( onProgress ) {
+											processed += 1;
+											if ( processed % interval === 0 || processed === total ) {
+												onProgress( processed, total );
+											}
+										}
+										ix += dx0;
+									}
+								} else if ( imode === 'shared' ) {
+									sub[ idx[ 0 ] ] = i7;
+									sub[ idx[ 1 ] ] = i6;
+									sub[ idx[ 2 ] ] = i5;
+									sub[ idx[ 3 ] ] = i4;
+									sub[ idx[ 4 ] ] = i3;
+									sub[ idx[ 5 ] ] = i2;
+									sub[ idx[ 6 ] ] = i1;
+									for ( i0 = 0; i0 < S0; i0++ ) {
+										// Periodically check whether the operation has been aborted...
+										if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+											throw abortError( signal, count );
+										}
+										n += 1;
+										sub[ idx[ 7 ] ] = i0;
+										if ( predicate.call( thisArg, xbuf[ ix ], sub, x.ref ) ) { // eslint-disable-line max-len
+											count += 1;
+											if ( count === limit ) {
+												return count;
+											}
+										}
+										// Report progress at regular intervals...
+										if ( onProgress ) {
+											processed += 1;
+											if ( processed % interval === 0 || processed === total ) {
+												onProgress( processed, total );
+											}
+										}
+										ix += dx0;
+									}
+								} else if ( imode === 'linear' ) {
+									for ( i0 = 0; i0 < S0; i0++ ) {
+										// Periodically check whether the operation has been aborted...
+										if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+											throw abortError( signal, count );
+										}
+										n += 1;
+										if ( predicate.call( thisArg, xbuf[ ix ], iv, x.ref ) ) { // eslint-disable-line max-len
+											count += 1;
+											if ( count === limit ) {
+												return count;
+											}
+										}
+										// Report progress at regular intervals...
+										if ( onProgress ) {
+											processed += 1;
+											if ( processed % interval === 0 || processed === total ) {
+												onProgress( processed, total );
+											}
+										}
+										ix += dx0;
+										iv += dv0;
+									}
+								} else {
+									for ( i0 = 0; i0 < S0; i0++ ) {
+										// Periodically check whether the operation has been aborted...
+										if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+											throw abortError( signal, count );
+										}
+										n += 1;
+										if ( predicate.call( thisArg, xbuf[ ix ], take( [ i7, i6, i5, i4, i3, i2, i1, i0 ], idx ), x.ref ) ) { // eslint-disable-line max-len
+											count += 1;
+											if ( count === limit ) {
+												return count;
+											}
+										}
+										// Report progress at regular intervals...
+										if ( onProgress ) {
+											processed += 1;
+											if ( processed % interval === 0 || processed === total ) {
+												onProgress( processed, total );
+											}
+										}
+										ix += dx0;
 									}
-									ix += dx0;
 								}
 								ix += dx1;
+								iv += dv1;
 							}
 							ix += dx2;
+							iv += dv2;
 						}
 						ix += dx3;
+						iv += dv3;
 					}
 					ix += dx4;
+					iv += dv4;
 				}
 				ix += dx5;
+				iv += dv5;
 			}
 			ix += dx6;
+			iv += dv6;
 		}
 		ix += dx7;
+		iv += dv7;
 	}
 	return count;
 }
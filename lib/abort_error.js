@@ -0,0 +1,64 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MAIN //
+
+/**
+* Returns an error indicating that an operation was aborted.
+*
+* ## Notes
+*
+* -   The returned error has a `count` property containing the number of elements which passed a test before the operation was aborted.
+* -   If an abort signal has an abort reason, the returned error has a `cause` property containing the reason.
+*
+* @private
+* @param {AbortSignal} signal - abort signal
+* @param {NonNegativeInteger} count - number of elements which passed a test before the operation was aborted
+* @returns {Error} error object
+*
+* @example
+* var signal = {
+*     'aborted': true
+* };
+*
+* var err = abortError( signal, 3 );
+* // returns <Error>
+*
+* var name = err.name;
+* // returns 'AbortError'
+*
+* var count = err.count;
+* // returns 3
+*/
+function abortError( signal, count ) {
+	var err = new Error( 'operation was aborted.' );
+	err.name = 'AbortError';
+	err.count = count;
+	if ( signal.reason !== void 0 ) {
+		err.cause = signal.reason;
+	}
+	return err;
+}
+
+
+// EXPORTS //
+
+module.exports = abortError;
@@ -0,0 +1,103 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var isFunction = require( '@stdlib/assert-is-function' );
+var predicateError = require( './predicate_error.js' );
+var resolve = require( './options.js' );
+var base = require( './base.js' );
+
+
+// MAIN //
+
+/**
+* Tests whether every element in an ndarray passes a test implemented by a predicate function.
+*
+* ## Notes
+*
+* -   The function stops iterating as soon as an element fails the test.
+* -   If provided an empty ndarray, the function returns `true`.
+*
+* @param {ArrayLikeObject<Object>} arrays - array-like object containing one input array
+* @param {Function} predicate - predicate function
+* @param {thisArg} [thisArg] - predicate function execution context
+* @throws {TypeError} must provide a predicate function
+* @returns {boolean} boolean indicating whether every element passes a test
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 0.0;
+* }
+*
+* // Create a data buffer:
+* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+*
+* // Create the input ndarray-like object:
+* var x = {
+*     'dtype': 'float64',
+*     'data': xbuf,
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* };
+*
+* // Perform operation:
+* var out = allIf( [ x ], predicate );
+* // returns false
+*/
+function allIf( arrays, predicate, thisArg ) {
+	var opts;
+	var x;
+
+	if ( !isFunction( predicate ) ) {
+		throw predicateError( predicate );
+	}
+	// Unpack the ndarray and standardize ndarray meta data:
+	x = ndarray2object( arrays[ 0 ] );
+
+	// Stop iterating as soon as we find an element which fails the test:
+	opts = resolve({
+		'limit': 1
+	}, predicate );
+	return ( base( x, opts, negate ) === 0 );
+
+	/**
+	* Returns a boolean indicating whether an element fails a test.
+	*
+	* @private
+	* @param {*} value - current array element
+	* @param {NonNegativeIntegerArray} indices - current array element indices
+	* @param {Object} arr - input ndarray
+	* @returns {boolean} boolean indicating whether an element fails a test
+	*/
+	function negate( value, indices, arr ) {
+		return !predicate.call( thisArg, value, indices, arr );
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = allIf;
@@ -0,0 +1,214 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var unaryReduceSubarray = require( '@stdlib/ndarray-base-unary-reduce-subarray' );
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var normalizeIndices = require( '@stdlib/ndarray-base-to-unique-normalized-indices' );
+var indicesComplement = require( '@stdlib/array-base-indices-complement' );
+var takeIndexed2 = require( '@stdlib/array-base-take-indexed2' );
+var isFunction = require( '@stdlib/assert-is-function' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var fill = require( '@stdlib/ndarray-base-fill' );
+var join = require( '@stdlib/array-base-join' );
+var format = require( '@stdlib/string-format' );
+var noop = require( '@stdlib/utils-noop' );
+var isDescriptor = require( './builtin/is_descriptor.js' );
+var resolve = require( './options.js' );
+var countIf = require( './main.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns an ndarray-like object representing an output ndarray view in which reduced singleton dimensions have been removed.
+*
+* @private
+* @param {Object} y - output ndarray-like object
+* @param {NonNegativeInteger} ndims - number of input ndarray dimensions
+* @param {NonNegativeIntegerArray} dims - list of (normalized) reduced dimensions
+* @throws {Error} output ndarray must have the same number of dimensions as the input ndarray
+* @throws {Error} output ndarray must have singleton dimensions for each reduced dimension
+* @returns {Object} ndarray-like object
+*/
+function squeeze( y, ndims, dims ) {
+	var tmp;
+	var sh;
+	var i;
+
+	// Standardize ndarray meta data:
+	y = ndarray2object( y );
+	sh = y.shape;
+	if ( sh.length !== ndims ) {
+		throw new Error( format( 'invalid argument. When `keepdims` is `true`, the output ndarray must have the same number of dimensions as the input ndarray. Number of input dimensions: %d. Output shape: [%s].', ndims, join( sh, ',' ) ) );
+	}
+	for ( i = 0; i < dims.length; i++ ) {
+		if ( sh[ dims[ i ] ] !== 1 ) {
+			throw new Error( format( 'invalid argument. When `keepdims` is `true`, the output ndarray must have a singleton dimension for each reduced dimension. Output shape: [%s]. Reduced dimensions: [%s].', join( sh, ',' ), join( dims, ',' ) ) );
+		}
+	}
+	tmp = takeIndexed2( sh, y.strides, indicesComplement( ndims, dims ) );
+	return {
+		'dtype': y.dtype,
+		'data': y.data,
+		'shape': tmp[ 0 ],
+		'strides': tmp[ 1 ],
+		'offset': y.offset,
+		'order': y.order
+	};
+}
+
+
+// MAIN //
+
+/**
+* Counts the number of elements along one or more ndarray dimensions which pass a test implemented by a predicate function and assigns the results to an output ndarray.
+*
+* ## Notes
+*
+* -   By default, the output ndarray must have the same shape as the non-reduced dimensions of the input ndarray. When the `keepdims` option is `true`, the output ndarray must have the same number of dimensions as the input ndarray, with each reduced dimension being a singleton dimension, such that the results can be broadcast against the input ndarray.
+* -   The predicate function is provided ndarray-like objects representing the reduced sub-array views and element indices which are relative to those views.
+* -   Options other than `keepdims` apply to each reduced sub-array independently. For example, the `limit` option specifies the maximum count assigned to each output element.
+* -   A predicate descriptor or expression may be provided in place of a predicate function.
+*
+* @param {ArrayLikeObject<Object>} arrays - array-like object containing one input ndarray and one output ndarray
+* @param {IntegerArray} dims - list of dimensions over which to perform a reduction
+* @param {Options} [options] - function options
+* @param {boolean} [options.keepdims=false] - boolean indicating whether the reduced dimensions are included in the output ndarray as singleton dimensions
+* @param {NonNegativeInteger} [options.limit] - maximum number of elements in each reduced sub-array which may pass a test before the function stops iterating over that sub-array
+* @param {string} [options.indices] - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [options.signal] - signal for aborting the operation
+* @param {Function} [options.onProgress] - callback invoked to report progress for each reduced sub-array
+* @param {PositiveInteger} [options.progressInterval=1024] - number of processed elements between progress reports when not using loop blocking
+* @param {(PositiveInteger|Function)} [options.blockSize] - block size (in units of elements) for performing loop tiling or a function which returns a block size for a provided data type
+* @param {string} [options.order='memory'] - order in which to visit elements
+* @param {(Function|string|Object)} predicate - predicate function, predicate descriptor, or expression
+* @param {thisArg} [thisArg] - predicate function execution context
+* @throws {RangeError} dimension indices must not exceed input ndarray bounds
+* @throws {RangeError} number of dimension indices must not exceed the number of input ndarray dimensions
+* @throws {Error} must provide unique dimension indices
+* @throws {Error} output ndarray must have the same number of dimensions as the non-reduced dimensions of the input ndarray
+* @throws {Error} output ndarray must have the same shape as the non-reduced dimensions of the input ndarray
+* @throws {Error} when `keepdims` is `true`, output ndarray must have singleton dimensions for each reduced dimension
+* @returns {Object} output ndarray
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 0.0;
+* }
+*
+* // Create data buffers:
+* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+* var ybuf = new Float64Array( 3 );
+*
+* // Create the input ndarray-like object:
+* var x = {
+*     'dtype': 'float64',
+*     'data': xbuf,
+*     'shape': [ 3, 2, 2 ],
+*     'strides': [ 4, 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+*
+* // Create the output ndarray-like object:
+* var y = {
+*     'dtype': 'float64',
+*     'data': ybuf,
+*     'shape': [ 3 ],
+*     'strides': [ 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+*
+* // Perform operation:
+* var out = assign( [ x, y ], [ 1, 2 ], predicate );
+* // returns <Object>
+*
+* var bool = ( out === y );
+* // returns true
+*
+* var v = ybuf;
+* // returns <Float64Array>[ 4.0, 3.0, 4.0 ]
+*/
+function assign( arrays, dims, options, predicate, thisArg ) {
+	var clbk;
+	var opts;
+	var ctx;
+	var o;
+	var x;
+	var y;
+	var d;
+
+	if ( isFunction( options ) || isDescriptor( options ) ) {
+		opts = {};
+		clbk = options;
+		ctx = predicate;
+	} else {
+		opts = options;
+		clbk = predicate;
+		ctx = thisArg;
+	}
+	// Resolve the options for testing the elements of each reduced sub-array, noting that predicate descriptors and expressions are never provided element indices:
+	o = resolve( opts, ( isDescriptor( clbk ) ) ? noop : clbk );
+
+	x = arrays[ 0 ];
+	y = arrays[ 1 ];
+
+	// Check whether the output ndarray includes the reduced dimensions as singleton dimensions, and, if so, remove them in order to obtain an output ndarray view having the non-reduced dimensions...
+	if ( opts.keepdims ) {
+		d = normalizeIndices( dims, x.shape.length-1 );
+
+		// Note: invalid dimension indices are reported when performing the reduction below...
+		if ( d !== null ) {
+			y = squeeze( y, x.shape.length, d );
+		}
+	}
+	unaryReduceSubarray( reducer, [ x, y ], dims );
+
+	// Sub-arrays which do not contain any elements are skipped, so we need to explicitly assign a count of zero to each output element...
+	if ( numel( x.shape ) === 0 ) {
+		fill( arrays[ 1 ], 0 );
+	}
+	return arrays[ 1 ];
+
+	/**
+	* Counts the number of elements in a sub-array view which pass a test implemented by a predicate function.
+	*
+	* ## Notes
+	*
+	* -   As sub-array views share the data type and data buffer kind of the input ndarray, a predicate descriptor or expression is only compiled when testing the first sub-array, with subsequent sub-arrays reusing the cached compiled loop.
+	*
+	* @private
+	* @param {ArrayLikeObject<Object>} views - array-like object containing a sub-array view
+	* @returns {integer} result
+	*/
+	function reducer( views ) {
+		return countIf( views, o, clbk, ctx );
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = assign;
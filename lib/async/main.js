@@ -0,0 +1,272 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+// MODULES //
+
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var hasEqualShape = require( '@stdlib/ndarray-base-assert-has-equal-shape' );
+var isFunction = require( '@stdlib/assert-is-function' );
+var PINF = require( '@stdlib/constants-float64-pinf' );
+var join = require( '@stdlib/array-base-join' );
+var format = require( '@stdlib/string-format' );
+var isDescriptor = require( './../builtin/is_descriptor.js' );
+var predicateError = require( './../predicate_error.js' );
+var resolve = require( './../options.js' );
+var traversal = require( './traversal.js' );
+var abortError = require( './../abort_error.js' );
+
+
+// MAIN //
+
+/**
+* Counts the number of elements in one or more ndarrays which pass a test implemented by a (possibly) asynchronous predicate function.
+*
+* ## Notes
+*
+* -   The predicate function may return either a boolean or a promise which resolves a boolean.
+* -   Predicate functions are invoked in the same order in which the (synchronous) dimension-specific kernels visit elements. As predicate invocations may be pending concurrently, the order in which predicate results resolve is not guaranteed.
+* -   Elements are visited lazily. The function only advances to the next element when the number of pending predicate invocations is less than the `concurrency` option, and the function stops visiting elements as soon as the number of elements which pass a test equals the `limit` option.
+* -   As element indices may be needed after subsequent predicate invocations, when the `indices` option is `'shared'`, the predicate function is provided a new array of element indices for each tested element (i.e., equivalent to `'array'`).
+* -   When provided a `limit` option, the function stops invoking the predicate function as soon as the number of elements which pass a test equals the limit and resolves the limit. Results of any pending predicate invocations are ignored.
+* -   If a predicate function throws an error or returns a promise which rejects, the function stops invoking the predicate function and rejects with the corresponding error.
+* -   If not provided a predicate function (e.g., if provided a predicate descriptor or an expression), the function returns a promise which rejects.
+* -   If provided input ndarrays which do not have the same shape or a `concurrency` option which is less than one, the function returns a promise which rejects.
+* -   When provided an `onProgress` option, the function invokes the callback with two arguments, the number of resolved predicate results and the total number of elements, every `progressInterval` resolved predicate results and upon resolving the last predicate result.
+* -   When provided a `signal` option, the function stops invoking the predicate function as soon as the signal is aborted and rejects with an error whose `name` property is `'AbortError'` and whose `count` property is the number of elements which passed a test before the operation was aborted. Results of any pending predicate invocations are ignored.
+*
+* @param {ArrayLikeObject<Object>} arrays - array-like object containing one or more input ndarrays
+* @param {Options} [options] - function options
+* @param {NonNegativeInteger} [options.limit] - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} [options.indices] - specifies how to provide element indices to the predicate function
+* @param {PositiveInteger} [options.concurrency] - maximum number of pending predicate invocations
+* @param {AbortSignal} [options.signal] - signal for aborting the operation
+* @param {Function} [options.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [options.progressInterval=1024] - number of processed elements between successive progress reports
+* @param {(PositiveInteger|Function)} [options.blockSize] - block size (in units of elements) for performing loop tiling or a function which returns a block size for a provided data type
+* @param {string} [options.order='memory'] - order in which to visit elements
+* @param {Function} predicate - predicate function
+* @param {thisArg} [thisArg] - predicate function execution context
+* @returns {Promise} promise which resolves the number of elements which pass the test
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return Promise.resolve( value > 0.0 );
+* }
+*
+* // Create a data buffer:
+* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+*
+* // Create the input ndarray-like object:
+* var x = {
+*     'dtype': 'float64',
+*     'data': xbuf,
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* };
+*
+* // Perform operation:
+* countIfAsync( [ x ], { 'concurrency': 2 }, predicate ).then( onResolve );
+*
+* function onResolve( count ) {
+*     console.log( count );
+*     // => 5
+* }
+*/
+function countIfAsync( arrays, options, predicate, thisArg ) {
+	var concurrency;
+	var imode;
+	var clbk;
+	var opts;
+	var ctx;
+
+	if ( isFunction( options ) || isDescriptor( options ) ) {
+		opts = {};
+		clbk = options;
+		ctx = predicate;
+	} else {
+		opts = options;
+		clbk = predicate;
+		ctx = thisArg;
+	}
+	if ( !isFunction( clbk ) ) {
+		return Promise.reject( predicateError( clbk ) );
+	}
+	concurrency = ( opts.concurrency === void 0 ) ? PINF : opts.concurrency;
+	opts = resolve( opts, clbk, arrays.length );
+
+	// Resolve the manner in which to provide element indices, noting that a shared array of element indices cannot be safely provided to predicate invocations which may be pending concurrently:
+	imode = ( opts.indices === 'shared' ) ? 'array' : opts.indices;
+
+	return new Promise( executor );
+
+	/**
+	* Executes the operation.
+	*
+	* @private
+	* @param {Function} done - callback to invoke upon success
+	* @param {Function} fail - callback to invoke upon failure
+	* @returns {void}
+	*/
+	function executor( done, fail ) {
+		var processed;
+		var finished;
+		var pending;
+		var signal;
+		var count;
+		var views;
+		var it;
+		var i;
+
+		// As the function would never advance to the next element, ensure that at least one predicate invocation may be pending:
+		if ( !( concurrency >= 1 ) ) {
+			return fail( new RangeError( format( 'invalid option. `%s` option must be a positive integer. Option: `%s`.', 'concurrency', concurrency ) ) );
+		}
+		signal = opts.signal;
+		if ( signal && signal.aborted ) {
+			return fail( abortError( signal, 0 ) );
+		}
+		// Standardize ndarray meta data, ensuring that all input ndarrays have the same shape...
+		views = [];
+		for ( i = 0; i < arrays.length; i++ ) {
+			views.push( ndarray2object( arrays[ i ] ) );
+			if ( !hasEqualShape( views[ 0 ], views[ i ] ) ) {
+				return fail( new Error( format( 'invalid argument. Input ndarrays must have the same shape. Shapes: [%s] and [%s].', join( views[ 0 ].shape, ',' ), join( views[ i ].shape, ',' ) ) ) );
+			}
+		}
+		// Create a traversal which visits elements according to the dimension-specific kernels, only advancing to the next element when needed:
+		it = traversal( views, {
+			'indices': imode,
+			'blockSize': opts.blockSize,
+			'order': opts.order
+		});
+		if ( it.done || opts.limit === 0 ) {
+			return done( 0 );
+		}
+		processed = 0;
+		finished = false;
+		pending = 0;
+		count = 0;
+		if ( signal ) {
+			signal.addEventListener( 'abort', onAbort );
+		}
+		next();
+
+		/**
+		* Invokes the predicate function until the number of pending invocations equals the maximum number of pending invocations or there are no remaining elements to test.
+		*
+		* @private
+		*/
+		function next() {
+			var args;
+			var out;
+			while ( !finished && pending < concurrency && !it.done ) {
+				args = it.next();
+				pending += 1;
+				try {
+					out = clbk.apply( ctx, args );
+				} catch ( err ) {
+					return onError( err );
+				}
+				Promise.resolve( out ).then( onResult, onError );
+			}
+		}
+
+		/**
+		* Callback invoked upon resolving a predicate result.
+		*
+		* @private
+		* @param {boolean} bool - predicate result
+		* @returns {void}
+		*/
+		function onResult( bool ) {
+			pending -= 1;
+			if ( finished ) {
+				return;
+			}
+			processed += 1;
+			if ( opts.onProgress && ( processed % opts.progressInterval === 0 || processed === it.length ) ) { // eslint-disable-line max-len
+				opts.onProgress( processed, it.length );
+			}
+			if ( bool ) {
+				count += 1;
+				if ( count === opts.limit ) {
+					finish();
+					return done( count );
+				}
+			}
+			if ( !it.done ) {
+				return next();
+			}
+			if ( pending === 0 ) {
+				finish();
+				done( count );
+			}
+		}
+
+		/**
+		* Callback invoked upon encountering an error.
+		*
+		* @private
+		* @param {Error} error - error object
+		* @returns {void}
+		*/
+		function onError( error ) {
+			if ( finished ) {
+				return;
+			}
+			finish();
+			fail( error );
+		}
+
+		/**
+		* Callback invoked upon an abort signal being aborted.
+		*
+		* @private
+		* @returns {void}
+		*/
+		function onAbort() {
+			if ( finished ) {
+				return;
+			}
+			finish();
+			fail( abortError( signal, count ) );
+		}
+
+		/**
+		* Marks the operation as finished.
+		*
+		* @private
+		*/
+		function finish() {
+			finished = true;
+			if ( signal ) {
+				signal.removeEventListener( 'abort', onAbort );
+			}
+		}
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = countIfAsync;
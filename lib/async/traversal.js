@@ -0,0 +1,320 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var unaryLoopOrder = require( '@stdlib/ndarray-base-unary-loop-interchange-order' );
+var nullaryLoopOrder = require( '@stdlib/ndarray-base-nullary-loop-interchange-order' );
+var iterationOrder = require( '@stdlib/ndarray-base-iteration-order' );
+var strides2order = require( '@stdlib/ndarray-base-strides2order' );
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var take = require( '@stdlib/array-base-take-indexed' );
+var reverse = require( '@stdlib/array-base-reverse' );
+var zeroTo = require( '@stdlib/array-base-zero-to' );
+var zeros = require( '@stdlib/array-base-zeros' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var copy = require( '@stdlib/array-base-copy' );
+var PINF = require( '@stdlib/constants-float64-pinf' );
+var isCodegenSupported = require( './../codegen/is_supported.js' );
+var resolveBlockSize = require( './../block_size.js' );
+
+
+// VARIABLES //
+
+var MAX_DIMS = 10;
+
+
+// FUNCTIONS //
+
+/**
+* Resolves the logical order in which the synchronous kernels visit elements when iterating without loop blocking.
+*
+* ## Notes
+*
+* -   Mirrors the kernel selection performed when provided a predicate function (see `./../select.js`, `./../binary/base.js`, and `./../nary/main.js`).
+* -   When the synchronous kernels perform loop blocking, the function returns `null`.
+*
+* @private
+* @param {ArrayLikeObject<Object>} views - list of objects containing input ndarray meta data
+* @param {string} order - order in which to visit elements
+* @returns {(string|null)} logical order
+*/
+function logicalOrder( views, order ) {
+	var x = views[ 0 ];
+	if ( order === 'row-major' || order === 'column-major' ) {
+		return order;
+	}
+	// Kernels supporting any number of dimensions iterate over linear view indices, which are resolved according to the order of the first input ndarray:
+	if ( views.length > 2 || ( x.shape.length > MAX_DIMS && ( views.length === 2 || ( !isCodegenSupported() && iterationOrder( x.strides ) !== 0 ) ) ) ) { // eslint-disable-line max-len
+		return x.order;
+	}
+	// Kernels which do not perform loop blocking only iterate in row-major order when strides are unambiguously row-major:
+	if ( iterationOrder( x.strides ) !== 0 ) {
+		return ( strides2order( x.strides ) === 1 ) ? 'row-major' : 'column-major';
+	}
+	return null;
+}
+
+
+// MAIN //
+
+/**
+* Returns a lazy traversal which enumerates the arguments provided to a predicate function for each element (or set of corresponding elements) in one or more ndarrays.
+*
+* ## Notes
+*
+* -   The returned object has the following properties:
+*
+*     -   **next**: function which returns the list of predicate function arguments for the next element and advances the traversal.
+*     -   **index**: number of visited elements.
+*     -   **length**: total number of elements.
+*     -   **done**: boolean indicating whether the traversal has visited all elements.
+*
+* -   Elements are visited in the same order as the synchronous kernels visit elements when provided a predicate function.
+* -   The input ndarrays are assumed to have the same shape.
+*
+* @private
+* @param {ArrayLikeObject<Object>} views - list of objects containing input ndarray meta data
+* @param {Object} opts - function options
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function (either `'none'`, `'array'`, or `'linear'`)
+* @param {(PositiveInteger|Function|null)} [opts.blockSize] - block size or a function which returns a block size
+* @param {string} [opts.order] - order in which to visit elements
+* @returns {Object} traversal
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create the input ndarray meta data object:
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ),
+*     'shape': [ 2, 2 ],
+*     'strides': [ 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* });
+*
+* // Create a traversal:
+* var it = traversal( [ x ], { 'indices': 'none' } );
+*
+* var args = it.next();
+* // returns [ 1.0 ]
+*
+* args = it.next();
+* // returns [ 2.0 ]
+*
+* var idx = it.index;
+* // returns 2
+*/
+function traversal( views, opts ) {
+	var bsize;
+	var imode;
+	var order;
+	var bufs;
+	var gets;
+	var out;
+	var sub;
+	var ord;
+	var sh;
+	var sx;
+	var sv;
+	var ix;
+	var iv;
+	var M;
+	var N;
+	var r;
+	var s;
+	var j;
+	var i;
+	var o;
+	var x;
+	var k;
+
+	// Note on variable naming convention: for each (loop-ordered) dimension `k`, `r[k]` is the number of elements remaining in the block loop, `j[k]` is the index of the first element in the current block, `s[k]` is the current block size, and `i[k]` is the index of the current element relative to the current block...
+
+	x = views[ 0 ];
+	M = views.length;
+
+	order = logicalOrder( views, opts.order );
+	if ( order ) {
+		// Order dimensions such that the innermost loop iterates over the dimension having the fastest changing indices in the resolved logical order, and treat each dimension as a single block:
+		ord = zeroTo( x.shape.length );
+		if ( order === 'row-major' ) {
+			ord = reverse( ord );
+		}
+		bsize = PINF;
+	} else {
+		// Resolve the loop interchange order used by the blocked kernels, noting that the fallback kernel for higher dimensional ndarrays resolves the loop order differently:
+		if ( x.shape.length > MAX_DIMS && !isCodegenSupported() ) {
+			o = nullaryLoopOrder( x.shape, x.strides );
+		} else {
+			o = unaryLoopOrder( x.shape, x.strides, x.strides );
+		}
+		ord = o.idx;
+		bsize = resolveBlockSize( opts, x.dtype );
+	}
+	sh = take( x.shape, ord );
+	sv = take( shape2strides( x.shape, x.order ), ord );
+	N = sh.length;
+
+	// Cache references to the input ndarray buffers, element accessors, and loop-ordered strides:
+	bufs = [];
+	gets = [];
+	sx = [];
+	for ( k = 0; k < M; k++ ) {
+		bufs.push( views[ k ].data );
+		gets.push( ( views[ k ].accessorProtocol ) ? views[ k ].accessors[ 0 ] : null ); // eslint-disable-line max-len
+		sx.push( take( views[ k ].strides, ord ) );
+	}
+	// Cache the manner in which to provide element indices to the predicate function:
+	imode = opts.indices;
+
+	// Initialize the loop state:
+	sub = zeros( N );
+	r = zeros( N );
+	s = zeros( N );
+	j = zeros( N );
+	i = zeros( N );
+	for ( k = 0; k < N; k++ ) {
+		r[ k ] = sh[ k ];
+		block( k );
+	}
+	ix = zeros( M );
+	iv = 0;
+	update();
+
+	out = {
+		'next': next,
+		'index': 0,
+		'length': ( N === 0 ) ? 1 : numel( sh ),
+		'done': false
+	};
+	out.done = ( out.length === 0 );
+	return out;
+
+	/**
+	* Advances the block loop for a specified dimension.
+	*
+	* @private
+	* @param {NonNegativeInteger} d - loop-ordered dimension index
+	*/
+	function block( d ) {
+		if ( r[ d ] < bsize ) {
+			s[ d ] = r[ d ];
+			r[ d ] = 0;
+		} else {
+			s[ d ] = bsize;
+			r[ d ] -= bsize;
+		}
+		j[ d ] = r[ d ];
+	}
+
+	/**
+	* Updates the element indices and index offsets for the current element.
+	*
+	* @private
+	*/
+	function update() {
+		var p;
+		var d;
+		var m;
+
+		for ( m = 0; m < M; m++ ) {
+			ix[ m ] = views[ m ].offset;
+		}
+		iv = 0;
+		for ( d = 0; d < N; d++ ) {
+			p = j[ d ] + i[ d ];
+			sub[ ord[ d ] ] = p;
+			for ( m = 0; m < M; m++ ) {
+				ix[ m ] += p * sx[ m ][ d ];
+			}
+			iv += p * sv[ d ];
+		}
+	}
+
+	/**
+	* Advances the traversal to the next element.
+	*
+	* @private
+	* @returns {boolean} boolean indicating whether the traversal visited all elements
+	*/
+	function advance() {
+		var d;
+
+		// Advance the element loops within the current block, starting from the innermost loop...
+		for ( d = 0; d < N; d++ ) {
+			if ( i[ d ] < s[ d ]-1 ) {
+				i[ d ] += 1;
+				update();
+				return false;
+			}
+			i[ d ] = 0;
+		}
+		// Advance the block loops, starting from the innermost loop...
+		for ( d = 0; d < N; d++ ) {
+			if ( r[ d ] > 0 ) {
+				block( d );
+				update();
+				return false;
+			}
+			r[ d ] = sh[ d ];
+			block( d );
+		}
+		return true;
+	}
+
+	/**
+	* Returns the list of predicate function arguments for the next element.
+	*
+	* @private
+	* @returns {Array} predicate function arguments
+	*/
+	function next() {
+		var args;
+		var m;
+
+		args = [];
+		for ( m = 0; m < M; m++ ) {
+			args.push( ( gets[ m ] ) ? gets[ m ]( bufs[ m ], ix[ m ] ) : bufs[ m ][ ix[ m ] ] ); // eslint-disable-line max-len
+		}
+		if ( imode === 'linear' ) {
+			args.push( iv );
+		} else if ( imode !== 'none' ) {
+			args.push( copy( sub ) );
+		}
+		// When provided a single input ndarray, the predicate function is provided the input ndarray following the element indices:
+		if ( M === 1 && imode !== 'none' ) {
+			args.push( x.ref );
+		}
+		out.index += 1;
+		if ( advance() ) {
+			out.done = true;
+		}
+		return args;
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = traversal;
@@ -0,0 +1,101 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var numel = require( '@stdlib/ndarray-base-numel' );
+var resolveBlockSize = require( './block_size.js' );
+var ordered = require( './ordered.js' );
+var select = require( './select.js' );
+
+
+// MAIN //
+
+/**
+* Counts the number of elements in an ndarray which pass a test implemented by a predicate function.
+*
+* @private
+* @param {Object} x - object containing input ndarray meta data
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {(PositiveInteger|Function|null)} [opts.blockSize] - block size or a function which returns a block size
+* @param {string} [opts.order] - order in which to visit elements
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {integer} result
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 0.0;
+* }
+*
+* // Create the input ndarray meta data object:
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ),
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* });
+*
+* // Define function options:
+* var opts = {
+*     'limit': 6,
+*     'indices': 'array'
+* };
+*
+* // Perform operation:
+* var out = countIf( x, opts, predicate );
+* // returns 5
+*/
+function countIf( x, opts, predicate, thisArg ) {
+	var shx = x.shape;
+
+	// Check whether we should stop before visiting any elements...
+	if ( opts.limit === 0 ) {
+		return 0;
+	}
+	// Check whether we were provided an empty ndarray...
+	if ( shx.length > 0 && numel( shx ) === 0 ) {
+		return 0;
+	}
+	// Check whether we must visit elements in a specified logical order...
+	if ( opts.order === 'row-major' || opts.order === 'column-major' ) {
+		return ordered( x, opts, opts.order, predicate, thisArg );
+	}
+	// Resolve the block size for kernels which perform loop tiling:
+	opts.blockSize = resolveBlockSize( opts, x.dtype );
+
+	return select( x )( x, opts, predicate, thisArg );
+}
+
+
+// EXPORTS //
+
+module.exports = countIf;
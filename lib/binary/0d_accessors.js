@@ -0,0 +1,139 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var abortError = require( './../abort_error.js' );
+
+
+// MAIN //
+
+/**
+* Counts the number of pairs of corresponding elements in two ndarrays which pass a test implemented by a predicate function.
+*
+* @private
+* @param {Object} x - object containing first input ndarray meta data
+* @param {*} x.dtype - data type
+* @param {Collection} x.data - data buffer
+* @param {NonNegativeIntegerArray} x.shape - dimensions
+* @param {IntegerArray} x.strides - stride lengths
+* @param {NonNegativeInteger} x.offset - index offset
+* @param {string} x.order - specifies whether `x` is row-major (C-style) or column-major (Fortran-style)
+* @param {Array<Function>} x.accessors - data buffer accessors
+* @param {Object} y - object containing second input ndarray meta data
+* @param {*} y.dtype - data type
+* @param {Collection} y.data - data buffer
+* @param {NonNegativeIntegerArray} y.shape - dimensions
+* @param {IntegerArray} y.strides - stride lengths
+* @param {NonNegativeInteger} y.offset - index offset
+* @param {string} y.order - specifies whether `y` is row-major (C-style) or column-major (Fortran-style)
+* @param {Array<Function>} y.accessors - data buffer accessors
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {integer} result
+*
+* @example
+* var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+* var accessors = require( '@stdlib/array-base-accessors' );
+*
+* function predicate( vx, vy ) {
+*    return vx > vy;
+* }
+*
+* // Create a first input data buffer:
+* var xbuf = toAccessorArray( [ 1.0, 2.0 ] );
+*
+* // Define the shape of the input arrays:
+* var shape = [];
+*
+* // Define the first input array strides:
+* var sx = [ 0 ];
+*
+* // Define the index offset:
+* var ox = 1;
+*
+* // Create the first input ndarray-like object:
+* var x = {
+*     'dtype': 'generic',
+*     'data': xbuf,
+*     'shape': shape,
+*     'strides': sx,
+*     'offset': ox,
+*     'order': 'row-major',
+*     'accessors': accessors( xbuf ).accessors
+* };
+*
+* // Create a second input data buffer:
+* var ybuf = [ 1.0 ];
+*
+* // Create the second input ndarray-like object:
+* var y = {
+*     'dtype': 'generic',
+*     'data': ybuf,
+*     'shape': shape,
+*     'strides': [ 0 ],
+*     'offset': 0,
+*     'order': 'row-major',
+*     'accessors': accessors( ybuf ).accessors
+* };
+*
+* // Define function options:
+* var opts = {
+*     'limit': 1,
+*     'indices': 'array'
+* };
+*
+* // Perform operation:
+* var out = binaryCountIf0d( x, y, opts, predicate );
+* // returns 1
+*/
+function binaryCountIf0d( x, y, opts, predicate, thisArg ) {
+	var bool;
+
+	// Check whether the operation has been aborted...
+	if ( opts.signal && opts.signal.aborted ) {
+		throw abortError( opts.signal, 0 );
+	}
+
+	if ( opts.indices === 'none' ) {
+		bool = predicate.call( thisArg, x.accessors[ 0 ]( x.data, x.offset ), y.accessors[ 0 ]( y.data, y.offset ) ); // eslint-disable-line max-len
+	} else if ( opts.indices === 'linear' ) {
+		bool = predicate.call( thisArg, x.accessors[ 0 ]( x.data, x.offset ), y.accessors[ 0 ]( y.data, y.offset ), 0 ); // eslint-disable-line max-len
+	} else {
+		bool = predicate.call( thisArg, x.accessors[ 0 ]( x.data, x.offset ), y.accessors[ 0 ]( y.data, y.offset ), [] ); // eslint-disable-line max-len
+	}
+	// Report progress:
+	if ( opts.onProgress ) {
+		opts.onProgress( 1, opts.total );
+	}
+	return ( bool ) ? 1 : 0;
+}
+
+
+// EXPORTS //
+
+module.exports = binaryCountIf0d;
@@ -0,0 +1,714 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable max-depth, max-len */
+
+'use strict';
+
+// MODULES //
+
+var loopOrder = require( '@stdlib/ndarray-base-unary-loop-interchange-order' );
+var blockSize = require( '@stdlib/ndarray-base-nullary-tiling-block-size' );
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var take = require( '@stdlib/array-base-take-indexed' );
+var zeros = require( '@stdlib/array-base-zeros' );
+var reverse = require( '@stdlib/array-base-reverse' );
+var copy = require( '@stdlib/array-base-copy' );
+var inversePermutation = require( './../inverse_permutation.js' );
+var abortError = require( './../abort_error.js' );
+
+
+// VARIABLES //
+
+// Number of elements to test between successive checks of whether the operation has been aborted:
+var CHECK_INTERVAL = 1024;
+
+
+// MAIN //
+
+/**
+* Counts the number of pairs of corresponding elements in two ndarrays which pass a test implemented by a predicate function via loop blocking.
+*
+* @private
+* @param {Object} x - object containing first input ndarray meta data
+* @param {*} x.dtype - data type
+* @param {Collection} x.data - data buffer
+* @param {NonNegativeIntegerArray} x.shape - dimensions
+* @param {IntegerArray} x.strides - stride lengths
+* @param {NonNegativeInteger} x.offset - index offset
+* @param {string} x.order - specifies whether `x` is row-major (C-style) or column-major (Fortran-style)
+* @param {Array<Function>} x.accessors - data buffer accessors
+* @param {Object} y - object containing second input ndarray meta data
+* @param {*} y.dtype - data type
+* @param {Collection} y.data - data buffer
+* @param {NonNegativeIntegerArray} y.shape - dimensions
+* @param {IntegerArray} y.strides - stride lengths
+* @param {NonNegativeInteger} y.offset - index offset
+* @param {string} y.order - specifies whether `y` is row-major (C-style) or column-major (Fortran-style)
+* @param {Array<Function>} y.accessors - data buffer accessors
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {PositiveInteger} [opts.blockSize] - precomputed block size
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {integer} result
+*
+* @example
+* var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+* var accessors = require( '@stdlib/array-base-accessors' );
+*
+* function predicate( vx, vy ) {
+*    return vx > vy;
+* }
+*
+* // Create a first input data buffer:
+* var xbuf = toAccessorArray( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0 ] );
+*
+* // Define the shape of the input arrays:
+* var shape = [ 1, 1, 2, 2, 2 ];
+*
+* // Define the first input array strides:
+* var sx = [ 8, 8, 4, 2, 1 ];
+*
+* // Define the index offset:
+* var ox = 0;
+*
+* // Create the first input ndarray-like object:
+* var x = {
+*     'dtype': 'generic',
+*     'data': xbuf,
+*     'shape': shape,
+*     'strides': sx,
+*     'offset': ox,
+*     'order': 'row-major',
+*     'accessors': accessors( xbuf ).accessors
+* };
+*
+* // Create a second input data buffer:
+* var ybuf = [ 2.0, 6.0, 2.0, 6.0, 2.0, 6.0, 2.0, 6.0 ];
+*
+* // Create the second input ndarray-like object:
+* var y = {
+*     'dtype': 'generic',
+*     'data': ybuf,
+*     'shape': shape,
+*     'strides': [ 8, 8, 4, 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major',
+*     'accessors': accessors( ybuf ).accessors
+* };
+*
+* // Define function options:
+* var opts = {
+*     'limit': 8,
+*     'indices': 'array'
+* };
+*
+* // Perform operation:
+* var out = blockedBinaryCountIf5d( x, y, opts, predicate );
+* // returns 4
+*/
+function blockedBinaryCountIf5d( x, y, opts, predicate, thisArg ) {
+	var onProgress;
+	var processed;
+	var signal;
+	var count;
+	var bsize;
+	var limit;
+	var imode;
+	var total;
+	var xbuf;
+	var ybuf;
+	var bool;
+	var xget;
+	var yget;
+	var idx;
+	var pdx;
+	var sub;
+	var dx0;
+	var dx1;
+	var dx2;
+	var dx3;
+	var dx4;
+	var dy0;
+	var dy1;
+	var dy2;
+	var dy3;
+	var dy4;
+	var dv0;
+	var dv1;
+	var dv2;
+	var dv3;
+	var dv4;
+	var ox1;
+	var ox2;
+	var ox3;
+	var ox4;
+	var oy1;
+	var oy2;
+	var oy3;
+	var oy4;
+	var ov1;
+	var ov2;
+	var ov3;
+	var ov4;
+	var sh;
+	var s0;
+	var s1;
+	var s2;
+	var s3;
+	var s4;
+	var sx;
+	var sy;
+	var sv;
+	var ox;
+	var oy;
+	var ov;
+	var ix;
+	var iy;
+	var iv;
+	var i0;
+	var i1;
+	var i2;
+	var i3;
+	var i4;
+	var j0;
+	var j1;
+	var j2;
+	var j3;
+	var j4;
+	var n;
+	var o;
+
+	// Note on variable naming convention: s#, dx#, dy#, dv#, i#, j# where # corresponds to the loop number, with `0` being the innermost loop...
+
+	// Resolve the loop interchange order:
+	o = loopOrder( x.shape, x.strides, y.strides );
+	sh = o.sh;
+	sx = o.sx;
+	sy = o.sy;
+	sv = take( shape2strides( x.shape, x.order ), o.idx );
+	idx = reverse( copy( o.idx ) );
+	pdx = inversePermutation( idx );
+
+	// Determine the block size:
+	bsize = opts.blockSize || blockSize( x.dtype );
+
+	// Set the pointers to the first indexed elements in the respective ndarrays:
+	ox = x.offset;
+	oy = y.offset;
+	ov = 0;
+
+	// Cache references to the input ndarray buffers:
+	xbuf = x.data;
+	ybuf = y.data;
+
+	// Cache the offset increments for the innermost loop:
+	dx0 = sx[0];
+	dy0 = sy[0];
+	dv0 = sv[0];
+
+	// Cache accessors:
+	xget = x.accessors[ 0 ];
+	yget = y.accessors[ 0 ];
+
+	// Initialize a counter:
+	count = 0;
+
+	// Cache the number of elements which may pass a test before we stop iterating:
+	limit = opts.limit;
+
+	// Cache the manner in which to provide element indices to the predicate function:
+	imode = opts.indices;
+
+	// Cache the signal for aborting the operation:
+	signal = opts.signal;
+
+	// Cache the callback for reporting progress and the total number of elements:
+	onProgress = opts.onProgress;
+	total = opts.total;
+
+	// Initialize a counter for the number of processed elements:
+	processed = 0;
+
+	// Initialize a counter for the number of tested elements, which determines when to check whether the operation has been aborted:
+	n = 0;
+
+	// Initialize an array for storing the indices of the current element:
+	sub = zeros( sh.length );
+
+	// Iterate over blocks using a loop nest specific to the manner in which element indices are provided, thus avoiding branching on the manner within the loop nest and only tracking linear view indices when providing linear view indices...
+	if ( imode === 'none' ) {
+		for ( j4 = sh[4]; j4 > 0; ) {
+			if ( j4 < bsize ) {
+				s4 = j4;
+				j4 = 0;
+			} else {
+				s4 = bsize;
+				j4 -= bsize;
+			}
+			ox4 = ox + ( j4*sx[4] );
+			oy4 = oy + ( j4*sy[4] );
+			for ( j3 = sh[3]; j3 > 0; ) {
+				if ( j3 < bsize ) {
+					s3 = j3;
+					j3 = 0;
+				} else {
+					s3 = bsize;
+					j3 -= bsize;
+				}
+				dx4 = sx[4] - ( s3*sx[3] );
+				dy4 = sy[4] - ( s3*sy[3] );
+				ox3 = ox4 + ( j3*sx[3] );
+				oy3 = oy4 + ( j3*sy[3] );
+				for ( j2 = sh[2]; j2 > 0; ) {
+					if ( j2 < bsize ) {
+						s2 = j2;
+						j2 = 0;
+					} else {
+						s2 = bsize;
+						j2 -= bsize;
+					}
+					dx3 = sx[3] - ( s2*sx[2] );
+					dy3 = sy[3] - ( s2*sy[2] );
+					ox2 = ox3 + ( j2*sx[2] );
+					oy2 = oy3 + ( j2*sy[2] );
+					for ( j1 = sh[1]; j1 > 0; ) {
+						if ( j1 < bsize ) {
+							s1 = j1;
+							j1 = 0;
+						} else {
+							s1 = bsize;
+							j1 -= bsize;
+						}
+						dx2 = sx[2] - ( s1*sx[1] );
+						dy2 = sy[2] - ( s1*sy[1] );
+						ox1 = ox2 + ( j1*sx[1] );
+						oy1 = oy2 + ( j1*sy[1] );
+						for ( j0 = sh[0]; j0 > 0; ) {
+							if ( j0 < bsize ) {
+								s0 = j0;
+								j0 = 0;
+							} else {
+								s0 = bsize;
+								j0 -= bsize;
+							}
+							// Compute the index offsets for the first input ndarray elements in the current block:
+							ix = ox1 + ( j0*sx[0] );
+							iy = oy1 + ( j0*sy[0] );
+
+							// Compute the loop offset increments:
+							dx1 = sx[1] - ( s0*sx[0] );
+							dy1 = sy[1] - ( s0*sy[0] );
+
+							// Iterate over the ndarray dimensions...
+							for ( i4 = 0; i4 < s4; i4++ ) {
+								for ( i3 = 0; i3 < s3; i3++ ) {
+									for ( i2 = 0; i2 < s2; i2++ ) {
+										for ( i1 = 0; i1 < s1; i1++ ) {
+											for ( i0 = 0; i0 < s0; i0++ ) {
+												// Periodically check whether the operation has been aborted...
+												if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+													throw abortError( signal, count );
+												}
+												n += 1;
+												bool = predicate.call( thisArg, xget( xbuf, ix ), yget( ybuf, iy ) ); // eslint-disable-line max-len
+												if ( bool ) {
+													count += 1;
+													if ( count === limit ) {
+														return count;
+													}
+												}
+												ix += dx0;
+												iy += dy0;
+											}
+											ix += dx1;
+											iy += dy1;
+										}
+										ix += dx2;
+										iy += dy2;
+									}
+									ix += dx3;
+									iy += dy3;
+								}
+								ix += dx4;
+								iy += dy4;
+							}
+
+							// Report progress upon completing a block...
+							if ( onProgress ) {
+								processed += s0*s1*s2*s3*s4;
+								onProgress( processed, total );
+							}
+						}
+					}
+				}
+			}
+		}
+	} else if ( imode === 'shared' ) {
+		for ( j4 = sh[4]; j4 > 0; ) {
+			if ( j4 < bsize ) {
+				s4 = j4;
+				j4 = 0;
+			} else {
+				s4 = bsize;
+				j4 -= bsize;
+			}
+			ox4 = ox + ( j4*sx[4] );
+			oy4 = oy + ( j4*sy[4] );
+			for ( j3 = sh[3]; j3 > 0; ) {
+				if ( j3 < bsize ) {
+					s3 = j3;
+					j3 = 0;
+				} else {
+					s3 = bsize;
+					j3 -= bsize;
+				}
+				dx4 = sx[4] - ( s3*sx[3] );
+				dy4 = sy[4] - ( s3*sy[3] );
+				ox3 = ox4 + ( j3*sx[3] );
+				oy3 = oy4 + ( j3*sy[3] );
+				for ( j2 = sh[2]; j2 > 0; ) {
+					if ( j2 < bsize ) {
+						s2 = j2;
+						j2 = 0;
+					} else {
+						s2 = bsize;
+						j2 -= bsize;
+					}
+					dx3 = sx[3] - ( s2*sx[2] );
+					dy3 = sy[3] - ( s2*sy[2] );
+					ox2 = ox3 + ( j2*sx[2] );
+					oy2 = oy3 + ( j2*sy[2] );
+					for ( j1 = sh[1]; j1 > 0; ) {
+						if ( j1 < bsize ) {
+							s1 = j1;
+							j1 = 0;
+						} else {
+							s1 = bsize;
+							j1 -= bsize;
+						}
+						dx2 = sx[2] - ( s1*sx[1] );
+						dy2 = sy[2] - ( s1*sy[1] );
+						ox1 = ox2 + ( j1*sx[1] );
+						oy1 = oy2 + ( j1*sy[1] );
+						for ( j0 = sh[0]; j0 > 0; ) {
+							if ( j0 < bsize ) {
+								s0 = j0;
+								j0 = 0;
+							} else {
+								s0 = bsize;
+								j0 -= bsize;
+							}
+							// Compute the index offsets for the first input ndarray elements in the current block:
+							ix = ox1 + ( j0*sx[0] );
+							iy = oy1 + ( j0*sy[0] );
+
+							// Compute the loop offset increments:
+							dx1 = sx[1] - ( s0*sx[0] );
+							dy1 = sy[1] - ( s0*sy[0] );
+
+							// Iterate over the ndarray dimensions...
+							for ( i4 = 0; i4 < s4; i4++ ) {
+								for ( i3 = 0; i3 < s3; i3++ ) {
+									for ( i2 = 0; i2 < s2; i2++ ) {
+										for ( i1 = 0; i1 < s1; i1++ ) {
+											sub[ idx[ 0 ] ] = j4 + i4;
+											sub[ idx[ 1 ] ] = j3 + i3;
+											sub[ idx[ 2 ] ] = j2 + i2;
+											sub[ idx[ 3 ] ] = j1 + i1;
+											for ( i0 = 0; i0 < s0; i0++ ) {
+												// Periodically check whether the operation has been aborted...
+												if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+													throw abortError( signal, count );
+												}
+												n += 1;
+												sub[ idx[ 4 ] ] = j0 + i0;
+												bool = predicate.call( thisArg, xget( xbuf, ix ), yget( ybuf, iy ), sub ); // eslint-disable-line max-len
+												if ( bool ) {
+													count += 1;
+													if ( count === limit ) {
+														return count;
+													}
+												}
+												ix += dx0;
+												iy += dy0;
+											}
+											ix += dx1;
+											iy += dy1;
+										}
+										ix += dx2;
+										iy += dy2;
+									}
+									ix += dx3;
+									iy += dy3;
+								}
+								ix += dx4;
+								iy += dy4;
+							}
+
+							// Report progress upon completing a block...
+							if ( onProgress ) {
+								processed += s0*s1*s2*s3*s4;
+								onProgress( processed, total );
+							}
+						}
+					}
+				}
+			}
+		}
+	} else if ( imode === 'linear' ) {
+		for ( j4 = sh[4]; j4 > 0; ) {
+			if ( j4 < bsize ) {
+				s4 = j4;
+				j4 = 0;
+			} else {
+				s4 = bsize;
+				j4 -= bsize;
+			}
+			ox4 = ox + ( j4*sx[4] );
+			oy4 = oy + ( j4*sy[4] );
+			ov4 = ov + ( j4*sv[4] );
+			for ( j3 = sh[3]; j3 > 0; ) {
+				if ( j3 < bsize ) {
+					s3 = j3;
+					j3 = 0;
+				} else {
+					s3 = bsize;
+					j3 -= bsize;
+				}
+				dx4 = sx[4] - ( s3*sx[3] );
+				dy4 = sy[4] - ( s3*sy[3] );
+				dv4 = sv[4] - ( s3*sv[3] );
+				ox3 = ox4 + ( j3*sx[3] );
+				oy3 = oy4 + ( j3*sy[3] );
+				ov3 = ov4 + ( j3*sv[3] );
+				for ( j2 = sh[2]; j2 > 0; ) {
+					if ( j2 < bsize ) {
+						s2 = j2;
+						j2 = 0;
+					} else {
+						s2 = bsize;
+						j2 -= bsize;
+					}
+					dx3 = sx[3] - ( s2*sx[2] );
+					dy3 = sy[3] - ( s2*sy[2] );
+					dv3 = sv[3] - ( s2*sv[2] );
+					ox2 = ox3 + ( j2*sx[2] );
+					oy2 = oy3 + ( j2*sy[2] );
+					ov2 = ov3 + ( j2*sv[2] );
+					for ( j1 = sh[1]; j1 > 0; ) {
+						if ( j1 < bsize ) {
+							s1 = j1;
+							j1 = 0;
+						} else {
+							s1 = bsize;
+							j1 -= bsize;
+						}
+						dx2 = sx[2] - ( s1*sx[1] );
+						dy2 = sy[2] - ( s1*sy[1] );
+						dv2 = sv[2] - ( s1*sv[1] );
+						ox1 = ox2 + ( j1*sx[1] );
+						oy1 = oy2 + ( j1*sy[1] );
+						ov1 = ov2 + ( j1*sv[1] );
+						for ( j0 = sh[0]; j0 > 0; ) {
+							if ( j0 < bsize ) {
+								s0 = j0;
+								j0 = 0;
+							} else {
+								s0 = bsize;
+								j0 -= bsize;
+							}
+							// Compute the index offsets for the first input ndarray elements in the current block:
+							ix = ox1 + ( j0*sx[0] );
+							iy = oy1 + ( j0*sy[0] );
+							iv = ov1 + ( j0*sv[0] );
+
+							// Compute the loop offset increments:
+							dx1 = sx[1] - ( s0*sx[0] );
+							dy1 = sy[1] - ( s0*sy[0] );
+							dv1 = sv[1] - ( s0*sv[0] );
+
+							// Iterate over the ndarray dimensions...
+							for ( i4 = 0; i4 < s4; i4++ ) {
+								for ( i3 = 0; i3 < s3; i3++ ) {
+									for ( i2 = 0; i2 < s2; i2++ ) {
+										for ( i1 = 0; i1 < s1; i1++ ) {
+											for ( i0 = 0; i0 < s0; i0++ ) {
+												// Periodically check whether the operation has been aborted...
+												if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+													throw abortError( signal, count );
+												}
+												n += 1;
+												bool = predicate.call( thisArg, xget( xbuf, ix ), yget( ybuf, iy ), iv ); // eslint-disable-line max-len
+												if ( bool ) {
+													count += 1;
+													if ( count === limit ) {
+														return count;
+													}
+												}
+												ix += dx0;
+												iy += dy0;
+												iv += dv0;
+											}
+											ix += dx1;
+											iy += dy1;
+											iv += dv1;
+										}
+										ix += dx2;
+										iy += dy2;
+										iv += dv2;
+									}
+									ix += dx3;
+									iy += dy3;
+									iv += dv3;
+								}
+								ix += dx4;
+								iy += dy4;
+								iv += dv4;
+							}
+
+							// Report progress upon completing a block...
+							if ( onProgress ) {
+								processed += s0*s1*s2*s3*s4;
+								onProgress( processed, total );
+							}
+						}
+					}
+				}
+			}
+		}
+	} else {
+		for ( j4 = sh[4]; j4 > 0; ) {
+			if ( j4 < bsize ) {
+				s4 = j4;
+				j4 = 0;
+			} else {
+				s4 = bsize;
+				j4 -= bsize;
+			}
+			ox4 = ox + ( j4*sx[4] );
+			oy4 = oy + ( j4*sy[4] );
+			for ( j3 = sh[3]; j3 > 0; ) {
+				if ( j3 < bsize ) {
+					s3 = j3;
+					j3 = 0;
+				} else {
+					s3 = bsize;
+					j3 -= bsize;
+				}
+				dx4 = sx[4] - ( s3*sx[3] );
+				dy4 = sy[4] - ( s3*sy[3] );
+				ox3 = ox4 + ( j3*sx[3] );
+				oy3 = oy4 + ( j3*sy[3] );
+				for ( j2 = sh[2]; j2 > 0; ) {
+					if ( j2 < bsize ) {
+						s2 = j2;
+						j2 = 0;
+					} else {
+						s2 = bsize;
+						j2 -= bsize;
+					}
+					dx3 = sx[3] - ( s2*sx[2] );
+					dy3 = sy[3] - ( s2*sy[2] );
+					ox2 = ox3 + ( j2*sx[2] );
+					oy2 = oy3 + ( j2*sy[2] );
+					for ( j1 = sh[1]; j1 > 0; ) {
+						if ( j1 < bsize ) {
+							s1 = j1;
+							j1 = 0;
+						} else {
+							s1 = bsize;
+							j1 -= bsize;
+						}
+						dx2 = sx[2] - ( s1*sx[1] );
+						dy2 = sy[2] - ( s1*sy[1] );
+						ox1 = ox2 + ( j1*sx[1] );
+						oy1 = oy2 + ( j1*sy[1] );
+						for ( j0 = sh[0]; j0 > 0; ) {
+							if ( j0 < bsize ) {
+								s0 = j0;
+								j0 = 0;
+							} else {
+								s0 = bsize;
+								j0 -= bsize;
+							}
+							// Compute the index offsets for the first input ndarray elements in the current block:
+							ix = ox1 + ( j0*sx[0] );
+							iy = oy1 + ( j0*sy[0] );
+
+							// Compute the loop offset increments:
+							dx1 = sx[1] - ( s0*sx[0] );
+							dy1 = sy[1] - ( s0*sy[0] );
+
+							// Iterate over the ndarray dimensions...
+							for ( i4 = 0; i4 < s4; i4++ ) {
+								for ( i3 = 0; i3 < s3; i3++ ) {
+									for ( i2 = 0; i2 < s2; i2++ ) {
+										for ( i1 = 0; i1 < s1; i1++ ) {
+											for ( i0 = 0; i0 < s0; i0++ ) {
+												// Periodically check whether the operation has been aborted...
+												if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+													throw abortError( signal, count );
+												}
+												n += 1;
+												bool = predicate.call( thisArg, xget( xbuf, ix ), yget( ybuf, iy ), take( [ j4 + i4, j3 + i3, j2 + i2, j1 + i1, j0 + i0 ], pdx ) ); // eslint-disable-line max-len
+												if ( bool ) {
+													count += 1;
+													if ( count === limit ) {
+														return count;
+													}
+												}
+												ix += dx0;
+												iy += dy0;
+											}
+											ix += dx1;
+											iy += dy1;
+										}
+										ix += dx2;
+										iy += dy2;
+									}
+									ix += dx3;
+									iy += dy3;
+								}
+								ix += dx4;
+								iy += dy4;
+							}
+
+							// Report progress upon completing a block...
+							if ( onProgress ) {
+								processed += s0*s1*s2*s3*s4;
+								onProgress( processed, total );
+							}
+						}
+					}
+				}
+			}
+		}
+	}
+	return count;
+}
+
+
+// EXPORTS //
+
+module.exports = blockedBinaryCountIf5d;
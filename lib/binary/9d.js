@@ -0,0 +1,470 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+/* eslint-disable max-depth, max-len */
+
+'use strict';
+
+// MODULES //
+
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var strides2order = require( '@stdlib/ndarray-base-strides2order' );
+var zeroTo = require( '@stdlib/array-base-zero-to' );
+var reverse = require( '@stdlib/array-base-reverse' );
+var zeros = require( '@stdlib/array-base-zeros' );
+var take = require( '@stdlib/array-base-take-indexed' );
+var abortError = require( './../abort_error.js' );
+
+
+// VARIABLES //
+
+// Number of elements to test between successive checks of whether the operation has been aborted:
+var CHECK_INTERVAL = 1024;
+
+
+// MAIN //
+
+/**
+* Counts the number of pairs of corresponding elements in two ndarrays which pass a test implemented by a predicate function.
+*
+* @private
+* @param {Object} x - object containing first input ndarray meta data
+* @param {*} x.dtype - data type
+* @param {Collection} x.data - data buffer
+* @param {NonNegativeIntegerArray} x.shape - dimensions
+* @param {IntegerArray} x.strides - stride lengths
+* @param {NonNegativeInteger} x.offset - index offset
+* @param {string} x.order - specifies whether `x` is row-major (C-style) or column-major (Fortran-style)
+* @param {Object} y - object containing second input ndarray meta data
+* @param {*} y.dtype - data type
+* @param {Collection} y.data - data buffer
+* @param {NonNegativeIntegerArray} y.shape - dimensions
+* @param {IntegerArray} y.strides - stride lengths
+* @param {NonNegativeInteger} y.offset - index offset
+* @param {string} y.order - specifies whether `y` is row-major (C-style) or column-major (Fortran-style)
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {integer} result
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( vx, vy ) {
+*    return vx > vy;
+* }
+*
+* // Create a first input data buffer:
+* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+*
+* // Define the shape of the input arrays:
+* var shape = [ 1, 1, 1, 1, 1, 1, 3, 1, 2 ];
+*
+* // Define the first input array strides:
+* var sx = [ 12, 12, 12, 12, 12, 12, 4, 4, 1 ];
+*
+* // Define the index offset:
+* var ox = 1;
+*
+* // Create the first input ndarray-like object:
+* var x = {
+*     'dtype': 'float64',
+*     'data': xbuf,
+*     'shape': shape,
+*     'strides': sx,
+*     'offset': ox,
+*     'order': 'row-major'
+* };
+*
+* // Create a second input data buffer:
+* var ybuf = [ 2.0, 6.0, 2.0, 6.0, 2.0, 6.0 ];
+*
+* // Create the second input ndarray-like object:
+* var y = {
+*     'dtype': 'generic',
+*     'data': ybuf,
+*     'shape': shape,
+*     'strides': [ 6, 6, 6, 6, 6, 6, 2, 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+*
+* // Define function options:
+* var opts = {
+*     'limit': 6,
+*     'indices': 'array'
+* };
+*
+* // Perform operation:
+* var out = binaryCountIf9d( x, y, opts, predicate );
+* // returns 3
+*/
+function binaryCountIf9d( x, y, opts, predicate, thisArg ) {
+	var onProgress;
+	var processed;
+	var interval;
+	var signal;
+	var count;
+	var limit;
+	var imode;
+	var total;
+	var xbuf;
+	var ybuf;
+	var bool;
+	var idx;
+	var sub;
+	var dx0;
+	var dx1;
+	var dx2;
+	var dx3;
+	var dx4;
+	var dx5;
+	var dx6;
+	var dx7;
+	var dx8;
+	var dy0;
+	var dy1;
+	var dy2;
+	var dy3;
+	var dy4;
+	var dy5;
+	var dy6;
+	var dy7;
+	var dy8;
+	var dv0;
+	var dv1;
+	var dv2;
+	var dv3;
+	var dv4;
+	var dv5;
+	var dv6;
+	var dv7;
+	var dv8;
+	var sh;
+	var S0;
+	var S1;
+	var S2;
+	var S3;
+	var S4;
+	var S5;
+	var S6;
+	var S7;
+	var S8;
+	var sx;
+	var sy;
+	var sv;
+	var ix;
+	var iy;
+	var iv;
+	var i0;
+	var i1;
+	var i2;
+	var i3;
+	var i4;
+	var i5;
+	var i6;
+	var i7;
+	var i8;
+	var n;
+
+	// Note on variable naming convention: S#, dx#, dy#, dv#, i# where # corresponds to the loop number, with `0` being the innermost loop...
+
+	// Extract loop variables for purposes of loop interchange: dimensions and loop offset (pointer) increments...
+	sh = x.shape;
+	sx = x.strides;
+	sy = y.strides;
+	sv = shape2strides( sh, x.order );
+	idx = zeroTo( sh.length );
+	if ( strides2order( sx ) === 1 ) {
+		// For row-major ndarrays, the last dimensions have the fastest changing indices...
+		S0 = sh[ 8 ];
+		S1 = sh[ 7 ];
+		S2 = sh[ 6 ];
+		S3 = sh[ 5 ];
+		S4 = sh[ 4 ];
+		S5 = sh[ 3 ];
+		S6 = sh[ 2 ];
+		S7 = sh[ 1 ];
+		S8 = sh[ 0 ];
+		dx0 = sx[ 8 ];                // offset increment for innermost loop
+		dx1 = sx[ 7 ] - ( S0*sx[8] );
+		dx2 = sx[ 6 ] - ( S1*sx[7] );
+		dx3 = sx[ 5 ] - ( S2*sx[6] );
+		dx4 = sx[ 4 ] - ( S3*sx[5] );
+		dx5 = sx[ 3 ] - ( S4*sx[4] );
+		dx6 = sx[ 2 ] - ( S5*sx[3] );
+		dx7 = sx[ 1 ] - ( S6*sx[2] );
+		dx8 = sx[ 0 ] - ( S7*sx[1] ); // offset increment for outermost loop
+		dy0 = sy[ 8 ];
+		dv0 = sv[ 8 ];
+		dy1 = sy[ 7 ] - ( S0*sy[8] );
+		dv1 = sv[ 7 ] - ( S0*sv[8] );
+		dy2 = sy[ 6 ] - ( S1*sy[7] );
+		dv2 = sv[ 6 ] - ( S1*sv[7] );
+		dy3 = sy[ 5 ] - ( S2*sy[6] );
+		dv3 = sv[ 5 ] - ( S2*sv[6] );
+		dy4 = sy[ 4 ] - ( S3*sy[5] );
+		dv4 = sv[ 4 ] - ( S3*sv[5] );
+		dy5 = sy[ 3 ] - ( S4*sy[4] );
+		dv5 = sv[ 3 ] - ( S4*sv[4] );
+		dy6 = sy[ 2 ] - ( S5*sy[3] );
+		dv6 = sv[ 2 ] - ( S5*sv[3] );
+		dy7 = sy[ 1 ] - ( S6*sy[2] );
+		dv7 = sv[ 1 ] - ( S6*sv[2] );
+		dy8 = sy[ 0 ] - ( S7*sy[1] );
+		dv8 = sv[ 0 ] - ( S7*sv[1] );
+	} else { // order === 'column-major'
+		// For column-major ndarrays, the first dimensions have the fastest changing indices...
+		S0 = sh[ 0 ];
+		S1 = sh[ 1 ];
+		S2 = sh[ 2 ];
+		S3 = sh[ 3 ];
+		S4 = sh[ 4 ];
+		S5 = sh[ 5 ];
+		S6 = sh[ 6 ];
+		S7 = sh[ 7 ];
+		S8 = sh[ 8 ];
+		dx0 = sx[ 0 ];                // offset increment for innermost loop
+		dx1 = sx[ 1 ] - ( S0*sx[0] );
+		dx2 = sx[ 2 ] - ( S1*sx[1] );
+		dx3 = sx[ 3 ] - ( S2*sx[2] );
+		dx4 = sx[ 4 ] - ( S3*sx[3] );
+		dx5 = sx[ 5 ] - ( S4*sx[4] );
+		dx6 = sx[ 6 ] - ( S5*sx[5] );
+		dx7 = sx[ 7 ] - ( S6*sx[6] );
+		dx8 = sx[ 8 ] - ( S7*sx[7] ); // offset increment for outermost loop
+		dy0 = sy[ 0 ];
+		dv0 = sv[ 0 ];
+		dy1 = sy[ 1 ] - ( S0*sy[0] );
+		dv1 = sv[ 1 ] - ( S0*sv[0] );
+		dy2 = sy[ 2 ] - ( S1*sy[1] );
+		dv2 = sv[ 2 ] - ( S1*sv[1] );
+		dy3 = sy[ 3 ] - ( S2*sy[2] );
+		dv3 = sv[ 3 ] - ( S2*sv[2] );
+		dy4 = sy[ 4 ] - ( S3*sy[3] );
+		dv4 = sv[ 4 ] - ( S3*sv[3] );
+		dy5 = sy[ 5 ] - ( S4*sy[4] );
+		dv5 = sv[ 5 ] - ( S4*sv[4] );
+		dy6 = sy[ 6 ] - ( S5*sy[5] );
+		dv6 = sv[ 6 ] - ( S5*sv[5] );
+		dy7 = sy[ 7 ] - ( S6*sy[6] );
+		dv7 = sv[ 7 ] - ( S6*sv[6] );
+		dy8 = sy[ 8 ] - ( S7*sy[7] );
+		dv8 = sv[ 8 ] - ( S7*sv[7] );
+		idx = reverse( idx );
+	}
+	// Set the pointers to the first indexed elements in the respective ndarrays:
+	ix = x.offset;
+	iy = y.offset;
+	iv = 0;
+
+	// Cache references to the input ndarray buffers:
+	xbuf = x.data;
+	ybuf = y.data;
+
+	// Initialize a counter:
+	count = 0;
+
+	// Cache the number of elements which may pass a test before we stop iterating:
+	limit = opts.limit;
+
+	// Cache the manner in which to provide element indices to the predicate function:
+	imode = opts.indices;
+
+	// Cache the signal for aborting the operation:
+	signal = opts.signal;
+
+	// Cache the callback for reporting progress, the number of elements between successive progress reports, and the total number of elements:
+	onProgress = opts.onProgress;
+	interval = opts.progressInterval;
+	total = opts.total;
+
+	// Initialize a counter for the number of processed elements:
+	processed = 0;
+
+	// Initialize a counter for the number of tested elements, which determines when to check whether the operation has been aborted:
+	n = 0;
+
+	// Initialize an array for storing the indices of the current element:
+	sub = zeros( sh.length );
+
+	// Iterate over the ndarray dimensions...
+	for ( i8 = 0; i8 < S8; i8++ ) {
+		for ( i7 = 0; i7 < S7; i7++ ) {
+			for ( i6 = 0; i6 < S6; i6++ ) {
+				for ( i5 = 0; i5 < S5; i5++ ) {
+					for ( i4 = 0; i4 < S4; i4++ ) {
+						for ( i3 = 0; i3 < S3; i3++ ) {
+							for ( i2 = 0; i2 < S2; i2++ ) {
+								for ( i1 = 0; i1 < S1; i1++ ) {
+									// Test elements using a loop specific to the manner in which element indices are provided, thus avoiding branching on the manner for each element...
+									if ( imode === 'none' ) {
+										for ( i0 = 0; i0 < S0; i0++ ) {
+											// Periodically check whether the operation has been aborted...
+											if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+												throw abortError( signal, count );
+											}
+											n += 1;
+											bool = predicate.call( thisArg, xbuf[ ix ], ybuf[ iy ] ); // eslint-disable-line max-len
+											if ( bool ) {
+												count += 1;
+												if ( count === limit ) {
+													return count;
+												}
+											}
+											// Report progress at regular intervals...
+											if ( onProgress ) {
+												processed += 1;
+												if ( processed % interval === 0 || processed === total ) {
+													onProgress( processed, total );
+												}
+											}
+											ix += dx0;
+											iy += dy0;
+											iv += dv0;
+										}
+									} else if ( imode === 'shared' ) {
+										sub[ idx[ 0 ] ] = i8;
+										sub[ idx[ 1 ] ] = i7;
+										sub[ idx[ 2 ] ] = i6;
+										sub[ idx[ 3 ] ] = i5;
+										sub[ idx[ 4 ] ] = i4;
+										sub[ idx[ 5 ] ] = i3;
+										sub[ idx[ 6 ] ] = i2;
+										sub[ idx[ 7 ] ] = i1;
+										for ( i0 = 0; i0 < S0; i0++ ) {
+											// Periodically check whether the operation has been aborted...
+											if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+												throw abortError( signal, count );
+											}
+											n += 1;
+											sub[ idx[ 8 ] ] = i0;
+											bool = predicate.call( thisArg, xbuf[ ix ], ybuf[ iy ], sub ); // eslint-disable-line max-len
+											if ( bool ) {
+												count += 1;
+												if ( count === limit ) {
+													return count;
+												}
+											}
+											// Report progress at regular intervals...
+											if ( onProgress ) {
+												processed += 1;
+												if ( processed % interval === 0 || processed === total ) {
+													onProgress( processed, total );
+												}
+											}
+											ix += dx0;
+											iy += dy0;
+											iv += dv0;
+										}
+									} else if ( imode === 'linear' ) {
+										for ( i0 = 0; i0 < S0; i0++ ) {
+											// Periodically check whether the operation has been aborted...
+											if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+												throw abortError( signal, count );
+											}
+											n += 1;
+											bool = predicate.call( thisArg, xbuf[ ix ], ybuf[ iy ], iv ); // eslint-disable-line max-len
+											if ( bool ) {
+												count += 1;
+												if ( count === limit ) {
+													return count;
+												}
+											}
+											// Report progress at regular intervals...
+											if ( onProgress ) {
+												processed += 1;
+												if ( processed % interval === 0 || processed === total ) {
+													onProgress( processed, total );
+												}
+											}
+											ix += dx0;
+											iy += dy0;
+											iv += dv0;
+										}
+									} else {
+										for ( i0 = 0; i0 < S0; i0++ ) {
+											// Periodically check whether the operation has been aborted...
+											if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+												throw abortError( signal, count );
+											}
+											n += 1;
+											bool = predicate.call( thisArg, xbuf[ ix ], ybuf[ iy ], take( [ i8, i7, i6, i5, i4, i3, i2, i1, i0 ], idx ) ); // eslint-disable-line max-len
+											if ( bool ) {
+												count += 1;
+												if ( count === limit ) {
+													return count;
+												}
+											}
+											// Report progress at regular intervals...
+											if ( onProgress ) {
+												processed += 1;
+												if ( processed % interval === 0 || processed === total ) {
+													onProgress( processed, total );
+												}
+											}
+											ix += dx0;
+											iy += dy0;
+											iv += dv0;
+										}
+									}
+									ix += dx1;
+									iy += dy1;
+									iv += dv1;
+								}
+								ix += dx2;
+								iy += dy2;
+								iv += dv2;
+							}
+							ix += dx3;
+							iy += dy3;
+							iv += dv3;
+						}
+						ix += dx4;
+						iy += dy4;
+						iv += dv4;
+					}
+					ix += dx5;
+					iy += dy5;
+					iv += dv5;
+				}
+				ix += dx6;
+				iy += dy6;
+				iv += dv6;
+			}
+			ix += dx7;
+			iy += dy7;
+			iv += dv7;
+		}
+		ix += dx8;
+		iy += dy8;
+		iv += dv8;
+	}
+	return count;
+}
+
+
+// EXPORTS //
+
+module.exports = binaryCountIf9d;
@@ -0,0 +1,255 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var numel = require( '@stdlib/ndarray-base-numel' );
+var blockedaccessorcount2d = require( './2d_blocked_accessors.js' );
+var blockedaccessorcount3d = require( './3d_blocked_accessors.js' );
+var blockedaccessorcount4d = require( './4d_blocked_accessors.js' );
+var blockedaccessorcount5d = require( './5d_blocked_accessors.js' );
+var blockedaccessorcount6d = require( './6d_blocked_accessors.js' );
+var blockedaccessorcount7d = require( './7d_blocked_accessors.js' );
+var blockedaccessorcount8d = require( './8d_blocked_accessors.js' );
+var blockedaccessorcount9d = require( './9d_blocked_accessors.js' );
+var blockedaccessorcount10d = require( './10d_blocked_accessors.js' );
+var blockedcount2d = require( './2d_blocked.js' );
+var blockedcount3d = require( './3d_blocked.js' );
+var blockedcount4d = require( './4d_blocked.js' );
+var blockedcount5d = require( './5d_blocked.js' );
+var blockedcount6d = require( './6d_blocked.js' );
+var blockedcount7d = require( './7d_blocked.js' );
+var blockedcount8d = require( './8d_blocked.js' );
+var blockedcount9d = require( './9d_blocked.js' );
+var blockedcount10d = require( './10d_blocked.js' );
+var accessorcount0d = require( './0d_accessors.js' );
+var accessorcount1d = require( './1d_accessors.js' );
+var accessorcount2d = require( './2d_accessors.js' );
+var accessorcount3d = require( './3d_accessors.js' );
+var accessorcount4d = require( './4d_accessors.js' );
+var accessorcount5d = require( './5d_accessors.js' );
+var accessorcount6d = require( './6d_accessors.js' );
+var accessorcount7d = require( './7d_accessors.js' );
+var accessorcount8d = require( './8d_accessors.js' );
+var accessorcount9d = require( './9d_accessors.js' );
+var accessorcount10d = require( './10d_accessors.js' );
+var accessorcountnd = require( './nd_accessors.js' );
+var count0d = require( './0d.js' );
+var count1d = require( './1d.js' );
+var count2d = require( './2d.js' );
+var count3d = require( './3d.js' );
+var count4d = require( './4d.js' );
+var count5d = require( './5d.js' );
+var count6d = require( './6d.js' );
+var count7d = require( './7d.js' );
+var count8d = require( './8d.js' );
+var count9d = require( './9d.js' );
+var count10d = require( './10d.js' );
+var countnd = require( './nd.js' );
+var resolveBlockSize = require( './../block_size.js' );
+var kernelType = require( './kernel_type.js' );
+var isMemoryOrder = require( './../is_memory_order.js' );
+var withIndices = require( './../with_indices.js' );
+var linearize = require( './../linearize.js' );
+var reorder = require( './../reorder.js' );
+
+
+// VARIABLES //
+
+var COUNT = [
+	count0d,
+	count1d,
+	count2d,
+	count3d,
+	count4d,
+	count5d,
+	count6d,
+	count7d,
+	count8d,
+	count9d,
+	count10d
+];
+var ACCESSOR_COUNT = [
+	accessorcount0d,
+	accessorcount1d,
+	accessorcount2d,
+	accessorcount3d,
+	accessorcount4d,
+	accessorcount5d,
+	accessorcount6d,
+	accessorcount7d,
+	accessorcount8d,
+	accessorcount9d,
+	accessorcount10d
+];
+var BLOCKED_COUNT = [
+	blockedcount2d, // 0
+	blockedcount3d,
+	blockedcount4d,
+	blockedcount5d,
+	blockedcount6d,
+	blockedcount7d,
+	blockedcount8d,
+	blockedcount9d,
+	blockedcount10d // 8
+];
+var BLOCKED_ACCESSOR_COUNT = [
+	blockedaccessorcount2d, // 0
+	blockedaccessorcount3d,
+	blockedaccessorcount4d,
+	blockedaccessorcount5d,
+	blockedaccessorcount6d,
+	blockedaccessorcount7d,
+	blockedaccessorcount8d,
+	blockedaccessorcount9d,
+	blockedaccessorcount10d // 8
+];
+
+
+// MAIN //
+
+/**
+* Counts the number of pairs of corresponding elements in two ndarrays which pass a test implemented by a predicate function.
+*
+* @private
+* @param {Object} x - object containing first input ndarray meta data
+* @param {Object} y - object containing second input ndarray meta data
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {(PositiveInteger|Function|null)} [opts.blockSize] - block size or a function which returns a block size
+* @param {string} [opts.order] - order in which to visit elements
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {integer} result
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( vx, vy ) {
+*    return vx > vy;
+* }
+*
+* // Create the first input ndarray meta data object:
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ),
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* });
+*
+* // Create the second input ndarray meta data object:
+* var y = ndarray2object({
+*     'dtype': 'generic',
+*     'data': [ 2.0, 2.0, 2.0, 2.0, 2.0, 2.0 ],
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 2, 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* });
+*
+* // Define function options:
+* var opts = {
+*     'limit': 6,
+*     'indices': 'array'
+* };
+*
+* // Perform operation:
+* var out = countIf( x, y, opts, predicate );
+* // returns 4
+*/
+function countIf( x, y, opts, predicate, thisArg ) {
+	var order;
+	var ndims;
+	var type;
+	var shx;
+
+	shx = x.shape;
+	ndims = shx.length;
+
+	// Check whether we should stop before visiting any elements...
+	if ( opts.limit === 0 ) {
+		return 0;
+	}
+	// Determine whether we can avoid iteration altogether...
+	if ( ndims === 0 ) {
+		if ( x.accessorProtocol || y.accessorProtocol ) {
+			return ACCESSOR_COUNT[ ndims ]( x, y, opts, predicate, thisArg );
+		}
+		return COUNT[ ndims ]( x, y, opts, predicate, thisArg );
+	}
+	// Check whether we were provided an empty ndarray...
+	if ( numel( shx ) === 0 ) {
+		return 0;
+	}
+	// Check whether we must visit elements in a specified logical order...
+	order = opts.order;
+	if ( order === 'row-major' || order === 'column-major' ) {
+		// As reordering an ndarray changes how linear view indices are resolved, resolve linear view indices according to the first input ndarray order:
+		if ( opts.indices === 'linear' && x.order !== order ) {
+			predicate = linearize( predicate, shx, x.order, 2 );
+			opts = withIndices( opts, 'shared' );
+		}
+		x = reorder( x, order );
+		y = reorder( y, order );
+
+		// When nested loops which iterate according to memory layout do not visit elements in the specified logical order, iterate over linear view indices, which correspond to the specified logical order:
+		if ( !isMemoryOrder( x, order ) ) {
+			if ( x.accessorProtocol || y.accessorProtocol ) {
+				return accessorcountnd( x, y, opts, predicate, thisArg );
+			}
+			return countnd( x, y, opts, predicate, thisArg );
+		}
+	}
+	// Resolve the type of kernel according to how the data of the first input ndarray is stored in memory:
+	type = kernelType( x );
+	if ( type === 'strided' ) {
+		if ( x.accessorProtocol || y.accessorProtocol ) {
+			return ACCESSOR_COUNT[ ndims ]( x, y, opts, predicate, thisArg );
+		}
+		return COUNT[ ndims ]( x, y, opts, predicate, thisArg );
+	}
+	if ( type === 'blocked' ) {
+		// Resolve the block size:
+		opts.blockSize = resolveBlockSize( opts, x.dtype );
+
+		if ( x.accessorProtocol || y.accessorProtocol ) {
+			return BLOCKED_ACCESSOR_COUNT[ ndims-2 ]( x, y, opts, predicate, thisArg );
+		}
+		return BLOCKED_COUNT[ ndims-2 ]( x, y, opts, predicate, thisArg );
+	}
+	// Fall-through to linear view iteration without regard for how data is stored in memory (i.e., take the slow path)...
+	if ( x.accessorProtocol || y.accessorProtocol ) {
+		return accessorcountnd( x, y, opts, predicate, thisArg );
+	}
+	return countnd( x, y, opts, predicate, thisArg );
+}
+
+
+// EXPORTS //
+
+module.exports = countIf;
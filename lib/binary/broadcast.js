@@ -0,0 +1,101 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var numel = require( '@stdlib/ndarray-base-numel' );
+
+
+// MAIN //
+
+/**
+* Returns an object containing meta data for an ndarray view which is broadcast to a specified shape.
+*
+* ## Notes
+*
+* -   The function assumes that the input ndarray is broadcast compatible with the specified shape.
+* -   Dimensions are aligned starting from the last dimension. Prepended dimensions and singleton dimensions which are broadcast have a stride of zero, such that each element along a broadcast dimension maps to the same element in the underlying data buffer.
+*
+* @private
+* @param {Object} x - object containing ndarray meta data
+* @param {NonNegativeIntegerArray} shape - desired shape
+* @returns {Object} object containing broadcast ndarray meta data
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+*
+* var x = ndarray2object({
+*     'dtype': 'generic',
+*     'data': [ 1, 2, 3 ],
+*     'shape': [ 3 ],
+*     'strides': [ 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* });
+*
+* var y = broadcast( x, [ 2, 3 ] );
+*
+* var st = y.strides;
+* // returns [ 0, 1 ]
+*/
+function broadcast( x, shape ) {
+	var strides;
+	var ndims;
+	var sh;
+	var st;
+	var d;
+	var i;
+	var j;
+
+	sh = x.shape;
+	st = x.strides;
+	ndims = shape.length;
+
+	// Compute the number of prepended dimensions:
+	d = ndims - sh.length;
+
+	strides = [];
+	for ( i = 0; i < ndims; i++ ) {
+		j = i - d;
+		if ( j < 0 || sh[ j ] === 1 ) {
+			strides.push( 0 );
+		} else {
+			strides.push( st[ j ] );
+		}
+	}
+	return {
+		'ref': x.ref,
+		'dtype': x.dtype,
+		'data': x.data,
+		'length': numel( shape ),
+		'shape': shape,
+		'strides': strides,
+		'offset': x.offset,
+		'order': x.order,
+		'accessorProtocol': x.accessorProtocol,
+		'accessors': x.accessors
+	};
+}
+
+
+// EXPORTS //
+
+module.exports = broadcast;
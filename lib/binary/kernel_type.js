@@ -0,0 +1,84 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var iterationOrder = require( '@stdlib/ndarray-base-iteration-order' );
+
+
+// VARIABLES //
+
+var MAX_DIMS = 10;
+
+
+// MAIN //
+
+/**
+* Returns the type of kernel for counting the number of pairs of corresponding elements in two ndarrays which pass a test implemented by a predicate function.
+*
+* ## Notes
+*
+* -   The function returns one of the following kernel types:
+*
+*     -   **strided**: nested loops.
+*     -   **blocked**: nested loops with loop tiling.
+*     -   **nd**: iteration over linear view indices for ndarrays having any number of dimensions.
+*
+* -   The function assumes that the input ndarrays are not empty.
+*
+* @private
+* @param {Object} x - object containing first input ndarray meta data
+* @returns {string} kernel type
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( 6 ),
+*     'shape': [ 3, 2 ],
+*     'strides': [ -2, 1 ],
+*     'offset': 4,
+*     'order': 'row-major'
+* });
+*
+* var t = kernelType( x );
+* // returns 'blocked'
+*/
+function kernelType( x ) {
+	var ndims = x.shape.length;
+
+	// Determine whether we can avoid iteration altogether...
+	if ( ndims === 0 ) {
+		return 'strided';
+	}
+	if ( ndims <= MAX_DIMS ) {
+		// So long as iteration always moves in the same direction (i.e., no mixed sign strides), we can leverage cache-optimal (i.e., normal) nested loops without resorting to blocked iteration...
+		return ( iterationOrder( x.strides ) === 0 ) ? 'blocked' : 'strided';
+	}
+	// Fall-through to linear view iteration without regard for how data is stored in memory (i.e., take the slow path)...
+	return 'nd';
+}
+
+
+// EXPORTS //
+
+module.exports = kernelType;
@@ -0,0 +1,141 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var broadcastShapes = require( '@stdlib/ndarray-base-broadcast-shapes' );
+var isFunction = require( '@stdlib/assert-is-function' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var join = require( '@stdlib/array-base-join' );
+var format = require( '@stdlib/string-format' );
+var isDescriptor = require( './../builtin/is_descriptor.js' );
+var predicateError = require( './../predicate_error.js' );
+var resolve = require( './../options.js' );
+var broadcast = require( './broadcast.js' );
+var base = require( './base.js' );
+
+
+// MAIN //
+
+/**
+* Counts the number of pairs of corresponding elements in two ndarrays which pass a test implemented by a predicate function.
+*
+* ## Notes
+*
+* -   The input ndarrays must be broadcast compatible. Each pair of corresponding elements is determined according to the broadcast shape, and element indices are provided with respect to the broadcast shape.
+* -   The predicate function is provided an element from each input ndarray, followed by element indices.
+* -   When not provided an `indices` option, if the predicate function declares fewer than three parameters, the predicate function is only provided element values, thus avoiding the allocation of an array of element indices for each tested pair of elements.
+* -   When provided a `signal` option, the function periodically checks whether the signal has been aborted, and, if so, stops iterating and throws an error whose `name` property is `'AbortError'` and whose `count` property is the number of pairs of elements which passed a test before the operation was aborted.
+* -   When provided an `onProgress` option, the function periodically invokes the callback with two arguments: the number of processed pairs of elements and the total number of pairs of elements. For blocked iteration, the callback is invoked upon completing each block. Otherwise, the callback is invoked every `progressInterval` processed pairs of elements and upon processing the last pair of elements.
+*
+* @param {ArrayLikeObject<Object>} arrays - array-like object containing two input ndarrays
+* @param {Options} [options] - function options
+* @param {NonNegativeInteger} [options.limit] - maximum number of element pairs which may pass a test before the function stops iterating
+* @param {string} [options.indices] - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [options.signal] - signal for aborting the operation
+* @param {Function} [options.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [options.progressInterval=1024] - number of processed elements between successive progress reports
+* @param {(PositiveInteger|Function)} [options.blockSize] - block size (in units of elements) for performing loop tiling or a function which returns a block size for a provided data type
+* @param {string} [options.order='memory'] - order in which to visit elements
+* @param {Function} predicate - predicate function
+* @param {thisArg} [thisArg] - predicate function execution context
+* @throws {TypeError} must provide a predicate function
+* @throws {Error} input ndarrays must be broadcast compatible
+* @throws {Error} operation was aborted
+* @returns {integer} result
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( vx, vy ) {
+*    return vx > vy;
+* }
+*
+* // Create data buffers:
+* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+* var ybuf = new Float64Array( [ 2.0, 5.0 ] );
+*
+* // Create the first input ndarray-like object:
+* var x = {
+*     'dtype': 'float64',
+*     'data': xbuf,
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* };
+*
+* // Create the second input ndarray-like object, which will be broadcast against the first input ndarray:
+* var y = {
+*     'dtype': 'float64',
+*     'data': ybuf,
+*     'shape': [ 2 ],
+*     'strides': [ 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+*
+* // Perform operation:
+* var out = binary( [ x, y ], predicate );
+* // returns 3
+*/
+function binary( arrays, options, predicate, thisArg ) {
+	var shape;
+	var clbk;
+	var opts;
+	var ctx;
+	var x;
+	var y;
+
+	if ( isFunction( options ) || isDescriptor( options ) ) {
+		opts = {};
+		clbk = options;
+		ctx = predicate;
+	} else {
+		opts = options;
+		clbk = predicate;
+		ctx = thisArg;
+	}
+	if ( !isFunction( clbk ) ) {
+		throw predicateError( clbk );
+	}
+	opts = resolve( opts, clbk, 2 );
+
+	// Unpack the ndarrays and standardize ndarray meta data:
+	x = ndarray2object( arrays[ 0 ] );
+	y = ndarray2object( arrays[ 1 ] );
+
+	// Resolve the shape over which to iterate:
+	shape = broadcastShapes( [ x.shape, y.shape ] );
+	if ( shape === null ) {
+		throw new Error( format( 'invalid argument. Input ndarrays must be broadcast compatible. Shapes: [%s] and [%s].', join( x.shape, ',' ), join( y.shape, ',' ) ) );
+	}
+	// Resolve the total number of pairs of elements for reporting progress, noting that a zero-dimensional ndarray contains a single element:
+	opts.total = ( shape.length === 0 ) ? 1 : numel( shape );
+
+	return base( broadcast( x, shape ), broadcast( y, shape ), opts, clbk, ctx );
+}
+
+
+// EXPORTS //
+
+module.exports = binary;
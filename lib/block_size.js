@@ -0,0 +1,69 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var blockSize = require( '@stdlib/ndarray-base-nullary-tiling-block-size' );
+var isFunction = require( '@stdlib/assert-is-function' );
+
+
+// MAIN //
+
+/**
+* Resolves the block size (in units of elements) for performing loop tiling.
+*
+* ## Notes
+*
+* -   When the `blockSize` option is a function, the function is invoked with the ndarray data type and should return a block size.
+* -   When not provided a `blockSize` option, the function returns the default block size for the ndarray data type.
+*
+* @private
+* @param {Object} opts - resolved options
+* @param {(PositiveInteger|Function|null)} opts.blockSize - block size or a function which returns a block size
+* @param {*} dtype - data type
+* @returns {PositiveInteger} block size
+*
+* @example
+* var bsize = resolveBlockSize( { 'blockSize': null }, 'float64' );
+* // returns 8
+*
+* bsize = resolveBlockSize( { 'blockSize': 32 }, 'float64' );
+* // returns 32
+*
+* function fcn( dtype ) {
+*     return ( dtype === 'float64' ) ? 16 : 64;
+* }
+*
+* bsize = resolveBlockSize( { 'blockSize': fcn }, 'float64' );
+* // returns 16
+*/
+function resolveBlockSize( opts, dtype ) {
+	var bsize = opts.blockSize;
+	if ( isFunction( bsize ) ) {
+		return bsize( dtype );
+	}
+	return bsize || blockSize( dtype );
+}
+
+
+// EXPORTS //
+
+module.exports = resolveBlockSize;
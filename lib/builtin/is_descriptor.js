@@ -0,0 +1,59 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var isString = require( '@stdlib/assert-is-string' ).isPrimitive;
+var isObject = require( '@stdlib/assert-is-object' );
+
+
+// MAIN //
+
+/**
+* Tests whether a value is a predicate descriptor.
+*
+* ## Notes
+*
+* -   A predicate descriptor is either a string specifying an operation (e.g., `'isnan'`) or an object having an `op` property specifying an operation (e.g., `{ 'op': 'gt', 'value': 0 }`).
+* -   As strings which do not specify a supported operation are interpreted as expressions (e.g., `'x > 0'`), the function returns `true` for any string.
+* -   As function options objects do not have an `op` property, the function can be used to distinguish a predicate descriptor from an options object.
+*
+* @private
+* @param {*} value - value to test
+* @returns {boolean} boolean indicating whether a value is a predicate descriptor
+*
+* @example
+* var bool = isDescriptor( 'isnan' );
+* // returns true
+*
+* bool = isDescriptor( { 'op': 'gt', 'value': 0 } );
+* // returns true
+*
+* bool = isDescriptor( { 'limit': 5 } );
+* // returns false
+*/
+function isDescriptor( value ) {
+	return isString( value ) || ( isObject( value ) && isString( value.op ) );
+}
+
+
+// EXPORTS //
+
+module.exports = isDescriptor;
@@ -0,0 +1,50 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var hasOwnProp = require( '@stdlib/assert-has-own-property' );
+var LOOPS = require( './loops.js' );
+
+
+// MAIN //
+
+/**
+* Tests whether a value is a supported predicate descriptor operation.
+*
+* @private
+* @param {*} value - value to test
+* @returns {boolean} boolean indicating whether a value is a supported operation
+*
+* @example
+* var bool = isOperation( 'isnan' );
+* // returns true
+*
+* bool = isOperation( 'x > 0' );
+* // returns false
+*/
+function isOperation( value ) {
+	return hasOwnProp( LOOPS, value );
+}
+
+
+// EXPORTS //
+
+module.exports = isOperation;
@@ -0,0 +1,532 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var isnan = require( '@stdlib/math-base-assert-is-nan' );
+
+
+// FUNCTIONS //
+
+/**
+* Counts the number of strided array elements which are equal to a value.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function eq( N, x, stride, offset, d ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( x[ ix ] === v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are equal to a value using an element accessor.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @param {Function} get - element accessor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function eqAccessors( N, x, stride, offset, d, get ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( get( x, ix ) === v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are not equal to a value.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function ne( N, x, stride, offset, d ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( x[ ix ] !== v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are not equal to a value using an element accessor.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @param {Function} get - element accessor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function neAccessors( N, x, stride, offset, d, get ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( get( x, ix ) !== v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are greater than a value.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function gt( N, x, stride, offset, d ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( x[ ix ] > v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are greater than a value using an element accessor.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @param {Function} get - element accessor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function gtAccessors( N, x, stride, offset, d, get ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( get( x, ix ) > v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are greater than or equal to a value.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function ge( N, x, stride, offset, d ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( x[ ix ] >= v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are greater than or equal to a value using an element accessor.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @param {Function} get - element accessor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function geAccessors( N, x, stride, offset, d, get ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( get( x, ix ) >= v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are less than a value.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function lt( N, x, stride, offset, d ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( x[ ix ] < v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are less than a value using an element accessor.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @param {Function} get - element accessor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function ltAccessors( N, x, stride, offset, d, get ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( get( x, ix ) < v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are less than or equal to a value.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function le( N, x, stride, offset, d ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( x[ ix ] <= v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are less than or equal to a value using an element accessor.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @param {Function} get - element accessor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function leAccessors( N, x, stride, offset, d, get ) {
+	var count;
+	var ix;
+	var v;
+	var i;
+
+	v = d.value;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( get( x, ix ) <= v ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are within an inclusive range.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function within( N, x, stride, offset, d ) {
+	var count;
+	var lo;
+	var hi;
+	var ix;
+	var v;
+	var i;
+
+	lo = d.min;
+	hi = d.max;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		v = x[ ix ];
+		if ( v >= lo && v <= hi ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are within an inclusive range using an element accessor.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @param {Function} get - element accessor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function withinAccessors( N, x, stride, offset, d, get ) {
+	var count;
+	var lo;
+	var hi;
+	var ix;
+	var v;
+	var i;
+
+	lo = d.min;
+	hi = d.max;
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		v = get( x, ix );
+		if ( v >= lo && v <= hi ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are `NaN`.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function nan( N, x, stride, offset ) {
+	var count;
+	var ix;
+	var i;
+
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( isnan( x[ ix ] ) ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+/**
+* Counts the number of strided array elements which are `NaN` using an element accessor.
+*
+* @private
+* @param {NonNegativeInteger} N - number of indexed elements
+* @param {Collection} x - input data buffer
+* @param {integer} stride - stride length
+* @param {NonNegativeInteger} offset - starting index
+* @param {Object} d - predicate descriptor
+* @param {Function} get - element accessor
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function nanAccessors( N, x, stride, offset, d, get ) {
+	var count;
+	var ix;
+	var i;
+
+	count = 0;
+	ix = offset;
+	for ( i = 0; i < N; i++ ) {
+		if ( isnan( get( x, ix ) ) ) {
+			count += 1;
+		}
+		ix += stride;
+	}
+	return count;
+}
+
+
+// MAIN //
+
+/**
+* Table mapping supported predicate descriptor operations to strided loops for indexed and accessor arrays, respectively.
+*
+* ## Notes
+*
+* -   Each loop has the signature `loop( N, x, stride, offset, d[, get] )`, where `d` is a predicate descriptor, and performs the test inline, thus avoiding a function call per element.
+* -   The loops are only invoked in environments which do not permit runtime code evaluation. Otherwise, loops specialized for particular data types are compiled from source code templates (see `./specialize.js`).
+*
+* @private
+* @name LOOPS
+* @type {Object}
+*/
+var LOOPS = {
+	'eq': [ eq, eqAccessors ],
+	'ne': [ ne, neAccessors ],
+	'gt': [ gt, gtAccessors ],
+	'ge': [ ge, geAccessors ],
+	'lt': [ lt, ltAccessors ],
+	'le': [ le, leAccessors ],
+	'within': [ within, withinAccessors ],
+	'isnan': [ nan, nanAccessors ]
+};
+
+
+// EXPORTS //
+
+module.exports = LOOPS;
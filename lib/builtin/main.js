@@ -0,0 +1,116 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var isString = require( '@stdlib/assert-is-string' ).isPrimitive;
+var format = require( '@stdlib/string-format' );
+var traverse = require( './traversal.js' );
+var resolve = require( './resolve.js' );
+
+
+// VARIABLES //
+
+// Operands required by each operation:
+var OPERANDS = {
+	'eq': [ 'value' ],
+	'ne': [ 'value' ],
+	'gt': [ 'value' ],
+	'ge': [ 'value' ],
+	'lt': [ 'value' ],
+	'le': [ 'value' ],
+	'within': [ 'min', 'max' ],
+	'isnan': []
+};
+
+
+// MAIN //
+
+/**
+* Counts the number of elements in an ndarray which pass a test specified by a predicate descriptor.
+*
+* @private
+* @param {Object} x - object containing ndarray meta data
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {(string|Object)} descriptor - predicate descriptor
+* @throws {Error} must provide a supported operation
+* @throws {Error} must provide the operands required by the operation
+* @throws {Error} operation was aborted
+* @returns {NonNegativeInteger} result
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create the input ndarray meta data object:
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ),
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* });
+*
+* // Define the function options:
+* var opts = {
+*     'limit': Infinity,
+*     'signal': null,
+*     'onProgress': null,
+*     'progressInterval': 1024,
+*     'total': 6
+* };
+*
+* // Perform operation:
+* var out = countIf( x, opts, { 'op': 'gt', 'value': 0.0 } );
+* // returns 5
+*/
+function countIf( x, opts, descriptor ) {
+	var loop;
+	var ops;
+	var d;
+	var i;
+
+	// Normalize the predicate descriptor:
+	d = ( isString( descriptor ) ) ? { 'op': descriptor } : descriptor;
+
+	// Resolve a loop which is specialized for the operation and the ndarray data type:
+	loop = resolve( d.op, x.dtype, x.accessorProtocol );
+
+	// As a comparison against a missing operand would silently fail for every element, ensure that the predicate descriptor specifies each operand required by the operation:
+	ops = OPERANDS[ d.op ];
+	for ( i = 0; i < ops.length; i++ ) {
+		if ( d[ ops[ i ] ] === void 0 ) {
+			throw new Error( format( 'invalid argument. Predicate descriptor must specify a `%s` property when the operation is `%s`.', ops[ i ], d.op ) );
+		}
+	}
+	// Test elements using the specialized loop:
+	return traverse( x, opts, loop, d );
+}
+
+
+// EXPORTS //
+
+module.exports = countIf;
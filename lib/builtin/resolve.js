@@ -0,0 +1,110 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var isRealFloatingPointDataType = require( '@stdlib/ndarray-base-assert-is-real-floating-point-data-type' );
+var isRealDataType = require( '@stdlib/ndarray-base-assert-is-real-data-type' );
+var isBooleanDataType = require( '@stdlib/ndarray-base-assert-is-boolean-data-type' );
+var hasOwnProp = require( '@stdlib/assert-has-own-property' );
+var format = require( '@stdlib/string-format' );
+var isCodegenSupported = require( './../codegen/is_supported.js' );
+var specialize = require( './specialize.js' );
+var LOOPS = require( './loops.js' );
+
+
+// VARIABLES //
+
+// Cache of strided loops specialized for particular operations and data types:
+var CACHE = {};
+
+
+// FUNCTIONS //
+
+/**
+* Returns the number of strided array elements which pass a test which no element can pass.
+*
+* @private
+* @returns {NonNegativeInteger} number of elements which pass the test
+*/
+function never() {
+	return 0;
+}
+
+
+// MAIN //
+
+/**
+* Returns a loop for counting the number of strided array elements which pass a test specified by a predicate descriptor.
+*
+* ## Notes
+*
+* -   Each returned loop has the signature `loop( N, x, stride, offset, d[, get] )` (see `./loops.js`).
+* -   When an ndarray data type cannot represent values which pass a test (e.g., integer ndarrays cannot contain `NaN`), the function returns a loop which does not visit any elements.
+* -   If the current environment permits runtime code evaluation, the function compiles a separate (cached) loop for each operation, data type, and data buffer kind (i.e., indexed or accessor), such that each loop only ever observes a single data buffer type and remains monomorphic. Otherwise, the function returns a loop which is shared across data types.
+*
+* @private
+* @param {string} op - operation
+* @param {string} dtype - ndarray data type
+* @param {boolean} accessors - boolean indicating whether an ndarray data buffer uses accessors
+* @throws {Error} must provide a supported operation
+* @returns {Function} loop
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* var loop = resolve( 'gt', 'float64', false );
+* // returns <Function>
+*
+* var x = new Float64Array( [ 1.0, -2.0, 3.0, -4.0 ] );
+*
+* var count = loop( x.length, x, 1, 0, { 'op': 'gt', 'value': 0.0 } );
+* // returns 2
+*
+* @example
+* var loop = resolve( 'isnan', 'int32', false );
+* // returns <Function>
+*/
+function resolve( op, dtype, accessors ) {
+	var loop;
+	var key;
+	if ( !hasOwnProp( LOOPS, op ) ) {
+		throw new Error( format( 'invalid argument. Predicate descriptor must specify a supported operation. Value: `%s`.', op ) );
+	}
+	// Integer and boolean ndarrays cannot contain `NaN`, so we can avoid iteration altogether...
+	if ( op === 'isnan' && ( isBooleanDataType( dtype ) || ( isRealDataType( dtype ) && !isRealFloatingPointDataType( dtype ) ) ) ) { // eslint-disable-line max-len
+		return never;
+	}
+	loop = LOOPS[ op ][ ( accessors ) ? 1 : 0 ];
+	if ( !isCodegenSupported() ) {
+		return loop;
+	}
+	// Compile a separate loop for each data type, such that each loop only ever observes a single data buffer type...
+	key = op + ':' + String( dtype ) + ( ( accessors ) ? ':accessors' : '' );
+	if ( !hasOwnProp( CACHE, key ) ) {
+		CACHE[ key ] = specialize( op, accessors );
+	}
+	return CACHE[ key ];
+}
+
+
+// EXPORTS //
+
+module.exports = resolve;
@@ -0,0 +1,108 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var factory = require( './../expression/factory.js' );
+
+
+// VARIABLES //
+
+/**
+* Table mapping supported predicate descriptor operations to the source code of the test performed for each element.
+*
+* ## Notes
+*
+* -   Within a test, `x` refers to the current element, `v` refers to the value of a predicate descriptor's `value` property, and `lo` and `hi` refer to the values of a predicate descriptor's `min` and `max` properties, respectively.
+*
+* @private
+* @name TESTS
+* @type {Object}
+*/
+var TESTS = {
+	'eq': 'x === v',
+	'ne': 'x !== v',
+	'gt': 'x > v',
+	'ge': 'x >= v',
+	'lt': 'x < v',
+	'le': 'x <= v',
+	'within': 'x >= lo && x <= hi',
+	'isnan': 'isnan( x )'
+};
+
+
+// MAIN //
+
+/**
+* Compiles a strided loop which counts the number of elements which pass a test specified by a predicate descriptor operation.
+*
+* ## Notes
+*
+* -   The returned loop has the same signature as the loops in `./loops.js` (i.e., `loop( N, x, stride, offset, d[, get] )`).
+* -   As each invocation compiles a new function, a loop which is only ever provided a single data buffer type remains monomorphic, regardless of the data buffer types provided to other loops.
+* -   The function should only be invoked in environments which permit runtime code evaluation (see `./../codegen/is_supported.js`).
+*
+* @private
+* @param {string} op - supported operation
+* @param {boolean} accessors - boolean indicating whether to compile a loop for a data buffer which uses accessors
+* @returns {Function} strided loop
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* var loop = specialize( 'gt', false );
+* // returns <Function>
+*
+* var x = new Float64Array( [ 1.0, -2.0, 3.0, -4.0 ] );
+*
+* var count = loop( x.length, x, 1, 0, { 'op': 'gt', 'value': 0.0 } );
+* // returns 2
+*/
+function specialize( op, accessors ) {
+	return factory([
+		'return function loop( N, buf, stride, offset, d, get ) {',
+		'\tvar count;',
+		'\tvar lo;',
+		'\tvar hi;',
+		'\tvar ix;',
+		'\tvar v;',
+		'\tvar x;',
+		'\tvar i;',
+		'\tv = d.value;',
+		'\tlo = d.min;',
+		'\thi = d.max;',
+		'\tcount = 0;',
+		'\tix = offset;',
+		'\tfor ( i = 0; i < N; i++ ) {',
+		( accessors ) ? '\t\tx = get( buf, ix );' : '\t\tx = buf[ ix ];',
+		'\t\tif ( ' + TESTS[ op ] + ' ) {',
+		'\t\t\tcount += 1;',
+		'\t\t}',
+		'\t\tix += stride;',
+		'\t}',
+		'\treturn count;',
+		'};'
+	].join( '\n' ));
+}
+
+
+// EXPORTS //
+
+module.exports = specialize;
@@ -0,0 +1,328 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var loopOrder = require( '@stdlib/ndarray-base-unary-loop-interchange-order' );
+var iterationOrder = require( '@stdlib/ndarray-base-iteration-order' );
+var strides2order = require( '@stdlib/ndarray-base-strides2order' );
+var take = require( '@stdlib/array-base-take-indexed' );
+var zeroTo = require( '@stdlib/array-base-zero-to' );
+var reverse = require( '@stdlib/array-base-reverse' );
+var zeros = require( '@stdlib/array-base-zeros' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var PINF = require( '@stdlib/constants-float64-pinf' );
+var resolveBlockSize = require( './../block_size.js' );
+var abortError = require( './../abort_error.js' );
+
+
+// VARIABLES //
+
+// Maximum number of dimensions supported by the dimension-specific kernels (see `./../base.js`):
+var MAX_DIMS = 10;
+
+// Maximum number of elements to test before checking whether the operation has been aborted:
+var SEGMENT_LENGTH = 1024;
+
+
+// MAIN //
+
+/**
+* Counts the number of elements in an ndarray which pass a test performed by a strided loop.
+*
+* ## Notes
+*
+* -   The function visits elements using the same traversal strategy as the kernels dispatched to by `./../base.js`. For ndarrays having mixed sign strides, the function performs blocked iteration according to stride magnitude. Otherwise, the function iterates over dimensions according to the memory layout of the ndarray.
+* -   Rather than invoking a predicate function for each element, the function delegates each pass over the innermost dimension to a strided loop having the signature `loop( N, x, stride, offset, data[, get] )` which returns the number of elements which pass the test (see `./loops.js`).
+* -   When provided an `order` option specifying a logical order (i.e., either `'row-major'` or `'column-major'`), the function iterates over dimensions according to the logical order, regardless of the memory layout of the ndarray.
+* -   When provided an `onProgress` option, the function reports progress upon completing each block for blocked iteration and every `progressInterval` processed elements otherwise.
+*
+* @private
+* @param {Object} x - object containing ndarray meta data
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {(PositiveInteger|Function|null)} [opts.blockSize] - block size or a function which returns a block size
+* @param {string} [opts.order] - order in which to visit elements
+* @param {Function} loop - strided loop
+* @param {*} data - data to provide to the strided loop (e.g., a predicate descriptor)
+* @throws {Error} operation was aborted
+* @returns {NonNegativeInteger} result
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+* var LOOPS = require( './loops.js' );
+*
+* // Create the input ndarray meta data object:
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ),
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* });
+*
+* // Define the function options:
+* var opts = {
+*     'limit': Infinity,
+*     'signal': null,
+*     'onProgress': null,
+*     'progressInterval': 1024,
+*     'total': 6
+* };
+*
+* // Resolve a strided loop:
+* var loop = LOOPS[ 'gt' ][ 0 ];
+*
+* // Perform operation:
+* var out = traverse( x, opts, loop, { 'op': 'gt', 'value': 0.0 } );
+* // returns 5
+*/
+function traverse( x, opts, loop, data ) {
+	var onProgress;
+	var processed;
+	var interval;
+	var blocked;
+	var signal;
+	var order;
+	var count;
+	var bsize;
+	var limit;
+	var total;
+	var ndims;
+	var xbuf;
+	var get;
+	var idx;
+	var sh;
+	var sx;
+	var ix;
+	var ip;
+	var o;
+	var r;
+	var s;
+	var j;
+	var i;
+	var k;
+	var n;
+	var m;
+
+	// Note on variable naming convention: for each (loop-ordered) dimension `k`, `r[k]` is the number of elements remaining in the block loop, `j[k]` is the index of the first element in the current block, `s[k]` is the current block size, and `i[k]` is the index of the current element relative to the current block...
+
+	// Cache a reference to the input ndarray buffer and its element accessor:
+	xbuf = x.data;
+	get = ( x.accessorProtocol ) ? x.accessors[ 0 ] : null;
+
+	// Cache the number of elements which may pass a test before we stop iterating:
+	limit = opts.limit;
+
+	// Cache the signal for aborting the operation:
+	signal = opts.signal;
+
+	// Cache the callback for reporting progress, the number of elements between successive progress reports, and the total number of elements:
+	onProgress = opts.onProgress;
+	interval = opts.progressInterval;
+	total = opts.total;
+
+	// Check whether we should stop before visiting any elements...
+	if ( limit === 0 ) {
+		return 0;
+	}
+	sh = x.shape;
+	ndims = sh.length;
+
+	// Determine whether we can avoid iteration altogether...
+	if ( ndims === 0 ) {
+		if ( signal && signal.aborted ) {
+			throw abortError( signal, 0 );
+		}
+		count = loop( 1, xbuf, 0, x.offset, data, get );
+		if ( onProgress ) {
+			onProgress( 1, total );
+		}
+		return count;
+	}
+	// Check whether we were provided an empty ndarray...
+	if ( numel( sh ) === 0 ) {
+		return 0;
+	}
+	order = opts.order;
+
+	// Determine whether we need to visit elements in a specified logical order...
+	if ( order === 'row-major' || order === 'column-major' ) {
+		// Order dimensions such that the innermost loop iterates over the dimension having the fastest changing indices in the specified logical order, and treat each dimension as a single block:
+		idx = zeroTo( ndims );
+		if ( order === 'row-major' ) {
+			idx = reverse( idx );
+		}
+		sh = take( sh, idx );
+		sx = take( x.strides, idx );
+		bsize = PINF;
+		blocked = false;
+	} else if ( ndims <= MAX_DIMS && iterationOrder( x.strides ) === 0 ) {
+		// Mirror the blocked kernels by ordering dimensions according to stride magnitude and partitioning each dimension into blocks:
+		o = loopOrder( sh, x.strides, x.strides );
+		sh = o.sh;
+		sx = o.sx;
+		bsize = resolveBlockSize( opts, x.dtype );
+		blocked = true;
+	} else {
+		// Mirror the non-blocked kernels by ordering dimensions such that the innermost loop iterates over the dimension having the fastest changing indices, and treat each dimension as a single block:
+		idx = zeroTo( ndims );
+		if ( ( ndims > MAX_DIMS ) ? ( x.order === 'row-major' ) : ( strides2order( x.strides ) === 1 ) ) {
+			idx = reverse( idx );
+		}
+		sh = take( sh, idx );
+		sx = take( x.strides, idx );
+		bsize = PINF;
+		blocked = false;
+	}
+	// Initialize the loop state:
+	r = zeros( ndims );
+	s = zeros( ndims );
+	j = zeros( ndims );
+	i = zeros( ndims );
+	for ( k = 0; k < ndims; k++ ) {
+		r[ k ] = sh[ k ];
+		block( k );
+	}
+	// Initialize counters for the number of elements which pass a test and the number of processed elements:
+	count = 0;
+	processed = 0;
+
+	// Iterate over blocks...
+	do {
+		// Resolve the index of the first element in the current block:
+		ix = x.offset;
+		for ( k = 0; k < ndims; k++ ) {
+			ix += j[ k ] * sx[ k ];
+		}
+		// Iterate over the innermost dimension for each set of outer element indices within the current block...
+		do {
+			// Test elements in segments in order to periodically check whether the operation has been aborted and to report progress...
+			ip = ix;
+			n = s[ 0 ];
+			while ( n > 0 ) {
+				if ( signal && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				m = ( n < SEGMENT_LENGTH ) ? n : SEGMENT_LENGTH;
+
+				// Ensure that a segment does not extend beyond the next progress report:
+				if ( onProgress && !blocked ) {
+					k = interval - ( processed % interval );
+					if ( k < m ) {
+						m = k;
+					}
+				}
+				count += loop( m, xbuf, sx[ 0 ], ip, data, get );
+				if ( count >= limit ) {
+					return limit;
+				}
+				// Report progress at regular intervals...
+				if ( onProgress && !blocked ) {
+					processed += m;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				ip += m * sx[ 0 ];
+				n -= m;
+			}
+		} while ( nextRow() );
+
+		// Report progress upon completing a block...
+		if ( onProgress && blocked ) {
+			m = 1;
+			for ( k = 0; k < ndims; k++ ) {
+				m *= s[ k ];
+			}
+			processed += m;
+			onProgress( processed, total );
+		}
+	} while ( nextBlock() );
+
+	return count;
+
+	/**
+	* Advances the block loop for a specified dimension.
+	*
+	* @private
+	* @param {NonNegativeInteger} d - loop-ordered dimension index
+	*/
+	function block( d ) {
+		if ( r[ d ] < bsize ) {
+			s[ d ] = r[ d ];
+			r[ d ] = 0;
+		} else {
+			s[ d ] = bsize;
+			r[ d ] -= bsize;
+		}
+		j[ d ] = r[ d ];
+	}
+
+	/**
+	* Advances the outer element loops within the current block and updates the index of the first element along the innermost dimension.
+	*
+	* @private
+	* @returns {boolean} boolean indicating whether the current block has remaining elements
+	*/
+	function nextRow() {
+		var d;
+		for ( d = 1; d < ndims; d++ ) {
+			if ( i[ d ] < s[ d ]-1 ) {
+				i[ d ] += 1;
+				ix += sx[ d ];
+				return true;
+			}
+			ix -= i[ d ] * sx[ d ];
+			i[ d ] = 0;
+		}
+		return false;
+	}
+
+	/**
+	* Advances the block loops, starting from the innermost loop.
+	*
+	* @private
+	* @returns {boolean} boolean indicating whether any blocks remain
+	*/
+	function nextBlock() {
+		var d;
+		for ( d = 0; d < ndims; d++ ) {
+			if ( r[ d ] > 0 ) {
+				block( d );
+				return true;
+			}
+			r[ d ] = sh[ d ];
+			block( d );
+		}
+		return false;
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = traverse;
@@ -0,0 +1,68 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// FUNCTIONS //
+
+/**
+* Comparator for sorting variable names in order of decreasing length.
+*
+* @private
+* @param {string} a - first variable name
+* @param {string} b - second variable name
+* @returns {integer} comparison result
+*/
+function compare( a, b ) {
+	return b.length - a.length;
+}
+
+
+// MAIN //
+
+/**
+* Appends variable declarations to a list of lines of generated source code.
+*
+* ## Notes
+*
+* -   Following the convention of the hand-written kernels, variables are declared in order of decreasing name length.
+*
+* @private
+* @param {Array<string>} lines - lines of generated source code
+* @param {Array<string>} names - variable names
+* @returns {Array<string>} lines of generated source code
+*
+* @example
+* var lines = declare( [], [ 'ix', 'count' ] );
+* // returns [ '\tvar count;', '\tvar ix;' ]
+*/
+function declare( lines, names ) {
+	var i;
+
+	names = names.slice().sort( compare );
+	for ( i = 0; i < names.length; i++ ) {
+		lines.push( '\tvar ' + names[ i ] + ';' );
+	}
+	return lines;
+}
+
+
+// EXPORTS //
+
+module.exports = declare;
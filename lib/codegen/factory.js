@@ -0,0 +1,100 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var unaryLoopOrder = require( '@stdlib/ndarray-base-unary-loop-interchange-order' );
+var loopOrder = require( '@stdlib/ndarray-base-nullary-loop-interchange-order' );
+var blockSize = require( '@stdlib/ndarray-base-nullary-tiling-block-size' );
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var strides2order = require( '@stdlib/ndarray-base-strides2order' );
+var take = require( '@stdlib/array-base-take-indexed' );
+var zeroTo = require( '@stdlib/array-base-zero-to' );
+var reverse = require( '@stdlib/array-base-reverse' );
+var copy = require( '@stdlib/array-base-copy' );
+var zeros = require( '@stdlib/array-base-zeros' );
+var inversePermutation = require( './../inverse_permutation.js' );
+var abortError = require( './../abort_error.js' );
+
+
+// VARIABLES //
+
+// Names of the functions which may be referenced within generated source code:
+var NAMES = [
+	'loopOrder',
+	'unaryLoopOrder',
+	'blockSize',
+	'shape2strides',
+	'strides2order',
+	'take',
+	'zeroTo',
+	'reverse',
+	'copy',
+	'zeros',
+	'inversePermutation',
+	'abortError'
+];
+
+// Corresponding function implementations:
+var IMPLS = [
+	loopOrder,
+	unaryLoopOrder,
+	blockSize,
+	shape2strides,
+	strides2order,
+	take,
+	zeroTo,
+	reverse,
+	copy,
+	zeros,
+	inversePermutation,
+	abortError
+];
+
+
+// MAIN //
+
+/**
+* Evaluates generated kernel source code which returns a function.
+*
+* ## Notes
+*
+* -   The source code is evaluated in a scope in which only the functions listed above are defined.
+*
+* @private
+* @param {string} src - source code of a function body which returns a function
+* @returns {Function} function
+*
+* @example
+* var source = require( './source.js' );
+*
+* var f = factory( source( 11, false, false ) );
+* // returns <Function>
+*/
+function factory( src ) {
+	var f = Function.apply( null, NAMES.concat( [ src ] ) ); // eslint-disable-line no-new-func
+	return f.apply( null, IMPLS );
+}
+
+
+// EXPORTS //
+
+module.exports = factory;
@@ -0,0 +1,49 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MAIN //
+
+/**
+* Returns a string for indenting a line of generated source code.
+*
+* @private
+* @param {NonNegativeInteger} depth - indentation depth
+* @returns {string} indentation
+*
+* @example
+* var s = indent( 2 );
+* // returns '\t\t'
+*/
+function indent( depth ) {
+	var out;
+	var i;
+
+	out = '';
+	for ( i = 0; i < depth; i++ ) {
+		out += '\t';
+	}
+	return out;
+}
+
+
+// EXPORTS //
+
+module.exports = indent;
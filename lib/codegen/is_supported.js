@@ -0,0 +1,60 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// VARIABLES //
+
+// Cached result (`null` until the first invocation):
+var SUPPORTED = null;
+
+
+// MAIN //
+
+/**
+* Tests whether the current environment permits generating kernels at runtime.
+*
+* ## Notes
+*
+* -   Environments may disallow runtime code evaluation (e.g., via a Content Security Policy), in which case the `Function` constructor throws an `EvalError`.
+*
+* @private
+* @returns {boolean} boolean indicating whether the current environment permits generating kernels at runtime
+*
+* @example
+* var bool = isSupported();
+* // returns <boolean>
+*/
+function isSupported() {
+	var f;
+	if ( SUPPORTED === null ) {
+		try {
+			f = new Function( 'return true;' ); // eslint-disable-line no-new-func
+			SUPPORTED = ( f() === true );
+		} catch ( err ) { // eslint-disable-line no-unused-vars
+			SUPPORTED = false;
+		}
+	}
+	return SUPPORTED;
+}
+
+
+// EXPORTS //
+
+module.exports = isSupported;
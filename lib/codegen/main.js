@@ -0,0 +1,77 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var hasOwnProp = require( '@stdlib/assert-has-own-property' );
+var blockedSource = require( './source_blocked.js' );
+var source = require( './source.js' );
+var factory = require( './factory.js' );
+
+
+// VARIABLES //
+
+// Cache of generated kernels:
+var CACHE = {};
+
+
+// MAIN //
+
+/**
+* Returns a kernel for counting the number of elements in an n-dimensional ndarray which pass a test implemented by a predicate function and, optionally, assigning each test result to an output ndarray.
+*
+* ## Notes
+*
+* -   Kernels are generated on demand and cached according to the number of dimensions, whether ndarray data buffers use accessors, whether a kernel performs loop blocking, and whether a kernel assigns test results to an output ndarray. Accordingly, each combination is only generated once.
+* -   A returned kernel has the same signature as the hand-written kernels (e.g., `./../3d.js`, `./../3d_blocked.js`, `./../mask/3d.js`, and `./../mask/3d_blocked.js`).
+*
+* @private
+* @param {PositiveInteger} ndims - number of dimensions (must be greater than one)
+* @param {boolean} accessors - boolean indicating whether ndarray data buffers use accessors
+* @param {boolean} blocked - boolean indicating whether to perform loop blocking
+* @param {boolean} mask - boolean indicating whether to assign each test result to an output ndarray
+* @returns {Function} kernel
+*
+* @example
+* var f = kernel( 11, false, true, false );
+* // returns <Function>
+*/
+function kernel( ndims, accessors, blocked, mask ) {
+	var key;
+	var f;
+
+	key = ndims + ':' + ( ( accessors ) ? 'accessors' : 'indexed' ) + ':' + ( ( blocked ) ? 'blocked' : 'strided' ) + ':' + ( ( mask ) ? 'mask' : 'count' );
+	if ( hasOwnProp( CACHE, key ) ) {
+		return CACHE[ key ];
+	}
+	if ( blocked ) {
+		f = factory( blockedSource( ndims, accessors, mask ) );
+	} else {
+		f = factory( source( ndims, accessors, mask ) );
+	}
+	CACHE[ key ] = f;
+	return f;
+}
+
+
+// EXPORTS //
+
+module.exports = kernel;
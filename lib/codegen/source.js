@@ -0,0 +1,245 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var declare = require( './declare.js' );
+var indent = require( './indent.js' );
+var visit = require( './visit.js' );
+
+
+// VARIABLES //
+
+// Number of elements to test between successive checks of whether the operation has been aborted:
+var CHECK_INTERVAL = 1024;
+
+// Manners in which element indices may be provided to a predicate function, where the last manner is the default:
+var MODES = [ 'none', 'shared', 'linear', 'array' ];
+
+
+// MAIN //
+
+/**
+* Generates the source code of a kernel which counts the number of elements in an n-dimensional ndarray which pass a test implemented by a predicate function and, optionally, assigns each test result to an output ndarray.
+*
+* ## Notes
+*
+* -   The generated kernel mirrors the hand-written kernels (e.g., `./../3d.js` and `./../mask/3d.js`) and has the same signature.
+* -   The generated source code is a function body which expects the following functions to be in scope: `shape2strides`, `strides2order`, `zeroTo`, `reverse`, `zeros`, `take`, and `abortError`.
+*
+* @private
+* @param {PositiveInteger} ndims - number of dimensions (must be greater than one)
+* @param {boolean} accessors - boolean indicating whether to generate a kernel for ndarrays having data buffers which use accessors
+* @param {boolean} mask - boolean indicating whether to generate a kernel which assigns each test result to an output ndarray
+* @returns {string} source code
+*
+* @example
+* var src = source( 11, false, false );
+* // returns <string>
+*/
+function source( ndims, accessors, mask ) {
+	var lines;
+	var names;
+	var name;
+	var subs;
+	var ws;
+	var d;
+	var k;
+	var j;
+	var m;
+
+	if ( mask ) {
+		name = ( accessors ) ? 'accessorMask' + ndims + 'd' : 'mask' + ndims + 'd';
+	} else {
+		name = ( accessors ) ? 'accessorCountIf' + ndims + 'd' : 'countIf' + ndims + 'd';
+	}
+	names = [ 'onProgress', 'processed', 'interval', 'signal', 'count', 'limit', 'imode', 'total', 'xbuf', 'idx', 'sub', 'sh', 'sx', 'sv', 'ix', 'iv', 'n' ];
+	if ( mask ) {
+		names.push( 'ybuf', 'bool', 'sy', 'iy' );
+	}
+	if ( accessors ) {
+		names.push( 'get' );
+		if ( mask ) {
+			names.push( 'set' );
+		}
+	}
+	for ( k = 0; k < ndims; k++ ) {
+		names.push( 'S'+k, 'dx'+k, 'dv'+k, 'i'+k );
+		if ( mask ) {
+			names.push( 'dy'+k );
+		}
+	}
+	lines = [];
+	lines.push( 'return function ' + name + '( x, ' + ( ( mask ) ? 'y, ' : '' ) + 'opts, predicate, thisArg ) {' );
+	declare( lines, names );
+	lines.push( '' );
+
+	// Extract loop variables for purposes of loop interchange:
+	lines.push( '\tsh = x.shape;' );
+	lines.push( '\tsx = x.strides;' );
+	if ( mask ) {
+		lines.push( '\tsy = y.strides;' );
+	}
+	lines.push( '\tsv = shape2strides( sh, x.order );' );
+	lines.push( '\tidx = zeroTo( sh.length );' );
+	lines.push( '\tif ( strides2order( sx ) === 1 ) {' );
+	for ( k = 0; k < ndims; k++ ) {
+		lines.push( '\t\tS' + k + ' = sh[ ' + ( ndims-1-k ) + ' ];' );
+	}
+	lines.push( '\t\tdx0 = sx[ ' + ( ndims-1 ) + ' ];' );
+	if ( mask ) {
+		lines.push( '\t\tdy0 = sy[ ' + ( ndims-1 ) + ' ];' );
+	}
+	lines.push( '\t\tdv0 = sv[ ' + ( ndims-1 ) + ' ];' );
+	for ( k = 1; k < ndims; k++ ) {
+		j = ndims - 1 - k;
+		lines.push( '\t\tdx' + k + ' = sx[ ' + j + ' ] - ( S' + ( k-1 ) + '*sx[' + ( j+1 ) + '] );' );
+		if ( mask ) {
+			lines.push( '\t\tdy' + k + ' = sy[ ' + j + ' ] - ( S' + ( k-1 ) + '*sy[' + ( j+1 ) + '] );' );
+		}
+		lines.push( '\t\tdv' + k + ' = sv[ ' + j + ' ] - ( S' + ( k-1 ) + '*sv[' + ( j+1 ) + '] );' );
+	}
+	lines.push( '\t} else {' );
+	for ( k = 0; k < ndims; k++ ) {
+		lines.push( '\t\tS' + k + ' = sh[ ' + k + ' ];' );
+	}
+	lines.push( '\t\tdx0 = sx[ 0 ];' );
+	if ( mask ) {
+		lines.push( '\t\tdy0 = sy[ 0 ];' );
+	}
+	lines.push( '\t\tdv0 = sv[ 0 ];' );
+	for ( k = 1; k < ndims; k++ ) {
+		lines.push( '\t\tdx' + k + ' = sx[ ' + k + ' ] - ( S' + ( k-1 ) + '*sx[' + ( k-1 ) + '] );' );
+		if ( mask ) {
+			lines.push( '\t\tdy' + k + ' = sy[ ' + k + ' ] - ( S' + ( k-1 ) + '*sy[' + ( k-1 ) + '] );' );
+		}
+		lines.push( '\t\tdv' + k + ' = sv[ ' + k + ' ] - ( S' + ( k-1 ) + '*sv[' + ( k-1 ) + '] );' );
+	}
+	lines.push( '\t\tidx = reverse( idx );' );
+	lines.push( '\t}' );
+
+	// Initialize state:
+	lines.push( '\tix = x.offset;' );
+	if ( mask ) {
+		lines.push( '\tiy = y.offset;' );
+	}
+	lines.push( '\tiv = 0;' );
+	lines.push( '\txbuf = x.data;' );
+	if ( mask ) {
+		lines.push( '\tybuf = y.data;' );
+	}
+	if ( accessors ) {
+		lines.push( '\tget = x.accessors[ 0 ];' );
+		if ( mask ) {
+			lines.push( '\tset = y.accessors[ 1 ];' );
+		}
+	}
+	lines.push( '\tcount = 0;' );
+	lines.push( '\tlimit = opts.limit;' );
+	lines.push( '\timode = opts.indices;' );
+	lines.push( '\tsignal = opts.signal;' );
+	lines.push( '\tonProgress = opts.onProgress;' );
+	lines.push( '\tinterval = opts.progressInterval;' );
+	lines.push( '\ttotal = opts.total;' );
+	lines.push( '\tprocessed = 0;' );
+	lines.push( '\tn = 0;' );
+	lines.push( '\tsub = zeros( sh.length );' );
+
+	// Open the outer loops, from the outermost loop to the loop which encloses the innermost loop:
+	for ( d = 0; d < ndims-1; d++ ) {
+		k = ndims - 1 - d;
+		lines.push( indent( d+1 ) + 'for ( i' + k + ' = 0; i' + k + ' < S' + k + '; i' + k + '++ ) {' );
+	}
+	// Resolve the loop indices of the current element, from the outermost loop to the innermost loop:
+	subs = [];
+	for ( d = 0; d < ndims; d++ ) {
+		subs.push( 'i' + ( ndims-1-d ) );
+	}
+	// Generate a separate innermost loop for each manner in which element indices may be provided to the predicate function, thus avoiding branching on the manner for each element:
+	ws = indent( ndims );
+	for ( m = 0; m < MODES.length; m++ ) {
+		if ( m === 0 ) {
+			lines.push( ws + 'if ( imode === \'' + MODES[ m ] + '\' ) {' );
+		} else if ( m < MODES.length-1 ) {
+			lines.push( ws + '} else if ( imode === \'' + MODES[ m ] + '\' ) {' );
+		} else {
+			lines.push( ws + '} else {' );
+		}
+		if ( MODES[ m ] === 'shared' ) {
+			for ( d = 0; d < ndims-1; d++ ) {
+				lines.push( ws + '\tsub[ idx[ ' + d + ' ] ] = ' + subs[ d ] + ';' );
+			}
+		}
+		lines.push( ws + '\tfor ( i0 = 0; i0 < S0; i0++ ) {' );
+
+		// Periodically check whether the operation has been aborted:
+		lines.push( ws + '\t\tif ( signal && ( n % ' + CHECK_INTERVAL + ' ) === 0 && signal.aborted ) {' );
+		lines.push( ws + '\t\t\tthrow abortError( signal, count );' );
+		lines.push( ws + '\t\t}' );
+		lines.push( ws + '\t\tn += 1;' );
+
+		// Test the current element:
+		if ( MODES[ m ] === 'none' ) {
+			visit( lines, ndims+2, accessors, '', mask );
+		} else if ( MODES[ m ] === 'shared' ) {
+			lines.push( ws + '\t\tsub[ idx[ ' + ( ndims-1 ) + ' ] ] = i0;' );
+			visit( lines, ndims+2, accessors, ', sub, x.ref', mask );
+		} else if ( MODES[ m ] === 'linear' ) {
+			visit( lines, ndims+2, accessors, ', iv, x.ref', mask );
+		} else {
+			visit( lines, ndims+2, accessors, ', take( [ ' + subs.join( ', ' ) + ' ], idx ), x.ref', mask );
+		}
+		lines.push( ws + '\t\tif ( onProgress ) {' );
+		lines.push( ws + '\t\t\tprocessed += 1;' );
+		lines.push( ws + '\t\t\tif ( processed % interval === 0 || processed === total ) {' );
+		lines.push( ws + '\t\t\t\tonProgress( processed, total );' );
+		lines.push( ws + '\t\t\t}' );
+		lines.push( ws + '\t\t}' );
+		lines.push( ws + '\t\tix += dx0;' );
+		if ( mask ) {
+			lines.push( ws + '\t\tiy += dy0;' );
+		}
+		if ( mask || MODES[ m ] === 'linear' ) {
+			lines.push( ws + '\t\tiv += dv0;' );
+		}
+		lines.push( ws + '\t}' );
+	}
+	lines.push( ws + '}' );
+
+	// Close the outer loops, from the loop which encloses the innermost loop to the outermost loop:
+	for ( k = 1; k < ndims; k++ ) {
+		ws = indent( ndims-k+1 );
+		lines.push( ws + 'ix += dx' + k + ';' );
+		if ( mask ) {
+			lines.push( ws + 'iy += dy' + k + ';' );
+		}
+		lines.push( ws + 'iv += dv' + k + ';' );
+		lines.push( indent( ndims-k ) + '}' );
+	}
+	lines.push( '\treturn count;' );
+	lines.push( '};' );
+	return lines.join( '\n' );
+}
+
+
+// EXPORTS //
+
+module.exports = source;
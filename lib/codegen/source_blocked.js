@@ -0,0 +1,317 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var declare = require( './declare.js' );
+var indent = require( './indent.js' );
+var visit = require( './visit.js' );
+
+
+// VARIABLES //
+
+// Number of elements to test between successive checks of whether the operation has been aborted:
+var CHECK_INTERVAL = 1024;
+
+// Manners in which element indices may be provided to a predicate function, where the last manner is the default:
+var MODES = [ 'none', 'shared', 'linear', 'array' ];
+
+
+// FUNCTIONS //
+
+/**
+* Generates the source code of a block loop nest which provides element indices to a predicate function in a specified manner.
+*
+* ## Notes
+*
+* -   The function mutates the provided array of source code lines.
+* -   Only the linear nest tracks linear view indices.
+*
+* @private
+* @param {StringArray} lines - source code lines
+* @param {PositiveInteger} ndims - number of dimensions (must be greater than one)
+* @param {boolean} accessors - boolean indicating whether to generate a loop nest for ndarrays having data buffers which use accessors
+* @param {boolean} mask - boolean indicating whether to generate a loop nest which assigns each test result to an output ndarray
+* @param {string} mode - manner in which to provide element indices to the predicate function
+* @returns {StringArray} source code lines
+*/
+function nest( lines, ndims, accessors, mask, mode ) {
+	var linear;
+	var prod;
+	var subs;
+	var ws;
+	var d;
+	var k;
+
+	linear = ( mode === 'linear' );
+
+	// Open the block loops, from the outermost loop to the innermost loop:
+	for ( d = 0; d < ndims; d++ ) {
+		k = ndims - 1 - d;
+		ws = indent( d+2 );
+		lines.push( ws + 'for ( j' + k + ' = sh[' + k + ']; j' + k + ' > 0; ) {' );
+		lines.push( ws + '\tif ( j' + k + ' < bsize ) {' );
+		lines.push( ws + '\t\ts' + k + ' = j' + k + ';' );
+		lines.push( ws + '\t\tj' + k + ' = 0;' );
+		lines.push( ws + '\t} else {' );
+		lines.push( ws + '\t\ts' + k + ' = bsize;' );
+		lines.push( ws + '\t\tj' + k + ' -= bsize;' );
+		lines.push( ws + '\t}' );
+		if ( k === ndims-1 ) {
+			lines.push( ws + '\tox' + k + ' = ox + ( j' + k + '*sx[' + k + '] );' );
+			if ( mask ) {
+				lines.push( ws + '\toy' + k + ' = oy + ( j' + k + '*sy[' + k + '] );' );
+			}
+			if ( linear ) {
+				lines.push( ws + '\tov' + k + ' = ov + ( j' + k + '*sv[' + k + '] );' );
+			}
+		} else if ( k > 0 ) {
+			lines.push( ws + '\tox' + k + ' = ox' + ( k+1 ) + ' + ( j' + k + '*sx[' + k + '] );' );
+			if ( mask ) {
+				lines.push( ws + '\toy' + k + ' = oy' + ( k+1 ) + ' + ( j' + k + '*sy[' + k + '] );' );
+			}
+			if ( linear ) {
+				lines.push( ws + '\tov' + k + ' = ov' + ( k+1 ) + ' + ( j' + k + '*sv[' + k + '] );' );
+			}
+		} else {
+			lines.push( ws + '\tix = ox1 + ( j0*sx[0] );' );
+			if ( mask ) {
+				lines.push( ws + '\tiy = oy1 + ( j0*sy[0] );' );
+			}
+			if ( linear ) {
+				lines.push( ws + '\tiv = ov1 + ( j0*sv[0] );' );
+			}
+		}
+		if ( k < ndims-1 ) {
+			lines.push( ws + '\tdx' + ( k+1 ) + ' = sx[' + ( k+1 ) + '] - ( s' + k + '*sx[' + k + '] );' );
+			if ( mask ) {
+				lines.push( ws + '\tdy' + ( k+1 ) + ' = sy[' + ( k+1 ) + '] - ( s' + k + '*sy[' + k + '] );' );
+			}
+			if ( linear ) {
+				lines.push( ws + '\tdv' + ( k+1 ) + ' = sv[' + ( k+1 ) + '] - ( s' + k + '*sv[' + k + '] );' );
+			}
+		}
+	}
+	// Open the outer loops over the elements of the current block, from the outermost loop to the loop which encloses the innermost loop:
+	for ( d = 0; d < ndims-1; d++ ) {
+		k = ndims - 1 - d;
+		ws = indent( ndims+d+2 );
+		lines.push( ws + 'for ( i' + k + ' = 0; i' + k + ' < s' + k + '; i' + k + '++ ) {' );
+	}
+	// Resolve the indices of the current element, from the outermost loop to the innermost loop:
+	subs = [];
+	for ( d = 0; d < ndims; d++ ) {
+		k = ndims - 1 - d;
+		subs.push( 'j' + k + ' + i' + k );
+	}
+	ws = indent( 2*ndims );
+	if ( mode === 'shared' ) {
+		for ( d = 0; d < ndims-1; d++ ) {
+			lines.push( ws + '\tsub[ idx[ ' + d + ' ] ] = ' + subs[ d ] + ';' );
+		}
+	}
+	lines.push( ws + '\tfor ( i0 = 0; i0 < s0; i0++ ) {' );
+
+	// Periodically check whether the operation has been aborted:
+	lines.push( ws + '\t\tif ( signal && ( n % ' + CHECK_INTERVAL + ' ) === 0 && signal.aborted ) {' );
+	lines.push( ws + '\t\t\tthrow abortError( signal, count );' );
+	lines.push( ws + '\t\t}' );
+	lines.push( ws + '\t\tn += 1;' );
+
+	// Test the current element:
+	if ( mode === 'none' ) {
+		visit( lines, ( 2*ndims )+2, accessors, '', mask );
+	} else if ( mode === 'shared' ) {
+		lines.push( ws + '\t\tsub[ idx[ ' + ( ndims-1 ) + ' ] ] = ' + subs[ ndims-1 ] + ';' );
+		visit( lines, ( 2*ndims )+2, accessors, ', sub, x.ref', mask );
+	} else if ( linear ) {
+		visit( lines, ( 2*ndims )+2, accessors, ', iv, x.ref', mask );
+	} else {
+		// As the loop interchange order is not necessarily its own inverse, gather the indices of the current element using the inverse permutation:
+		visit( lines, ( 2*ndims )+2, accessors, ', take( [ ' + subs.join( ', ' ) + ' ], pdx ), x.ref', mask );
+	}
+	lines.push( ws + '\t\tix += dx0;' );
+	if ( mask ) {
+		lines.push( ws + '\t\tiy += dy0;' );
+	}
+	if ( linear ) {
+		lines.push( ws + '\t\tiv += dv0;' );
+	}
+	lines.push( ws + '\t}' );
+
+	// Close the outer loops over the elements of the current block, from the loop which encloses the innermost loop to the outermost loop:
+	for ( k = 1; k < ndims; k++ ) {
+		ws = indent( ( 2*ndims )-k+2 );
+		lines.push( ws + 'ix += dx' + k + ';' );
+		if ( mask ) {
+			lines.push( ws + 'iy += dy' + k + ';' );
+		}
+		if ( linear ) {
+			lines.push( ws + 'iv += dv' + k + ';' );
+		}
+		lines.push( indent( ( 2*ndims )-k+1 ) + '}' );
+	}
+	// Report progress upon completing a block:
+	prod = [];
+	for ( k = 0; k < ndims; k++ ) {
+		prod.push( 's'+k );
+	}
+	ws = indent( ndims+2 );
+	lines.push( ws + 'if ( onProgress ) {' );
+	lines.push( ws + '\tprocessed += ' + prod.join( '*' ) + ';' );
+	lines.push( ws + '\tonProgress( processed, total );' );
+	lines.push( ws + '}' );
+
+	// Close the block loops, from the innermost loop to the outermost loop:
+	for ( k = 0; k < ndims; k++ ) {
+		lines.push( indent( ndims-k+1 ) + '}' );
+	}
+	return lines;
+}
+
+
+// MAIN //
+
+/**
+* Generates the source code of a kernel which counts the number of elements in an n-dimensional ndarray which pass a test implemented by a predicate function and, optionally, assigns each test result to an output ndarray via loop blocking.
+*
+* ## Notes
+*
+* -   The generated kernel mirrors the hand-written blocked kernels (e.g., `./../3d_blocked.js` and `./../mask/3d_blocked.js`) and has the same signature.
+* -   The generated source code is a function body which expects the following functions to be in scope: `loopOrder`, `unaryLoopOrder`, `blockSize`, `shape2strides`, `take`, `reverse`, `copy`, `zeros`, `inversePermutation`, and `abortError`.
+*
+* @private
+* @param {PositiveInteger} ndims - number of dimensions (must be greater than one)
+* @param {boolean} accessors - boolean indicating whether to generate a kernel for ndarrays having data buffers which use accessors
+* @param {boolean} mask - boolean indicating whether to generate a kernel which assigns each test result to an output ndarray
+* @returns {string} source code
+*
+* @example
+* var src = source( 11, false, false );
+* // returns <string>
+*/
+function source( ndims, accessors, mask ) {
+	var lines;
+	var names;
+	var name;
+	var k;
+	var m;
+
+	if ( mask ) {
+		name = ( accessors ) ? 'blockedAccessorMask' + ndims + 'd' : 'blockedMask' + ndims + 'd';
+	} else {
+		name = ( accessors ) ? 'blockedAccessorCountIf' + ndims + 'd' : 'blockedCountIf' + ndims + 'd';
+	}
+	names = [ 'onProgress', 'processed', 'signal', 'count', 'bsize', 'limit', 'imode', 'total', 'xbuf', 'idx', 'pdx', 'sub', 'sh', 'sx', 'sv', 'ox', 'ov', 'ix', 'iv', 'n', 'o' ];
+	if ( mask ) {
+		names.push( 'ybuf', 'bool', 'sy', 'oy', 'iy' );
+	}
+	if ( accessors ) {
+		names.push( 'get' );
+		if ( mask ) {
+			names.push( 'set' );
+		}
+	}
+	for ( k = 0; k < ndims; k++ ) {
+		names.push( 's'+k, 'dx'+k, 'dv'+k, 'i'+k, 'j'+k );
+		if ( mask ) {
+			names.push( 'dy'+k );
+		}
+		if ( k > 0 ) {
+			names.push( 'ox'+k, 'ov'+k );
+			if ( mask ) {
+				names.push( 'oy'+k );
+			}
+		}
+	}
+	lines = [];
+	lines.push( 'return function ' + name + '( x, ' + ( ( mask ) ? 'y, ' : '' ) + 'opts, predicate, thisArg ) {' );
+	declare( lines, names );
+	lines.push( '' );
+
+	// Resolve the loop interchange order and the block size, unless precomputed:
+	if ( mask ) {
+		lines.push( '\to = opts.loopOrder || unaryLoopOrder( x.shape, x.strides, y.strides );' );
+	} else {
+		lines.push( '\to = opts.loopOrder || loopOrder( x.shape, x.strides );' );
+	}
+	lines.push( '\tsh = o.sh;' );
+	lines.push( '\tsx = o.sx;' );
+	if ( mask ) {
+		lines.push( '\tsy = o.sy;' );
+	}
+	lines.push( '\tsv = take( shape2strides( x.shape, x.order ), o.idx );' );
+	lines.push( '\tidx = reverse( copy( o.idx ) );' );
+	lines.push( '\tpdx = inversePermutation( idx );' );
+	lines.push( '\tbsize = opts.blockSize || blockSize( x.dtype );' );
+
+	// Initialize state:
+	lines.push( '\tox = x.offset;' );
+	if ( mask ) {
+		lines.push( '\toy = y.offset;' );
+	}
+	lines.push( '\tov = 0;' );
+	lines.push( '\txbuf = x.data;' );
+	if ( mask ) {
+		lines.push( '\tybuf = y.data;' );
+	}
+	if ( accessors ) {
+		lines.push( '\tget = x.accessors[ 0 ];' );
+		if ( mask ) {
+			lines.push( '\tset = y.accessors[ 1 ];' );
+		}
+	}
+	lines.push( '\tdx0 = sx[0];' );
+	if ( mask ) {
+		lines.push( '\tdy0 = sy[0];' );
+	}
+	lines.push( '\tdv0 = sv[0];' );
+	lines.push( '\tcount = 0;' );
+	lines.push( '\tlimit = opts.limit;' );
+	lines.push( '\timode = opts.indices;' );
+	lines.push( '\tsignal = opts.signal;' );
+	lines.push( '\tonProgress = opts.onProgress;' );
+	lines.push( '\ttotal = opts.total;' );
+	lines.push( '\tprocessed = 0;' );
+	lines.push( '\tn = 0;' );
+	lines.push( '\tsub = zeros( sh.length );' );
+
+	// Generate a separate loop nest for each manner in which element indices may be provided to the predicate function, thus avoiding branching on the manner within the loop nest:
+	for ( m = 0; m < MODES.length; m++ ) {
+		if ( m === 0 ) {
+			lines.push( '\tif ( imode === \'' + MODES[ m ] + '\' ) {' );
+		} else if ( m < MODES.length-1 ) {
+			lines.push( '\t} else if ( imode === \'' + MODES[ m ] + '\' ) {' );
+		} else {
+			lines.push( '\t} else {' );
+		}
+		nest( lines, ndims, accessors, mask, MODES[ m ] );
+	}
+	lines.push( '\t}' );
+	lines.push( '\treturn count;' );
+	lines.push( '};' );
+	return lines.join( '\n' );
+}
+
+
+// EXPORTS //
+
+module.exports = source;
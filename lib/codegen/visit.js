@@ -0,0 +1,80 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var indent = require( './indent.js' );
+
+
+// MAIN //
+
+/**
+* Appends the source code for testing the current element to a list of lines of generated source code.
+*
+* ## Notes
+*
+* -   The generated source code mirrors the innermost loop body of the hand-written kernels (e.g., `./../3d.js` and `./../mask/3d.js`) and assumes that the enclosing function has declared and initialized the same variables.
+*
+* @private
+* @param {Array<string>} lines - lines of generated source code
+* @param {NonNegativeInteger} depth - indentation depth
+* @param {boolean} accessors - boolean indicating whether to generate source code for ndarrays having data buffers which use accessors
+* @param {string} indices - source code for the arguments which follow the current element when invoking the predicate function (e.g., `', iv, x.ref'`)
+* @param {boolean} mask - boolean indicating whether to assign each test result to an output ndarray
+* @returns {Array<string>} lines of generated source code
+*
+* @example
+* var lines = visit( [], 0, false, ', sub, x.ref', false );
+* // returns [...]
+*/
+function visit( lines, depth, accessors, indices, mask ) {
+	var ws;
+	var v;
+
+	ws = indent( depth );
+	v = ( accessors ) ? 'get( xbuf, ix )' : 'xbuf[ ix ]';
+
+	if ( !mask ) {
+		lines.push( ws + 'if ( predicate.call( thisArg, ' + v + indices + ' ) ) {' );
+		lines.push( ws + '\tcount += 1;' );
+		lines.push( ws + '\tif ( count === limit ) {' );
+		lines.push( ws + '\t\treturn count;' );
+		lines.push( ws + '\t}' );
+		lines.push( ws + '}' );
+		return lines;
+	}
+	lines.push( ws + 'bool = predicate.call( thisArg, ' + v + indices + ' );' );
+	lines.push( ws + 'if ( bool ) {' );
+	lines.push( ws + '\t' + ( ( accessors ) ? 'set( ybuf, iy, true );' : 'ybuf[ iy ] = true;' ) );
+	lines.push( ws + '\tcount += 1;' );
+	lines.push( ws + '\tif ( count === limit ) {' );
+	lines.push( ws + '\t\treturn count;' );
+	lines.push( ws + '\t}' );
+	lines.push( ws + '} else {' );
+	lines.push( ws + '\t' + ( ( accessors ) ? 'set( ybuf, iy, false );' : 'ybuf[ iy ] = false;' ) );
+	lines.push( ws + '}' );
+	return lines;
+}
+
+
+// EXPORTS //
+
+module.exports = visit;
@@ -0,0 +1,199 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var isFunction = require( '@stdlib/assert-is-function' );
+var PINF = require( '@stdlib/constants-float64-pinf' );
+var format = require( '@stdlib/string-format' );
+var isDescriptor = require( './../builtin/is_descriptor.js' );
+var predicateError = require( './../predicate_error.js' );
+var resolve = require( './../options.js' );
+var traversal = require( './traversal.js' );
+var abortError = require( './../abort_error.js' );
+
+
+// VARIABLES //
+
+// Default maximum duration (in milliseconds) of a slice:
+var SLICE_DURATION = 10;
+
+// Number of elements to test between successive checks of the elapsed time:
+var CLOCK_INTERVAL = 64;
+
+
+// MAIN //
+
+/**
+* Counts the number of elements in an ndarray which pass a test implemented by a predicate function, periodically yielding to the event loop.
+*
+* ## Notes
+*
+* -   The function tests elements in slices. After each slice, the function yields to the event loop before testing the next slice, thus allowing other tasks (e.g., user interface updates) to run in between slices.
+* -   A slice ends when either the time spent testing elements during the slice equals or exceeds the `sliceDuration` option or the number of elements tested during the slice equals the `sliceSize` option, whichever comes first. As the elapsed time is only checked periodically, a slice may slightly exceed the `sliceDuration` option.
+* -   The first slice is tested synchronously.
+* -   Elements are visited according to the loop blocking strategy used by the dimension-specific blocked kernels, regardless of the number of dimensions and the iteration order of the input ndarray.
+* -   If not provided a predicate function (e.g., if provided a predicate descriptor or an expression), the function returns a promise which rejects.
+* -   The function only supports a single input ndarray. If not provided exactly one input ndarray, the function returns a promise which rejects.
+* -   If provided a `sliceSize` option which is less than one or a `sliceDuration` option which is less than zero, the function returns a promise which rejects.
+* -   If a predicate function throws an error, the function stops testing elements and returns a promise which rejects with the corresponding error.
+* -   When provided an `onProgress` option, the function invokes the callback after each slice with two arguments: the number of processed elements and the total number of elements.
+* -   When provided a `signal` option, the function checks whether the signal has been aborted before each slice and periodically during each slice, and, if so, stops testing elements and rejects with an error whose `name` property is `'AbortError'` and whose `count` property is the number of elements which passed a test before the operation was aborted.
+*
+* @param {ArrayLikeObject<Object>} arrays - array-like object containing an input ndarray
+* @param {Options} [options] - function options
+* @param {NonNegativeInteger} [options.limit] - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} [options.indices] - specifies how to provide element indices to the predicate function
+* @param {NonNegativeNumber} [options.sliceDuration=10] - maximum duration (in milliseconds) of a slice
+* @param {PositiveInteger} [options.sliceSize=Infinity] - maximum number of elements to test during a slice
+* @param {AbortSignal} [options.signal] - signal for aborting the operation
+* @param {Function} [options.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {(PositiveInteger|Function)} [options.blockSize] - block size (in units of elements) for performing loop tiling or a function which returns a block size for a provided data type
+* @param {string} [options.order='memory'] - order in which to visit elements
+* @param {Function} predicate - predicate function
+* @param {thisArg} [thisArg] - predicate function execution context
+* @returns {Promise} promise which resolves the number of elements which pass the test
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 0.0;
+* }
+*
+* // Create a data buffer:
+* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+*
+* // Create the input ndarray-like object:
+* var x = {
+*     'dtype': 'float64',
+*     'data': xbuf,
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* };
+*
+* // Perform operation:
+* cooperative( [ x ], { 'sliceSize': 2 }, predicate ).then( onResolve );
+*
+* function onResolve( count ) {
+*     console.log( count );
+*     // => 5
+* }
+*/
+function cooperative( arrays, options, predicate, thisArg ) {
+	var duration;
+	var size;
+	var clbk;
+	var opts;
+	var ctx;
+	var x;
+
+	if ( isFunction( options ) || isDescriptor( options ) ) {
+		opts = {};
+		clbk = options;
+		ctx = predicate;
+	} else {
+		opts = options;
+		clbk = predicate;
+		ctx = thisArg;
+	}
+	if ( !isFunction( clbk ) ) {
+		return Promise.reject( predicateError( clbk ) );
+	}
+	if ( arrays.length !== 1 ) {
+		return Promise.reject( new Error( format( 'invalid argument. Must provide a single input ndarray. Number of input ndarrays: %d.', arrays.length ) ) );
+	}
+	duration = ( opts.sliceDuration === void 0 ) ? SLICE_DURATION : opts.sliceDuration; // eslint-disable-line max-len
+	size = ( opts.sliceSize === void 0 ) ? PINF : opts.sliceSize;
+	opts = resolve( opts, clbk );
+
+	// Unpack the ndarray and standardize ndarray meta data:
+	x = ndarray2object( arrays[ 0 ] );
+
+	return new Promise( executor );
+
+	/**
+	* Executes the operation.
+	*
+	* @private
+	* @param {Function} done - callback to invoke upon success
+	* @param {Function} fail - callback to invoke upon failure
+	* @returns {void}
+	*/
+	function executor( done, fail ) {
+		var it;
+
+		// As a slice which tests no elements would never advance to the next element, ensure that each slice may test at least one element:
+		if ( !( size >= 1 ) ) {
+			return fail( new RangeError( format( 'invalid option. `%s` option must be a positive integer. Option: `%s`.', 'sliceSize', size ) ) );
+		}
+		if ( !( duration >= 0 ) ) {
+			return fail( new RangeError( format( 'invalid option. `%s` option must be a nonnegative number. Option: `%s`.', 'sliceDuration', duration ) ) );
+		}
+		it = traversal( x, opts, clbk, ctx );
+		return slice();
+
+		/**
+		* Tests a slice of elements.
+		*
+		* @private
+		* @returns {void}
+		*/
+		function slice() {
+			var start;
+			var n;
+
+			start = Date.now();
+			n = 0;
+			try {
+				while ( !it.done ) {
+					// Check whether the operation has been aborted...
+					if ( opts.signal && opts.signal.aborted ) {
+						return fail( abortError( opts.signal, it.count ) );
+					}
+					n += it.next( ( size-n < CLOCK_INTERVAL ) ? size-n : CLOCK_INTERVAL ); // eslint-disable-line max-len
+					if ( n >= size || Date.now()-start >= duration ) {
+						break;
+					}
+				}
+				// Report progress upon completing a slice:
+				if ( opts.onProgress && n > 0 ) {
+					opts.onProgress( it.index, it.length );
+				}
+			} catch ( err ) {
+				return fail( err );
+			}
+			if ( it.done ) {
+				return done( it.count );
+			}
+			// Yield to the event loop before testing the next slice:
+			setTimeout( slice, 0 );
+		}
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = cooperative;
@@ -0,0 +1,296 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var loopOrder = require( '@stdlib/ndarray-base-unary-loop-interchange-order' );
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var take = require( '@stdlib/array-base-take-indexed' );
+var reverse = require( '@stdlib/array-base-reverse' );
+var zeroTo = require( '@stdlib/array-base-zero-to' );
+var zeros = require( '@stdlib/array-base-zeros' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var copy = require( '@stdlib/array-base-copy' );
+var PINF = require( '@stdlib/constants-float64-pinf' );
+var resolveBlockSize = require( './../block_size.js' );
+
+
+// MAIN //
+
+/**
+* Returns a resumable traversal which tests ndarray elements according to the loop blocking strategy used by the dimension-specific blocked kernels.
+*
+* ## Notes
+*
+* -   The returned object has the following properties:
+*
+*     -   **next**: function which tests at most a specified number of elements and returns the number of tested elements.
+*     -   **count**: number of elements which have passed a test.
+*     -   **index**: number of tested elements.
+*     -   **length**: total number of elements.
+*     -   **done**: boolean indicating whether the traversal has finished (i.e., all elements have been tested or the number of elements which have passed a test equals the limit).
+*
+* -   Elements are visited in the same order as the blocked kernels (e.g., `./../3d_blocked.js`), with the exception that blocked iteration is used regardless of the number of dimensions and the iteration order of the input ndarray.
+* -   When provided an `order` option specifying a logical order (i.e., either `'row-major'` or `'column-major'`), elements are visited in the specified logical order without loop blocking.
+*
+* @private
+* @param {Object} x - object containing input ndarray meta data
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the traversal finishes
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {(PositiveInteger|Function|null)} [opts.blockSize] - block size or a function which returns a block size
+* @param {string} [opts.order] - order in which to visit elements
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {Object} traversal
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 0.0;
+* }
+*
+* // Create the input ndarray meta data object:
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ),
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* });
+*
+* // Create a traversal:
+* var it = traversal( x, { 'limit': 6, 'indices': 'none' }, predicate );
+*
+* // Test the first four elements:
+* var n = it.next( 4 );
+* // returns 4
+*
+* var count = it.count;
+* // returns 3
+*
+* // Test the remaining elements:
+* n = it.next( 4 );
+* // returns 2
+*
+* count = it.count;
+* // returns 5
+*
+* var bool = it.done;
+* // returns true
+*/
+function traversal( x, opts, predicate, thisArg ) {
+	var bsize;
+	var imode;
+	var xbuf;
+	var get;
+	var out;
+	var sub;
+	var ord;
+	var sh;
+	var sx;
+	var sv;
+	var ix;
+	var iv;
+	var N;
+	var r;
+	var s;
+	var j;
+	var i;
+	var o;
+	var k;
+
+	// Note on variable naming convention: for each (loop-ordered) dimension `k`, `r[k]` is the number of elements remaining in the block loop, `j[k]` is the index of the first element in the current block, `s[k]` is the current block size, and `i[k]` is the index of the current element relative to the current block...
+
+	// Check whether we need to visit elements in a specified logical order...
+	if ( opts.order === 'row-major' || opts.order === 'column-major' ) {
+		// Order dimensions such that the innermost loop iterates over the dimension having the fastest changing indices in the specified logical order, and treat each dimension as a single block:
+		ord = zeroTo( x.shape.length );
+		if ( opts.order === 'row-major' ) {
+			ord = reverse( ord );
+		}
+		sh = take( x.shape, ord );
+		sx = take( x.strides, ord );
+		bsize = PINF;
+	} else {
+		// Resolve the loop interchange order:
+		o = loopOrder( x.shape, x.strides, x.strides );
+		sh = o.sh;
+		sx = o.sx;
+		ord = o.idx;
+
+		// Determine the block size:
+		bsize = resolveBlockSize( opts, x.dtype );
+	}
+	sv = take( shape2strides( x.shape, x.order ), ord );
+	N = sh.length;
+
+	// Cache a reference to the input ndarray buffer and its element accessor:
+	xbuf = x.data;
+	get = ( x.accessorProtocol ) ? x.accessors[ 0 ] : null;
+
+	// Cache the manner in which to provide element indices to the predicate function:
+	imode = opts.indices;
+
+	// Initialize the loop state:
+	sub = zeros( N );
+	r = zeros( N );
+	s = zeros( N );
+	j = zeros( N );
+	i = zeros( N );
+	for ( k = 0; k < N; k++ ) {
+		r[ k ] = sh[ k ];
+		block( k );
+	}
+	ix = 0;
+	iv = 0;
+	update();
+
+	out = {
+		'next': next,
+		'count': 0,
+		'index': 0,
+		'length': ( N === 0 ) ? 1 : numel( sh ),
+		'done': false
+	};
+	out.done = ( out.length === 0 || opts.limit === 0 );
+	return out;
+
+	/**
+	* Advances the block loop for a specified dimension.
+	*
+	* @private
+	* @param {NonNegativeInteger} d - loop-ordered dimension index
+	*/
+	function block( d ) {
+		if ( r[ d ] < bsize ) {
+			s[ d ] = r[ d ];
+			r[ d ] = 0;
+		} else {
+			s[ d ] = bsize;
+			r[ d ] -= bsize;
+		}
+		j[ d ] = r[ d ];
+	}
+
+	/**
+	* Updates the element indices and index offsets for the current element.
+	*
+	* @private
+	*/
+	function update() {
+		var p;
+		var d;
+
+		ix = x.offset;
+		iv = 0;
+		for ( d = 0; d < N; d++ ) {
+			p = j[ d ] + i[ d ];
+			sub[ ord[ d ] ] = p;
+			ix += p * sx[ d ];
+			iv += p * sv[ d ];
+		}
+	}
+
+	/**
+	* Advances the traversal to the next element.
+	*
+	* @private
+	* @returns {boolean} boolean indicating whether the traversal visited all elements
+	*/
+	function advance() {
+		var d;
+
+		// Fast path: advance within the innermost loop of the current block...
+		if ( N > 0 && i[ 0 ] < s[ 0 ]-1 ) {
+			i[ 0 ] += 1;
+			sub[ ord[ 0 ] ] += 1;
+			ix += sx[ 0 ];
+			iv += sv[ 0 ];
+			return false;
+		}
+		// Advance the element loops within the current block, starting from the innermost loop...
+		for ( d = 0; d < N; d++ ) {
+			if ( i[ d ] < s[ d ]-1 ) {
+				i[ d ] += 1;
+				update();
+				return false;
+			}
+			i[ d ] = 0;
+		}
+		// Advance the block loops, starting from the innermost loop...
+		for ( d = 0; d < N; d++ ) {
+			if ( r[ d ] > 0 ) {
+				block( d );
+				update();
+				return false;
+			}
+			r[ d ] = sh[ d ];
+			block( d );
+		}
+		return true;
+	}
+
+	/**
+	* Tests at most a specified number of elements.
+	*
+	* @private
+	* @param {PositiveInteger} n - maximum number of elements to test
+	* @returns {NonNegativeInteger} number of tested elements
+	*/
+	function next( n ) {
+		var bool;
+		var v;
+		var m;
+
+		for ( m = 0; m < n && !out.done; m++ ) {
+			v = ( get ) ? get( xbuf, ix ) : xbuf[ ix ];
+			if ( imode === 'none' ) {
+				bool = predicate.call( thisArg, v );
+			} else if ( imode === 'shared' ) {
+				bool = predicate.call( thisArg, v, sub, x.ref );
+			} else if ( imode === 'linear' ) {
+				bool = predicate.call( thisArg, v, iv, x.ref );
+			} else {
+				bool = predicate.call( thisArg, v, copy( sub ), x.ref );
+			}
+			out.index += 1;
+			if ( bool ) {
+				out.count += 1;
+				if ( out.count === opts.limit ) {
+					out.done = true;
+				}
+			}
+			if ( !out.done && advance() ) {
+				out.done = true;
+			}
+		}
+		return m;
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = traversal;
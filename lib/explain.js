@@ -0,0 +1,150 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var unaryLoopOrder = require( '@stdlib/ndarray-base-unary-loop-interchange-order' );
+var loopOrder = require( '@stdlib/ndarray-base-nullary-loop-interchange-order' );
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var hasEqualShape = require( '@stdlib/ndarray-base-assert-has-equal-shape' );
+var iterationOrder = require( '@stdlib/ndarray-base-iteration-order' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var copy = require( '@stdlib/array-base-copy' );
+var join = require( '@stdlib/array-base-join' );
+var format = require( '@stdlib/string-format' );
+var binaryKernelType = require( './binary/kernel_type.js' );
+var isMemoryOrder = require( './is_memory_order.js' );
+var kernelType = require( './kernel_type.js' );
+var resolveBlockSize = require( './block_size.js' );
+
+
+// MAIN //
+
+/**
+* Returns an object describing the kernel used to count the number of elements in one or more ndarrays which pass a test implemented by a predicate function.
+*
+* ## Notes
+*
+* -   The returned object has the following properties:
+*
+*     -   **kernel**: kernel type. One of `'none'` (no iteration), `'strided'` (nested loops), `'blocked'` (nested loops with loop tiling), `'generated'` and `'generated-blocked'` (kernels generated at runtime for ndarrays having more than ten dimensions), and `'nd'` and `'nd-blocked'` (kernels supporting any number of dimensions).
+*     -   **ndims**: number of dimensions.
+*     -   **accessors**: boolean indicating whether the kernel uses accessors to access ndarray elements.
+*     -   **iterationOrder**: iteration order of the first input ndarray (see `@stdlib/ndarray-base/iteration-order`).
+*     -   **loopOrder**: dimension indices in loop order, from innermost to outermost, or `null` if the kernel does not perform loop interchange.
+*     -   **blockSize**: block size (in units of elements) or `null` if the kernel does not perform loop tiling.
+*
+* -   The function describes the kernel used when provided a predicate function and the same options. When provided an `order` option specifying a logical order in which nested loops iterating according to memory layout would not visit elements, the kernel type is `'nd'`.
+* -   Predicate descriptors and expressions never use the described kernel, as they are evaluated using loops specialized for the predicate.
+*
+* @param {ArrayLikeObject<Object>} arrays - array-like object containing one or more input arrays
+* @param {Options} [options] - function options
+* @param {(PositiveInteger|Function)} [options.blockSize] - block size (in units of elements) for performing loop tiling or a function which returns a block size for a provided data type
+* @param {string} [options.order='memory'] - order in which to visit elements
+* @throws {Error} input ndarrays must have the same shape
+* @returns {Object} kernel description
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* var x = {
+*     'dtype': 'float64',
+*     'data': new Float64Array( 12 ),
+*     'shape': [ 3, 4 ],
+*     'strides': [ -4, 1 ],
+*     'offset': 8,
+*     'order': 'row-major'
+* };
+*
+* var out = explain( [ x ] );
+* // returns { 'kernel': 'blocked', 'ndims': 2, 'accessors': false, 'iterationOrder': 0, 'loopOrder': [ 1, 0 ], 'blockSize': 8 }
+*/
+function explain( arrays, options ) {
+	var accessors;
+	var blocked;
+	var kernel;
+	var views;
+	var ndims;
+	var order;
+	var opts;
+	var ord;
+	var sh;
+	var lo;
+	var x;
+	var i;
+
+	// Standardize ndarray meta data, ensuring that all input ndarrays have the same shape...
+	views = [];
+	for ( i = 0; i < arrays.length; i++ ) {
+		views.push( ndarray2object( arrays[ i ] ) );
+		if ( !hasEqualShape( views[ 0 ], views[ i ] ) ) {
+			throw new Error( format( 'invalid argument. Input ndarrays must have the same shape. Shapes: [%s] and [%s].', join( views[ 0 ].shape, ',' ), join( views[ i ].shape, ',' ) ) );
+		}
+	}
+	x = views[ 0 ];
+	opts = options || {};
+
+	sh = x.shape;
+	ndims = sh.length;
+	ord = iterationOrder( x.strides );
+
+	accessors = false;
+	for ( i = 0; i < views.length; i++ ) {
+		accessors = accessors || Boolean( views[ i ].accessorProtocol );
+	}
+	// Resolve the kernel type according to the same logic as when provided a predicate function (see `./base.js`, `./binary/base.js`, and `./nary/main.js`)...
+	order = opts.order;
+	if ( ndims > 0 && numel( sh ) === 0 ) {
+		kernel = 'none';
+	} else if ( views.length > 2 ) {
+		kernel = 'nd';
+	} else if ( ( order === 'row-major' || order === 'column-major' ) && !isMemoryOrder( x, order ) ) {
+		// When nested loops which iterate according to memory layout do not visit elements in the specified logical order, kernels iterate over linear view indices (see `./ordered.js`):
+		kernel = 'nd';
+	} else if ( views.length === 2 ) {
+		kernel = binaryKernelType( x );
+	} else {
+		kernel = kernelType( x );
+	}
+	blocked = ( kernel === 'blocked' || kernel === 'generated-blocked' || kernel === 'nd-blocked' );
+
+	// Resolve the loop interchange order, noting that kernels for a single input ndarray only consider the strides of the input ndarray:
+	if ( blocked ) {
+		if ( views.length === 2 ) {
+			lo = unaryLoopOrder( sh, x.strides, views[ 1 ].strides ).idx;
+		} else {
+			lo = loopOrder( sh, x.strides ).idx;
+		}
+	}
+	return {
+		'kernel': kernel,
+		'ndims': ndims,
+		'accessors': accessors,
+		'iterationOrder': ord,
+		'loopOrder': ( blocked ) ? copy( lo ) : null,
+		'blockSize': ( blocked ) ? resolveBlockSize( opts, x.dtype ) : null
+	};
+}
+
+
+// EXPORTS //
+
+module.exports = explain;
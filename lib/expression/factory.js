@@ -0,0 +1,70 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+// MODULES //
+
+var hasOwnProp = require( '@stdlib/assert-has-own-property' );
+var FUNCTIONS = require( './functions.js' );
+
+
+// VARIABLES //
+
+// Resolve the names and implementations of the functions which may be called within generated source code:
+var NAMES = [];
+var IMPLS = [];
+var k;
+for ( k in FUNCTIONS ) {
+	if ( hasOwnProp( FUNCTIONS, k ) ) {
+		NAMES.push( k );
+		IMPLS.push( FUNCTIONS[ k ] );
+	}
+}
+
+
+// MAIN //
+
+/**
+* Evaluates generated source code which returns a function.
+*
+* ## Notes
+*
+* -   The source code is evaluated in a scope in which the functions listed in `./functions.js` are defined, and nothing else.
+* -   The source code must only be generated from a parsed expression (see `./generate.js`), such that arbitrary code is never evaluated.
+* -   As each evaluation creates a new function, a function returned by the source code does not share type feedback with functions returned by other evaluations, even when evaluating the same source code.
+*
+* @private
+* @param {string} src - source code of a function body which returns a function
+* @returns {Function} function
+*
+* @example
+* var f = factory( 'return function f( x ) { return abs( x ); };' );
+* // returns <Function>
+*
+* var v = f( -3.0 );
+* // returns 3.0
+*/
+function factory( src ) {
+	var f = Function.apply( null, NAMES.concat( [ src ] ) ); // eslint-disable-line no-new-func
+	return f.apply( null, IMPLS );
+}
+
+
+// EXPORTS //
+
+module.exports = factory;
@@ -0,0 +1,53 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+// MODULES //
+
+var isnan = require( '@stdlib/math-base-assert-is-nan' );
+var floor = require( '@stdlib/math-base-special-floor' );
+var sqrt = require( '@stdlib/math-base-special-sqrt' );
+var ceil = require( '@stdlib/math-base-special-ceil' );
+var abs = require( '@stdlib/math-base-special-abs' );
+
+
+// MAIN //
+
+/**
+* Table mapping the names of functions which may be called within an expression to their implementations.
+*
+* ## Notes
+*
+* -   Each function accepts a single argument.
+*
+* @private
+* @name FUNCTIONS
+* @type {Object}
+*/
+var FUNCTIONS = {
+	'abs': abs,
+	'ceil': ceil,
+	'floor': floor,
+	'isnan': isnan,
+	'sqrt': sqrt
+};
+
+
+// EXPORTS //
+
+module.exports = FUNCTIONS;
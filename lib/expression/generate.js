@@ -0,0 +1,80 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+// VARIABLES //
+
+// Mapping of equality operators to their strict counterparts:
+var OPERATORS = {
+	'==': '===',
+	'!=': '!=='
+};
+
+
+// MAIN //
+
+/**
+* Generates JavaScript source code for an expression abstract syntax tree.
+*
+* ## Notes
+*
+* -   The current element is referenced as `x`, and function calls reference the names listed in `./functions.js`. Accordingly, the generated source code must be evaluated in a scope in which those names are defined.
+* -   Every operation is parenthesized, such that the generated source code does not depend on operator precedence.
+* -   The equality operators `==` and `!=` are compiled to their strict counterparts.
+*
+* @private
+* @param {Object} node - abstract syntax tree
+* @param {Function} index - callback which is provided a dimension index and returns source code referencing the index of the current element along that dimension
+* @returns {string} source code
+*
+* @example
+* var parse = require( './parse.js' );
+*
+* function index( dim ) {
+*     return 'indices[ ' + dim + ' ]';
+* }
+*
+* var src = generate( parse( 'x > 0 && i1 == 2' ), index );
+* // returns '((x > 0) && (indices[ 1 ] === 2))'
+*/
+function generate( node, index ) {
+	var op;
+	if ( node.type === 'Literal' ) {
+		return String( node.value );
+	}
+	if ( node.type === 'Element' ) {
+		return 'x';
+	}
+	if ( node.type === 'Index' ) {
+		return index( node.dim );
+	}
+	if ( node.type === 'UnaryExpression' ) {
+		return '(' + node.operator + generate( node.argument, index ) + ')';
+	}
+	if ( node.type === 'CallExpression' ) {
+		return node.callee + '( ' + generate( node.argument, index ) + ' )';
+	}
+	// Case: node.type === 'BinaryExpression'
+	op = OPERATORS[ node.operator ] || node.operator;
+	return '(' + generate( node.left, index ) + ' ' + op + ' ' + generate( node.right, index ) + ')';
+}
+
+
+// EXPORTS //
+
+module.exports = generate;
@@ -0,0 +1,74 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+// MODULES //
+
+var factory = require( './factory.js' );
+
+
+// MAIN //
+
+/**
+* Compiles a strided loop which counts the number of elements for which an expression is truthy.
+*
+* ## Notes
+*
+* -   The returned loop has the same signature as the loops in `./../builtin/loops.js` (i.e., `loop( N, x, stride, offset, data[, get] )`), with the exception that the `data` argument is ignored.
+*
+* @private
+* @param {string} src - expression source code (see `./generate.js`)
+* @param {boolean} accessors - boolean indicating whether to compile a loop for a data buffer which uses accessors
+* @returns {Function} strided loop
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* var f = loop( '(x > 0)', false );
+* // returns <Function>
+*
+* var x = new Float64Array( [ 1.0, -2.0, 3.0, -4.0 ] );
+*
+* var count = f( x.length, x, 1, 0, null );
+* // returns 2
+*/
+function loop( src, accessors ) {
+	return factory([
+		'return function loop( N, buf, stride, offset, data, get ) {',
+		'\tvar count;',
+		'\tvar ix;',
+		'\tvar x;',
+		'\tvar i;',
+		'\tcount = 0;',
+		'\tix = offset;',
+		'\tfor ( i = 0; i < N; i++ ) {',
+		( accessors ) ? '\t\tx = get( buf, ix );' : '\t\tx = buf[ ix ];',
+		'\t\tif ( ' + src + ' ) {',
+		'\t\t\tcount += 1;',
+		'\t\t}',
+		'\t\tix += stride;',
+		'\t}',
+		'\treturn count;',
+		'};'
+	].join( '\n' ));
+}
+
+
+// EXPORTS //
+
+module.exports = loop;
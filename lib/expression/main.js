@@ -0,0 +1,183 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+// MODULES //
+
+var hasOwnProp = require( '@stdlib/assert-has-own-property' );
+var format = require( '@stdlib/string-format' );
+var traverse = require( './../builtin/traversal.js' );
+var base = require( './../base.js' );
+var generate = require( './generate.js' );
+var predicate = require( './predicate.js' );
+var parse = require( './parse.js' );
+var loop = require( './loop.js' );
+
+
+// VARIABLES //
+
+// Maximum number of compiled expressions to cache before clearing the cache:
+var CACHE_SIZE = 128;
+
+// Cache of compiled expressions:
+var CACHE = {};
+var N_CACHED = 0;
+
+
+// FUNCTIONS //
+
+/**
+* Compiles an expression.
+*
+* ## Notes
+*
+* -   The returned object has the following properties:
+*
+*     -   **src**: generated source code.
+*     -   **ndims**: minimum number of ndarray dimensions required by element index references (e.g., `2` if an expression references `i1`).
+*     -   **loops**: object for caching strided loops compiled for particular data types.
+*     -   **predicate**: predicate function for expressions which reference element indices; otherwise, `null`.
+*
+* @private
+* @param {string} str - expression
+* @throws {SyntaxError} must provide a valid expression
+* @throws {Error} expression must only reference supported identifiers and functions
+* @returns {Object} compiled expression
+*/
+function compile( str ) {
+	var out;
+
+	out = {
+		'src': '',
+		'ndims': 0,
+		'loops': {},
+		'predicate': null
+	};
+	out.src = generate( parse( str ), index );
+	if ( out.ndims > 0 ) {
+		out.predicate = predicate( out.src );
+	}
+	return out;
+
+	/**
+	* Returns source code referencing the index of the current element along a specified dimension.
+	*
+	* @private
+	* @param {NonNegativeInteger} dim - dimension index
+	* @returns {string} source code
+	*/
+	function index( dim ) {
+		if ( dim >= out.ndims ) {
+			out.ndims = dim + 1;
+		}
+		return 'indices[ ' + dim + ' ]';
+	}
+}
+
+
+// MAIN //
+
+/**
+* Counts the number of elements in an ndarray for which an expression is truthy.
+*
+* ## Notes
+*
+* -   If an expression only references the current element, the function compiles the expression into a strided loop specialized for the ndarray data type and delegates iteration to the same traversal as for predicate descriptors (see `./../builtin/traversal.js`), thus avoiding a function call for each tested element.
+* -   If an expression references element indices, which are not tracked by the strided loops, the function falls back to compiling the expression into a predicate function and to the same kernels as for predicate functions.
+* -   Compiled expressions are cached, such that repeatedly counting using the same expression only parses and compiles the expression once for each data type.
+*
+* @private
+* @param {Object} x - object containing ndarray meta data
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {string} expression - expression
+* @throws {SyntaxError} must provide a valid expression
+* @throws {Error} expression must only reference supported identifiers and functions
+* @throws {RangeError} element index references must not exceed the number of ndarray dimensions
+* @throws {Error} operation was aborted
+* @returns {NonNegativeInteger} result
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create the input ndarray meta data object:
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ),
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* });
+*
+* // Define the function options:
+* var opts = {
+*     'limit': Infinity,
+*     'indices': 'none',
+*     'signal': null,
+*     'onProgress': null,
+*     'progressInterval': 1024,
+*     'total': 6
+* };
+*
+* // Perform operation:
+* var out = countIf( x, opts, 'x > 0 && x < 10' );
+* // returns 3
+*/
+function countIf( x, opts, expression ) {
+	var entry;
+	var key;
+
+	// Resolve the compiled expression:
+	if ( hasOwnProp( CACHE, expression ) ) {
+		entry = CACHE[ expression ];
+	} else {
+		entry = compile( expression );
+		if ( N_CACHED >= CACHE_SIZE ) {
+			CACHE = {};
+			N_CACHED = 0;
+		}
+		CACHE[ expression ] = entry;
+		N_CACHED += 1;
+	}
+	// Check whether we can test elements using a strided loop...
+	if ( entry.ndims === 0 ) {
+		// Compile a separate loop for each data type, such that each loop only ever observes a single data buffer type...
+		key = String( x.dtype ) + ( ( x.accessorProtocol ) ? ':accessors' : '' );
+		if ( !hasOwnProp( entry.loops, key ) ) {
+			entry.loops[ key ] = loop( entry.src, x.accessorProtocol );
+		}
+		return traverse( x, opts, entry.loops[ key ], null );
+	}
+	if ( entry.ndims > x.shape.length ) {
+		throw new RangeError( format( 'invalid argument. Expression references an element index for a dimension which exceeds the number of ndarray dimensions. Number of dimensions: %d. Value: `%s`.', x.shape.length, expression ) );
+	}
+	// Fall back to testing elements using a predicate function:
+	opts.indices = 'shared';
+	return base( x, opts, entry.predicate, null );
+}
+
+
+// EXPORTS //
+
+module.exports = countIf;
@@ -0,0 +1,264 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+// MODULES //
+
+var hasOwnProp = require( '@stdlib/assert-has-own-property' );
+var PINF = require( '@stdlib/constants-float64-pinf' );
+var format = require( '@stdlib/string-format' );
+var FUNCTIONS = require( './functions.js' );
+var tokenize = require( './tokenize.js' );
+
+
+// VARIABLES //
+
+// Binary operators, ordered from lowest to highest precedence:
+var LEVELS = [
+	[ '||' ],
+	[ '&&' ],
+	[ '===', '!==', '==', '!=' ],
+	[ '<', '<=', '>', '>=' ],
+	[ '+', '-' ],
+	[ '*', '/', '%' ]
+];
+var UNARY = [ '!', '-', '+' ];
+var LITERALS = {
+	'true': true,
+	'false': false,
+	'NaN': NaN,
+	'Infinity': PINF
+};
+var RE_INDEX = /^i(\d+)$/;
+
+
+// FUNCTIONS //
+
+/**
+* Tests whether a token is an operator contained in a list of operators.
+*
+* @private
+* @param {(Object|void)} token - token
+* @param {Array<string>} ops - list of operators
+* @returns {boolean} boolean indicating whether a token is a listed operator
+*/
+function isOperator( token, ops ) {
+	return ( token !== void 0 && token.type === 'operator' && ops.indexOf( token.value ) >= 0 );
+}
+
+
+// MAIN //
+
+/**
+* Parses a restricted expression into an abstract syntax tree.
+*
+* ## Notes
+*
+* -   An expression may contain the following constructs:
+*
+*     -   `x`: the current element.
+*     -   `i0`, `i1`, ..., `iN`: the index of the current element along the corresponding dimension.
+*     -   number literals, `true`, `false`, `NaN`, and `Infinity`.
+*     -   the unary operators `!`, `-`, and `+`.
+*     -   the binary operators `*`, `/`, `%`, `+`, `-`, `<`, `<=`, `>`, `>=`, `===`, `!==`, `==`, `!=`, `&&`, and `||`, which have the same precedence as in JavaScript.
+*     -   parentheses.
+*     -   calls to the functions listed in `./functions.js`.
+*
+* -   The returned tree comprises nodes having the following types:
+*
+*     -   **Literal**: a literal value (`value`).
+*     -   **Element**: the current element.
+*     -   **Index**: the index of the current element along a dimension (`dim`).
+*     -   **UnaryExpression**: a unary operation (`operator`, `argument`).
+*     -   **BinaryExpression**: a binary operation (`operator`, `left`, `right`).
+*     -   **CallExpression**: a function call (`callee`, `argument`).
+*
+* @private
+* @param {string} str - expression
+* @throws {SyntaxError} must provide a valid expression
+* @throws {Error} expression must only reference supported identifiers and functions
+* @returns {Object} abstract syntax tree
+*
+* @example
+* var ast = parse( 'x > 0' );
+* // returns { 'type': 'BinaryExpression', 'operator': '>', 'left': { 'type': 'Element' }, 'right': { 'type': 'Literal', 'value': 0 } }
+*/
+function parse( str ) {
+	var tokens;
+	var node;
+	var pos;
+
+	tokens = tokenize( str );
+	pos = 0;
+	node = binary( 0 );
+	if ( pos < tokens.length ) {
+		throw unexpected( tokens[ pos ] );
+	}
+	return node;
+
+	/**
+	* Returns an error for an unexpected token.
+	*
+	* @private
+	* @param {(Object|void)} token - unexpected token
+	* @returns {SyntaxError} error
+	*/
+	function unexpected( token ) {
+		if ( token === void 0 ) {
+			return new SyntaxError( format( 'invalid argument. Unexpected end of expression. Value: `%s`.', str ) );
+		}
+		return new SyntaxError( format( 'invalid argument. Unexpected token in expression. Token: `%s`. Position: %d.', String( token.value ), token.position ) );
+	}
+
+	/**
+	* Consumes a token, throwing if the token is not a specified operator.
+	*
+	* @private
+	* @param {string} op - operator
+	* @throws {SyntaxError} unexpected token
+	*/
+	function expect( op ) {
+		if ( !isOperator( tokens[ pos ], [ op ] ) ) {
+			throw unexpected( tokens[ pos ] );
+		}
+		pos += 1;
+	}
+
+	/**
+	* Parses a binary expression having a specified minimum precedence.
+	*
+	* @private
+	* @param {NonNegativeInteger} level - precedence level
+	* @returns {Object} node
+	*/
+	function binary( level ) {
+		var left;
+		var op;
+
+		if ( level === LEVELS.length ) {
+			return unary();
+		}
+		left = binary( level+1 );
+		while ( isOperator( tokens[ pos ], LEVELS[ level ] ) ) {
+			op = tokens[ pos ].value;
+			pos += 1;
+			left = {
+				'type': 'BinaryExpression',
+				'operator': op,
+				'left': left,
+				'right': binary( level+1 )
+			};
+		}
+		return left;
+	}
+
+	/**
+	* Parses a unary expression.
+	*
+	* @private
+	* @returns {Object} node
+	*/
+	function unary() {
+		var op;
+		if ( isOperator( tokens[ pos ], UNARY ) ) {
+			op = tokens[ pos ].value;
+			pos += 1;
+			return {
+				'type': 'UnaryExpression',
+				'operator': op,
+				'argument': unary()
+			};
+		}
+		return primary();
+	}
+
+	/**
+	* Parses a primary expression.
+	*
+	* @private
+	* @throws {SyntaxError} unexpected token
+	* @throws {Error} must reference supported identifiers and functions
+	* @returns {Object} node
+	*/
+	function primary() {
+		var token;
+		var node;
+		var name;
+		var m;
+
+		token = tokens[ pos ];
+		if ( token === void 0 ) {
+			throw unexpected( token );
+		}
+		pos += 1;
+		if ( token.type === 'number' ) {
+			return {
+				'type': 'Literal',
+				'value': token.value
+			};
+		}
+		if ( token.type === 'operator' ) {
+			if ( token.value !== '(' ) {
+				throw unexpected( token );
+			}
+			node = binary( 0 );
+			expect( ')' );
+			return node;
+		}
+		name = token.value;
+
+		// Check for a function call...
+		if ( isOperator( tokens[ pos ], [ '(' ] ) ) {
+			if ( !hasOwnProp( FUNCTIONS, name ) ) {
+				throw new Error( format( 'invalid argument. Expression calls an unsupported function. Function: `%s`. Position: %d.', name, token.position ) );
+			}
+			pos += 1;
+			node = {
+				'type': 'CallExpression',
+				'callee': name,
+				'argument': binary( 0 )
+			};
+			expect( ')' );
+			return node;
+		}
+		if ( name === 'x' ) {
+			return {
+				'type': 'Element'
+			};
+		}
+		m = RE_INDEX.exec( name );
+		if ( m ) {
+			return {
+				'type': 'Index',
+				'dim': parseInt( m[ 1 ], 10 )
+			};
+		}
+		if ( hasOwnProp( LITERALS, name ) ) {
+			return {
+				'type': 'Literal',
+				'value': LITERALS[ name ]
+			};
+		}
+		throw new Error( format( 'invalid argument. Expression references an unsupported identifier. Identifier: `%s`. Position: %d.', name, token.position ) );
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = parse;
@@ -0,0 +1,55 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+// MODULES //
+
+var factory = require( './factory.js' );
+
+
+// MAIN //
+
+/**
+* Compiles a predicate function which evaluates an expression.
+*
+* ## Notes
+*
+* -   The returned predicate function expects to be provided an element value and an array of element indices.
+*
+* @private
+* @param {string} src - expression source code (see `./generate.js`)
+* @returns {Function} predicate function
+*
+* @example
+* var f = predicate( '((x > 0) && (indices[ 0 ] === 1))' );
+* // returns <Function>
+*
+* var bool = f( 2.0, [ 1, 0 ] );
+* // returns true
+*
+* bool = f( 2.0, [ 0, 1 ] );
+* // returns false
+*/
+function predicate( src ) {
+	return factory( 'return function predicate( x, indices ) {\n\treturn ' + src + ';\n};' );
+}
+
+
+// EXPORTS //
+
+module.exports = predicate;
@@ -0,0 +1,132 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+// MODULES //
+
+var format = require( '@stdlib/string-format' );
+
+
+// VARIABLES //
+
+// Operators and punctuation, ordered such that longer tokens are matched first:
+var OPERATORS = [
+	'===',
+	'!==',
+	'==',
+	'!=',
+	'<=',
+	'>=',
+	'&&',
+	'||',
+	'<',
+	'>',
+	'!',
+	'+',
+	'-',
+	'*',
+	'/',
+	'%',
+	'(',
+	')',
+	','
+];
+var RE_WHITESPACE = /\s/;
+var RE_NUMBER = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+var RE_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*/;
+
+
+// MAIN //
+
+/**
+* Tokenizes an expression.
+*
+* ## Notes
+*
+* -   Each token is an object having the following properties:
+*
+*     -   **type**: token type. One of `'number'`, `'identifier'`, or `'operator'`.
+*     -   **value**: token value. For `'number'` tokens, the value is the parsed number. Otherwise, the value is the matched string.
+*     -   **position**: index of the first character of the token within the expression.
+*
+* @private
+* @param {string} str - expression
+* @throws {SyntaxError} expression must only contain supported characters
+* @returns {Array<Object>} list of tokens
+*
+* @example
+* var tokens = tokenize( 'x > 0.5' );
+* // returns [ { 'type': 'identifier', 'value': 'x', 'position': 0 }, { 'type': 'operator', 'value': '>', 'position': 2 }, { 'type': 'number', 'value': 0.5, 'position': 4 } ]
+*/
+function tokenize( str ) {
+	var out;
+	var tmp;
+	var m;
+	var i;
+	var j;
+
+	out = [];
+	i = 0;
+	while ( i < str.length ) {
+		if ( RE_WHITESPACE.test( str[ i ] ) ) {
+			i += 1;
+			continue;
+		}
+		tmp = str.slice( i );
+		m = RE_NUMBER.exec( tmp );
+		if ( m ) {
+			out.push({
+				'type': 'number',
+				'value': parseFloat( m[ 0 ] ),
+				'position': i
+			});
+			i += m[ 0 ].length;
+			continue;
+		}
+		m = RE_IDENTIFIER.exec( tmp );
+		if ( m ) {
+			out.push({
+				'type': 'identifier',
+				'value': m[ 0 ],
+				'position': i
+			});
+			i += m[ 0 ].length;
+			continue;
+		}
+		for ( j = 0; j < OPERATORS.length; j++ ) {
+			if ( tmp.slice( 0, OPERATORS[ j ].length ) === OPERATORS[ j ] ) {
+				break;
+			}
+		}
+		if ( j === OPERATORS.length ) {
+			throw new SyntaxError( format( 'invalid argument. Expression contains an unsupported character. Character: `%s`. Position: %d.', str[ i ], i ) );
+		}
+		out.push({
+			'type': 'operator',
+			'value': OPERATORS[ j ],
+			'position': i
+		});
+		i += OPERATORS[ j ].length;
+	}
+	return out;
+}
+
+
+// EXPORTS //
+
+module.exports = tokenize;
@@ -0,0 +1,98 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var resolve = require( './options.js' );
+var ordered = require( './ordered.js' );
+
+
+// MAIN //
+
+/**
+* Returns the first element in an ndarray, according to a specified logical order, which passes a test implemented by a predicate function.
+*
+* @private
+* @param {Object} x - object containing input ndarray meta data
+* @param {string} order - logical order in which to visit elements
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {(Object|null)} object containing the element value and subscripts or null
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 1.0;
+* }
+*
+* // Create the input ndarray meta data object:
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ),
+*     'shape': [ 2, 2 ],
+*     'strides': [ 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* });
+*
+* // Perform operation:
+* var out = find( x, 'column-major', predicate );
+* // returns { 'value': 3.0, 'indices': [ 1, 0 ] }
+*/
+function find( x, order, predicate, thisArg ) {
+	var opts;
+	var out;
+
+	// Stop iterating as soon as we find an element which passes the test and always provide element indices, as we need to return the subscripts of a matching element:
+	opts = resolve({
+		'limit': 1,
+		'indices': 'array'
+	}, clbk );
+	out = null;
+	ordered( x, opts, order, clbk );
+	return out;
+
+	/**
+	* Tests whether an element passes a test and, if so, records the element value and subscripts.
+	*
+	* @private
+	* @param {*} value - current array element
+	* @param {NonNegativeIntegerArray} indices - current array element indices
+	* @param {Object} arr - input ndarray
+	* @returns {boolean} boolean indicating whether an element passes a test
+	*/
+	function clbk( value, indices, arr ) {
+		if ( predicate.call( thisArg, value, indices, arr ) ) {
+			out = {
+				'value': value,
+				'indices': indices
+			};
+			return true;
+		}
+		return false;
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = find;
@@ -0,0 +1,104 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var isFunction = require( '@stdlib/assert-is-function' );
+var isDescriptor = require( './builtin/is_descriptor.js' );
+var predicateError = require( './predicate_error.js' );
+var find = require( './find.js' );
+
+
+// MAIN //
+
+/**
+* Returns the first element in an ndarray which passes a test implemented by a predicate function.
+*
+* ## Notes
+*
+* -   Elements are visited in logical order (i.e., according to element subscripts), regardless as to how data is stored in memory. By default, the logical order is the order of the input ndarray.
+* -   The function stops iterating as soon as an element passes the test.
+* -   If no elements pass the test, the function returns `null`.
+*
+* @param {ArrayLikeObject<Object>} arrays - array-like object containing one input array
+* @param {Options} [options] - function options
+* @param {string} [options.order] - logical order in which to visit elements
+* @param {Function} predicate - predicate function
+* @param {thisArg} [thisArg] - predicate function execution context
+* @throws {TypeError} must provide a predicate function
+* @returns {(Object|null)} object containing the element value and subscripts or null
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 2.0;
+* }
+*
+* // Create a data buffer:
+* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+*
+* // Create the input ndarray-like object:
+* var x = {
+*     'dtype': 'float64',
+*     'data': xbuf,
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* };
+*
+* // Perform operation:
+* var out = findIf( [ x ], predicate );
+* // returns { 'value': 3.0, 'indices': [ 0, 0, 1 ] }
+*
+* // Visit elements in column-major order:
+* out = findIf( [ x ], { 'order': 'column-major' }, predicate );
+* // returns { 'value': 10.0, 'indices': [ 2, 0, 0 ] }
+*/
+function findIf( arrays, options, predicate, thisArg ) {
+	var clbk;
+	var opts;
+	var ctx;
+	var x;
+
+	if ( isFunction( options ) || isDescriptor( options ) ) {
+		opts = {};
+		clbk = options;
+		ctx = predicate;
+	} else {
+		opts = options;
+		clbk = predicate;
+		ctx = thisArg;
+	}
+	if ( !isFunction( clbk ) ) {
+		throw predicateError( clbk );
+	}
+	// Unpack the ndarray and standardize ndarray meta data:
+	x = ndarray2object( arrays[ 0 ] );
+
+	return find( x, opts.order || x.order, clbk, ctx );
+}
+
+
+// EXPORTS //
+
+module.exports = findIf;
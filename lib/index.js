@@ -61,7 +61,40 @@
 
 // MODULES //
 
+var setReadOnly = require( '@stdlib/utils-define-nonenumerable-read-only-property' );
 var main = require( './main.js' );
+var assign = require( './assign.js' );
+var mask = require( './mask/main.js' );
+var anyIf = require( './any_if.js' );
+var allIf = require( './all_if.js' );
+var noneIf = require( './none_if.js' );
+var someIf = require( './some_if.js' );
+var findIf = require( './find_if.js' );
+var findLastIf = require( './find_last_if.js' );
+var binary = require( './binary/main.js' );
+var parallel = require( './parallel/main.js' );
+var countIfAsync = require( './async/main.js' );
+var cooperative = require( './cooperative/main.js' );
+var plan = require( './plan.js' );
+var explain = require( './explain.js' );
+
+
+// MAIN //
+
+setReadOnly( main, 'assign', assign );
+setReadOnly( main, 'mask', mask );
+setReadOnly( main, 'anyIf', anyIf );
+setReadOnly( main, 'allIf', allIf );
+setReadOnly( main, 'noneIf', noneIf );
+setReadOnly( main, 'someIf', someIf );
+setReadOnly( main, 'findIf', findIf );
+setReadOnly( main, 'findLastIf', findLastIf );
+setReadOnly( main, 'binary', binary );
+setReadOnly( main, 'parallel', parallel );
+setReadOnly( main, 'async', countIfAsync );
+setReadOnly( main, 'cooperative', cooperative );
+setReadOnly( main, 'plan', plan );
+setReadOnly( main, 'explain', explain );
 
 
 // EXPORTS //
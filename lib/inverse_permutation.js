@@ -0,0 +1,57 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var zeros = require( '@stdlib/array-base-zeros' );
+
+
+// MAIN //
+
+/**
+* Returns the inverse of a permutation.
+*
+* ## Notes
+*
+* -   Given a permutation `p`, the function returns an array `q` such that `q[ p[i] ] = i`. Accordingly, gathering values using `q` (i.e., `take( values, q )`) is equivalent to scattering values using `p` (i.e., `out[ p[i] ] = values[ i ]`).
+*
+* @private
+* @param {NonNegativeIntegerArray} p - permutation
+* @returns {NonNegativeIntegerArray} inverse permutation
+*
+* @example
+* var q = inversePermutation( [ 2, 0, 1 ] );
+* // returns [ 1, 2, 0 ]
+*/
+function inversePermutation( p ) {
+	var out;
+	var i;
+
+	out = zeros( p.length );
+	for ( i = 0; i < p.length; i++ ) {
+		out[ p[ i ] ] = i;
+	}
+	return out;
+}
+
+
+// EXPORTS //
+
+module.exports = inversePermutation;
@@ -0,0 +1,84 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var iterationOrder = require( '@stdlib/ndarray-base-iteration-order' );
+var strides2order = require( '@stdlib/ndarray-base-strides2order' );
+
+
+// MAIN //
+
+/**
+* Tests whether nested loops which iterate over an ndarray according to its memory layout visit elements in a specified logical order.
+*
+* @private
+* @param {Object} x - object containing ndarray meta data
+* @param {string} order - logical order
+* @returns {boolean} boolean indicating whether memory and logical orders agree
+*
+* @example
+* var x = {
+*     'shape': [ 2, 3 ],
+*     'strides': [ 3, 1 ]
+* };
+*
+* var bool = isMemoryOrder( x, 'row-major' );
+* // returns true
+*
+* bool = isMemoryOrder( x, 'column-major' );
+* // returns false
+*
+* @example
+* var x = {
+*     'shape': [ 2, 2 ],
+*     'strides': [ 0, 0 ]
+* };
+*
+* var bool = isMemoryOrder( x, 'row-major' );
+* // returns false
+*
+* bool = isMemoryOrder( x, 'column-major' );
+* // returns true
+*/
+function isMemoryOrder( x, order ) {
+	var o;
+
+	// One-dimensional ndarrays have a single logical order:
+	if ( x.shape.length <= 1 ) {
+		return true;
+	}
+	// When strides have mixed signs, iteration proceeds via loop blocking, which does not preserve logical order:
+	if ( iterationOrder( x.strides ) === 0 ) {
+		return false;
+	}
+	// Kernels which do not perform loop blocking only iterate in row-major order when strides are unambiguously row-major and otherwise iterate in column-major order (e.g., for zero or broadcast strides, which are both row-major and column-major):
+	o = strides2order( x.strides );
+	if ( order === 'row-major' ) {
+		return ( o === 1 );
+	}
+	return ( o !== 1 );
+}
+
+
+// EXPORTS //
+
+module.exports = isMemoryOrder;
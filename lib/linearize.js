@@ -0,0 +1,93 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+
+
+// MAIN //
+
+/**
+* Returns a predicate function wrapper which converts element indices to a linear view index.
+*
+* ## Notes
+*
+* -   The wrapper expects to be provided element values followed by an array of element indices and provides the predicate function the linear view index corresponding to the element indices in place of the array of element indices.
+* -   Linear view indices are resolved according to the specified ndarray order, regardless of the order in which elements are visited.
+*
+* @private
+* @param {Function} predicate - predicate function
+* @param {NonNegativeIntegerArray} shape - ndarray shape
+* @param {string} order - ndarray order
+* @param {PositiveInteger} N - number of element values provided to the predicate function
+* @returns {Function} wrapped predicate function
+*
+* @example
+* function predicate( value, index ) {
+*     return index === 3;
+* }
+*
+* var f = linearize( predicate, [ 2, 3 ], 'row-major', 1 );
+*
+* var bool = f( 1.0, [ 1, 0 ] );
+* // returns true
+*
+* f = linearize( predicate, [ 2, 3 ], 'column-major', 1 );
+*
+* bool = f( 1.0, [ 1, 0 ] );
+* // returns false
+*/
+function linearize( predicate, shape, order, N ) {
+	var strides = shape2strides( shape, order );
+	return wrapper;
+
+	/**
+	* Invokes a predicate function after converting element indices to a linear view index.
+	*
+	* @private
+	* @param {...*} args - predicate function arguments
+	* @returns {boolean} result
+	*/
+	function wrapper() {
+		var args;
+		var idx;
+		var v;
+		var i;
+
+		args = [];
+		for ( i = 0; i < arguments.length; i++ ) {
+			args.push( arguments[ i ] );
+		}
+		idx = args[ N ];
+		v = 0;
+		for ( i = 0; i < idx.length; i++ ) {
+			v += idx[ i ] * strides[ i ];
+		}
+		args[ N ] = v;
+		return predicate.apply( this, args ); // eslint-disable-line no-invalid-this
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = linearize;
@@ -20,104 +20,19 @@
 
 // MODULES //
 
-var iterationOrder = require( '@stdlib/ndarray-base-iteration-order' );
 var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var isFunction = require( '@stdlib/assert-is-function' );
+var isString = require( '@stdlib/assert-is-string' ).isPrimitive;
 var numel = require( '@stdlib/ndarray-base-numel' );
-var blockedaccessorcount2d = require( './2d_blocked_accessors.js' );
-var blockedaccessorcount3d = require( './3d_blocked_accessors.js' );
-var blockedaccessorcount4d = require( './4d_blocked_accessors.js' );
-var blockedaccessorcount5d = require( './5d_blocked_accessors.js' );
-var blockedaccessorcount6d = require( './6d_blocked_accessors.js' );
-var blockedaccessorcount7d = require( './7d_blocked_accessors.js' );
-var blockedaccessorcount8d = require( './8d_blocked_accessors.js' );
-var blockedaccessorcount9d = require( './9d_blocked_accessors.js' );
-var blockedaccessorcount10d = require( './10d_blocked_accessors.js' );
-var blockedcount2d = require( './2d_blocked.js' );
-var blockedcount3d = require( './3d_blocked.js' );
-var blockedcount4d = require( './4d_blocked.js' );
-var blockedcount5d = require( './5d_blocked.js' );
-var blockedcount6d = require( './6d_blocked.js' );
-var blockedcount7d = require( './7d_blocked.js' );
-var blockedcount8d = require( './8d_blocked.js' );
-var blockedcount9d = require( './9d_blocked.js' );
-var blockedcount10d = require( './10d_blocked.js' );
-var accessorcount0d = require( './0d_accessors.js' );
-var accessorcount1d = require( './1d_accessors.js' );
-var accessorcount2d = require( './2d_accessors.js' );
-var accessorcount3d = require( './3d_accessors.js' );
-var accessorcount4d = require( './4d_accessors.js' );
-var accessorcount5d = require( './5d_accessors.js' );
-var accessorcount6d = require( './6d_accessors.js' );
-var accessorcount7d = require( './7d_accessors.js' );
-var accessorcount8d = require( './8d_accessors.js' );
-var accessorcount9d = require( './9d_accessors.js' );
-var accessorcount10d = require( './10d_accessors.js' );
-var accessorcountnd = require( './nd_accessors.js' );
-var count0d = require( './0d.js' );
-var count1d = require( './1d.js' );
-var count2d = require( './2d.js' );
-var count3d = require( './3d.js' );
-var count4d = require( './4d.js' );
-var count5d = require( './5d.js' );
-var count6d = require( './6d.js' );
-var count7d = require( './7d.js' );
-var count8d = require( './8d.js' );
-var count9d = require( './9d.js' );
-var count10d = require( './10d.js' );
-var countnd = require( './nd.js' );
-
-
-// VARIABLES //
-
-var COUNT = [
-	count0d,
-	count1d,
-	count2d,
-	count3d,
-	count4d,
-	count5d,
-	count6d,
-	count7d,
-	count8d,
-	count9d,
-	count10d
-];
-var ACCESSOR_COUNT = [
-	accessorcount0d,
-	accessorcount1d,
-	accessorcount2d,
-	accessorcount3d,
-	accessorcount4d,
-	accessorcount5d,
-	accessorcount6d,
-	accessorcount7d,
-	accessorcount8d,
-	accessorcount9d,
-	accessorcount10d
-];
-var BLOCKED_COUNT = [
-	blockedcount2d, // 0
-	blockedcount3d,
-	blockedcount4d,
-	blockedcount5d,
-	blockedcount6d,
-	blockedcount7d,
-	blockedcount8d,
-	blockedcount9d,
-	blockedcount10d // 8
-];
-var BLOCKED_ACCESSOR_COUNT = [
-	blockedaccessorcount2d, // 0
-	blockedaccessorcount3d,
-	blockedaccessorcount4d,
-	blockedaccessorcount5d,
-	blockedaccessorcount6d,
-	blockedaccessorcount7d,
-	blockedaccessorcount8d,
-	blockedaccessorcount9d,
-	blockedaccessorcount10d // 8
-];
-var MAX_DIMS = COUNT.length - 1;
+var format = require( '@stdlib/string-format' );
+var noop = require( '@stdlib/utils-noop' );
+var isDescriptor = require( './builtin/is_descriptor.js' );
+var isOperation = require( './builtin/is_operation.js' );
+var builtin = require( './builtin/main.js' );
+var expression = require( './expression/main.js' );
+var resolve = require( './options.js' );
+var nary = require( './nary/main.js' );
+var base = require( './base.js' );
 
 
 // MAIN //
@@ -136,9 +51,36 @@ var MAX_DIMS = COUNT.length - 1;
 *     -   **offset**: index offset.
 *     -   **order**: specifies whether an ndarray is row-major (C-style) or column major (Fortran-style).
 *
-* @param {ArrayLikeObject<Object>} arrays - array-like object containing one input array
-* @param {Function} predicate - predicate function
+* -   When provided a `limit` option, the function stops iterating as soon as the number of elements which pass a test equals the limit and returns the limit.
+* -   When not provided an `indices` option, if the predicate function declares fewer than two parameters, the predicate function is only provided element values, thus avoiding the allocation of an array of element indices for each tested element.
+* -   When the `indices` option is `'shared'`, the predicate function is provided a single array of element indices which is updated in place for each tested element. Accordingly, the array is only valid for the duration of a predicate function call.
+* -   When the `indices` option is `'linear'`, the predicate function is provided the linear index of each tested element with respect to the ndarray view (i.e., the index of an element when iterating over the ndarray in the order specified by the `order` property), in place of an array of element indices.
+* -   When provided more than one input ndarray, the input ndarrays must have the same shape, and the function counts the number of sets of corresponding elements which pass a test. In which case, the predicate function is provided one element from each input ndarray, followed by element indices, and, when not provided an `indices` option, element indices are only provided if the predicate function declares more parameters than the number of input ndarrays. Element indices and linear view indices are resolved with respect to the first input ndarray.
+* -   When provided a `signal` option, the function periodically checks whether the signal has been aborted, and, if so, stops iterating and throws an error whose `name` property is `'AbortError'` and whose `count` property is the number of elements which passed a test before the operation was aborted.
+* -   When provided an `onProgress` option, the function periodically invokes the callback with two arguments: the number of processed elements and the total number of elements. For blocked iteration, the callback is invoked upon completing each block. Otherwise, the callback is invoked every `progressInterval` processed elements and upon processing the last element.
+* -   When provided a `blockSize` option, the function uses the specified block size when iterating using loop blocking (e.g., when an input ndarray has mixed sign strides). When the option is a function, the function is provided the input ndarray data type and should return a block size.
+* -   By default, the function visits elements in the order in which they are stored in memory, which may not correspond to a logical order when an input ndarray has mixed sign strides or when the stride order does not match the `order` property. When provided an `order` option of either `'row-major'` or `'column-major'`, the function visits elements in the specified logical order (e.g., in order to stop iterating at the first elements in a logical order when provided a `limit` option or when a predicate function has side effects). Visiting elements in a logical order may be slower than visiting elements in memory order.
+* -   In place of a predicate function, the function supports providing a predicate descriptor, which is either a string specifying an operation (e.g., `'isnan'`) or an object having an `op` property specifying an operation and additional properties specifying operands (e.g., `{ 'op': 'gt', 'value': 0 }`). When provided a predicate descriptor, the function tests elements using loops specialized for the operation and the input ndarray data type, thus avoiding a function call for each tested element. Predicate descriptors are only supported when provided a single input ndarray, and the `indices` option and the `thisArg` argument are ignored.
+* -   A string which does not specify a supported operation is interpreted as a restricted expression (e.g., `'x > 0 && x < 10'`), which is parsed, without evaluating arbitrary code, and compiled into a loop specialized for the input ndarray data type. An expression may reference the current element as `x` and the index of the current element along dimension `k` as `ik` (e.g., `i0`). Expressions which reference element indices fall back to being compiled into a predicate function. Expressions are subject to the same restrictions as predicate descriptors.
+*
+* @param {ArrayLikeObject<Object>} arrays - array-like object containing one or more input arrays
+* @param {Options} [options] - function options
+* @param {NonNegativeInteger} [options.limit] - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} [options.indices] - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [options.signal] - signal for aborting the operation
+* @param {Function} [options.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [options.progressInterval=1024] - number of processed elements between successive progress reports
+* @param {(PositiveInteger|Function)} [options.blockSize] - block size (in units of elements) for performing loop tiling or a function which returns a block size for a provided data type
+* @param {string} [options.order='memory'] - order in which to visit elements
+* @param {(Function|string|Object)} predicate - predicate function or predicate descriptor
 * @param {thisArg} [thisArg] - predicate function execution context
+* @throws {Error} input ndarrays must have the same shape
+* @throws {Error} predicate descriptor must specify a supported operation
+* @throws {SyntaxError} must provide a valid expression
+* @throws {Error} expression must only reference supported identifiers and functions
+* @throws {RangeError} expression must not reference element indices for dimensions which exceed the number of input ndarray dimensions
+* @throws {Error} predicate descriptors are only supported when provided a single input ndarray
+* @throws {Error} operation was aborted
 * @returns {integer} result
 *
 * @example
@@ -173,48 +115,123 @@ var MAX_DIMS = COUNT.length - 1;
 * // Perform operation:
 * var out = countIf( [ x ], predicate );
 * // returns 5
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( x, y, z ) {
+*    return x > y && z;
+* }
+*
+* // Define the shape of the input arrays:
+* var shape = [ 3, 1, 2 ];
+*
+* // Create the input ndarray-like objects:
+* var x = {
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ),
+*     'shape': shape,
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* };
+* var y = {
+*     'dtype': 'generic',
+*     'data': [ 2.0, 2.0, 2.0, 2.0, 2.0, 2.0 ],
+*     'shape': shape,
+*     'strides': [ 2, 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+* var z = {
+*     'dtype': 'generic',
+*     'data': [ true, false, true, true, false, true ],
+*     'shape': shape,
+*     'strides': [ 2, 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+*
+* // Perform operation:
+* var out = countIf( [ x, y, z ], predicate );
+* // returns 2
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* // Create the input ndarray-like object:
+* var x = {
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, NaN, 3.0, -4.0, 5.0, NaN ] ),
+*     'shape': [ 3, 2 ],
+*     'strides': [ 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+*
+* // Count the number of elements greater than zero:
+* var out = countIf( [ x ], { 'op': 'gt', 'value': 0.0 } );
+* // returns 3
+*
+* // Count the number of elements which are NaN:
+* out = countIf( [ x ], 'isnan' );
+* // returns 2
+*
+* // Count the number of elements which satisfy an expression:
+* out = countIf( [ x ], 'x > 0 && x < 5' );
+* // returns 2
 */
-function countIf( arrays, predicate, thisArg ) {
-	var ndims;
-	var shx;
+function countIf( arrays, options, predicate, thisArg ) {
+	var clbk;
+	var opts;
+	var ctx;
+	var sh;
 	var x;
 
-	// Unpack the ndarray and standardize ndarray meta data:
-	x = ndarray2object( arrays[ 0 ] );
-	shx = x.shape;
-	ndims = shx.length;
-
-	// Determine whether we can avoid iteration altogether...
-	if ( ndims === 0 ) {
-		if ( x.accessorProtocol ) {
-			return ACCESSOR_COUNT[ ndims ]( x, predicate, thisArg );
-		}
-		return COUNT[ ndims ]( x, predicate, thisArg );
-	}
-	// Check whether we were provided an empty ndarray...
-	if ( numel( shx ) === 0 ) {
-		return 0;
+	if ( isFunction( options ) || isDescriptor( options ) ) {
+		opts = {};
+		clbk = options;
+		ctx = predicate;
+	} else {
+		opts = options;
+		clbk = predicate;
+		ctx = thisArg;
 	}
-	// Determine whether we can avoid blocked iteration...
-	if ( ndims <= MAX_DIMS && iterationOrder( x.strides ) !== 0 ) {
-		// So long as iteration always moves in the same direction (i.e., no mixed sign strides), we can leverage cache-optimal (i.e., normal) nested loops without resorting to blocked iteration...
-		if ( x.accessorProtocol ) {
-			return ACCESSOR_COUNT[ ndims ]( x, predicate, thisArg );
+	// Check whether we were provided a predicate descriptor in place of a predicate function...
+	if ( isDescriptor( clbk ) ) {
+		if ( arrays.length > 1 ) {
+			throw new Error( format( 'invalid argument. Predicate descriptors are only supported when provided a single input ndarray. Number of input ndarrays: %d.', arrays.length ) );
 		}
-		return COUNT[ ndims ]( x, predicate, thisArg );
+		// As element indices are never provided, resolve options as if provided a predicate function which does not declare any parameters:
+		opts = resolve( opts, noop );
+	} else {
+		opts = resolve( opts, clbk, arrays.length );
 	}
-	// Determine whether we can perform blocked iteration...
-	if ( ndims <= MAX_DIMS ) {
-		if ( x.accessorProtocol ) {
-			return BLOCKED_ACCESSOR_COUNT[ ndims-2 ]( x, predicate, thisArg );
+	// Resolve the total number of elements (or sets of corresponding elements) for reporting progress, noting that a zero-dimensional ndarray contains a single element:
+	sh = arrays[ 0 ].shape;
+	opts.total = ( sh.length === 0 ) ? 1 : numel( sh );
+
+	if ( isDescriptor( clbk ) ) {
+		// Unpack the ndarray and standardize ndarray meta data:
+		x = ndarray2object( arrays[ 0 ] );
+
+		// Strings which do not specify a supported operation are expressions:
+		if ( isString( clbk ) && !isOperation( clbk ) ) {
+			return expression( x, opts, clbk );
 		}
-		return BLOCKED_COUNT[ ndims-2 ]( x, predicate, thisArg );
+		// Test elements using loops specialized for the predicate descriptor:
+		return builtin( x, opts, clbk );
 	}
-	// Fall-through to linear view iteration without regard for how data is stored in memory (i.e., take the slow path)...
-	if ( x.accessorProtocol ) {
-		return accessorcountnd( x, predicate, thisArg );
+
+	// When provided more than one input ndarray, test sets of corresponding elements:
+	if ( arrays.length > 1 ) {
+		return nary( arrays, opts, clbk, ctx );
 	}
-	return countnd( x, predicate, thisArg );
+	// Unpack the ndarray and standardize ndarray meta data:
+	x = ndarray2object( arrays[ 0 ] );
+
+	// As we only care about the number of elements which pass the test, discard the individual test results:
+	return base( x, opts, clbk, ctx );
 }
 
 
@@ -0,0 +1,135 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var isFunction = require( '@stdlib/assert-is-function' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var isDescriptor = require( './../builtin/is_descriptor.js' );
+var predicateError = require( './../predicate_error.js' );
+var resolve = require( './../options.js' );
+var base = require( './base.js' );
+
+
+// MAIN //
+
+/**
+* Tests whether each element in an ndarray passes a test implemented by a predicate function, assigns each test result to an output ndarray, and returns the number of elements which pass the test.
+*
+* ## Notes
+*
+* -   The output ndarray must have the same shape as the input ndarray.
+* -   For each element in the input ndarray, the function assigns `true` to the corresponding element in the output ndarray if the element passes the test and `false` otherwise.
+* -   When provided a `limit` option, the function stops iterating as soon as the number of elements which pass the test equals the limit. In which case, output ndarray elements corresponding to input ndarray elements which were not tested are left unchanged.
+* -   When not provided an `indices` option, if the predicate function declares fewer than two parameters, the predicate function is only provided element values, thus avoiding the allocation of an array of element indices for each tested element.
+* -   When the `indices` option is `'shared'`, the predicate function is provided a single array of element indices which is updated in place for each tested element. Accordingly, the array is only valid for the duration of a predicate function call.
+* -   When the `indices` option is `'linear'`, the predicate function is provided the linear index of each tested element with respect to the ndarray view (i.e., the index of an element when iterating over the ndarray in the order specified by the `order` property), in place of an array of element indices.
+* -   When provided a `signal` option, the function periodically checks whether the signal has been aborted, and, if so, stops iterating and throws an error whose `name` property is `'AbortError'` and whose `count` property is the number of elements which passed a test before the operation was aborted.
+* -   When provided an `onProgress` option, the function periodically invokes the callback with two arguments: the number of processed elements and the total number of elements. For blocked iteration, the callback is invoked upon completing each block. Otherwise, the callback is invoked every `progressInterval` processed elements and upon processing the last element.
+*
+* @param {ArrayLikeObject<Object>} arrays - array-like object containing one input ndarray and one output ndarray
+* @param {Options} [options] - function options
+* @param {NonNegativeInteger} [options.limit] - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} [options.indices] - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [options.signal] - signal for aborting the operation
+* @param {Function} [options.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [options.progressInterval=1024] - number of processed elements between successive progress reports
+* @param {(PositiveInteger|Function)} [options.blockSize] - block size (in units of elements) for performing loop tiling or a function which returns a block size for a provided data type
+* @param {string} [options.order='memory'] - order in which to visit elements
+* @param {Function} predicate - predicate function
+* @param {thisArg} [thisArg] - predicate function execution context
+* @throws {TypeError} must provide a predicate function
+* @throws {Error} operation was aborted
+* @returns {integer} result
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 0.0;
+* }
+*
+* // Create data buffers:
+* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+* var ybuf = [ false, false, false, false, false, false ];
+*
+* // Create the input ndarray-like object:
+* var x = {
+*     'dtype': 'float64',
+*     'data': xbuf,
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* };
+*
+* // Create the output ndarray-like object:
+* var y = {
+*     'dtype': 'generic',
+*     'data': ybuf,
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 2, 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+*
+* // Perform operation:
+* var out = mask( [ x, y ], predicate );
+* // returns 5
+*
+* var v = ybuf;
+* // returns [ true, true, false, true, true, true ]
+*/
+function mask( arrays, options, predicate, thisArg ) {
+	var clbk;
+	var opts;
+	var ctx;
+	var x;
+	var y;
+
+	if ( isFunction( options ) || isDescriptor( options ) ) {
+		opts = {};
+		clbk = options;
+		ctx = predicate;
+	} else {
+		opts = options;
+		clbk = predicate;
+		ctx = thisArg;
+	}
+	if ( !isFunction( clbk ) ) {
+		throw predicateError( clbk );
+	}
+	opts = resolve( opts, clbk );
+
+	// Unpack the ndarrays and standardize ndarray meta data:
+	x = ndarray2object( arrays[ 0 ] );
+	y = ndarray2object( arrays[ 1 ] );
+
+	// Resolve the total number of elements for reporting progress, noting that a zero-dimensional ndarray contains a single element:
+	opts.total = ( x.shape.length === 0 ) ? 1 : numel( x.shape );
+
+	return base( x, y, opts, clbk, ctx );
+}
+
+
+// EXPORTS //
+
+module.exports = mask;
@@ -0,0 +1,354 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var numel = require( '@stdlib/ndarray-base-numel' );
+var zeros = require( '@stdlib/array-base-zeros' );
+var copy = require( '@stdlib/array-base-copy' );
+var abortError = require( './../abort_error.js' );
+
+
+// VARIABLES //
+
+// Number of elements to test between successive checks of whether the operation has been aborted:
+var CHECK_INTERVAL = 1024;
+
+
+// MAIN //
+
+/**
+* Counts the number of elements in an ndarray which pass a test implemented by a predicate function and assigns each test result to an output ndarray.
+*
+* ## Notes
+*
+* -   The function visits elements according to linear view indices, regardless as to how the data is stored in memory. Rather than resolving the subscripts and data buffer index of each element from its linear view index, the function advances the subscripts and data buffer indices incrementally, as if incrementing an odometer, such that the cost of visiting an element does not scale with the number of dimensions.
+*
+* @private
+* @param {Object} x - object containing input ndarray meta data
+* @param {ndarrayLike} x.ref - reference to the original ndarray-like object
+* @param {*} x.dtype - data type
+* @param {Collection} x.data - data buffer
+* @param {NonNegativeIntegerArray} x.shape - dimensions
+* @param {IntegerArray} x.strides - stride lengths
+* @param {NonNegativeInteger} x.offset - index offset
+* @param {string} x.order - specifies whether `x` is row-major (C-style) or column-major (Fortran-style)
+* @param {Object} y - object containing output ndarray meta data
+* @param {*} y.dtype - data type
+* @param {Collection} y.data - data buffer
+* @param {NonNegativeIntegerArray} y.shape - dimensions
+* @param {IntegerArray} y.strides - stride lengths
+* @param {NonNegativeInteger} y.offset - index offset
+* @param {string} y.order - specifies whether `y` is row-major (C-style) or column-major (Fortran-style)
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {integer} result
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 0.0;
+* }
+*
+* // Create a data buffer:
+* var xbuf = new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0 ] );
+*
+* // Define the shape of the input array:
+* var shape = [ 2, 2 ];
+*
+* // Define the array strides:
+* var sx = [ 4, 1 ];
+*
+* // Define the index offset:
+* var ox = 1;
+*
+* // Create the input ndarray-like object:
+* var x = {
+*     'ref': null,
+*     'dtype': 'float64',
+*     'data': xbuf,
+*     'shape': shape,
+*     'strides': sx,
+*     'offset': ox,
+*     'order': 'row-major'
+* };
+*
+* // Create an output data buffer:
+* var ybuf = [ false, false, false, false ];
+*
+* // Create the output ndarray-like object:
+* var y = {
+*     'dtype': 'generic',
+*     'data': ybuf,
+*     'shape': shape,
+*     'strides': [ 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+*
+* // Define function options:
+* var opts = {
+*     'limit': 4,
+*     'indices': 'array'
+* };
+*
+* // Perform operation:
+* var out = masknd( x, y, opts, predicate );
+* // returns 3
+*
+* var mask = ybuf;
+* // returns [ true, true, false, true ]
+*/
+function masknd( x, y, opts, predicate, thisArg ) {
+	var onProgress;
+	var processed;
+	var interval;
+	var signal;
+	var ndims;
+	var count;
+	var limit;
+	var imode;
+	var total;
+	var xbuf;
+	var ybuf;
+	var bool;
+	var idx;
+	var sub;
+	var len;
+	var dim;
+	var inc;
+	var dx0;
+	var dy0;
+	var sh;
+	var sx;
+	var sy;
+	var ix;
+	var iy;
+	var S0;
+	var i0;
+	var i;
+	var k;
+
+	sh = x.shape;
+	ndims = sh.length;
+
+	// Compute the total number of elements over which to iterate:
+	len = numel( sh );
+
+	// Cache references to the input and output ndarray data buffers:
+	xbuf = x.data;
+	ybuf = y.data;
+
+	// Cache references to the respective stride arrays:
+	sx = x.strides;
+	sy = y.strides;
+
+	// Set the pointers to the first indexed elements in the respective ndarrays:
+	ix = x.offset;
+	iy = y.offset;
+
+	// Resolve the dimension whose index changes fastest and the direction in which to advance to the next dimension, noting that the input ndarray order determines how linear view indices are resolved for both ndarrays:
+	if ( x.order === 'row-major' ) {
+		dim = ndims - 1;
+		inc = -1;
+	} else { // order === 'column-major'
+		dim = 0;
+		inc = 1;
+	}
+	// Initialize a counter:
+	count = 0;
+
+	// Cache the number of elements which may pass a test before we stop iterating:
+	limit = opts.limit;
+
+	// Cache the manner in which to provide element indices to the predicate function:
+	imode = opts.indices;
+
+	// Cache the signal for aborting the operation:
+	signal = opts.signal;
+
+	// Cache the callback for reporting progress, the number of elements between successive progress reports, and the total number of elements:
+	onProgress = opts.onProgress;
+	interval = opts.progressInterval;
+	total = opts.total;
+
+	// Initialize a counter for the number of processed elements:
+	processed = 0;
+
+	// Initialize an array for storing the indices of the current element:
+	idx = zeros( ndims );
+
+	// Initialize a separate array for providing the indices of the current element to the predicate function when the indices are shared across invocations, such that the predicate function cannot affect iteration by mutating a shared array of indices:
+	sub = zeros( ndims );
+
+	// Resolve the number of elements along the dimension whose index changes fastest and the corresponding offset increments:
+	S0 = sh[ dim ];
+	dx0 = sx[ dim ];
+	dy0 = sy[ dim ];
+
+	// Iterate over each element based on the linear **view** index, regardless as to how the data is stored in memory, visiting the elements along the dimension whose index changes fastest one row at a time...
+	i = 0;
+	while ( i < len ) {
+		// Test the elements in the current row using a loop specific to the manner in which element indices are provided, thus avoiding branching on the manner for each element...
+		if ( imode === 'none' ) {
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				bool = predicate.call( thisArg, xbuf[ ix ] );
+				if ( bool ) {
+					ybuf[ iy ] = true;
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				} else {
+					ybuf[ iy ] = false;
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				ix += dx0;
+				iy += dy0;
+				i += 1;
+			}
+		} else if ( imode === 'shared' ) {
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				sub[ dim ] = i0;
+				bool = predicate.call( thisArg, xbuf[ ix ], sub, x.ref );
+				if ( bool ) {
+					ybuf[ iy ] = true;
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				} else {
+					ybuf[ iy ] = false;
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				ix += dx0;
+				iy += dy0;
+				i += 1;
+			}
+		} else if ( imode === 'linear' ) {
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				bool = predicate.call( thisArg, xbuf[ ix ], i, x.ref );
+				if ( bool ) {
+					ybuf[ iy ] = true;
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				} else {
+					ybuf[ iy ] = false;
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				ix += dx0;
+				iy += dy0;
+				i += 1;
+			}
+		} else {
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				idx[ dim ] = i0;
+				bool = predicate.call( thisArg, xbuf[ ix ], copy( idx ), x.ref ); // eslint-disable-line max-len
+				if ( bool ) {
+					ybuf[ iy ] = true;
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				} else {
+					ybuf[ iy ] = false;
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				ix += dx0;
+				iy += dy0;
+				i += 1;
+			}
+		}
+		// Return to the first element in the current row:
+		ix -= S0 * dx0;
+		iy -= S0 * dy0;
+
+		// Advance to the next row by incrementing the index of the next fastest changing dimension and, whenever an index wraps around, carrying over to the next dimension...
+		for ( k = dim+inc; k >= 0 && k < ndims; k += inc ) {
+			idx[ k ] += 1;
+			ix += sx[ k ];
+			iy += sy[ k ];
+			if ( idx[ k ] < sh[ k ] ) {
+				sub[ k ] = idx[ k ];
+				break;
+			}
+			ix -= sh[ k ] * sx[ k ];
+			iy -= sh[ k ] * sy[ k ];
+			idx[ k ] = 0;
+			sub[ k ] = 0;
+		}
+	}
+	return count;
+}
+
+
+// EXPORTS //
+
+module.exports = masknd;
@@ -0,0 +1,191 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var blockedaccessormask2d = require( './2d_blocked_accessors.js' );
+var blockedaccessormask3d = require( './3d_blocked_accessors.js' );
+var blockedaccessormask4d = require( './4d_blocked_accessors.js' );
+var blockedaccessormask5d = require( './5d_blocked_accessors.js' );
+var blockedaccessormask6d = require( './6d_blocked_accessors.js' );
+var blockedaccessormask7d = require( './7d_blocked_accessors.js' );
+var blockedaccessormask8d = require( './8d_blocked_accessors.js' );
+var blockedaccessormask9d = require( './9d_blocked_accessors.js' );
+var blockedaccessormask10d = require( './10d_blocked_accessors.js' );
+var blockedmask2d = require( './2d_blocked.js' );
+var blockedmask3d = require( './3d_blocked.js' );
+var blockedmask4d = require( './4d_blocked.js' );
+var blockedmask5d = require( './5d_blocked.js' );
+var blockedmask6d = require( './6d_blocked.js' );
+var blockedmask7d = require( './7d_blocked.js' );
+var blockedmask8d = require( './8d_blocked.js' );
+var blockedmask9d = require( './9d_blocked.js' );
+var blockedmask10d = require( './10d_blocked.js' );
+var accessormask0d = require( './0d_accessors.js' );
+var accessormask1d = require( './1d_accessors.js' );
+var accessormask2d = require( './2d_accessors.js' );
+var accessormask3d = require( './3d_accessors.js' );
+var accessormask4d = require( './4d_accessors.js' );
+var accessormask5d = require( './5d_accessors.js' );
+var accessormask6d = require( './6d_accessors.js' );
+var accessormask7d = require( './7d_accessors.js' );
+var accessormask8d = require( './8d_accessors.js' );
+var accessormask9d = require( './9d_accessors.js' );
+var accessormask10d = require( './10d_accessors.js' );
+var mask0d = require( './0d.js' );
+var mask1d = require( './1d.js' );
+var mask2d = require( './2d.js' );
+var mask3d = require( './3d.js' );
+var mask4d = require( './4d.js' );
+var mask5d = require( './5d.js' );
+var mask6d = require( './6d.js' );
+var mask7d = require( './7d.js' );
+var mask8d = require( './8d.js' );
+var mask9d = require( './9d.js' );
+var mask10d = require( './10d.js' );
+var blockedaccessormasknd = require( './nd_blocked_accessors.js' );
+var blockedmasknd = require( './nd_blocked.js' );
+var accessormasknd = require( './nd_accessors.js' );
+var masknd = require( './nd.js' );
+var kernelType = require( './../kernel_type.js' );
+var kernel = require( './../codegen/main.js' );
+
+
+// VARIABLES //
+
+var MASK = [
+	mask0d,
+	mask1d,
+	mask2d,
+	mask3d,
+	mask4d,
+	mask5d,
+	mask6d,
+	mask7d,
+	mask8d,
+	mask9d,
+	mask10d
+];
+var ACCESSOR_MASK = [
+	accessormask0d,
+	accessormask1d,
+	accessormask2d,
+	accessormask3d,
+	accessormask4d,
+	accessormask5d,
+	accessormask6d,
+	accessormask7d,
+	accessormask8d,
+	accessormask9d,
+	accessormask10d
+];
+var BLOCKED_MASK = [
+	blockedmask2d, // 0
+	blockedmask3d,
+	blockedmask4d,
+	blockedmask5d,
+	blockedmask6d,
+	blockedmask7d,
+	blockedmask8d,
+	blockedmask9d,
+	blockedmask10d // 8
+];
+var BLOCKED_ACCESSOR_MASK = [
+	blockedaccessormask2d, // 0
+	blockedaccessormask3d,
+	blockedaccessormask4d,
+	blockedaccessormask5d,
+	blockedaccessormask6d,
+	blockedaccessormask7d,
+	blockedaccessormask8d,
+	blockedaccessormask9d,
+	blockedaccessormask10d // 8
+];
+
+
+// MAIN //
+
+/**
+* Returns the kernel for counting the number of elements in an ndarray which pass a test implemented by a predicate function and assigning each test result to an output ndarray.
+*
+* ## Notes
+*
+* -   The function resolves the type of kernel according to `./../kernel_type.js`. For ndarrays having more than ten dimensions, the function generates kernels at runtime which are specialized for the number of dimensions (see `./../codegen/main.js`). In environments which do not permit runtime code evaluation, the function falls back to kernels which support any number of dimensions.
+* -   The function assumes that the input ndarray is not empty.
+*
+* @private
+* @param {Object} x - object containing input ndarray meta data
+* @param {Object} y - object containing output ndarray meta data
+* @returns {Function} kernel
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( 6 ),
+*     'shape': [ 3, 2 ],
+*     'strides': [ 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* });
+*
+* var y = ndarray2object({
+*     'dtype': 'generic',
+*     'data': [ false, false, false, false, false, false ],
+*     'shape': [ 3, 2 ],
+*     'strides': [ 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* });
+*
+* var f = select( x, y );
+* // returns <Function>
+*/
+function select( x, y ) {
+	var accessors;
+	var ndims;
+	var type;
+
+	ndims = x.shape.length;
+	accessors = Boolean( x.accessorProtocol || y.accessorProtocol );
+
+	type = kernelType( x );
+	if ( type === 'strided' ) {
+		return ( accessors ) ? ACCESSOR_MASK[ ndims ] : MASK[ ndims ];
+	}
+	if ( type === 'blocked' ) {
+		return ( accessors ) ? BLOCKED_ACCESSOR_MASK[ ndims-2 ] : BLOCKED_MASK[ ndims-2 ]; // eslint-disable-line max-len
+	}
+	// For higher dimensional ndarrays, retrieve (or generate) kernels specialized for the number of dimensions...
+	if ( type === 'generated' || type === 'generated-blocked' ) {
+		return kernel( ndims, accessors, ( type === 'generated-blocked' ), true );
+	}
+	if ( type === 'nd-blocked' ) {
+		return ( accessors ) ? blockedaccessormasknd : blockedmasknd;
+	}
+	return ( accessors ) ? accessormasknd : masknd;
+}
+
+
+// EXPORTS //
+
+module.exports = select;
@@ -0,0 +1,139 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var hasEqualShape = require( '@stdlib/ndarray-base-assert-has-equal-shape' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var join = require( '@stdlib/array-base-join' );
+var format = require( '@stdlib/string-format' );
+var withIndices = require( './../with_indices.js' );
+var linearize = require( './../linearize.js' );
+var reorder = require( './../reorder.js' );
+var binary = require( './../binary/base.js' );
+var nd = require( './nd.js' );
+
+
+// MAIN //
+
+/**
+* Counts the number of sets of corresponding elements in an arbitrary number of ndarrays which pass a test implemented by a predicate function.
+*
+* @private
+* @param {ArrayLikeObject<Object>} arrays - array-like object containing two or more input ndarrays
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of element sets which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {string} [opts.order] - order in which to visit elements
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @throws {Error} input ndarrays must have the same shape
+* @returns {integer} result
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( x, y, z ) {
+*    return x > y && z;
+* }
+*
+* // Define the shape of the input arrays:
+* var shape = [ 3, 1, 2 ];
+*
+* // Create the input ndarray-like objects:
+* var x = {
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ),
+*     'shape': shape,
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* };
+* var y = {
+*     'dtype': 'generic',
+*     'data': [ 2.0, 2.0, 2.0, 2.0, 2.0, 2.0 ],
+*     'shape': shape,
+*     'strides': [ 2, 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+* var z = {
+*     'dtype': 'generic',
+*     'data': [ true, false, true, true, false, true ],
+*     'shape': shape,
+*     'strides': [ 2, 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+*
+* // Define function options:
+* var opts = {
+*     'limit': 6,
+*     'indices': 'none'
+* };
+*
+* // Perform operation:
+* var out = nary( [ x, y, z ], opts, predicate );
+* // returns 2
+*/
+function nary( arrays, opts, predicate, thisArg ) {
+	var views;
+	var order;
+	var sh;
+	var i;
+
+	// Standardize ndarray meta data, ensuring that all input ndarrays have the same shape...
+	views = [];
+	for ( i = 0; i < arrays.length; i++ ) {
+		views.push( ndarray2object( arrays[ i ] ) );
+		if ( !hasEqualShape( views[ 0 ], views[ i ] ) ) {
+			throw new Error( format( 'invalid argument. Input ndarrays must have the same shape. Shapes: [%s] and [%s].', join( views[ 0 ].shape, ',' ), join( views[ i ].shape, ',' ) ) );
+		}
+	}
+	// For two input ndarrays, we can leverage the specialized pairwise kernels:
+	if ( views.length === 2 ) {
+		return binary( views[ 0 ], views[ 1 ], opts, predicate, thisArg );
+	}
+	sh = views[ 0 ].shape;
+	if ( opts.limit === 0 || ( sh.length > 0 && numel( sh ) === 0 ) ) {
+		return 0;
+	}
+	// As elements are visited in the logical order of the first input ndarray, check whether we must visit elements in a different logical order...
+	order = opts.order;
+	if ( ( order === 'row-major' || order === 'column-major' ) && views[ 0 ].order !== order ) {
+		// As reordering an ndarray changes how linear view indices are resolved, resolve linear view indices according to the first input ndarray order:
+		if ( opts.indices === 'linear' ) {
+			predicate = linearize( predicate, sh, views[ 0 ].order, views.length );
+			opts = withIndices( opts, 'shared' );
+		}
+		views[ 0 ] = reorder( views[ 0 ], order );
+	}
+	return nd( views, opts, predicate, thisArg );
+}
+
+
+// EXPORTS //
+
+module.exports = nary;
@@ -0,0 +1,352 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var numel = require( '@stdlib/ndarray-base-numel' );
+var zeros = require( '@stdlib/array-base-zeros' );
+var copy = require( '@stdlib/array-base-copy' );
+var abortError = require( './../abort_error.js' );
+
+
+// VARIABLES //
+
+// Number of element sets to test between successive checks of whether the operation has been aborted:
+var CHECK_INTERVAL = 1024;
+
+
+// MAIN //
+
+/**
+* Counts the number of sets of corresponding elements in an arbitrary number of ndarrays which pass a test implemented by a predicate function.
+*
+* ## Notes
+*
+* -   The predicate function is provided one element from each input ndarray, followed by element indices (unless the `indices` option is `'none'`).
+* -   The function visits element sets according to linear view indices, regardless as to how the data is stored in memory. Rather than resolving the subscripts and data buffer indices of each element set from its linear view index, the function advances the subscripts and data buffer indices incrementally (see `./../nd.js`), maintaining one data buffer index per input ndarray.
+*
+* @private
+* @param {ArrayLikeObject<Object>} arrays - list of objects containing input ndarray meta data
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of element sets which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {integer} result
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+*
+* function predicate( x, y, z ) {
+*    return x > y && z;
+* }
+*
+* // Define the shape of the input arrays:
+* var shape = [ 2, 2 ];
+*
+* // Create the input ndarray-like objects:
+* var x = {
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0 ] ),
+*     'shape': shape,
+*     'strides': [ 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* };
+* var y = {
+*     'dtype': 'generic',
+*     'data': [ 1.0, 1.0, 1.0, 1.0 ],
+*     'shape': shape,
+*     'strides': [ 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+* var z = {
+*     'dtype': 'generic',
+*     'data': [ true, false, true, true ],
+*     'shape': shape,
+*     'strides': [ 1, 2 ],
+*     'offset': 0,
+*     'order': 'column-major'
+* };
+*
+* // Define function options:
+* var opts = {
+*     'limit': 4,
+*     'indices': 'none'
+* };
+*
+* // Perform operation:
+* var arrays = [ ndarray2object( x ), ndarray2object( y ), ndarray2object( z ) ];
+* var out = countIfnary( arrays, opts, predicate );
+* // returns 3
+*/
+function countIfnary( arrays, opts, predicate, thisArg ) {
+	var onProgress;
+	var processed;
+	var interval;
+	var getters;
+	var strides;
+	var signal;
+	var ndims;
+	var count;
+	var limit;
+	var imode;
+	var total;
+	var bufs;
+	var args;
+	var ptrs;
+	var incs;
+	var idx;
+	var sub;
+	var len;
+	var dim;
+	var inc;
+	var sh;
+	var S0;
+	var i0;
+	var N;
+	var i;
+	var j;
+	var k;
+
+	N = arrays.length;
+	sh = arrays[ 0 ].shape;
+	ndims = sh.length;
+
+	// Compute the total number of elements over which to iterate (note: a zero-dimensional ndarray contains a single element):
+	len = ( ndims === 0 ) ? 1 : numel( sh );
+
+	// Cache references to the data buffers, element accessors, and stride arrays of the respective ndarrays and set the pointers to the first indexed elements:
+	getters = [];
+	strides = [];
+	bufs = [];
+	ptrs = [];
+	for ( j = 0; j < N; j++ ) {
+		bufs.push( arrays[ j ].data );
+		getters.push( arrays[ j ].accessors[ 0 ] );
+		strides.push( arrays[ j ].strides );
+		ptrs.push( arrays[ j ].offset );
+	}
+	// Resolve the dimension whose index changes fastest and the direction in which to advance to the next dimension, noting that the first input ndarray order determines how linear view indices are resolved for all ndarrays:
+	if ( arrays[ 0 ].order === 'row-major' ) {
+		dim = ndims - 1;
+		inc = -1;
+	} else { // order === 'column-major'
+		dim = 0;
+		inc = 1;
+	}
+	// Initialize a counter:
+	count = 0;
+
+	// Cache the number of element sets which may pass a test before we stop iterating:
+	limit = opts.limit;
+
+	// Cache the manner in which to provide element indices to the predicate function:
+	imode = opts.indices;
+
+	// Cache the signal for aborting the operation:
+	signal = opts.signal;
+
+	// Cache the callback for reporting progress, the number of elements between successive progress reports, and the total number of elements:
+	onProgress = opts.onProgress;
+	interval = opts.progressInterval;
+	total = opts.total;
+
+	// Initialize a counter for the number of processed elements:
+	processed = 0;
+
+	// Initialize an array for storing the indices of the current element:
+	idx = zeros( ndims );
+
+	// Initialize a separate array for providing the indices of the current element to the predicate function when the indices are shared across invocations, such that the predicate function cannot affect iteration by mutating a shared array of indices:
+	sub = zeros( ndims );
+
+	// Initialize an array for storing the arguments provided to the predicate function:
+	args = zeros( ( imode === 'none' ) ? N : N+1 );
+
+	// Resolve the number of elements along the dimension whose index changes fastest and the corresponding offset increments, noting that a zero-dimensional ndarray comprises a single row containing a single element:
+	incs = [];
+	if ( ndims === 0 ) {
+		S0 = 1;
+		for ( j = 0; j < N; j++ ) {
+			incs.push( 0 );
+		}
+	} else {
+		S0 = sh[ dim ];
+		for ( j = 0; j < N; j++ ) {
+			incs.push( strides[ j ][ dim ] );
+		}
+	}
+	// Iterate over each element based on the linear **view** index, regardless as to how the data is stored in memory, visiting the elements along the dimension whose index changes fastest one row at a time...
+	i = 0;
+	while ( i < len ) {
+		// Test the element sets in the current row using a loop specific to the manner in which element indices are provided, thus avoiding branching on the manner for each element set...
+		if ( imode === 'none' ) {
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				for ( j = 0; j < N; j++ ) {
+					args[ j ] = getters[ j ]( bufs[ j ], ptrs[ j ] );
+				}
+				if ( predicate.apply( thisArg, args ) ) {
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				for ( j = 0; j < N; j++ ) {
+					ptrs[ j ] += incs[ j ];
+				}
+				i += 1;
+			}
+		} else if ( imode === 'shared' ) {
+			args[ N ] = sub;
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				for ( j = 0; j < N; j++ ) {
+					args[ j ] = getters[ j ]( bufs[ j ], ptrs[ j ] );
+				}
+				if ( ndims > 0 ) {
+					sub[ dim ] = i0;
+				}
+				if ( predicate.apply( thisArg, args ) ) {
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				for ( j = 0; j < N; j++ ) {
+					ptrs[ j ] += incs[ j ];
+				}
+				i += 1;
+			}
+		} else if ( imode === 'linear' ) {
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				for ( j = 0; j < N; j++ ) {
+					args[ j ] = getters[ j ]( bufs[ j ], ptrs[ j ] );
+				}
+				args[ N ] = i;
+				if ( predicate.apply( thisArg, args ) ) {
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				for ( j = 0; j < N; j++ ) {
+					ptrs[ j ] += incs[ j ];
+				}
+				i += 1;
+			}
+		} else {
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				for ( j = 0; j < N; j++ ) {
+					args[ j ] = getters[ j ]( bufs[ j ], ptrs[ j ] );
+				}
+				if ( ndims > 0 ) {
+					idx[ dim ] = i0;
+				}
+				args[ N ] = copy( idx );
+				if ( predicate.apply( thisArg, args ) ) {
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				for ( j = 0; j < N; j++ ) {
+					ptrs[ j ] += incs[ j ];
+				}
+				i += 1;
+			}
+		}
+		// Return to the first element set in the current row:
+		for ( j = 0; j < N; j++ ) {
+			ptrs[ j ] -= S0 * incs[ j ];
+		}
+		// Advance to the next row by incrementing the index of the next fastest changing dimension and, whenever an index wraps around, carrying over to the next dimension...
+		for ( k = dim+inc; k >= 0 && k < ndims; k += inc ) {
+			idx[ k ] += 1;
+			for ( j = 0; j < N; j++ ) {
+				ptrs[ j ] += strides[ j ][ k ];
+			}
+			if ( idx[ k ] < sh[ k ] ) {
+				sub[ k ] = idx[ k ];
+				break;
+			}
+			for ( j = 0; j < N; j++ ) {
+				ptrs[ j ] -= sh[ k ] * strides[ j ][ k ];
+			}
+			idx[ k ] = 0;
+			sub[ k ] = 0;
+		}
+	}
+	return count;
+}
+
+
+// EXPORTS //
+
+module.exports = countIfnary;
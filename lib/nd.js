@@ -21,13 +21,15 @@
 // MODULES //
 
 var numel = require( '@stdlib/ndarray-base-numel' );
-var vind2bind = require( '@stdlib/ndarray-base-vind2bind' );
-var ind2sub = require( '@stdlib/ndarray-base-ind2sub' );
+var zeros = require( '@stdlib/array-base-zeros' );
+var copy = require( '@stdlib/array-base-copy' );
+var abortError = require( './abort_error.js' );
 
 
 // VARIABLES //
 
-var MODE = 'throw';
+// Number of elements to test between successive checks of whether the operation has been aborted:
+var CHECK_INTERVAL = 1024;
 
 
 // MAIN //
@@ -35,8 +37,12 @@ var MODE = 'throw';
 /**
 * Counts the number of elements in an ndarray which pass a test implemented by a predicate function.
 *
+* ## Notes
+*
+* -   The function visits elements according to linear view indices, regardless as to how the data is stored in memory. Rather than resolving the subscripts and data buffer index of each element from its linear view index, the function advances the subscripts and data buffer indices incrementally, as if incrementing an odometer, such that the cost of visiting an element does not scale with the number of dimensions.
+*
 * @private
-* @param {Object} x - object containing ndarray meta data
+* @param {Object} x - object containing input ndarray meta data
 * @param {ndarrayLike} x.ref - reference to the original ndarray-like object
 * @param {*} x.dtype - data type
 * @param {Collection} x.data - data buffer
@@ -44,6 +50,13 @@ var MODE = 'throw';
 * @param {IntegerArray} x.strides - stride lengths
 * @param {NonNegativeInteger} x.offset - index offset
 * @param {string} x.order - specifies whether `x` is row-major (C-style) or column-major (Fortran-style)
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [opts.progressInterval] - number of processed elements between successive progress reports
+* @param {NonNegativeInteger} [opts.total] - total number of elements
 * @param {Function} predicate - predicate function
 * @param {*} thisArg - predicate function execution context
 * @returns {integer} result
@@ -78,23 +91,43 @@ var MODE = 'throw';
 *     'order': 'row-major'
 * };
 *
+* // Define function options:
+* var opts = {
+*     'limit': 4,
+*     'indices': 'array'
+* };
+*
 * // Perform operation:
-* var out = countIfnd( x, predicate );
+* var out = countIfnd( x, opts, predicate );
 * // returns 3
 */
-function countIfnd( x, predicate, thisArg ) {
+function countIfnd( x, opts, predicate, thisArg ) {
+	var onProgress;
+	var processed;
+	var interval;
+	var signal;
+	var ndims;
 	var count;
+	var limit;
+	var imode;
+	var total;
 	var xbuf;
-	var ordx;
 	var idx;
+	var sub;
 	var len;
+	var dim;
+	var inc;
+	var dx0;
 	var sh;
 	var sx;
-	var ox;
 	var ix;
+	var S0;
+	var i0;
 	var i;
+	var k;
 
 	sh = x.shape;
+	ndims = sh.length;
 
 	// Compute the total number of elements over which to iterate:
 	len = numel( sh );
@@ -105,21 +138,156 @@ function countIfnd( x, predicate, thisArg ) {
 	// Cache a reference to the stride array:
 	sx = x.strides;
 
-	// Cache the index of the first indexed element:
-	ox = x.offset;
-
-	// Cache the array order:
-	ordx = x.order;
+	// Set a pointer to the first indexed element:
+	ix = x.offset;
 
+	// Resolve the dimension whose index changes fastest and the direction in which to advance to the next dimension:
+	if ( x.order === 'row-major' ) {
+		dim = ndims - 1;
+		inc = -1;
+	} else { // order === 'column-major'
+		dim = 0;
+		inc = 1;
+	}
 	// Initialize a counter:
 	count = 0;
 
-	// Iterate over each element based on the linear **view** index, regardless as to how the data is stored in memory...
-	for ( i = 0; i < len; i++ ) {
-		ix = vind2bind( sh, sx, ox, ordx, i, MODE );
-		idx = ind2sub( sh, sx, 0, ordx, i, MODE ); // return subscripts from the perspective of the ndarray view
-		if ( predicate.call( thisArg, xbuf[ ix ], idx, x.ref ) ) {
-			count += 1;
+	// Cache the number of elements which may pass a test before we stop iterating:
+	limit = opts.limit;
+
+	// Cache the manner in which to provide element indices to the predicate function:
+	imode = opts.indices;
+
+	// Cache the signal for aborting the operation:
+	signal = opts.signal;
+
+	// Cache the callback for reporting progress, the number of elements between successive progress reports, and the total number of elements:
+	onProgress = opts.onProgress;
+	interval = opts.progressInterval;
+	total = opts.total;
+
+	// Initialize a counter for the number of processed elements:
+	processed = 0;
+
+	// Initialize an array for storing the indices of the current element:
+	idx = zeros( ndims );
+
+	// Initialize a separate array for providing the indices of the current element to the predicate function when the indices are shared across invocations, such that the predicate function cannot affect iteration by mutating a shared array of indices:
+	sub = zeros( ndims );
+
+	// Resolve the number of elements along the dimension whose index changes fastest and the corresponding offset increments:
+	S0 = sh[ dim ];
+	dx0 = sx[ dim ];
+
+	// Iterate over each element based on the linear **view** index, regardless as to how the data is stored in memory, visiting the elements along the dimension whose index changes fastest one row at a time...
+	i = 0;
+	while ( i < len ) {
+		// Test the elements in the current row using a loop specific to the manner in which element indices are provided, thus avoiding branching on the manner for each element...
+		if ( imode === 'none' ) {
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				if ( predicate.call( thisArg, xbuf[ ix ] ) ) {
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				ix += dx0;
+				i += 1;
+			}
+		} else if ( imode === 'shared' ) {
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				sub[ dim ] = i0;
+				if ( predicate.call( thisArg, xbuf[ ix ], sub, x.ref ) ) {
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				ix += dx0;
+				i += 1;
+			}
+		} else if ( imode === 'linear' ) {
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				if ( predicate.call( thisArg, xbuf[ ix ], i, x.ref ) ) {
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				ix += dx0;
+				i += 1;
+			}
+		} else {
+			for ( i0 = 0; i0 < S0; i0++ ) {
+				// Periodically check whether the operation has been aborted...
+				if ( signal && ( i % CHECK_INTERVAL ) === 0 && signal.aborted ) {
+					throw abortError( signal, count );
+				}
+				idx[ dim ] = i0;
+				if ( predicate.call( thisArg, xbuf[ ix ], copy( idx ), x.ref ) ) { // eslint-disable-line max-len
+					count += 1;
+					if ( count === limit ) {
+						return count;
+					}
+				}
+				// Report progress at regular intervals...
+				if ( onProgress ) {
+					processed += 1;
+					if ( processed % interval === 0 || processed === total ) {
+						onProgress( processed, total );
+					}
+				}
+				ix += dx0;
+				i += 1;
+			}
+		}
+		// Return to the first element in the current row:
+		ix -= S0 * dx0;
+
+		// Advance to the next row by incrementing the index of the next fastest changing dimension and, whenever an index wraps around, carrying over to the next dimension...
+		for ( k = dim+inc; k >= 0 && k < ndims; k += inc ) {
+			idx[ k ] += 1;
+			ix += sx[ k ];
+			if ( idx[ k ] < sh[ k ] ) {
+				sub[ k ] = idx[ k ];
+				break;
+			}
+			ix -= sh[ k ] * sx[ k ];
+			idx[ k ] = 0;
+			sub[ k ] = 0;
 		}
 	}
 	return count;
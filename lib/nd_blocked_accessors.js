@@ -0,0 +1,469 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var loopOrder = require( '@stdlib/ndarray-base-nullary-loop-interchange-order' );
+var blockSize = require( '@stdlib/ndarray-base-nullary-tiling-block-size' );
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var take = require( '@stdlib/array-base-take-indexed' );
+var zeros = require( '@stdlib/array-base-zeros' );
+var copy = require( '@stdlib/array-base-copy' );
+var abortError = require( './abort_error.js' );
+
+
+// VARIABLES //
+
+// Number of elements to test between successive checks of whether the operation has been aborted:
+var CHECK_INTERVAL = 1024;
+
+
+// MAIN //
+
+/**
+* Counts the number of elements in an ndarray which pass a test implemented by a predicate function via loop blocking.
+*
+* ## Notes
+*
+* -   The function supports ndarrays having any number of dimensions (greater than one) and visits elements in the same order as the generated blocked kernels (see `./codegen/source_blocked.js`), but, as loop state is stored in arrays, is slower than the generated kernels. Accordingly, the function is intended for environments which do not permit runtime code evaluation.
+*
+* @private
+* @param {Object} x - object containing input ndarray meta data
+* @param {ndarrayLike} x.ref - reference to the original ndarray-like object
+* @param {*} x.dtype - data type
+* @param {Collection} x.data - data buffer
+* @param {NonNegativeIntegerArray} x.shape - dimensions
+* @param {IntegerArray} x.strides - stride lengths
+* @param {NonNegativeInteger} x.offset - index offset
+* @param {string} x.order - specifies whether `x` is row-major (C-style) or column-major (Fortran-style)
+* @param {Array<Function>} x.accessors - data buffer accessors
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [opts.signal] - signal for aborting the operation
+* @param {(Function|null)} [opts.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {NonNegativeInteger} [opts.total] - total number of elements
+* @param {Object} [opts.loopOrder] - precomputed loop interchange order
+* @param {PositiveInteger} [opts.blockSize] - precomputed block size
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {integer} result
+*
+* @example
+* var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+* var accessors = require( '@stdlib/array-base-accessors' );
+*
+* function predicate( value ) {
+*    return value > 0.0;
+* }
+*
+* // Create a data buffer:
+* var xbuf = toAccessorArray( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0 ] );
+*
+* // Define the shape of the input array:
+* var shape = [ 2, 2 ];
+*
+* // Define the array strides:
+* var sx = [ -4, 1 ];
+*
+* // Define the index offset:
+* var ox = 5;
+*
+* // Create the input ndarray-like object:
+* var x = {
+*     'ref': null,
+*     'dtype': 'generic',
+*     'data': xbuf,
+*     'shape': shape,
+*     'strides': sx,
+*     'offset': ox,
+*     'order': 'row-major',
+*     'accessors': accessors( xbuf ).accessors
+* };
+*
+* // Define function options:
+* var opts = {
+*     'limit': 4,
+*     'indices': 'array'
+* };
+*
+* // Perform operation:
+* var out = blockedCountIfnd( x, opts, predicate );
+* // returns 3
+*/
+function blockedCountIfnd( x, opts, predicate, thisArg ) {
+	var onProgress;
+	var processed;
+	var signal;
+	var ndims;
+	var count;
+	var bsize;
+	var limit;
+	var imode;
+	var total;
+	var xbuf;
+	var get;
+	var idx;
+	var sub;
+	var dx0;
+	var dv0;
+	var dx;
+	var dv;
+	var sh;
+	var sx;
+	var sv;
+	var ix;
+	var iv;
+	var i0;
+	var s0;
+	var j0;
+	var n;
+	var M;
+	var m;
+	var o;
+	var i;
+	var s;
+	var j;
+	var k;
+
+	// Note on variable naming convention: s[k], dx[k], dv[k], i[k], j[k] where k corresponds to the loop number, with `0` being the innermost loop...
+
+	// Resolve the loop interchange order, unless precomputed:
+	o = opts.loopOrder || loopOrder( x.shape, x.strides );
+	sh = o.sh;
+	sx = o.sx;
+	sv = take( shape2strides( x.shape, x.order ), o.idx );
+	idx = o.idx;
+	ndims = sh.length;
+
+	// Determine the block size, unless precomputed:
+	bsize = opts.blockSize || blockSize( x.dtype );
+
+	// Cache a reference to the input ndarray buffer:
+	xbuf = x.data;
+
+	// Cache accessor:
+	get = x.accessors[ 0 ];
+
+	// Cache the offset increments for the innermost loop:
+	dx0 = sx[ 0 ];
+	dv0 = sv[ 0 ];
+
+	// Initialize arrays for storing the offset increments of the outer loops:
+	dx = zeros( ndims );
+	dv = zeros( ndims );
+
+	// Initialize arrays for storing, for each loop, the index of the first element in the current block, the number of elements in the current block, and the index of the current element relative to the current block:
+	j = zeros( ndims );
+	s = zeros( ndims );
+	i = zeros( ndims );
+
+	// Initialize a counter:
+	count = 0;
+
+	// Cache the number of elements which may pass a test before we stop iterating:
+	limit = opts.limit;
+
+	// Cache the manner in which to provide element indices to the predicate function:
+	imode = opts.indices;
+
+	// Cache the signal for aborting the operation:
+	signal = opts.signal;
+
+	// Cache the callback for reporting progress and the total number of elements:
+	onProgress = opts.onProgress;
+	total = opts.total;
+
+	// Initialize a counter for the number of processed elements:
+	processed = 0;
+
+	// Initialize a counter for the number of tested elements, which determines when to check whether the operation has been aborted:
+	n = 0;
+
+	// Initialize an array for storing the indices of the current element:
+	sub = zeros( ndims );
+
+	// Resolve the first block for each loop, noting that, for each loop, blocks are visited starting from the last block:
+	for ( k = 0; k < ndims; k++ ) {
+		nextBlock( k, sh[ k ] );
+	}
+	// Iterate over blocks using a loop nest specific to the manner in which element indices are provided, thus avoiding branching on the manner within the loop nest and only tracking linear view indices when providing linear view indices...
+	if ( imode === 'none' ) {
+		do {
+			// Compute the index offsets for the first input ndarray element in the current block and the loop offset increments:
+			ix = x.offset;
+			M = 1;
+			for ( k = 0; k < ndims; k++ ) {
+				ix += j[ k ] * sx[ k ];
+				if ( k > 0 ) {
+					dx[ k ] = sx[ k ] - ( s[ k-1 ]*sx[ k-1 ] );
+					M *= s[ k ];
+				}
+				i[ k ] = 0;
+			}
+			s0 = s[ 0 ];
+			j0 = j[ 0 ];
+
+			// Iterate over the rows (i.e., the innermost loops) of the current block...
+			for ( m = 0; m < M; m++ ) {
+				for ( i0 = 0; i0 < s0; i0++ ) {
+					// Periodically check whether the operation has been aborted...
+					if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) { // eslint-disable-line max-len
+						throw abortError( signal, count );
+					}
+					n += 1;
+					if ( predicate.call( thisArg, get( xbuf, ix ) ) ) {
+						count += 1;
+						if ( count === limit ) {
+							return count;
+						}
+					}
+					ix += dx0;
+				}
+				// Advance to the next row, updating the indices of the outer loops as if incrementing an odometer...
+				for ( k = 1; k < ndims; k++ ) {
+					ix += dx[ k ];
+					i[ k ] += 1;
+					if ( i[ k ] < s[ k ] ) {
+						break;
+					}
+					i[ k ] = 0;
+				}
+			}
+			// Report progress upon completing a block...
+			if ( onProgress ) {
+				processed += s0 * M;
+				onProgress( processed, total );
+			}
+			// Advance to the next block, with the innermost loop changing fastest, noting that, once we have visited every block, `k` equals the number of loops...
+			for ( k = 0; k < ndims; k++ ) {
+				if ( j[ k ] > 0 ) {
+					nextBlock( k, j[ k ] );
+					break;
+				}
+				nextBlock( k, sh[ k ] );
+			}
+		} while ( k < ndims );
+	} else if ( imode === 'shared' ) {
+		do {
+			// Compute the index offsets for the first input ndarray element in the current block and the loop offset increments:
+			ix = x.offset;
+			M = 1;
+			for ( k = 0; k < ndims; k++ ) {
+				ix += j[ k ] * sx[ k ];
+				if ( k > 0 ) {
+					dx[ k ] = sx[ k ] - ( s[ k-1 ]*sx[ k-1 ] );
+					M *= s[ k ];
+				}
+				i[ k ] = 0;
+				sub[ idx[ k ] ] = j[ k ];
+			}
+			s0 = s[ 0 ];
+			j0 = j[ 0 ];
+
+			// Iterate over the rows (i.e., the innermost loops) of the current block...
+			for ( m = 0; m < M; m++ ) {
+				for ( i0 = 0; i0 < s0; i0++ ) {
+					// Periodically check whether the operation has been aborted...
+					if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) { // eslint-disable-line max-len
+						throw abortError( signal, count );
+					}
+					n += 1;
+					sub[ idx[ 0 ] ] = j0 + i0;
+					if ( predicate.call( thisArg, get( xbuf, ix ), sub, x.ref ) ) { // eslint-disable-line max-len
+						count += 1;
+						if ( count === limit ) {
+							return count;
+						}
+					}
+					ix += dx0;
+				}
+				// Advance to the next row, updating the indices of the outer loops as if incrementing an odometer...
+				for ( k = 1; k < ndims; k++ ) {
+					ix += dx[ k ];
+					i[ k ] += 1;
+					if ( i[ k ] < s[ k ] ) {
+						sub[ idx[ k ] ] = j[ k ] + i[ k ];
+						break;
+					}
+					i[ k ] = 0;
+					sub[ idx[ k ] ] = j[ k ];
+				}
+			}
+			// Report progress upon completing a block...
+			if ( onProgress ) {
+				processed += s0 * M;
+				onProgress( processed, total );
+			}
+			// Advance to the next block, with the innermost loop changing fastest, noting that, once we have visited every block, `k` equals the number of loops...
+			for ( k = 0; k < ndims; k++ ) {
+				if ( j[ k ] > 0 ) {
+					nextBlock( k, j[ k ] );
+					break;
+				}
+				nextBlock( k, sh[ k ] );
+			}
+		} while ( k < ndims );
+	} else if ( imode === 'linear' ) {
+		do {
+			// Compute the index offsets for the first input ndarray element in the current block and the loop offset increments:
+			ix = x.offset;
+			iv = 0;
+			M = 1;
+			for ( k = 0; k < ndims; k++ ) {
+				ix += j[ k ] * sx[ k ];
+				iv += j[ k ] * sv[ k ];
+				if ( k > 0 ) {
+					dx[ k ] = sx[ k ] - ( s[ k-1 ]*sx[ k-1 ] );
+					dv[ k ] = sv[ k ] - ( s[ k-1 ]*sv[ k-1 ] );
+					M *= s[ k ];
+				}
+				i[ k ] = 0;
+			}
+			s0 = s[ 0 ];
+			j0 = j[ 0 ];
+
+			// Iterate over the rows (i.e., the innermost loops) of the current block...
+			for ( m = 0; m < M; m++ ) {
+				for ( i0 = 0; i0 < s0; i0++ ) {
+					// Periodically check whether the operation has been aborted...
+					if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) { // eslint-disable-line max-len
+						throw abortError( signal, count );
+					}
+					n += 1;
+					if ( predicate.call( thisArg, get( xbuf, ix ), iv, x.ref ) ) { // eslint-disable-line max-len
+						count += 1;
+						if ( count === limit ) {
+							return count;
+						}
+					}
+					ix += dx0;
+					iv += dv0;
+				}
+				// Advance to the next row, updating the indices of the outer loops as if incrementing an odometer...
+				for ( k = 1; k < ndims; k++ ) {
+					ix += dx[ k ];
+					iv += dv[ k ];
+					i[ k ] += 1;
+					if ( i[ k ] < s[ k ] ) {
+						break;
+					}
+					i[ k ] = 0;
+				}
+			}
+			// Report progress upon completing a block...
+			if ( onProgress ) {
+				processed += s0 * M;
+				onProgress( processed, total );
+			}
+			// Advance to the next block, with the innermost loop changing fastest, noting that, once we have visited every block, `k` equals the number of loops...
+			for ( k = 0; k < ndims; k++ ) {
+				if ( j[ k ] > 0 ) {
+					nextBlock( k, j[ k ] );
+					break;
+				}
+				nextBlock( k, sh[ k ] );
+			}
+		} while ( k < ndims );
+	} else {
+		do {
+			// Compute the index offsets for the first input ndarray element in the current block and the loop offset increments:
+			ix = x.offset;
+			M = 1;
+			for ( k = 0; k < ndims; k++ ) {
+				ix += j[ k ] * sx[ k ];
+				if ( k > 0 ) {
+					dx[ k ] = sx[ k ] - ( s[ k-1 ]*sx[ k-1 ] );
+					M *= s[ k ];
+				}
+				i[ k ] = 0;
+				sub[ idx[ k ] ] = j[ k ];
+			}
+			s0 = s[ 0 ];
+			j0 = j[ 0 ];
+
+			// Iterate over the rows (i.e., the innermost loops) of the current block...
+			for ( m = 0; m < M; m++ ) {
+				for ( i0 = 0; i0 < s0; i0++ ) {
+					// Periodically check whether the operation has been aborted...
+					if ( signal && ( n % CHECK_INTERVAL ) === 0 && signal.aborted ) { // eslint-disable-line max-len
+						throw abortError( signal, count );
+					}
+					n += 1;
+					sub[ idx[ 0 ] ] = j0 + i0;
+					if ( predicate.call( thisArg, get( xbuf, ix ), copy( sub ), x.ref ) ) { // eslint-disable-line max-len
+						count += 1;
+						if ( count === limit ) {
+							return count;
+						}
+					}
+					ix += dx0;
+				}
+				// Advance to the next row, updating the indices of the outer loops as if incrementing an odometer...
+				for ( k = 1; k < ndims; k++ ) {
+					ix += dx[ k ];
+					i[ k ] += 1;
+					if ( i[ k ] < s[ k ] ) {
+						sub[ idx[ k ] ] = j[ k ] + i[ k ];
+						break;
+					}
+					i[ k ] = 0;
+					sub[ idx[ k ] ] = j[ k ];
+				}
+			}
+			// Report progress upon completing a block...
+			if ( onProgress ) {
+				processed += s0 * M;
+				onProgress( processed, total );
+			}
+			// Advance to the next block, with the innermost loop changing fastest, noting that, once we have visited every block, `k` equals the number of loops...
+			for ( k = 0; k < ndims; k++ ) {
+				if ( j[ k ] > 0 ) {
+					nextBlock( k, j[ k ] );
+					break;
+				}
+				nextBlock( k, sh[ k ] );
+			}
+		} while ( k < ndims );
+	}
+	return count;
+
+	/**
+	* Resolves the next block for a specified loop.
+	*
+	* @private
+	* @param {NonNegativeInteger} d - loop number
+	* @param {PositiveInteger} r - number of remaining elements
+	*/
+	function nextBlock( d, r ) {
+		if ( r < bsize ) {
+			s[ d ] = r;
+			j[ d ] = 0;
+		} else {
+			s[ d ] = bsize;
+			j[ d ] = r - bsize;
+		}
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = blockedCountIfnd;
@@ -0,0 +1,97 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var PINF = require( '@stdlib/constants-float64-pinf' );
+
+
+// VARIABLES //
+
+// Default number of processed elements between successive progress reports:
+var PROGRESS_INTERVAL = 1024;
+
+
+// MAIN //
+
+/**
+* Resolves function options.
+*
+* ## Notes
+*
+* -   When not provided an `indices` option, the function resolves the manner in which to provide element indices based on the number of parameters declared by the predicate function. If the predicate function does not declare a parameter for element indices (i.e., declares no more parameters than the number of element values it is provided), the predicate function is assumed to ignore element indices, and, in order to avoid allocating index arrays, only element values are provided.
+*
+* @private
+* @param {Options} options - function options
+* @param {NonNegativeInteger} [options.limit] - maximum number of elements which may pass a test before iteration stops
+* @param {string} [options.indices] - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [options.signal] - signal for aborting the operation
+* @param {Function} [options.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [options.progressInterval] - number of processed elements between successive progress reports
+* @param {(PositiveInteger|Function)} [options.blockSize] - block size (in units of elements) for performing loop tiling or a function which returns a block size for a provided data type
+* @param {string} [options.order] - order in which to visit elements
+* @param {Function} predicate - predicate function
+* @param {PositiveInteger} [narrays=1] - number of element values provided to the predicate function
+* @returns {Object} resolved options
+*
+* @example
+* function predicate( value ) {
+*     return value > 0.0;
+* }
+*
+* var opts = resolve( {}, predicate );
+* // returns { 'limit': Infinity, 'indices': 'none', 'signal': null, 'onProgress': null, 'progressInterval': 1024, 'blockSize': null, 'order': 'memory' }
+*
+* @example
+* function predicate( value, indices ) {
+*     return indices[ 0 ] > 0;
+* }
+*
+* var opts = resolve( { 'limit': 5 }, predicate );
+* // returns { 'limit': 5, 'indices': 'array', 'signal': null, 'onProgress': null, 'progressInterval': 1024, 'blockSize': null, 'order': 'memory' }
+*
+* @example
+* function predicate( vx, vy ) {
+*     return vx > vy;
+* }
+*
+* var opts = resolve( {}, predicate, 2 );
+* // returns { 'limit': Infinity, 'indices': 'none', 'signal': null, 'onProgress': null, 'progressInterval': 1024, 'blockSize': null, 'order': 'memory' }
+*/
+function resolve( options, predicate, narrays ) {
+	var indices = options.indices;
+	if ( indices === void 0 ) {
+		indices = ( predicate.length <= ( narrays || 1 ) ) ? 'none' : 'array';
+	}
+	return {
+		'limit': ( options.limit === void 0 ) ? PINF : options.limit,
+		'indices': indices,
+		'signal': ( options.signal === void 0 ) ? null : options.signal,
+		'onProgress': ( options.onProgress === void 0 ) ? null : options.onProgress,
+		'progressInterval': ( options.progressInterval === void 0 ) ? PROGRESS_INTERVAL : options.progressInterval, // eslint-disable-line max-len
+		'blockSize': ( options.blockSize === void 0 ) ? null : options.blockSize,
+		'order': ( options.order === void 0 ) ? 'memory' : options.order
+	};
+}
+
+
+// EXPORTS //
+
+module.exports = resolve;
@@ -0,0 +1,109 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var numel = require( '@stdlib/ndarray-base-numel' );
+var accessorcountnd = require( './nd_accessors.js' );
+var countnd = require( './nd.js' );
+var isMemoryOrder = require( './is_memory_order.js' );
+var withIndices = require( './with_indices.js' );
+var linearize = require( './linearize.js' );
+var reorder = require( './reorder.js' );
+var select = require( './select.js' );
+
+
+// MAIN //
+
+/**
+* Counts the number of elements in an ndarray which pass a test implemented by a predicate function, visiting elements in a specified logical order.
+*
+* ## Notes
+*
+* -   When the memory layout of the input ndarray agrees with the specified logical order, the function delegates to the same kernels used for unordered iteration. Otherwise, the function iterates over linear view indices, which is slower, but guarantees that elements are visited in logical order (e.g., when used in conjunction with a `limit` option, the elements which are visited are the first elements in logical order).
+* -   Linear view indices provided to the predicate function are resolved according to the input ndarray order, regardless of the specified logical order.
+*
+* @private
+* @param {Object} x - object containing input ndarray meta data
+* @param {Object} opts - function options
+* @param {NonNegativeInteger} opts.limit - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} opts.indices - specifies how to provide element indices to the predicate function
+* @param {string} order - logical order in which to visit elements (either `'row-major'` or `'column-major'`)
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {integer} result
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 0.0;
+* }
+*
+* // Create the input ndarray meta data object:
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ),
+*     'shape': [ 2, 2 ],
+*     'strides': [ 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* });
+*
+* // Define function options:
+* var opts = {
+*     'limit': 2,
+*     'indices': 'array'
+* };
+*
+* // Perform operation:
+* var out = ordered( x, opts, 'column-major', predicate );
+* // returns 2
+*/
+function ordered( x, opts, order, predicate, thisArg ) {
+	// Check whether we should stop before visiting any elements or were provided an empty ndarray...
+	if ( opts.limit === 0 || ( x.shape.length > 0 && numel( x.shape ) === 0 ) ) {
+		return 0;
+	}
+	// As reordering an ndarray changes how linear view indices are resolved, resolve linear view indices according to the input ndarray order:
+	if ( opts.indices === 'linear' && x.order !== order ) {
+		predicate = linearize( predicate, x.shape, x.order, 1 );
+		opts = withIndices( opts, 'shared' );
+	}
+	// Ensure that linear view indices are resolved according to the specified logical order:
+	if ( x.order !== order ) {
+		x = reorder( x, order );
+	}
+	// Determine whether we can use kernels which iterate according to memory layout...
+	if ( isMemoryOrder( x, order ) ) {
+		return select( x )( x, opts, predicate, thisArg );
+	}
+	// Iterate over linear view indices, which correspond to the specified logical order:
+	if ( x.accessorProtocol ) {
+		return accessorcountnd( x, opts, predicate, thisArg );
+	}
+	return countnd( x, opts, predicate, thisArg );
+}
+
+
+// EXPORTS //
+
+module.exports = ordered;
@@ -0,0 +1,398 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+// MODULES //
+
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var hasEqualShape = require( '@stdlib/ndarray-base-assert-has-equal-shape' );
+var isSharedArrayBuffer = require( '@stdlib/assert-is-sharedarraybuffer' );
+var isPositiveInteger = require( '@stdlib/assert-is-positive-integer' ).isPrimitive;
+var isTypedArray = require( '@stdlib/assert-is-typed-array' );
+var isFunction = require( '@stdlib/assert-is-function' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var join = require( '@stdlib/array-base-join' );
+var format = require( '@stdlib/string-format' );
+var isDescriptor = require( './../builtin/is_descriptor.js' );
+var predicateError = require( './../predicate_error.js' );
+var resolve = require( './../options.js' );
+var resolveBlockSize = require( './../block_size.js' );
+var partition = require( './partition.js' );
+var abortError = require( './../abort_error.js' );
+
+
+// VARIABLES //
+
+// Name of the script executed by each worker thread:
+var WORKER = 'worker.js';
+
+
+// FUNCTIONS //
+
+/**
+* Returns the source code of a predicate function which can be reconstructed in a worker thread.
+*
+* @private
+* @param {Function} predicate - predicate function
+* @returns {(string|null)} source code or null
+*
+* @example
+* function predicate( value ) {
+*     return value > 0.0;
+* }
+*
+* var src = serialize( predicate );
+* // returns 'function predicate( value ) {\n    return value > 0.0;\n}'
+*
+* @example
+* var src = serialize( Math.abs );
+* // returns null
+*/
+function serialize( predicate ) {
+	var src;
+	var f;
+
+	src = predicate.toString();
+	try {
+		f = ( new Function( 'return (' + src + ');' ) )(); // eslint-disable-line no-new-func
+	} catch ( err ) { // eslint-disable-line no-unused-vars
+		return null;
+	}
+	return ( isFunction( f ) ) ? src : null;
+}
+
+/**
+* Converts a list of objects containing ndarray meta data to a list of ndarray-like objects which can be provided to worker threads.
+*
+* @private
+* @param {Array<Object>} views - list of objects containing ndarray meta data
+* @returns {Array<Object>} list of ndarray-like objects
+*/
+function arrays2objects( views ) {
+	var out;
+	var v;
+	var i;
+
+	out = [];
+	for ( i = 0; i < views.length; i++ ) {
+		v = views[ i ];
+		out.push({
+			'dtype': v.dtype,
+			'data': v.data,
+			'shape': v.shape,
+			'strides': v.strides,
+			'offset': v.offset,
+			'order': v.order
+		});
+	}
+	return out;
+}
+
+
+// MAIN //
+
+/**
+* Counts the number of elements in one or more ndarrays backed by a `SharedArrayBuffer` which pass a test implemented by a predicate function, partitioning the work across worker threads.
+*
+* ## Notes
+*
+* -   Each input ndarray must have a data buffer which is a typed array backed by a `SharedArrayBuffer`.
+* -   The outermost loop of the blocked traversal is partitioned into contiguous ranges of blocks, with each range being processed by a separate worker thread, and the function resolves the sum of the partial counts.
+* -   The predicate function is serialized and reconstructed within each worker thread. Accordingly, the predicate function must be self-contained (i.e., must not reference variables from an enclosing scope), and a provided execution context must be serializable via the structured clone algorithm.
+* -   Element indices are provided with respect to the original ndarray view. When provided a single input ndarray, the predicate function is provided an ndarray-like object representing the input ndarray in place of the original ndarray.
+* -   When provided a `limit` option, each worker thread stops iterating once its partial count equals the limit, and the function resolves the minimum of the limit and the sum of the partial counts.
+* -   As an abort signal cannot be shared with worker threads, when provided a `signal` option, the function terminates all worker threads as soon as the signal is aborted and rejects with an error whose `name` property is `'AbortError'` and whose `count` property is the sum of the partial counts received before the operation was aborted.
+* -   If not provided a predicate function (e.g., if provided a predicate descriptor or an expression), the function returns a promise which rejects.
+* -   If provided a `workers` option which is not a positive integer, the function returns a promise which rejects.
+* -   If a worker thread encounters an error or exits before reporting a partial count, the function terminates all worker threads and rejects.
+*
+* @param {ArrayLikeObject<Object>} arrays - array-like object containing one or more input ndarrays
+* @param {Options} [options] - function options
+* @param {NonNegativeInteger} [options.limit] - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} [options.indices] - specifies how to provide element indices to the predicate function
+* @param {PositiveInteger} [options.workers] - maximum number of worker threads
+* @param {AbortSignal} [options.signal] - signal for aborting the operation
+* @param {(PositiveInteger|Function)} [options.blockSize] - block size (in units of elements) for performing loop tiling or a function which returns a block size for a provided data type
+* @param {Function} predicate - predicate function
+* @param {thisArg} [thisArg] - predicate function execution context
+* @returns {Promise} promise which resolves the number of elements which pass the test
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 0.0;
+* }
+*
+* // Create a data buffer backed by a SharedArrayBuffer:
+* var xbuf = new Float64Array( new SharedArrayBuffer( 96 ) );
+* xbuf.set( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+*
+* // Create the input ndarray-like object:
+* var x = {
+*     'dtype': 'float64',
+*     'data': xbuf,
+*     'shape': [ 3, 1, 2 ],
+*     'strides': [ 4, 4, 1 ],
+*     'offset': 1,
+*     'order': 'row-major'
+* };
+*
+* // Perform operation:
+* parallel( [ x ], predicate ).then( onResolve );
+*
+* function onResolve( count ) {
+*     console.log( count );
+*     // => 5
+* }
+*/
+function parallel( arrays, options, predicate, thisArg ) {
+	var clbk;
+	var opts;
+	var ctx;
+	var nw;
+
+	if ( isFunction( options ) || isDescriptor( options ) ) {
+		opts = {};
+		clbk = options;
+		ctx = predicate;
+	} else {
+		opts = options;
+		clbk = predicate;
+		ctx = thisArg;
+	}
+	if ( !isFunction( clbk ) ) {
+		return Promise.reject( predicateError( clbk ) );
+	}
+	nw = opts.workers;
+	opts = resolve( opts, clbk, arrays.length );
+	return new Promise( executor );
+
+	/**
+	* Executes the operation.
+	*
+	* @private
+	* @param {Function} done - callback to invoke upon success
+	* @param {Function} fail - callback to invoke upon failure
+	* @throws {TypeError} input ndarrays must be backed by a `SharedArrayBuffer`
+	* @throws {Error} input ndarrays must have the same shape
+	* @throws {TypeError} predicate function must be serializable
+	* @returns {void}
+	*/
+	function executor( done, fail ) {
+		var workerThreads;
+		var workers;
+		var pending;
+		var script;
+		var signal;
+		var failed;
+		var wopts;
+		var bsize;
+		var views;
+		var total;
+		var path;
+		var list;
+		var src;
+		var os;
+		var sh;
+		var p;
+		var i;
+
+		// As partitioning the outermost loop among fewer than one worker thread would never advance to the next partition, ensure that at least one worker thread may be spawned:
+		if ( nw !== void 0 && !isPositiveInteger( nw ) ) {
+			return fail( new RangeError( format( 'invalid option. `%s` option must be a positive integer. Option: `%s`.', 'workers', nw ) ) );
+		}
+		// Standardize ndarray meta data, ensuring that each input ndarray can be shared across worker threads...
+		views = [];
+		for ( i = 0; i < arrays.length; i++ ) {
+			views.push( ndarray2object( arrays[ i ] ) );
+			if ( !isTypedArray( views[ i ].data ) || !isSharedArrayBuffer( views[ i ].data.buffer ) ) { // eslint-disable-line max-len
+				throw new TypeError( format( 'invalid argument. Input ndarrays must have data buffers which are typed arrays backed by a SharedArrayBuffer. Data type: `%s`.', views[ i ].dtype ) );
+			}
+			if ( !hasEqualShape( views[ 0 ], views[ i ] ) ) {
+				throw new Error( format( 'invalid argument. Input ndarrays must have the same shape. Shapes: [%s] and [%s].', join( views[ 0 ].shape, ',' ), join( views[ i ].shape, ',' ) ) );
+			}
+		}
+		src = serialize( clbk );
+		if ( src === null ) {
+			throw new TypeError( 'invalid argument. Predicate function must be serializable. Ensure that the predicate function is not a native or bound function.' );
+		}
+		signal = opts.signal;
+		if ( signal && signal.aborted ) {
+			return fail( abortError( signal, 0 ) );
+		}
+		sh = views[ 0 ].shape;
+		if ( opts.limit === 0 || ( sh.length > 0 && numel( sh ) === 0 ) ) {
+			return done( 0 );
+		}
+		// Note: we load Node.js built-in modules lazily in order to avoid errors when loading this package in environments lacking worker thread support and to avoid loading modules which are only needed by this function...
+		workerThreads = require( 'worker_threads' ); // eslint-disable-line node/no-unsupported-features/node-builtins
+		path = require( 'path' );
+		os = require( 'os' );
+
+		script = path.join( __dirname, WORKER );
+
+		// Resolve the maximum number of worker threads:
+		if ( nw === void 0 ) {
+			nw = os.cpus().length;
+		}
+
+		// Resolve the block size such that partitions and worker threads use the same block size:
+		bsize = resolveBlockSize( opts, views[ 0 ].dtype );
+
+		// Partition the outermost loop among the worker threads:
+		p = partition( views[ 0 ], nw, bsize );
+
+		list = arrays2objects( views );
+
+		// Note: as an abort signal cannot be cloned, we only provide worker threads with the options needed to perform the operation...
+		wopts = {
+			'limit': opts.limit,
+			'indices': opts.indices,
+			'blockSize': bsize
+		};
+		pending = p.ranges.length;
+		failed = false;
+		total = 0;
+		workers = [];
+		try {
+			for ( i = 0; i < p.ranges.length; i++ ) {
+				workers.push( new workerThreads.Worker( script, {
+					'workerData': {
+						'arrays': list,
+						'dim': p.dim,
+						'start': p.ranges[ i ][ 0 ],
+						'end': p.ranges[ i ][ 1 ],
+						'options': wopts,
+						'predicate': src,
+						'thisArg': ctx
+					}
+				}));
+				listen( workers[ i ] );
+			}
+		} catch ( err ) {
+			// Terminate any worker threads which were spawned before encountering the error:
+			terminate();
+			return fail( err );
+		}
+		if ( signal ) {
+			signal.addEventListener( 'abort', onAbort );
+		}
+
+		/**
+		* Listens for events emitted by a worker thread.
+		*
+		* @private
+		* @param {Object} worker - worker thread
+		*/
+		function listen( worker ) {
+			var received = false;
+
+			worker.once( 'message', onMessage );
+			worker.once( 'error', onError );
+			worker.once( 'exit', onExit );
+
+			/**
+			* Callback invoked upon receiving a partial count from a worker thread.
+			*
+			* @private
+			* @param {NonNegativeInteger} count - partial count
+			*/
+			function onMessage( count ) {
+				received = true;
+				if ( failed ) {
+					return;
+				}
+				total += count;
+				pending -= 1;
+				if ( pending === 0 ) {
+					if ( signal ) {
+						signal.removeEventListener( 'abort', onAbort );
+					}
+					done( ( total < opts.limit ) ? total : opts.limit );
+				}
+			}
+
+			/**
+			* Callback invoked upon a worker thread exiting.
+			*
+			* ## Notes
+			*
+			* -   Messages posted by a worker thread are delivered before the worker thread emits an `'exit'` event. Accordingly, a worker thread which exits without having posted a partial count (e.g., due to calling `process.exit()` or running out of memory) would otherwise leave the operation pending indefinitely.
+			*
+			* @private
+			* @param {integer} code - exit code
+			*/
+			function onExit( code ) {
+				if ( failed || ( received && code === 0 ) ) {
+					return;
+				}
+				terminate();
+				fail( new Error( format( 'unexpected error. Worker thread exited unexpectedly. Exit code: %d.', code ) ) );
+			}
+		}
+
+		/**
+		* Callback invoked upon encountering an error in a worker thread.
+		*
+		* @private
+		* @param {Error} error - error object
+		*/
+		function onError( error ) {
+			if ( failed ) {
+				return;
+			}
+			terminate();
+			fail( error );
+		}
+
+		/**
+		* Callback invoked upon an abort signal being aborted.
+		*
+		* @private
+		*/
+		function onAbort() {
+			if ( failed ) {
+				return;
+			}
+			terminate();
+			fail( abortError( signal, ( total < opts.limit ) ? total : opts.limit ) ); // eslint-disable-line max-len
+		}
+
+		/**
+		* Terminates all worker threads.
+		*
+		* @private
+		*/
+		function terminate() {
+			var j;
+			failed = true;
+			if ( signal ) {
+				signal.removeEventListener( 'abort', onAbort );
+			}
+			for ( j = 0; j < workers.length; j++ ) {
+				workers[ j ].terminate();
+			}
+		}
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = parallel;
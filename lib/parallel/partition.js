@@ -0,0 +1,98 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+// MODULES //
+
+var loopOrder = require( '@stdlib/ndarray-base-unary-loop-interchange-order' );
+var ceil = require( '@stdlib/math-base-special-ceil' );
+
+
+// MAIN //
+
+/**
+* Partitions the outermost loop of a blocked ndarray traversal into contiguous ranges of tiles.
+*
+* ## Notes
+*
+* -   The outermost loop is the loop over the dimension having the largest stride, as resolved by the loop interchange order used by the blocked kernels.
+* -   Each range spans a whole number of tiles (except, possibly, the last range), such that each range corresponds to one or more iterations of the outermost block loop in the blocked kernels.
+* -   The returned object has the following properties:
+*
+*     -   **dim**: index of the partitioned dimension. If provided a zero-dimensional ndarray, the index is `-1`.
+*     -   **ranges**: list of `[start,end)` index ranges along the partitioned dimension.
+*
+* @private
+* @param {Object} x - object containing ndarray meta data
+* @param {*} x.dtype - data type
+* @param {NonNegativeIntegerArray} x.shape - dimensions
+* @param {IntegerArray} x.strides - stride lengths
+* @param {PositiveInteger} n - maximum number of partitions
+* @param {PositiveInteger} bsize - block size
+* @returns {Object} partition data
+*
+* @example
+* var x = {
+*     'dtype': 'float64',
+*     'shape': [ 1000, 2 ],
+*     'strides': [ 2, 1 ]
+* };
+*
+* var out = partition( x, 4, 8 );
+* // returns {...}
+*
+* var dim = out.dim;
+* // returns 0
+*
+* var ranges = out.ranges;
+* // returns [ [ 0, 256 ], [ 256, 512 ], [ 512, 768 ], [ 768, 1000 ] ]
+*/
+function partition( x, n, bsize ) {
+	var ranges;
+	var dim;
+	var len;
+	var sh;
+	var i;
+
+	sh = x.shape;
+	if ( sh.length === 0 ) {
+		return {
+			'dim': -1,
+			'ranges': [ [ 0, 1 ] ]
+		};
+	}
+	// Resolve the dimension corresponding to the outermost loop:
+	dim = loopOrder( sh, x.strides, x.strides ).idx[ sh.length-1 ];
+
+	// Compute the number of elements along the partitioned dimension assigned to each partition, rounding up to the nearest whole number of blocks:
+	len = ceil( ceil( sh[ dim ] / bsize ) / n ) * bsize;
+
+	ranges = [];
+	for ( i = 0; i < sh[ dim ]; i += len ) {
+		ranges.push( [ i, ( i+len < sh[ dim ] ) ? i+len : sh[ dim ] ] );
+	}
+	return {
+		'dim': dim,
+		'ranges': ranges
+	};
+}
+
+
+// EXPORTS //
+
+module.exports = partition;
@@ -0,0 +1,188 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+'use strict';
+
+/*
+* Worker thread entry point for counting the number of elements in a partition of one or more ndarrays which pass a test implemented by a predicate function.
+*
+* ## Notes
+*
+* -   The worker is provided the following data:
+*
+*     -   **arrays**: list of ndarray-like objects whose data buffers are typed arrays backed by a `SharedArrayBuffer`.
+*     -   **dim**: index of the partitioned dimension (or `-1`, if not partitioned).
+*     -   **start**: index of the first element in the partition along the partitioned dimension.
+*     -   **end**: index following the last element in the partition along the partitioned dimension.
+*     -   **options**: resolved function options.
+*     -   **predicate**: predicate function source code.
+*     -   **thisArg**: predicate function execution context.
+*
+* -   Upon completion, the worker posts the number of elements in the partition which pass the test to its parent.
+*/
+
+// MODULES //
+
+var workerThreads = require( 'worker_threads' ); // eslint-disable-line node/no-unsupported-features/node-builtins
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var copy = require( '@stdlib/array-base-copy' );
+var zeros = require( '@stdlib/array-base-zeros' );
+var countIf = require( './../main.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns an ndarray-like object representing a partition of an ndarray view.
+*
+* @private
+* @param {Object} x - ndarray-like object
+* @param {integer} dim - index of the partitioned dimension
+* @param {NonNegativeInteger} start - index of the first element along the partitioned dimension
+* @param {NonNegativeInteger} end - index following the last element along the partitioned dimension
+* @returns {Object} ndarray-like object
+*/
+function slice( x, dim, start, end ) {
+	var sh;
+	if ( dim < 0 ) {
+		return x;
+	}
+	sh = copy( x.shape );
+	sh[ dim ] = end - start;
+	return {
+		'dtype': x.dtype,
+		'data': x.data,
+		'shape': sh,
+		'strides': x.strides,
+		'offset': x.offset + ( start*x.strides[ dim ] ),
+		'order': x.order
+	};
+}
+
+/**
+* Returns a predicate function wrapper which provides element indices with respect to the original ndarray view.
+*
+* @private
+* @param {Function} predicate - predicate function
+* @param {string} imode - specifies how to provide element indices to the predicate function
+* @param {Object} data - worker data
+* @returns {Function} wrapped predicate function
+*/
+function wrap( predicate, imode, data ) {
+	var strides;
+	var ref;
+	var sub;
+	var N;
+	var K;
+
+	N = data.arrays.length;
+	ref = data.arrays[ 0 ];
+	K = ref.shape.length;
+
+	// Initialize an array for storing the indices of the current element:
+	sub = zeros( K );
+
+	// Resolve the strides for computing linear view indices:
+	strides = shape2strides( ref.shape, ref.order );
+
+	return wrapper;
+
+	/**
+	* Invokes a predicate function after resolving element indices with respect to the original ndarray view.
+	*
+	* @private
+	* @param {...*} args - predicate function arguments
+	* @returns {boolean} result
+	*/
+	function wrapper() {
+		var args;
+		var idx;
+		var i;
+
+		args = [];
+		for ( i = 0; i < arguments.length; i++ ) {
+			args.push( arguments[ i ] );
+		}
+		// Note: the predicate function is always provided an array of element indices, as, for `'shared'` and `'linear'` modes, element indices are resolved from a shared array of partition indices...
+		idx = args[ N ];
+		if ( imode === 'array' ) {
+			if ( data.dim >= 0 ) {
+				idx[ data.dim ] += data.start;
+			}
+		} else {
+			for ( i = 0; i < K; i++ ) {
+				sub[ i ] = idx[ i ];
+			}
+			if ( data.dim >= 0 ) {
+				sub[ data.dim ] += data.start;
+			}
+			if ( imode === 'linear' ) {
+				idx = 0;
+				for ( i = 0; i < K; i++ ) {
+					idx += sub[ i ] * strides[ i ];
+				}
+				args[ N ] = idx;
+			} else {
+				args[ N ] = sub;
+			}
+		}
+		// Provide the original ndarray view, rather than the partition view:
+		if ( N === 1 ) {
+			args[ N+1 ] = ref;
+		}
+		return predicate.apply( this, args ); // eslint-disable-line no-invalid-this
+	}
+}
+
+
+// MAIN //
+
+/**
+* Main execution sequence.
+*
+* @private
+*/
+function main() {
+	var predicate;
+	var arrays;
+	var imode;
+	var data;
+	var opts;
+	var i;
+
+	data = workerThreads.workerData;
+	predicate = ( new Function( 'return (' + data.predicate + ');' ) )(); // eslint-disable-line no-new-func
+	imode = data.options.indices;
+
+	arrays = [];
+	for ( i = 0; i < data.arrays.length; i++ ) {
+		arrays.push( slice( data.arrays[ i ], data.dim, data.start, data.end ) );
+	}
+	opts = {
+		'limit': data.options.limit,
+		'blockSize': data.options.blockSize
+	};
+	if ( imode === 'none' ) {
+		opts.indices = 'none';
+	} else {
+		opts.indices = ( imode === 'array' ) ? 'array' : 'shared';
+		predicate = wrap( predicate, imode, data );
+	}
+	workerThreads.parentPort.postMessage( countIf( arrays, opts, predicate, data.thisArg ) );
+}
+
+main();
@@ -0,0 +1,191 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var loopOrder = require( '@stdlib/ndarray-base-nullary-loop-interchange-order' );
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var iterationOrder = require( '@stdlib/ndarray-base-iteration-order' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var isAccessorArray = require( '@stdlib/array-base-assert-is-accessor-array' );
+var isFunction = require( '@stdlib/assert-is-function' );
+var format = require( '@stdlib/string-format' );
+var noop = require( '@stdlib/utils-noop' );
+var resolveBlockSize = require( './block_size.js' );
+var predicateError = require( './predicate_error.js' );
+var withIndices = require( './with_indices.js' );
+var resolve = require( './options.js' );
+var ordered = require( './ordered.js' );
+var select = require( './select.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Counts the number of elements in an ndarray which pass a test implemented by a predicate function, visiting elements in the logical order specified by the `order` option.
+*
+* @private
+* @param {Object} x - object containing input ndarray meta data
+* @param {Object} opts - resolved options
+* @param {Function} predicate - predicate function
+* @param {*} thisArg - predicate function execution context
+* @returns {integer} result
+*/
+function logical( x, opts, predicate, thisArg ) {
+	return ordered( x, opts, opts.order, predicate, thisArg );
+}
+
+
+// MAIN //
+
+/**
+* Returns a function for counting the number of elements in ndarrays having fixed meta data which pass a test implemented by a predicate function.
+*
+* ## Notes
+*
+* -   The function standardizes the provided ndarray meta data, selects a kernel, and, for kernels which perform loop blocking, resolves the loop interchange order and block size. Accordingly, the returned function only needs to provide the kernel a data buffer and an index offset.
+* -   Data buffers provided to the returned function must have the same data type as the data buffer of the provided ndarray-like object and must be compatible with the provided shape and strides.
+* -   As element access is resolved when creating a plan, data buffers provided to the returned function must use accessors if and only if the data buffer of the provided ndarray-like object uses accessors.
+* -   The predicate function is provided the ndarray-like object used to create the plan as its third argument.
+* -   The options are the same as for the main function and are resolved when creating a plan.
+* -   When provided an `order` option specifying a logical order (i.e., either `'row-major'` or `'column-major'`), kernel selection is deferred until the returned function is invoked.
+*
+* @param {Object} meta - ndarray-like object
+* @param {Options} [options] - function options
+* @param {NonNegativeInteger} [options.limit] - maximum number of elements which may pass a test before the function stops iterating
+* @param {string} [options.indices] - specifies how to provide element indices to the predicate function
+* @param {AbortSignal} [options.signal] - signal for aborting the operation
+* @param {Function} [options.onProgress] - callback to invoke with the number of processed elements and the total number of elements
+* @param {PositiveInteger} [options.progressInterval=1024] - number of processed elements between successive progress reports
+* @param {(PositiveInteger|Function)} [options.blockSize] - block size (in units of elements) for performing loop tiling or a function which returns a block size for a provided data type
+* @param {string} [options.order='memory'] - order in which to visit elements
+* @returns {Function} function for counting the number of elements which pass a test
+*
+* @example
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* function predicate( value ) {
+*    return value > 0.0;
+* }
+*
+* // Create the ndarray-like object describing the meta data shared by each data buffer:
+* var meta = {
+*     'dtype': 'float64',
+*     'data': new Float64Array( 6 ),
+*     'shape': [ 3, 2 ],
+*     'strides': [ 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* };
+*
+* // Create a plan:
+* var run = plan( meta );
+*
+* // Perform operation:
+* var out = run( new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0 ] ), 0, predicate );
+* // returns 5
+*
+* out = run( new Float64Array( [ 1.0, -2.0, 3.0, -4.0, 5.0, 0.0, 7.0 ] ), 1, predicate );
+* // returns 3
+*/
+function plan( meta, options ) {
+	var kernel;
+	var opts;
+	var copt;
+	var skip;
+	var sh;
+	var x;
+
+	opts = resolve( ( arguments.length > 1 ) ? options : {}, noop );
+
+	// Standardize ndarray meta data:
+	x = ndarray2object( meta );
+	sh = x.shape;
+
+	// Resolve the total number of elements for reporting progress, noting that a zero-dimensional ndarray contains a single element:
+	opts.total = ( sh.length === 0 ) ? 1 : numel( sh );
+
+	// Determine whether we can avoid iteration altogether:
+	skip = ( opts.limit === 0 || opts.total === 0 );
+	if ( !skip ) {
+		// Resolve the block size:
+		opts.blockSize = resolveBlockSize( opts, x.dtype );
+
+		// Determine whether we need to visit elements in a specified logical order...
+		if ( opts.order === 'row-major' || opts.order === 'column-major' ) {
+			kernel = logical;
+		} else {
+			kernel = select( x );
+
+			// For kernels which perform loop blocking, resolve the loop interchange order:
+			if ( sh.length > 1 && iterationOrder( x.strides ) === 0 ) {
+				opts.loopOrder = loopOrder( sh, x.strides );
+			}
+		}
+	}
+	// When not provided an `indices` option, the index mode depends on the predicate function, so resolve options for each index mode:
+	if ( arguments.length > 1 && options.indices !== void 0 ) {
+		copt = opts;
+	} else {
+		copt = withIndices( opts, 'array' );
+	}
+	return run;
+
+	/**
+	* Counts the number of elements in an ndarray which pass a test implemented by a predicate function.
+	*
+	* @private
+	* @param {Collection} data - data buffer
+	* @param {NonNegativeInteger} offset - index offset
+	* @param {Function} predicate - predicate function
+	* @param {*} [thisArg] - predicate function execution context
+	* @throws {TypeError} must provide a predicate function
+	* @throws {TypeError} data buffer must use the same element access protocol as the data buffer used to create the plan
+	* @throws {Error} operation was aborted
+	* @returns {integer} result
+	*/
+	function run( data, offset, predicate, thisArg ) {
+		if ( !isFunction( predicate ) ) {
+			throw predicateError( predicate );
+		}
+		// Kernels and element accessors are resolved when creating a plan, so ensure that the provided data buffer is accessed in the same manner:
+		if ( isAccessorArray( data ) !== x.accessorProtocol ) {
+			if ( x.accessorProtocol ) {
+				throw new TypeError( format( 'invalid argument. Data buffer must use accessors, as the plan was created for a data buffer which uses accessors. Value: `%s`.', data ) );
+			}
+			throw new TypeError( format( 'invalid argument. Data buffer must not use accessors, as the plan was created for a data buffer which does not use accessors. Value: `%s`.', data ) );
+		}
+		if ( skip ) {
+			return 0;
+		}
+		x.data = data;
+		x.offset = offset;
+		if ( predicate.length <= 1 ) {
+			return kernel( x, opts, predicate, thisArg );
+		}
+		return kernel( x, copt, predicate, thisArg );
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = plan;
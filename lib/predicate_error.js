@@ -0,0 +1,60 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var isString = require( '@stdlib/assert-is-string' ).isPrimitive;
+var format = require( '@stdlib/string-format' );
+var isDescriptor = require( './builtin/is_descriptor.js' );
+
+
+// MAIN //
+
+/**
+* Returns an error indicating that a function must be provided a predicate function.
+*
+* ## Notes
+*
+* -   Only the main function and `assign` support providing a predicate descriptor or an expression in place of a predicate function. If provided a predicate descriptor or an expression, the returned error indicates as much.
+*
+* @private
+* @param {*} value - provided predicate
+* @returns {TypeError} error object
+*
+* @example
+* var err = predicateError( { 'op': 'gt', 'value': 0.0 } );
+* // returns <TypeError>
+*
+* @example
+* var err = predicateError( null );
+* // returns <TypeError>
+*/
+function predicateError( value ) {
+	if ( isDescriptor( value ) ) {
+		return new TypeError( format( 'invalid argument. Predicate descriptors and expressions are not supported. Must provide a predicate function. Value: `%s`.', ( isString( value ) ) ? value : value.op ) );
+	}
+	return new TypeError( format( 'invalid argument. Must provide a predicate function. Value: `%s`.', value ) );
+}
+
+
+// EXPORTS //
+
+module.exports = predicateError;
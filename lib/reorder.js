@@ -0,0 +1,71 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MAIN //
+
+/**
+* Returns a shallow copy of an object containing ndarray meta data in which the array order has been replaced.
+*
+* ## Notes
+*
+* -   The array order determines the logical order in which kernels which iterate over linear view indices visit elements.
+*
+* @private
+* @param {Object} x - object containing ndarray meta data
+* @param {string} order - array order
+* @returns {Object} object containing ndarray meta data
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+*
+* var x = ndarray2object({
+*     'dtype': 'generic',
+*     'data': [ 1, 2, 3, 4 ],
+*     'shape': [ 2, 2 ],
+*     'strides': [ 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* });
+*
+* var y = reorder( x, 'column-major' );
+*
+* var o = y.order;
+* // returns 'column-major'
+*/
+function reorder( x, order ) {
+	return {
+		'ref': x.ref,
+		'dtype': x.dtype,
+		'data': x.data,
+		'length': x.length,
+		'shape': x.shape,
+		'strides': x.strides,
+		'offset': x.offset,
+		'order': order,
+		'accessorProtocol': x.accessorProtocol,
+		'accessors': x.accessors
+	};
+}
+
+
+// EXPORTS //
+
+module.exports = reorder;
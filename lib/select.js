@@ -0,0 +1,181 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var blockedaccessorcount2d = require( './2d_blocked_accessors.js' );
+var blockedaccessorcount3d = require( './3d_blocked_accessors.js' );
+var blockedaccessorcount4d = require( './4d_blocked_accessors.js' );
+var blockedaccessorcount5d = require( './5d_blocked_accessors.js' );
+var blockedaccessorcount6d = require( './6d_blocked_accessors.js' );
+var blockedaccessorcount7d = require( './7d_blocked_accessors.js' );
+var blockedaccessorcount8d = require( './8d_blocked_accessors.js' );
+var blockedaccessorcount9d = require( './9d_blocked_accessors.js' );
+var blockedaccessorcount10d = require( './10d_blocked_accessors.js' );
+var blockedcount2d = require( './2d_blocked.js' );
+var blockedcount3d = require( './3d_blocked.js' );
+var blockedcount4d = require( './4d_blocked.js' );
+var blockedcount5d = require( './5d_blocked.js' );
+var blockedcount6d = require( './6d_blocked.js' );
+var blockedcount7d = require( './7d_blocked.js' );
+var blockedcount8d = require( './8d_blocked.js' );
+var blockedcount9d = require( './9d_blocked.js' );
+var blockedcount10d = require( './10d_blocked.js' );
+var accessorcount0d = require( './0d_accessors.js' );
+var accessorcount1d = require( './1d_accessors.js' );
+var accessorcount2d = require( './2d_accessors.js' );
+var accessorcount3d = require( './3d_accessors.js' );
+var accessorcount4d = require( './4d_accessors.js' );
+var accessorcount5d = require( './5d_accessors.js' );
+var accessorcount6d = require( './6d_accessors.js' );
+var accessorcount7d = require( './7d_accessors.js' );
+var accessorcount8d = require( './8d_accessors.js' );
+var accessorcount9d = require( './9d_accessors.js' );
+var accessorcount10d = require( './10d_accessors.js' );
+var count0d = require( './0d.js' );
+var count1d = require( './1d.js' );
+var count2d = require( './2d.js' );
+var count3d = require( './3d.js' );
+var count4d = require( './4d.js' );
+var count5d = require( './5d.js' );
+var count6d = require( './6d.js' );
+var count7d = require( './7d.js' );
+var count8d = require( './8d.js' );
+var count9d = require( './9d.js' );
+var count10d = require( './10d.js' );
+var blockedaccessorcountnd = require( './nd_blocked_accessors.js' );
+var blockedcountnd = require( './nd_blocked.js' );
+var accessorcountnd = require( './nd_accessors.js' );
+var countnd = require( './nd.js' );
+var kernelType = require( './kernel_type.js' );
+var kernel = require( './codegen/main.js' );
+
+
+// VARIABLES //
+
+var COUNT = [
+	count0d,
+	count1d,
+	count2d,
+	count3d,
+	count4d,
+	count5d,
+	count6d,
+	count7d,
+	count8d,
+	count9d,
+	count10d
+];
+var ACCESSOR_COUNT = [
+	accessorcount0d,
+	accessorcount1d,
+	accessorcount2d,
+	accessorcount3d,
+	accessorcount4d,
+	accessorcount5d,
+	accessorcount6d,
+	accessorcount7d,
+	accessorcount8d,
+	accessorcount9d,
+	accessorcount10d
+];
+var BLOCKED_COUNT = [
+	blockedcount2d, // 0
+	blockedcount3d,
+	blockedcount4d,
+	blockedcount5d,
+	blockedcount6d,
+	blockedcount7d,
+	blockedcount8d,
+	blockedcount9d,
+	blockedcount10d // 8
+];
+var BLOCKED_ACCESSOR_COUNT = [
+	blockedaccessorcount2d, // 0
+	blockedaccessorcount3d,
+	blockedaccessorcount4d,
+	blockedaccessorcount5d,
+	blockedaccessorcount6d,
+	blockedaccessorcount7d,
+	blockedaccessorcount8d,
+	blockedaccessorcount9d,
+	blockedaccessorcount10d // 8
+];
+
+
+// MAIN //
+
+/**
+* Returns the kernel for counting the number of elements in an ndarray which pass a test implemented by a predicate function.
+*
+* ## Notes
+*
+* -   The function resolves the type of kernel according to `./kernel_type.js`. For ndarrays having more than ten dimensions, the function generates kernels at runtime which are specialized for the number of dimensions (see `./codegen/main.js`). In environments which do not permit runtime code evaluation, the function falls back to kernels which support any number of dimensions.
+* -   The function assumes that the input ndarray is not empty.
+*
+* @private
+* @param {Object} x - object containing input ndarray meta data
+* @returns {Function} kernel
+*
+* @example
+* var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+* var Float64Array = require( '@stdlib/array-float64' );
+*
+* var x = ndarray2object({
+*     'dtype': 'float64',
+*     'data': new Float64Array( 6 ),
+*     'shape': [ 3, 2 ],
+*     'strides': [ 2, 1 ],
+*     'offset': 0,
+*     'order': 'row-major'
+* });
+*
+* var f = select( x );
+* // returns <Function>
+*/
+function select( x ) {
+	var accessors;
+	var ndims;
+	var type;
+
+	ndims = x.shape.length;
+	accessors = Boolean( x.accessorProtocol );
+
+	type = kernelType( x );
+	if ( type === 'strided' ) {
+		return ( accessors ) ? ACCESSOR_COUNT[ ndims ] : COUNT[ ndims ];
+	}
+	if ( type === 'blocked' ) {
+		return ( accessors ) ? BLOCKED_ACCESSOR_COUNT[ ndims-2 ] : BLOCKED_COUNT[ ndims-2 ]; // eslint-disable-line max-len
+	}
+	// For higher dimensional ndarrays, retrieve (or generate) kernels specialized for the number of dimensions...
+	if ( type === 'generated' || type === 'generated-blocked' ) {
+		return kernel( ndims, accessors, ( type === 'generated-blocked' ), false );
+	}
+	if ( type === 'nd-blocked' ) {
+		return ( accessors ) ? blockedaccessorcountnd : blockedcountnd;
+	}
+	return ( accessors ) ? accessorcountnd : countnd;
+}
+
+
+// EXPORTS //
+
+module.exports = select;
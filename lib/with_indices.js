@@ -0,0 +1,66 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MAIN //
+
+/**
+* Returns a copy of resolved options having a specified index mode.
+*
+* @private
+* @param {Object} opts - resolved options
+* @param {string} indices - index mode
+* @returns {Object} options
+*
+* @example
+* var opts = {
+*     'limit': 5,
+*     'indices': 'linear',
+*     'signal': null,
+*     'onProgress': null,
+*     'progressInterval': 1024,
+*     'blockSize': null,
+*     'order': 'row-major'
+* };
+*
+* var out = withIndices( opts, 'shared' );
+* // returns {...}
+*
+* var v = out.indices;
+* // returns 'shared'
+*/
+function withIndices( opts, indices ) {
+	return {
+		'limit': opts.limit,
+		'indices': indices,
+		'signal': opts.signal,
+		'onProgress': opts.onProgress,
+		'progressInterval': opts.progressInterval,
+		'total': opts.total,
+		'loopOrder': opts.loopOrder,
+		'blockSize': opts.blockSize,
+		'order': opts.order
+	};
+}
+
+
+// EXPORTS //
+
+module.exports = withIndices;
@@ -0,0 +1,116 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MAIN //
+
+/**
+* Returns a minimal abort controller.
+*
+* ## Notes
+*
+* -   The global `AbortController` is not supported in older environments. As the main function only accesses the `aborted` and `reason` properties of a signal and only listens for `'abort'` events, a minimal implementation suffices for testing.
+*
+* @private
+* @returns {Object} abort controller
+*
+* @example
+* var controller = abortController();
+*
+* var bool = controller.signal.aborted;
+* // returns false
+*
+* controller.abort();
+*
+* bool = controller.signal.aborted;
+* // returns true
+*/
+function abortController() {
+	var listeners;
+	var signal;
+
+	listeners = [];
+	signal = {
+		'aborted': false,
+		'reason': void 0,
+		'addEventListener': addEventListener,
+		'removeEventListener': removeEventListener
+	};
+	return {
+		'signal': signal,
+		'abort': abort
+	};
+
+	/**
+	* Aborts the signal.
+	*
+	* @private
+	* @param {*} [reason] - abort reason
+	*/
+	function abort( reason ) {
+		var fcns;
+		var i;
+		if ( signal.aborted ) {
+			return;
+		}
+		signal.aborted = true;
+		signal.reason = reason;
+		fcns = listeners.slice();
+		for ( i = 0; i < fcns.length; i++ ) {
+			fcns[ i ]();
+		}
+	}
+
+	/**
+	* Adds an event listener.
+	*
+	* @private
+	* @param {string} type - event type
+	* @param {Function} listener - event listener
+	*/
+	function addEventListener( type, listener ) {
+		if ( type === 'abort' ) {
+			listeners.push( listener );
+		}
+	}
+
+	/**
+	* Removes an event listener.
+	*
+	* @private
+	* @param {string} type - event type
+	* @param {Function} listener - event listener
+	*/
+	function removeEventListener( type, listener ) {
+		var i;
+		if ( type !== 'abort' ) {
+			return;
+		}
+		i = listeners.indexOf( listener );
+		if ( i >= 0 ) {
+			listeners.splice( i, 1 );
+		}
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = abortController;
@@ -0,0 +1,203 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var ones = require( '@stdlib/array-ones' );
+var real = require( '@stdlib/complex-float64-real' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Complex128Array = require( '@stdlib/array-complex128' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var countIf = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export has a `anyIf` method', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof countIf.anyIf, 'function', 'has method' );
+	t.end();
+});
+
+tape( 'the function returns `true` if at least one element passes a test', function test( t ) {
+	var actual;
+	var N;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 0.0, 1.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	N = 0;
+	actual = countIf.anyIf( [ x ], clbk );
+	t.strictEqual( actual, true, 'returns expected value' );
+	t.strictEqual( N, 3, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		N += 1;
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns `false` if no elements pass a test', function test( t ) {
+	var actual;
+	var N;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 0.0, 0.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	N = 0;
+	actual = countIf.anyIf( [ x ], clbk );
+	t.strictEqual( actual, false, 'returns expected value' );
+	t.strictEqual( N, 4, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		N += 1;
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns `true` if at least one element passes a test (blocked)', function test( t ) {
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 1.0, 0.0 ] ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+
+	actual = countIf.anyIf( [ x ], clbk );
+	t.strictEqual( actual, true, 'returns expected value' );
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0 ] ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+	actual = countIf.anyIf( [ x ], clbk );
+	t.strictEqual( actual, false, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns `true` if at least one element passes a test (accessors)', function test( t ) {
+	var actual;
+	var x;
+
+	x = ndarray( 'complex128', new Complex128Array( new Float64Array( [ 0.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0 ] ) ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	actual = countIf.anyIf( [ x ], clbk );
+	t.strictEqual( actual, true, 'returns expected value' );
+
+	x = ndarray( 'complex128', new Complex128Array( new Float64Array( [ 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0 ] ) ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	actual = countIf.anyIf( [ x ], clbk );
+	t.strictEqual( actual, false, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return real( v ) !== 0.0;
+	}
+});
+
+tape( 'the function returns `true` if at least one element passes a test (0-dimensional)', function test( t ) {
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0 ] ), [], [ 0 ], 0, 'row-major' );
+
+	actual = countIf.anyIf( [ x ], clbk );
+	t.strictEqual( actual, true, 'returns expected value' );
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0 ] ), [], [ 0 ], 0, 'row-major' );
+	actual = countIf.anyIf( [ x ], clbk );
+	t.strictEqual( actual, false, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns `true` if at least one element passes a test (>10 dimensions)', function test( t ) {
+	var actual;
+	var N;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 0.0, 0.0, 0.0 ] ), [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2 ], [ 4, 4, 4, 4, 4, 4, 4, 4, 4, 2, 1 ], 0, 'row-major' );
+
+	N = 0;
+	actual = countIf.anyIf( [ x ], clbk );
+	t.strictEqual( actual, true, 'returns expected value' );
+	t.strictEqual( N, 1, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		N += 1;
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns `false` if provided an empty ndarray', function test( t ) {
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', ones( 4, 'float64' ), [ 2, 0 ], [ 2, 1 ], 0, 'row-major' );
+
+	actual = countIf.anyIf( [ x ], clbk );
+	t.strictEqual( actual, false, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function throws an error if not provided a predicate function', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	values = [
+		'gt',
+		'x > 0.0',
+		{
+			'op': 'gt',
+			'value': 0.0
+		},
+		null,
+		5
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+JSON.stringify( values[ i ] ) );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf.anyIf( [ x ], value );
+		};
+	}
+});
@@ -0,0 +1,696 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var zeros = require( '@stdlib/array-zeros' );
+var ones = require( '@stdlib/array-ones' );
+var real = require( '@stdlib/complex-float64-real' );
+var imag = require( '@stdlib/complex-float64-imag' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Complex128Array = require( '@stdlib/array-complex128' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var abortController = require( './fixtures/abort_controller.js' );
+var countIf = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export has an `assign` method', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof countIf.assign, 'function', 'has method' );
+	t.end();
+});
+
+tape( 'the function throws an error if provided a dimension index which exceeds the number of input ndarray dimensions', function test( t ) {
+	var values;
+	var x;
+	var y;
+	var i;
+
+	x = ndarray( 'float64', ones( 4, 'float64' ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', zeros( 2, 'float64' ), [ 2 ], [ 1 ], 0, 'row-major' );
+
+	values = [
+		[ 2 ],
+		[ -3 ],
+		[ 0, 5 ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), RangeError, 'throws an error when provided ' + values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf.assign( [ x, y ], value, clbk );
+		};
+	}
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function throws an error if provided duplicate dimension indices', function test( t ) {
+	var values;
+	var x;
+	var y;
+	var i;
+
+	x = ndarray( 'float64', ones( 8, 'float64' ), [ 2, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', zeros( 2, 'float64' ), [ 2 ], [ 1 ], 0, 'row-major' );
+
+	values = [
+		[ 1, 1 ],
+		[ 0, -3 ],
+		[ -1, 2 ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), Error, 'throws an error when provided ' + values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf.assign( [ x, y ], value, clbk );
+		};
+	}
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function throws an error if provided an output ndarray whose shape does not match the non-reduced dimensions of the input ndarray', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', ones( 8, 'float64' ), [ 2, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+
+	values = [
+		ndarray( 'float64', zeros( 2, 'float64' ), [ 2 ], [ 1 ], 0, 'row-major' ),
+		ndarray( 'float64', zeros( 3, 'float64' ), [ 1, 3 ], [ 3, 1 ], 0, 'row-major' ),
+		ndarray( 'float64', zeros( 8, 'float64' ), [ 2, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' )
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), Error, 'throws an error when provided ' + values[ i ].shape.join( 'x' ) );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf.assign( [ x, value ], [ 0 ], clbk );
+		};
+	}
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns the output ndarray', function test( t ) {
+	var actual;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', ones( 4, 'float64' ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', zeros( 2, 'float64' ), [ 2 ], [ 1 ], 0, 'row-major' );
+
+	actual = countIf.assign( [ x, y ], [ 1 ], clbk );
+	t.strictEqual( actual, y, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function counts the number of elements along specified dimensions which pass a test implemented by a predicate function (row-major)', function test( t ) {
+	var expected;
+	var xbuf;
+	var ybuf;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 0.0, 3.0, 4.0, 0.0, 0.0, 7.0, 8.0, 9.0, 0.0, 11.0, 12.0 ] );
+	x = ndarray( 'float64', xbuf, [ 3, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+
+	// Reduce over the last dimension:
+	ybuf = new Float64Array( 6 );
+	y = ndarray( 'float64', ybuf, [ 3, 2 ], [ 2, 1 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [ 2 ], clbk );
+
+	expected = new Float64Array( [ 1.0, 2.0, 0.0, 2.0, 1.0, 2.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	// Reduce over the first dimension:
+	ybuf = new Float64Array( 4 );
+	y = ndarray( 'float64', ybuf, [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [ 0 ], clbk );
+
+	expected = new Float64Array( [ 2.0, 0.0, 3.0, 3.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	// Reduce over multiple dimensions:
+	ybuf = new Float64Array( 3 );
+	y = ndarray( 'float64', ybuf, [ 3 ], [ 1 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [ 1, 2 ], clbk );
+
+	expected = new Float64Array( [ 3.0, 2.0, 3.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	// Reduce over multiple dimensions (negative indices):
+	ybuf = new Float64Array( 2 );
+	y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [ -1, 0 ], clbk );
+
+	expected = new Float64Array( [ 2.0, 6.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function counts the number of elements along specified dimensions which pass a test implemented by a predicate function (column-major)', function test( t ) {
+	var expected;
+	var xbuf;
+	var ybuf;
+	var sh;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 0.0, 3.0, 4.0, 0.0, 0.0, 7.0, 8.0, 9.0, 0.0, 11.0, 12.0 ] );
+	sh = [ 3, 2, 2 ];
+	x = ndarray( 'float64', xbuf, sh, shape2strides( sh, 'column-major' ), 0, 'column-major' );
+
+	// Reduce over the first dimension:
+	ybuf = new Float64Array( 4 );
+	y = ndarray( 'float64', ybuf, [ 2, 2 ], [ 1, 2 ], 0, 'column-major' );
+	countIf.assign( [ x, y ], [ 0 ], clbk );
+
+	expected = new Float64Array( [ 2.0, 1.0, 3.0, 2.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	// Reduce over multiple dimensions:
+	ybuf = new Float64Array( 3 );
+	y = ndarray( 'float64', ybuf, [ 3 ], [ 1 ], 0, 'column-major' );
+	countIf.assign( [ x, y ], [ 1, 2 ], clbk );
+
+	expected = new Float64Array( [ 3.0, 2.0, 3.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports reducing over all dimensions', function test( t ) {
+	var expected;
+	var xbuf;
+	var ybuf;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 0.0, 3.0, 4.0, 0.0, 0.0, 7.0, 8.0 ] );
+	x = ndarray( 'float64', xbuf, [ 2, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+
+	ybuf = new Float64Array( 1 );
+	y = ndarray( 'float64', ybuf, [], [ 0 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [ 0, 1, 2 ], clbk );
+
+	expected = new Float64Array( [ 5.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports reducing over no dimensions', function test( t ) {
+	var expected;
+	var xbuf;
+	var ybuf;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 0.0, 3.0, 4.0 ] );
+	x = ndarray( 'float64', xbuf, [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	ybuf = new Float64Array( 4 );
+	y = ndarray( 'float64', ybuf, [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [], clbk );
+
+	expected = new Float64Array( [ 1.0, 0.0, 1.0, 1.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function counts the number of elements along specified dimensions which pass a test implemented by a predicate function (accessors)', function test( t ) {
+	var expected;
+	var xbuf;
+	var ybuf;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 1.0, 0.0, 0.0, 3.0, 3.0, 4.0, 4.0, 0.0, 0.0, 0.0, 0.0 ] );
+	x = ndarray( 'complex128', new Complex128Array( xbuf ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	ybuf = new Float64Array( 3 );
+	y = ndarray( 'float64', ybuf, [ 3 ], [ 1 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [ 0 ], clbk );
+
+	expected = new Float64Array( [ 2.0, 0.0, 1.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return ( real( v ) !== 0.0 && imag( v ) !== 0.0 );
+	}
+});
+
+tape( 'the function assigns `0` to each output element if the reduced dimensions are empty', function test( t ) {
+	var expected;
+	var ybuf;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', ones( 4, 'float64' ), [ 2, 0 ], [ 1, 1 ], 0, 'row-major' );
+
+	ybuf = new Float64Array( [ 5.0, 5.0 ] );
+	y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [ 1 ], clbk );
+
+	expected = new Float64Array( [ 0.0, 0.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports specifying the callback execution context', function test( t ) {
+	var expected;
+	var indices;
+	var values;
+	var ybuf;
+	var ctx;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	ybuf = new Float64Array( 2 );
+	y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+
+	indices = [];
+	values = [];
+	ctx = {
+		'count': 0
+	};
+	countIf.assign( [ x, y ], [ 1 ], clbk, ctx );
+
+	t.strictEqual( ctx.count, 4, 'returns expected value' );
+
+	expected = [ 1.0, 2.0, 3.0, 4.0 ];
+	t.deepEqual( values, expected, 'returns expected value' );
+
+	// Indices are relative to the reduced sub-array views:
+	expected = [
+		[ 0 ],
+		[ 1 ],
+		[ 0 ],
+		[ 1 ]
+	];
+	t.deepEqual( indices, expected, 'returns expected value' );
+
+	expected = new Float64Array( [ 1.0, 2.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v, idx ) {
+		this.count += 1; // eslint-disable-line no-invalid-this
+		values.push( v );
+		indices.push( idx );
+		return v !== 2.0;
+	}
+});
+
+tape( 'the function supports limiting the number of elements which may pass a test in each reduced sub-array', function test( t ) {
+	var expected;
+	var ybuf;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 0.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	ybuf = new Float64Array( 2 );
+	y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [ 1 ], {
+		'limit': 1
+	}, clbk );
+
+	expected = new Float64Array( [ 1.0, 1.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	countIf.assign( [ x, y ], [ 1 ], {
+		'limit': 2,
+		'keepdims': false
+	}, clbk );
+
+	expected = new Float64Array( [ 2.0, 2.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports specifying how to provide element indices to the predicate function', function test( t ) {
+	var expected;
+	var indices;
+	var ybuf;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	ybuf = new Float64Array( 2 );
+	y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+
+	indices = [];
+	countIf.assign( [ x, y ], [ 1 ], {
+		'indices': 'none'
+	}, clbk );
+
+	expected = [ void 0, void 0, void 0, void 0 ];
+	t.deepEqual( indices, expected, 'returns expected value' );
+
+	expected = new Float64Array( [ 2.0, 2.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v, idx ) {
+		indices.push( idx );
+		return true;
+	}
+});
+
+tape( 'the function supports specifying the order in which to visit elements', function test( t ) {
+	var expected;
+	var values;
+	var ybuf;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0, 8.0 ] ), [ 2, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+
+	ybuf = new Float64Array( 2 );
+	y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+
+	values = [];
+	countIf.assign( [ x, y ], [ 1, 2 ], {
+		'order': 'column-major'
+	}, clbk );
+
+	expected = [ 1.0, 3.0, 2.0, 4.0, 5.0, 7.0, 6.0, 8.0 ];
+	t.deepEqual( values, expected, 'returns expected value' );
+
+	expected = new Float64Array( [ 4.0, 4.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		values.push( v );
+		return true;
+	}
+});
+
+tape( 'the function supports providing an abort signal', function test( t ) {
+	var controller;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', ones( 4, 'float64' ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', zeros( 2, 'float64' ), [ 2 ], [ 1 ], 0, 'row-major' );
+
+	controller = abortController();
+	controller.abort();
+
+	t.throws( badValue, isAbortError, 'throws an error' );
+	t.end();
+
+	function badValue() {
+		countIf.assign( [ x, y ], [ 1 ], {
+			'signal': controller.signal
+		}, clbk );
+	}
+
+	function isAbortError( err ) {
+		return ( err.name === 'AbortError' );
+	}
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports providing a predicate descriptor', function test( t ) {
+	var expected;
+	var ybuf;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, NaN, -3.0, 4.0, NaN, NaN ] ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	ybuf = new Float64Array( 2 );
+	y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+
+	countIf.assign( [ x, y ], [ 1 ], {
+		'op': 'gt',
+		'value': 0.0
+	});
+	expected = new Float64Array( [ 1.0, 1.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	countIf.assign( [ x, y ], [ 1 ], 'isnan' );
+	expected = new Float64Array( [ 1.0, 2.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	countIf.assign( [ x, y ], [ 1 ], {
+		'limit': 1
+	}, 'isnan' );
+	expected = new Float64Array( [ 1.0, 1.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function supports providing an expression', function test( t ) {
+	var expected;
+	var ybuf;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	ybuf = new Float64Array( 2 );
+	y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+
+	countIf.assign( [ x, y ], [ 1 ], 'x > 1 && x < 6' );
+	expected = new Float64Array( [ 2.0, 2.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	countIf.assign( [ x, y ], [ 1 ], {
+		'limit': 1
+	}, 'x > 1 && x < 6' );
+	expected = new Float64Array( [ 1.0, 1.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	// Element indices are relative to the reduced sub-array views:
+	countIf.assign( [ x, y ], [ 1 ], 'i0 > 0' );
+	expected = new Float64Array( [ 2.0, 2.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function supports including the reduced dimensions as singleton dimensions in the output ndarray (keepdims=true)', function test( t ) {
+	var expected;
+	var actual;
+	var opts;
+	var xbuf;
+	var ybuf;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 0.0, 3.0, 4.0, 0.0, 0.0, 7.0, 8.0, 9.0, 0.0, 11.0, 12.0 ] );
+	x = ndarray( 'float64', xbuf, [ 3, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+
+	opts = {
+		'keepdims': true
+	};
+
+	// Reduce over the last dimension:
+	ybuf = new Float64Array( 6 );
+	y = ndarray( 'float64', ybuf, [ 3, 2, 1 ], [ 2, 1, 1 ], 0, 'row-major' );
+	actual = countIf.assign( [ x, y ], [ 2 ], opts, clbk );
+
+	t.strictEqual( actual, y, 'returns expected value' );
+	expected = new Float64Array( [ 1.0, 2.0, 0.0, 2.0, 1.0, 2.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	// Reduce over multiple dimensions:
+	ybuf = new Float64Array( 2 );
+	y = ndarray( 'float64', ybuf, [ 1, 2, 1 ], [ 2, 1, 1 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [ 0, -1 ], opts, clbk );
+
+	expected = new Float64Array( [ 2.0, 6.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	// Reduce over all dimensions:
+	ybuf = new Float64Array( 1 );
+	y = ndarray( 'float64', ybuf, [ 1, 1, 1 ], [ 1, 1, 1 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [ 0, 1, 2 ], opts, clbk );
+
+	expected = new Float64Array( [ 8.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports including the reduced dimensions as singleton dimensions in the output ndarray (keepdims=true, accessors)', function test( t ) {
+	var expected;
+	var xbuf;
+	var ybuf;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 1.0, 0.0, 0.0, 3.0, 3.0, 4.0, 4.0, 0.0, 0.0, 0.0, 0.0 ] );
+	x = ndarray( 'complex128', new Complex128Array( xbuf ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	ybuf = [ 0, 0, 0 ];
+	y = ndarray( 'generic', toAccessorArray( ybuf ), [ 1, 3 ], [ 3, 1 ], 0, 'row-major' );
+	countIf.assign( [ x, y ], [ 0 ], {
+		'keepdims': true
+	}, clbk );
+
+	expected = [ 2, 0, 1 ];
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return ( real( v ) !== 0.0 && imag( v ) !== 0.0 );
+	}
+});
+
+tape( 'the function supports excluding the reduced dimensions from the output ndarray (keepdims=false)', function test( t ) {
+	var expected;
+	var xbuf;
+	var ybuf;
+	var ctx;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 0.0, 3.0, 4.0 ] );
+	x = ndarray( 'float64', xbuf, [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	ybuf = new Float64Array( 2 );
+	y = ndarray( 'float64', ybuf, [ 2 ], [ 1 ], 0, 'row-major' );
+
+	ctx = {
+		'count': 0
+	};
+	countIf.assign( [ x, y ], [ 1 ], {
+		'keepdims': false
+	}, clbk, ctx );
+
+	expected = new Float64Array( [ 1.0, 2.0 ] );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+	t.strictEqual( ctx.count, 4, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		this.count += 1; // eslint-disable-line no-invalid-this
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function throws an error if the output ndarray does not have singleton dimensions for each reduced dimension (keepdims=true)', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', ones( 8, 'float64' ), [ 2, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+
+	values = [
+		ndarray( 'float64', zeros( 4, 'float64' ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' ),
+		ndarray( 'float64', zeros( 8, 'float64' ), [ 2, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' ),
+		ndarray( 'float64', zeros( 4, 'float64' ), [ 2, 1, 2 ], [ 2, 2, 1 ], 0, 'row-major' ),
+		ndarray( 'float64', zeros( 4, 'float64' ), [ 1, 1, 2, 2 ], [ 4, 4, 2, 1 ], 0, 'row-major' )
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), Error, 'throws an error when provided ' + values[ i ].shape.join( 'x' ) );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf.assign( [ x, value ], [ 0 ], {
+				'keepdims': true
+			}, clbk );
+		};
+	}
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
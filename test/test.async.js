@@ -0,0 +1,558 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float64Array = require( '@stdlib/array-float64' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var abortController = require( './fixtures/abort_controller.js' );
+var countIf = require( './../lib' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a promise which resolves a value after a delay.
+*
+* @private
+* @param {*} value - value to resolve
+* @param {NonNegativeInteger} ms - delay (in milliseconds)
+* @returns {Promise} promise
+*/
+function delay( value, ms ) {
+	return new Promise( executor );
+
+	function executor( resolve ) {
+		setTimeout( onTimeout, ms );
+
+		function onTimeout() {
+			resolve( value );
+		}
+	}
+}
+
+
+// TESTS //
+
+tape( 'main export has an `async` method', function test( t ) {
+	t.strictEqual( typeof countIf.async, 'function', 'has method' );
+	t.end();
+});
+
+tape( 'the function returns a promise which resolves the number of elements which pass a test', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ), [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	countIf.async( [ x ], clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return delay( v > 0.0, 1 );
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 5, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports predicate functions which return booleans', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ), [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	countIf.async( [ x ], clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return v > 0.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 5, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function invokes the predicate function in the same order as the synchronous kernels visit elements', function test( t ) {
+	var expected;
+	var actual;
+	var shapes;
+	var i;
+
+	// Includes contiguous, mixed sign strides (blocked), and high-dimensional (>10 dimensions) ndarrays:
+	shapes = [
+		[ [ 2, 3 ], [ 3, 1 ], 0, 'row-major' ],
+		[ [ 2, 3 ], [ 1, 2 ], 0, 'column-major' ],
+		[ [ 2, 2, 2 ], [ 1, -4, 2 ], 4, 'row-major' ],
+		[ [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2 ], [ 8, 8, 8, 8, 8, 8, 8, 8, 8, 1, -4, 2 ], 4, 'row-major' ]
+	];
+	i = 0;
+	next();
+
+	function next() {
+		var x;
+		if ( i >= shapes.length ) {
+			return t.end();
+		}
+		x = ndarray( 'float64', new Float64Array( [ 0.0, 1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0 ] ), shapes[ i ][ 0 ], shapes[ i ][ 1 ], shapes[ i ][ 2 ], shapes[ i ][ 3 ] );
+		expected = [];
+		countIf( [ x ], sync );
+		actual = [];
+		countIf.async( [ x ], { 'concurrency': 1 }, clbk ).then( onResolve, t.end );
+	}
+
+	function sync( v ) {
+		expected.push( v );
+		return false;
+	}
+
+	function clbk( v ) {
+		actual.push( v );
+		return delay( false, 0 );
+	}
+
+	function onResolve() {
+		t.deepEqual( actual, expected, 'returns expected value' );
+		i += 1;
+		next();
+	}
+});
+
+tape( 'the function supports limiting the number of pending predicate invocations', function test( t ) {
+	var pending;
+	var max;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ), [ 3, 4 ], [ 4, 1 ], 0, 'row-major' );
+	pending = 0;
+	max = 0;
+	countIf.async( [ x ], { 'concurrency': 3 }, clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		pending += 1;
+		if ( pending > max ) {
+			max = pending;
+		}
+		return delay( v > 4.0, 2 ).then( onDelay );
+	}
+
+	function onDelay( bool ) {
+		pending -= 1;
+		return bool;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 7, 'returns expected value' );
+		t.strictEqual( max, 3, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports specifying a limit', function test( t ) {
+	var calls;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0 ] ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+	calls = 0;
+	countIf.async( [ x ], { 'limit': 2, 'concurrency': 1 }, clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		calls += 1;
+		return delay( v > 0.0, 0 );
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 2, 'returns expected value' );
+		t.strictEqual( calls, 2, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function only accesses elements as predicate invocations are made', function test( t ) {
+	var calls;
+	var reads;
+	var data;
+	var x;
+
+	reads = 0;
+	data = {
+		'length': 8,
+		'get': get,
+		'set': set
+	};
+	x = ndarray( 'generic', data, [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+	calls = 0;
+	countIf.async( [ x ], { 'limit': 2, 'concurrency': 1 }, clbk ).then( onResolve, t.end );
+
+	// The first element is accessed synchronously:
+	t.strictEqual( reads, 1, 'returns expected value' );
+
+	function get( i ) {
+		reads += 1;
+		return i;
+	}
+
+	function set() {
+		// No-op...
+	}
+
+	function clbk( v ) {
+		calls += 1;
+		return delay( v > 0, 0 );
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 2, 'returns expected value' );
+		t.strictEqual( calls, 3, 'returns expected value' );
+		t.strictEqual( reads, 3, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function resolves `0` if provided an empty ndarray or a limit of `0`', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( 4 ), [ 0, 2 ], [ 2, 1 ], 0, 'row-major' );
+	var y = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	countIf.async( [ x ], clbk ).then( onEmpty, t.end );
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+
+	function onEmpty( count ) {
+		t.strictEqual( count, 0, 'returns expected value' );
+		countIf.async( [ y ], { 'limit': 0 }, clbk ).then( onLimit, t.end );
+	}
+
+	function onLimit( count ) {
+		t.strictEqual( count, 0, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports multiple input ndarrays', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	var y = ndarray( 'float64', new Float64Array( [ 2.0, 2.0, 2.0, 2.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	var z = ndarray( 'generic', [ true, true, false, true ], [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	countIf.async( [ x, y, z ], clbk ).then( onResolve, t.end );
+
+	function clbk( a, b, c ) {
+		return delay( a > b && c, 0 );
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 1, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports specifying how to provide element indices to the predicate function', function test( t ) {
+	var expected;
+	var actual;
+	var modes;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 1.0, 2.0, 3.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	modes = [ 'array', 'shared', 'linear' ];
+	expected = [
+		[ [ 0, 0 ], [ 0, 1 ], [ 1, 0 ], [ 1, 1 ] ],
+		[ [ 0, 0 ], [ 0, 1 ], [ 1, 0 ], [ 1, 1 ] ],
+		[ 0, 1, 2, 3 ]
+	];
+	i = 0;
+	next();
+
+	function next() {
+		if ( i >= modes.length ) {
+			return t.end();
+		}
+		actual = [];
+		countIf.async( [ x ], { 'indices': modes[ i ] }, clbk ).then( onResolve, t.end );
+	}
+
+	function clbk( v, idx ) {
+		actual.push( idx );
+		return delay( true, 0 );
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 4, 'returns expected value' );
+
+		// Note: for the `'shared'` mode, each predicate invocation should be provided a distinct array of element indices...
+		t.deepEqual( actual, expected[ i ], 'returns expected value (indices='+modes[ i ]+')' );
+		i += 1;
+		next();
+	}
+});
+
+tape( 'the function supports specifying the predicate function execution context', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	var ctx = {
+		'count': 0
+	};
+	countIf.async( [ x ], clbk, ctx ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		this.count += 1; // eslint-disable-line no-invalid-this
+		return delay( v > 2.0, 0 );
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 2, 'returns expected value' );
+		t.strictEqual( ctx.count, 4, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if a predicate function returns a promise which rejects', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	countIf.async( [ x ], clbk ).then( onResolve, onReject );
+
+	function clbk( v ) {
+		if ( v > 4.0 ) {
+			return Promise.reject( new Error( 'beep' ) );
+		}
+		return delay( true, 0 );
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err.message, 'beep', 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if a predicate function throws an error', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	countIf.async( [ x ], clbk ).then( onResolve, onReject );
+
+	function clbk() {
+		throw new Error( 'beep' );
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err.message, 'beep', 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if provided input ndarrays which do not have the same shape', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	var y = ndarray( 'float64', new Float64Array( 4 ), [ 4 ], [ 1 ], 0, 'row-major' );
+	countIf.async( [ x, y ], clbk ).then( onResolve, onReject );
+
+	function clbk() {
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof Error, true, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if provided a `concurrency` option which is less than one', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [ 0, -1, 0.5, NaN ];
+	i = 0;
+	next();
+
+	function next() {
+		if ( i >= values.length ) {
+			return t.end();
+		}
+		countIf.async( [ x ], { 'concurrency': values[ i ] }, clbk ).then( onResolve, onReject ); // eslint-disable-line max-len
+	}
+
+	function clbk() {
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof RangeError, true, 'returns expected value' );
+		i += 1;
+		next();
+	}
+});
+
+tape( 'the function returns a promise which rejects if provided a signal which has already been aborted', function test( t ) {
+	var controller;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	controller = abortController();
+	controller.abort();
+	countIf.async( [ x ], { 'signal': controller.signal }, clbk ).then( onResolve, onReject );
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err.name, 'AbortError', 'returns expected value' );
+		t.strictEqual( err.count, 0, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function stops invoking the predicate function and returns a promise which rejects if a signal is aborted', function test( t ) {
+	var controller;
+	var calls;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+	controller = abortController();
+	calls = 0;
+	countIf.async( [ x ], {
+		'concurrency': 1,
+		'signal': controller.signal
+	}, clbk ).then( onResolve, onReject );
+
+	function clbk() {
+		calls += 1;
+		if ( calls === 3 ) {
+			controller.abort();
+		}
+		return delay( true, 1 );
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err.name, 'AbortError', 'returns expected value' );
+		t.strictEqual( err.count, 2, 'returns expected value' );
+		t.strictEqual( calls, 3, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports reporting progress', function test( t ) {
+	var calls;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0 ] ), [ 5 ], [ 1 ], 0, 'row-major' );
+	calls = [];
+	countIf.async( [ x ], {
+		'onProgress': onProgress,
+		'progressInterval': 2
+	}, clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return delay( v > 0.0, 1 );
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+
+	function onResolve() {
+		t.deepEqual( calls, [ [ 2, 5 ], [ 4, 5 ], [ 5, 5 ] ], 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports specifying the order in which to visit elements', function test( t ) {
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ] ), [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+	actual = [];
+	countIf.async( [ x ], {
+		'concurrency': 1,
+		'order': 'row-major'
+	}, clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		actual.push( v );
+		return delay( v > 0.0, 1 );
+	}
+
+	function onResolve( out ) {
+		t.strictEqual( out, 6, 'returns expected value' );
+		t.deepEqual( actual, [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ], 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if not provided a predicate function', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [
+		'gt',
+		'x > 0.0',
+		{
+			'op': 'gt',
+			'value': 0.0
+		},
+		null,
+		5
+	];
+	i = 0;
+	next();
+
+	function next() {
+		if ( i >= values.length ) {
+			return t.end();
+		}
+		countIf.async( [ x ], values[ i ] ).then( onResolve, onReject );
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof TypeError, true, 'returns expected value' );
+		i += 1;
+		next();
+	}
+});
@@ -0,0 +1,688 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var ones = require( '@stdlib/array-ones' );
+var zeros = require( '@stdlib/array-zeros' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Complex128Array = require( '@stdlib/array-complex128' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+var real = require( '@stdlib/complex-float64-real' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var ind2sub = require( '@stdlib/ndarray-base-ind2sub' );
+var abortController = require( './fixtures/abort_controller.js' );
+var countIf = require( './../lib' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a list of `ndims` dimensions in which all but the last two dimensions are singleton dimensions.
+*
+* @private
+* @param {PositiveInteger} ndims - number of dimensions
+* @param {*} value - value for the last two dimensions
+* @param {*} fill - value for the remaining dimensions
+* @returns {Array} list
+*/
+function dims( ndims, value, fill ) {
+	var out;
+	var i;
+
+	out = [];
+	for ( i = 0; i < ndims-2; i++ ) {
+		out.push( fill );
+	}
+	out.push( value[ 0 ] );
+	out.push( value[ 1 ] );
+	return out;
+}
+
+
+// TESTS //
+
+tape( 'main export has a `binary` method', function test( t ) {
+	t.strictEqual( typeof countIf.binary, 'function', 'has method' );
+	t.end();
+});
+
+tape( 'the function counts the number of pairs of corresponding elements which pass a test (0-dimensional)', function test( t ) {
+	var actual;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 2.0 ] ), [], [ 0 ], 0, 'row-major' );
+	y = ndarray( 'float64', new Float64Array( [ 1.0 ] ), [], [ 0 ], 0, 'row-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 1, 'returns expected value' );
+
+	y = ndarray( 'float64', new Float64Array( [ 3.0 ] ), [], [ 0 ], 0, 'row-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 0, 'returns expected value' );
+
+	t.end();
+
+	function clbk( vx, vy ) {
+		return vx > vy;
+	}
+});
+
+tape( 'the function counts the number of pairs of corresponding elements which pass a test (row-major)', function test( t ) {
+	var actual;
+	var sh;
+	var st;
+	var x;
+	var y;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0 ] ), [ 3 ], [ 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', new Float64Array( [ 2.0, 2.0, 2.0 ] ), [ 3 ], [ 1 ], 0, 'row-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	for ( i = 2; i <= 10; i++ ) {
+		sh = dims( i, [ 2, 2 ], 1 );
+		st = dims( i, [ 2, 1 ], 4 );
+		x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0 ] ), sh, st, 0, 'row-major' );
+		y = ndarray( 'float64', new Float64Array( [ 2.0, 2.0, 2.0, 2.0 ] ), sh, st, 0, 'row-major' );
+		actual = countIf.binary( [ x, y ], clbk );
+		t.strictEqual( actual, 2, 'returns expected value' );
+	}
+	t.end();
+
+	function clbk( vx, vy ) {
+		return vx > vy;
+	}
+});
+
+tape( 'the function counts the number of pairs of corresponding elements which pass a test (column-major)', function test( t ) {
+	var actual;
+	var sh;
+	var st;
+	var x;
+	var y;
+	var i;
+
+	for ( i = 2; i <= 10; i++ ) {
+		sh = dims( i, [ 2, 2 ], 1 ).reverse();
+		st = dims( i, [ 2, 1 ], 4 ).reverse();
+		x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0 ] ), sh, st, 0, 'column-major' );
+		y = ndarray( 'float64', new Float64Array( [ 2.0, 2.0, 2.0, 2.0 ] ), sh, st, 0, 'column-major' );
+		actual = countIf.binary( [ x, y ], clbk );
+		t.strictEqual( actual, 2, 'returns expected value' );
+	}
+	t.end();
+
+	function clbk( vx, vy ) {
+		return vx > vy;
+	}
+});
+
+tape( 'the function counts the number of pairs of corresponding elements which pass a test (mixed sign strides)', function test( t ) {
+	var actual;
+	var sh;
+	var st;
+	var x;
+	var y;
+	var i;
+
+	for ( i = 3; i <= 10; i++ ) {
+		sh = dims( i-1, [ 2, 2 ], 1 );
+		sh.splice( i-3, 0, 2 );
+		st = dims( i-1, [ -2, 1 ], 4 );
+		st.splice( i-3, 0, 4 );
+		x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0, 8.0 ] ), sh, st, 2, 'row-major' );
+		y = ndarray( 'float64', new Float64Array( [ 8.0, 7.0, 6.0, 5.0, 4.0, 3.0, 2.0, 1.0 ] ), sh, st, 2, 'row-major' );
+		actual = countIf.binary( [ x, y ], clbk );
+		t.strictEqual( actual, 4, 'returns expected value' );
+	}
+	t.end();
+
+	function clbk( vx, vy ) {
+		return vx > vy;
+	}
+});
+
+tape( 'the function counts the number of pairs of corresponding elements which pass a test (accessors)', function test( t ) {
+	var actual;
+	var x;
+	var y;
+
+	x = ndarray( 'complex128', new Complex128Array( [ 1.0, 0.0, 5.0, 0.0, 3.0, 0.0, 0.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'generic', toAccessorArray( [ 2.0, 2.0, 2.0, 2.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	x = ndarray( 'complex128', new Complex128Array( [ 1.0, 0.0, 2.0, 0.0, 3.0, 0.0, 4.0, 0.0, 5.0, 0.0, 6.0, 0.0, 7.0, 0.0, 8.0, 0.0 ] ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+	y = ndarray( 'generic', toAccessorArray( [ 8.0, 7.0, 6.0, 5.0, 4.0, 3.0, 2.0, 1.0 ] ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	x = ndarray( 'complex128', new Complex128Array( [ 2.0, 0.0 ] ), [], [ 0 ], 0, 'row-major' );
+	y = ndarray( 'generic', toAccessorArray( [ 1.0 ] ), [], [ 0 ], 0, 'row-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 1, 'returns expected value' );
+
+	t.end();
+
+	function clbk( vx, vy ) {
+		return real( vx ) > vy;
+	}
+});
+
+tape( 'the function counts the number of pairs of corresponding elements which pass a test (>10 dimensions)', function test( t ) {
+	var actual;
+	var sh;
+	var x;
+	var y;
+
+	sh = dims( 11, [ 2, 2 ], 1 );
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0 ] ), sh, dims( 11, [ 2, 1 ], 4 ), 0, 'row-major' );
+	y = ndarray( 'float64', new Float64Array( [ 2.0, 2.0, 2.0, 2.0 ] ), sh, dims( 11, [ 2, 1 ], 4 ), 0, 'row-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	y = ndarray( 'generic', toAccessorArray( [ 2.0, 2.0, 2.0, 2.0 ] ), sh, dims( 11, [ 2, 1 ], 4 ), 0, 'row-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	t.end();
+
+	function clbk( vx, vy ) {
+		return vx > vy;
+	}
+});
+
+tape( 'the function supports input ndarrays having different memory layouts', function test( t ) {
+	var actual;
+	var sh;
+	var x;
+	var y;
+
+	// x = [ [ 1, 2 ], [ 3, 4 ] ], y = [ [ 1, 2 ], [ 3, 4 ] ]
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', new Float64Array( [ 1.0, 3.0, 2.0, 4.0 ] ), [ 2, 2 ], [ 1, 2 ], 0, 'column-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	sh = dims( 11, [ 2, 2 ], 1 );
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), sh, dims( 11, [ 2, 1 ], 4 ), 0, 'row-major' );
+	y = ndarray( 'float64', new Float64Array( [ 1.0, 3.0, 2.0, 4.0 ] ), sh, dims( 11, [ 1, 2 ], 1 ), 0, 'column-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	t.end();
+
+	function clbk( vx, vy ) {
+		return vx === vy;
+	}
+});
+
+tape( 'the function supports broadcasting', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0, 6.0, 2.0 ] ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	// Broadcast a lower-dimensional ndarray:
+	y = ndarray( 'float64', new Float64Array( [ 0.0, 4.0, 2.0 ] ), [ 3 ], [ 1 ], 0, 'row-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	// Broadcast a singleton dimension:
+	y = ndarray( 'float64', new Float64Array( [ 2.0, 1.0 ] ), [ 2, 1 ], [ 1, 1 ], 0, 'row-major' );
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	// Broadcast the first input ndarray:
+	actual = countIf.binary( [ y, x ], clbk );
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	// Provide indices with respect to the broadcast shape:
+	expected = [ [ 0, 0 ], [ 0, 1 ], [ 0, 2 ], [ 1, 0 ], [ 1, 1 ], [ 1, 2 ] ];
+	actual = [];
+	countIf.binary( [ y, x ], indices );
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( vx, vy ) {
+		return vx > vy;
+	}
+
+	function indices( vx, vy, idx ) {
+		actual.push( idx );
+		return false;
+	}
+});
+
+tape( 'the function throws an error if provided input ndarrays which are not broadcast compatible', function test( t ) {
+	var x;
+	var y;
+
+	x = ndarray( 'float64', ones( 6, 'float64' ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', ones( 2, 'float64' ), [ 2 ], [ 1 ], 0, 'row-major' );
+
+	t.throws( badValue, Error, 'throws an error' );
+	t.end();
+
+	function badValue() {
+		countIf.binary( [ x, y ], clbk );
+	}
+
+	function clbk( vx, vy ) {
+		return vx > vy;
+	}
+});
+
+tape( 'the function returns `0` if provided empty input ndarrays', function test( t ) {
+	var actual;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', zeros( 4, 'float64' ), [ 0, 2 ], [ 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', zeros( 2, 'float64' ), [ 2 ], [ 1 ], 0, 'row-major' );
+
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 0, 'returns expected value' );
+
+	t.end();
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+});
+
+tape( 'the function supports specifying the predicate function execution context', function test( t ) {
+	var actual;
+	var ctx;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', new Float64Array( [ 2.0, 2.0, 2.0, 2.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	ctx = {
+		'count': 0
+	};
+	actual = countIf.binary( [ x, y ], clbk, ctx );
+	t.strictEqual( actual, 2, 'returns expected value' );
+	t.strictEqual( ctx.count, 4, 'returns expected value' );
+
+	ctx = {
+		'count': 0
+	};
+	actual = countIf.binary( [ x, y ], {}, clbk, ctx );
+	t.strictEqual( actual, 2, 'returns expected value' );
+	t.strictEqual( ctx.count, 4, 'returns expected value' );
+
+	t.end();
+
+	function clbk( vx, vy ) {
+		this.count += 1; // eslint-disable-line no-invalid-this
+		return vx > vy;
+	}
+});
+
+tape( 'the function supports stopping iteration once the number of pairs of elements which pass a test equals a specified limit', function test( t ) {
+	var actual;
+	var opts;
+	var N;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', ones( 8, 'float64' ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', zeros( 8, 'float64' ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+	opts = {
+		'limit': 3
+	};
+
+	N = 0;
+	actual = countIf.binary( [ x, y ], opts, clbk );
+	t.strictEqual( actual, 3, 'returns expected value' );
+	t.strictEqual( N, 3, 'returns expected value' );
+
+	t.end();
+
+	function clbk( vx, vy ) {
+		N += 1;
+		return vx > vy;
+	}
+});
+
+tape( 'the function only provides element values to a predicate function which declares fewer than three parameters', function test( t ) {
+	var actual;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0, 1.0, 5.0, 3.0, 0.0 ] ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+	y = ndarray( 'float64', ones( 8, 'float64' ), [ 2, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+
+	actual = countIf.binary( [ x, y ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	t.end();
+
+	function clbk( vx, vy ) {
+		t.strictEqual( arguments.length, 2, 'returns expected value' );
+		return vx > vy;
+	}
+});
+
+tape( 'the function supports specifying how to provide element indices to a predicate function', function test( t ) {
+	var expected;
+	var actual;
+	var modes;
+	var x;
+	var y;
+	var i;
+
+	x = ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], [ 2, 2, 2 ], [ 1, -4, 2 ], 4, 'row-major' );
+	y = ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], [ 2, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+
+	modes = [ 'array', 'shared', 'linear' ];
+	expected = 8;
+	for ( i = 0; i < modes.length; i++ ) {
+		actual = countIf.binary( [ x, y ], { 'indices': modes[ i ] }, clbk );
+		t.strictEqual( actual, expected, 'returns expected value' );
+	}
+	t.end();
+
+	function clbk( vx, vy, idx ) {
+		if ( typeof idx === 'number' ) {
+			// Linear view index with respect to a row-major ndarray view:
+			return ( vy === idx );
+		}
+		return ( vx === x.get( idx[ 0 ], idx[ 1 ], idx[ 2 ] ) && vy === y.get( idx[ 0 ], idx[ 1 ], idx[ 2 ] ) ); // eslint-disable-line max-len
+	}
+});
+
+tape( 'the function supports specifying how to provide element indices to a predicate function (>10 dimensions)', function test( t ) {
+	var actual;
+	var modes;
+	var sh;
+	var sx;
+	var sy;
+	var x;
+	var y;
+	var i;
+	var j;
+
+	sh = [ 2, 2, 2 ];
+	sx = [ 1, -4, 2 ];
+	sy = [ 1, 2, 4 ];
+	for ( i = 3; i < 11; i++ ) {
+		sh.push( 1 );
+		sx.push( 8 );
+		sy.push( 8 );
+	}
+	x = ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], sh, sx, 4, 'row-major' );
+	y = ndarray( 'generic', toAccessorArray( [ 0, 1, 2, 3, 4, 5, 6, 7 ] ), sh, sy, 0, 'column-major' ); // eslint-disable-line max-len
+
+	modes = [ 'array', 'shared', 'linear' ];
+	for ( j = 0; j < 2; j++ ) {
+		for ( i = 0; i < modes.length; i++ ) {
+			actual = countIf.binary( [ x, y ], { 'indices': modes[ i ] }, clbk );
+			t.strictEqual( actual, 8, 'returns expected value' );
+		}
+		y = ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], sh, sy, 0, 'column-major' );
+	}
+	t.end();
+
+	function clbk( vx, vy, idx ) {
+		if ( typeof idx === 'number' ) {
+			// Linear view index with respect to a row-major ndarray view:
+			return ( vx === x.get.apply( x, ind2sub( sh, shape2strides( sh, 'row-major' ), 0, 'row-major', idx, 'throw' ) ) ); // eslint-disable-line max-len
+		}
+		return ( vx === x.get.apply( x, idx ) && vy === y.get.apply( y, idx ) );
+	}
+});
+
+tape( 'the function supports aborting the operation', function test( t ) {
+	var controller;
+	var expected;
+	var values;
+	var i;
+
+	values = [
+		// Broadcasting a one-dimensional ndarray against a two-dimensional ndarray:
+		[
+			ndarray( 'float64', new Float64Array( ones( 2048 ) ), [ 2, 1024 ], [ 1024, 1 ], 0, 'row-major' ),
+			ndarray( 'float64', new Float64Array( 1024 ), [ 1024 ], [ 1 ], 0, 'row-major' )
+		],
+		// Broadcasting a zero-dimensional ndarray against a one-dimensional ndarray:
+		[
+			ndarray( 'float64', new Float64Array( ones( 2048 ) ), [ 2048 ], [ 1 ], 0, 'row-major' ),
+			ndarray( 'float64', new Float64Array( 1 ), [], [ 0 ], 0, 'row-major' )
+		],
+		// Blocked iteration over accessor arrays:
+		[
+			ndarray( 'generic', toAccessorArray( ones( 2048 ) ), [ 2, 32, 32 ], [ 1024, -32, 1 ], 992, 'row-major' ),
+			ndarray( 'generic', toAccessorArray( [ 0.0 ] ), [], [ 0 ], 0, 'row-major' )
+		]
+	];
+
+	// The kernels check the signal at regular intervals:
+	expected = [ 1024, 1024, 1024 ];
+
+	for ( i = 0; i < values.length; i++ ) {
+		controller = abortController();
+		try {
+			countIf.binary( values[ i ], { 'signal': controller.signal }, clbk );
+			t.fail( 'should throw' );
+		} catch ( err ) {
+			t.strictEqual( err.name, 'AbortError', 'returns expected value' );
+			t.strictEqual( err.count, expected[ i ], 'returns expected value' );
+		}
+	}
+	t.end();
+
+	function clbk( vx, vy ) {
+		controller.abort();
+		return vx > vy;
+	}
+});
+
+tape( 'the function supports reporting progress with respect to the broadcast shape', function test( t ) {
+	var calls;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( ones( 8 ) ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', new Float64Array( 4 ), [ 4 ], [ 1 ], 0, 'row-major' );
+
+	calls = [];
+	countIf.binary( [ x, y ], {
+		'onProgress': onProgress,
+		'progressInterval': 3
+	}, clbk );
+	t.deepEqual( calls, [ [ 3, 8 ], [ 6, 8 ], [ 8, 8 ] ], 'returns expected value' );
+	t.end();
+
+	function clbk( vx, vy ) {
+		return vx > vy;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function supports specifying the block size used for blocked iteration', function test( t ) {
+	var calls;
+	var out;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( ones( 30 ) ), [ 3, 10 ], [ -10, 1 ], 20, 'row-major' );
+	y = ndarray( 'float64', new Float64Array( 30 ), [ 3, 10 ], [ 10, 1 ], 0, 'row-major' );
+
+	calls = [];
+	out = countIf.binary( [ x, y ], {
+		'blockSize': 4,
+		'onProgress': onProgress
+	}, clbk );
+	t.strictEqual( out, 30, 'returns expected value' );
+	t.deepEqual( calls, [ [ 12, 30 ], [ 24, 30 ], [ 30, 30 ] ], 'returns expected value' );
+
+	calls = [];
+	out = countIf.binary( [ x, y ], {
+		'blockSize': blockSize,
+		'onProgress': onProgress
+	}, clbk );
+	t.strictEqual( out, 30, 'returns expected value' );
+	t.deepEqual( calls, [ [ 15, 30 ], [ 30, 30 ] ], 'returns expected value' );
+
+	t.end();
+
+	function blockSize() {
+		return 5;
+	}
+
+	function clbk( vx, vy ) {
+		return vx > vy;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function supports specifying the order in which to visit elements', function test( t ) {
+	var actual;
+	var out;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ] ), [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+	y = ndarray( 'float64', new Float64Array( [ 0.0, 0.0, 0.0 ] ), [ 3 ], [ 1 ], 0, 'row-major' );
+
+	actual = [];
+	out = countIf.binary( [ x, y ], {
+		'order': 'row-major'
+	}, clbk );
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ], 'returns expected value' );
+
+	actual = [];
+	out = countIf.binary( [ x, y ], {
+		'order': 'row-major',
+		'indices': 'linear'
+	}, clbk2 );
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, [ 0, 2, 4, 1, 3, 5 ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( vx, vy ) {
+		actual.push( vx );
+		return vx > vy;
+	}
+
+	function clbk2( vx, vy, idx ) {
+		actual.push( idx );
+		return vx > vy;
+	}
+});
+
+tape( 'the function supports specifying the order in which to visit elements (broadcast strides)', function test( t ) {
+	var actual;
+	var out;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 5.0 ] ), [ 1, 1 ], [ 1, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	actual = [];
+	out = countIf.binary( [ x, y ], {
+		'order': 'row-major'
+	}, clbk );
+	t.strictEqual( out, 4, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 2.0, 3.0, 4.0 ], 'returns expected value' );
+
+	actual = [];
+	out = countIf.binary( [ x, y ], {
+		'order': 'row-major',
+		'limit': 2
+	}, clbk );
+	t.strictEqual( out, 2, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 2.0 ], 'returns expected value' );
+
+	actual = [];
+	out = countIf.binary( [ x, y ], {
+		'order': 'column-major'
+	}, clbk );
+	t.strictEqual( out, 4, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 3.0, 2.0, 4.0 ], 'returns expected value' );
+
+	actual = [];
+	out = countIf.binary( [ x, y ], {
+		'order': 'column-major',
+		'limit': 2
+	}, clbk );
+	t.strictEqual( out, 2, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 3.0 ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( vx, vy ) {
+		actual.push( vy );
+		return vx > vy;
+	}
+});
+
+tape( 'the function throws an error if not provided a predicate function', function test( t ) {
+	var values;
+	var y;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	values = [
+		'gt',
+		'x > 0.0',
+		{
+			'op': 'gt',
+			'value': 0.0
+		},
+		null,
+		5
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+JSON.stringify( values[ i ] ) );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf.binary( [ x, y ], value );
+		};
+	}
+});
@@ -0,0 +1,472 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float64Array = require( '@stdlib/array-float64' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+var zeros = require( '@stdlib/array-zeros' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var abortController = require( './fixtures/abort_controller.js' );
+var countIf = require( './../lib' );
+var resolve = require( './../lib/builtin/resolve.js' );
+var LOOPS = require( './../lib/builtin/loops.js' );
+
+
+// VARIABLES //
+
+var DESCRIPTORS = [
+	{
+		'op': 'eq',
+		'value': 3.0
+	},
+	{
+		'op': 'ne',
+		'value': 3.0
+	},
+	{
+		'op': 'gt',
+		'value': 10.0
+	},
+	{
+		'op': 'ge',
+		'value': 10.0
+	},
+	{
+		'op': 'lt',
+		'value': 10.0
+	},
+	{
+		'op': 'le',
+		'value': 10.0
+	},
+	{
+		'op': 'within',
+		'min': 5.0,
+		'max': 15.0
+	},
+	'isnan'
+];
+
+
+// FUNCTIONS //
+
+/**
+* Returns a data buffer containing a sequence of integers in which every seventh element is `NaN`.
+*
+* @private
+* @param {NonNegativeInteger} N - number of elements
+* @returns {Float64Array} data buffer
+*/
+function sequence( N ) {
+	var out;
+	var i;
+
+	out = new Float64Array( N );
+	for ( i = 0; i < N; i++ ) {
+		out[ i ] = ( i%7 === 6 ) ? NaN : i%20;
+	}
+	return out;
+}
+
+/**
+* Returns a predicate function which is equivalent to a predicate descriptor.
+*
+* @private
+* @param {(string|Object)} d - predicate descriptor
+* @returns {Function} predicate function
+*/
+function predicate( d ) {
+	if ( d === 'isnan' ) {
+		return isnan;
+	}
+	if ( d.op === 'eq' ) {
+		return eq;
+	}
+	if ( d.op === 'ne' ) {
+		return ne;
+	}
+	if ( d.op === 'gt' ) {
+		return gt;
+	}
+	if ( d.op === 'ge' ) {
+		return ge;
+	}
+	if ( d.op === 'lt' ) {
+		return lt;
+	}
+	if ( d.op === 'le' ) {
+		return le;
+	}
+	return within;
+
+	function isnan( v ) {
+		return ( v !== v );
+	}
+
+	function eq( v ) {
+		return v === d.value;
+	}
+
+	function ne( v ) {
+		return v !== d.value;
+	}
+
+	function gt( v ) {
+		return v > d.value;
+	}
+
+	function ge( v ) {
+		return v >= d.value;
+	}
+
+	function lt( v ) {
+		return v < d.value;
+	}
+
+	function le( v ) {
+		return v <= d.value;
+	}
+
+	function within( v ) {
+		return v >= d.min && v <= d.max;
+	}
+}
+
+
+// TESTS //
+
+tape( 'the function supports providing a predicate descriptor in place of a predicate function', function test( t ) {
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, NaN, 3.0, -4.0, 5.0, NaN ] ), [ 3, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	actual = countIf( [ x ], {
+		'op': 'gt',
+		'value': 0.0
+	});
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	actual = countIf( [ x ], 'isnan' );
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	actual = countIf( [ x ], {
+		'op': 'isnan'
+	});
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	actual = countIf( [ x ], {
+		'op': 'within',
+		'min': -4.0,
+		'max': 3.0
+	});
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function returns the same result when provided a predicate descriptor as when provided an equivalent predicate function', function test( t ) {
+	var expected;
+	var actual;
+	var values;
+	var sh;
+	var st;
+	var i;
+	var j;
+
+	sh = [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 5 ];
+	st = [ 10, 10, 10, 10, 10, 10, 10, 10, 10, 5, 1 ];
+	values = [
+		// 0d:
+		ndarray( 'float64', sequence( 4 ), [], [ 0 ], 3, 'row-major' ),
+
+		// 1d:
+		ndarray( 'float64', sequence( 3000 ), [ 1500 ], [ -2 ], 2999, 'row-major' ),
+
+		// 2d (row-major):
+		ndarray( 'float64', sequence( 60 ), [ 3, 20 ], [ 20, 1 ], 0, 'row-major' ),
+
+		// 2d (column-major):
+		ndarray( 'float64', sequence( 60 ), [ 3, 20 ], [ 1, 3 ], 0, 'column-major' ),
+
+		// 2d (mixed sign strides):
+		ndarray( 'float64', sequence( 60 ), [ 3, 20 ], [ -20, 1 ], 40, 'row-major' ),
+
+		// 3d (mixed sign strides):
+		ndarray( 'float64', sequence( 1000 ), [ 10, 10, 10 ], [ 1, -10, 100 ], 90, 'column-major' ),
+
+		// 3d (accessors, mixed sign strides):
+		ndarray( 'generic', toAccessorArray( sequence( 1000 ) ), [ 10, 10, 10 ], [ -100, 10, -1 ], 909, 'row-major' ),
+
+		// 11d:
+		ndarray( 'float64', sequence( 10 ), sh, st, 0, 'row-major' ),
+
+		// 11d (accessors):
+		ndarray( 'generic', toAccessorArray( sequence( 10 ) ), sh, st, 0, 'row-major' )
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		for ( j = 0; j < DESCRIPTORS.length; j++ ) {
+			expected = countIf( [ values[ i ] ], predicate( DESCRIPTORS[ j ] ) );
+			actual = countIf( [ values[ i ] ], DESCRIPTORS[ j ] );
+			t.strictEqual( actual, expected, 'returns expected value. ndarray: '+i+'. descriptor: '+j+'.' );
+		}
+	}
+	t.end();
+});
+
+tape( 'the function compiles a separate loop for each operation, data type, and data buffer kind', function test( t ) {
+	var f1;
+	var f2;
+	var f3;
+	var f4;
+	var f5;
+
+	f1 = resolve( 'gt', 'float64', false );
+	f2 = resolve( 'gt', 'float32', false );
+	f3 = resolve( 'gt', 'float64', true );
+	f4 = resolve( 'lt', 'float64', false );
+	f5 = resolve( 'gt', 'float64', false );
+
+	t.notEqual( f1, f2, 'returns expected value' );
+	t.notEqual( f1, f3, 'returns expected value' );
+	t.notEqual( f1, f4, 'returns expected value' );
+	t.strictEqual( f1, f5, 'returns expected value' );
+	t.notEqual( f1, LOOPS.gt[ 0 ], 'returns expected value' );
+	t.notEqual( f3, LOOPS.gt[ 1 ], 'returns expected value' );
+
+	t.strictEqual( f1( 4, new Float64Array( [ 1.0, -2.0, 3.0, -4.0 ] ), 1, 0, { 'op': 'gt', 'value': 0.0 } ), 2, 'returns expected value' );
+	t.strictEqual( resolve( 'isnan', 'float64', false )( 3, new Float64Array( [ NaN, 1.0, NaN ] ), 1, 0, { 'op': 'isnan' } ), 2, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the function returns zero when provided an empty ndarray and a predicate descriptor', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( 0 ), [ 2, 0 ], [ 0, 1 ], 0, 'row-major' );
+	t.strictEqual( countIf( [ x ], 'isnan' ), 0, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the function supports predicate descriptors for ndarrays having integer data types', function test( t ) {
+	var actual;
+	var xbuf;
+	var x;
+
+	xbuf = zeros( 6, 'int32' );
+	xbuf[ 1 ] = 5;
+	xbuf[ 4 ] = 7;
+	x = ndarray( 'int32', xbuf, [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	actual = countIf( [ x ], {
+		'op': 'gt',
+		'value': 0
+	});
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	actual = countIf( [ x ], 'isnan' );
+	t.strictEqual( actual, 0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function supports providing options and a predicate descriptor', function test( t ) {
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', sequence( 3000 ), [ 3000 ], [ 1 ], 0, 'row-major' );
+
+	actual = countIf( [ x ], {
+		'limit': 5
+	}, {
+		'op': 'gt',
+		'value': 0.0
+	});
+	t.strictEqual( actual, 5, 'returns expected value' );
+
+	actual = countIf( [ x ], {
+		'limit': 0
+	}, 'isnan' );
+	t.strictEqual( actual, 0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function supports aborting a count when provided a predicate descriptor', function test( t ) {
+	var controller;
+	var x;
+
+	controller = abortController();
+	controller.abort( 'beep' );
+
+	x = ndarray( 'float64', sequence( 60 ), [ 3, 20 ], [ 20, 1 ], 0, 'row-major' );
+	t.throws( badValue, Error, 'throws an error' );
+
+	try {
+		badValue();
+	} catch ( err ) {
+		t.strictEqual( err.name, 'AbortError', 'returns expected value' );
+		t.strictEqual( err.count, 0, 'returns expected value' );
+		t.strictEqual( err.cause, 'beep', 'returns expected value' );
+	}
+	t.end();
+
+	function badValue() {
+		countIf( [ x ], {
+			'signal': controller.signal
+		}, 'isnan' );
+	}
+});
+
+tape( 'the function supports reporting progress when provided a predicate descriptor', function test( t ) {
+	var calls;
+	var x;
+
+	// Non-blocked iteration:
+	x = ndarray( 'float64', sequence( 10 ), [ 2, 5 ], [ 5, 1 ], 0, 'row-major' );
+	calls = [];
+	countIf( [ x ], {
+		'onProgress': onProgress,
+		'progressInterval': 4
+	}, 'isnan' );
+	t.deepEqual( calls, [ [ 4, 10 ], [ 8, 10 ], [ 10, 10 ] ], 'returns expected value' );
+
+	// Blocked iteration (block size of eight elements per dimension):
+	x = ndarray( 'float64', sequence( 30 ), [ 3, 10 ], [ -10, 1 ], 20, 'row-major' );
+	calls = [];
+	countIf( [ x ], {
+		'onProgress': onProgress,
+		'progressInterval': 4
+	}, 'isnan' );
+	t.deepEqual( calls, [ [ 24, 30 ], [ 30, 30 ] ], 'returns expected value' );
+
+	t.end();
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function supports specifying the block size used for blocked iteration when provided a predicate descriptor', function test( t ) {
+	var calls;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', sequence( 30 ), [ 3, 10 ], [ -10, 1 ], 20, 'row-major' );
+
+	calls = [];
+	out = countIf( [ x ], {
+		'blockSize': 4,
+		'onProgress': onProgress
+	}, 'isnan' );
+	t.strictEqual( out, 4, 'returns expected value' );
+	t.deepEqual( calls, [ [ 12, 30 ], [ 24, 30 ], [ 30, 30 ] ], 'returns expected value' );
+
+	t.end();
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function throws an error if provided a predicate descriptor which specifies an unsupported operation', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', sequence( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [
+		'beep',
+		'isNaN',
+		{
+			'op': 'boop'
+		},
+		{
+			'op': 'toString'
+		}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), Error, 'throws an error when provided '+JSON.stringify( values[ i ] ) );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf( [ x ], value );
+		};
+	}
+});
+
+tape( 'the function throws an error if provided a predicate descriptor which does not specify the operands required by the operation', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', sequence( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [
+		'eq',
+		'ne',
+		'gt',
+		'ge',
+		'lt',
+		'le',
+		'within',
+		{
+			'op': 'gt'
+		},
+		{
+			'op': 'within',
+			'min': 0.0
+		},
+		{
+			'op': 'within',
+			'max': 0.0
+		}
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), Error, 'throws an error when provided '+JSON.stringify( values[ i ] ) );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf( [ x ], value );
+		};
+	}
+});
+
+tape( 'the function throws an error if provided a predicate descriptor which does not specify the operands required by the operation (empty ndarray)', function test( t ) {
+	var x = ndarray( 'float64', sequence( 0 ), [ 2, 0 ], [ 1, 1 ], 0, 'row-major' );
+	t.throws( badValue, Error, 'throws an error' );
+	t.end();
+
+	function badValue() {
+		countIf( [ x ], 'gt' );
+	}
+});
+
+tape( 'the function throws an error if provided a predicate descriptor and more than one input ndarray', function test( t ) {
+	var x = ndarray( 'float64', sequence( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	t.throws( badValue, Error, 'throws an error' );
+	t.end();
+
+	function badValue() {
+		countIf( [ x, x ], 'isnan' );
+	}
+});
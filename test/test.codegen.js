@@ -0,0 +1,358 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float64Array = require( '@stdlib/array-float64' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var strides2offset = require( '@stdlib/ndarray-base-strides2offset' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var abortController = require( './fixtures/abort_controller.js' );
+var kernel = require( './../lib/codegen/main.js' );
+var countIf = require( './../lib' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a data buffer containing a sequence of integers.
+*
+* @private
+* @param {NonNegativeInteger} N - number of elements
+* @returns {Float64Array} data buffer
+*/
+function sequence( N ) {
+	var out;
+	var i;
+
+	out = new Float64Array( N );
+	for ( i = 0; i < N; i++ ) {
+		out[ i ] = i;
+	}
+	return out;
+}
+
+/**
+* Returns a list of ndarray layouts for a specified number of dimensions.
+*
+* @private
+* @param {PositiveInteger} ndims - number of dimensions
+* @returns {Array<Object>} layouts
+*/
+function layouts( ndims ) {
+	var out;
+	var sh;
+	var st;
+	var k;
+
+	// Limit the number of elements, while ensuring that the first (and last) dimensions are non-singleton:
+	sh = [];
+	for ( k = 0; k < ndims; k++ ) {
+		sh.push( ( k < 6 || k === ndims-1 ) ? 2 : 1 );
+	}
+	sh[ 0 ] = 3;
+	out = [];
+
+	st = shape2strides( sh, 'row-major' );
+	out.push({
+		'shape': sh,
+		'strides': st,
+		'offset': 0,
+		'order': 'row-major'
+	});
+	st = shape2strides( sh, 'column-major' );
+	out.push({
+		'shape': sh,
+		'strides': st,
+		'offset': 0,
+		'order': 'column-major'
+	});
+
+	// Mixed sign strides:
+	st = shape2strides( sh, 'row-major' );
+	st[ 1 ] *= -1;
+	out.push({
+		'shape': sh,
+		'strides': st,
+		'offset': strides2offset( sh, st ),
+		'order': 'row-major'
+	});
+	st = shape2strides( sh, 'column-major' );
+	st[ 0 ] *= -1;
+	out.push({
+		'shape': sh,
+		'strides': st,
+		'offset': strides2offset( sh, st ),
+		'order': 'column-major'
+	});
+	return out;
+}
+
+/**
+* Invokes a kernel and returns a record of the operation.
+*
+* @private
+* @param {Function} f - kernel
+* @param {Object} layout - ndarray layout
+* @param {boolean} accessors - boolean indicating whether to use data buffers which use accessors
+* @param {string} imode - index mode
+* @param {boolean} mask - boolean indicating whether a kernel assigns test results to an output ndarray
+* @returns {Array} record
+*/
+function run( f, layout, accessors, imode, mask ) {
+	var xbuf;
+	var ybuf;
+	var log;
+	var out;
+	var N;
+	var x;
+	var y;
+	var o;
+
+	N = numel( layout.shape );
+	xbuf = sequence( N );
+	ybuf = [];
+	for ( o = 0; o < N; o++ ) {
+		ybuf.push( null );
+	}
+	if ( accessors ) {
+		xbuf = toAccessorArray( xbuf );
+		ybuf = toAccessorArray( ybuf );
+	}
+	x = ndarray2object( ndarray( 'generic', xbuf, layout.shape, layout.strides, layout.offset, layout.order ) ); // eslint-disable-line max-len
+	y = ndarray2object( ndarray( 'generic', ybuf, layout.shape, shape2strides( layout.shape, layout.order ), 0, layout.order ) ); // eslint-disable-line max-len
+
+	log = [];
+	o = {
+		'limit': N,
+		'indices': imode,
+		'onProgress': onProgress,
+		'progressInterval': 5,
+		'total': N
+	};
+	if ( mask ) {
+		out = f( x, y, o, predicate, null );
+		log.push( out );
+		for ( o = 0; o < N; o++ ) {
+			log.push( ( accessors ) ? ybuf.get( o ) : ybuf[ o ] );
+		}
+	} else {
+		out = f( x, o, predicate, null );
+		log.push( out );
+	}
+	return log;
+
+	function predicate( v, idx ) {
+		log.push( v, JSON.stringify( idx ) );
+		return ( v % 3 ) !== 0;
+	}
+
+	function onProgress( processed, total ) {
+		log.push( 'progress', processed, total );
+	}
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof kernel, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'the function caches generated kernels', function test( t ) {
+	var f;
+
+	f = kernel( 11, false, false );
+	t.strictEqual( typeof f, 'function', 'returns a function' );
+	t.strictEqual( kernel( 11, false, false ), f, 'returns expected value' );
+	t.notEqual( kernel( 11, true, false ), f, 'returns expected value' );
+	t.notEqual( kernel( 11, false, true ), f, 'returns expected value' );
+	t.notEqual( kernel( 12, false, false ), f, 'returns expected value' );
+	t.notEqual( kernel( 11, false, false, true ), f, 'returns expected value' );
+	t.strictEqual( kernel( 11, false, false, false ), f, 'returns expected value' );
+	t.end();
+});
+
+tape( 'generated kernels behave the same as the hand-written kernels', function test( t ) {
+	var accessors;
+	var blocked;
+	var modes;
+	var mask;
+	var name;
+	var list;
+	var f;
+	var g;
+	var n;
+	var i;
+	var j;
+
+	modes = [ 'none', 'shared', 'linear', 'array' ];
+	for ( n = 2; n <= 10; n++ ) {
+		list = layouts( n );
+		for ( accessors = 0; accessors < 2; accessors++ ) {
+			for ( blocked = 0; blocked < 2; blocked++ ) {
+				for ( mask = 0; mask < 2; mask++ ) {
+					name = './../lib/' + ( ( mask ) ? 'mask/' : '' ) + n + 'd' + ( ( blocked ) ? '_blocked' : '' ) + ( ( accessors ) ? '_accessors' : '' ) + '.js';
+					f = require( name );
+					g = kernel( n, Boolean( accessors ), Boolean( blocked ), Boolean( mask ) );
+					for ( i = 0; i < list.length; i++ ) {
+						for ( j = 0; j < modes.length; j++ ) {
+							t.deepEqual( run( g, list[ i ], Boolean( accessors ), modes[ j ], Boolean( mask ) ), run( f, list[ i ], Boolean( accessors ), modes[ j ], Boolean( mask ) ), 'returns expected value (ndims: ' + n + ', accessors: ' + Boolean( accessors ) + ', blocked: ' + Boolean( blocked ) + ', mask: ' + Boolean( mask ) + ', layout: ' + i + ', indices: ' + modes[ j ] + ')' ); // eslint-disable-line max-len
+						}
+					}
+				}
+			}
+		}
+	}
+	t.end();
+});
+
+tape( 'the main function supports ndarrays having more than ten dimensions and mixed sign strides', function test( t ) {
+	var values;
+	var actual;
+	var list;
+	var xbuf;
+	var sh;
+	var i;
+	var n;
+
+	for ( n = 11; n <= 13; n++ ) {
+		list = layouts( n );
+		for ( i = 0; i < list.length; i++ ) {
+			sh = list[ i ].shape;
+			xbuf = sequence( numel( sh ) );
+			values = [];
+			actual = countIf( [ ndarray( 'float64', xbuf, sh, list[ i ].strides, list[ i ].offset, list[ i ].order ) ], clbk ); // eslint-disable-line max-len
+			t.strictEqual( actual, 128, 'returns expected value' );
+			t.strictEqual( values.length, xbuf.length, 'returns expected value' );
+			t.deepEqual( values.sort( ascending ), Array.prototype.slice.call( xbuf ), 'visits each element once' );
+
+			values = [];
+			actual = countIf( [ ndarray( 'generic', toAccessorArray( Array.prototype.slice.call( xbuf ) ), sh, list[ i ].strides, list[ i ].offset, list[ i ].order ) ], clbk ); // eslint-disable-line max-len
+			t.strictEqual( actual, 128, 'returns expected value' );
+			t.deepEqual( values.sort( ascending ), Array.prototype.slice.call( xbuf ), 'visits each element once' );
+		}
+	}
+	t.end();
+
+	function clbk( v ) {
+		values.push( v );
+		return ( v % 3 ) !== 0;
+	}
+
+	function ascending( a, b ) {
+		return a - b;
+	}
+});
+
+tape( 'the main function provides element indices which are consistent with the ndarray view (ndims > 10, blocked)', function test( t ) {
+	var actual;
+	var modes;
+	var opts;
+	var sh;
+	var st;
+	var x;
+	var i;
+	var k;
+
+	// Mixed sign strides whose loop interchange order is not its own inverse:
+	sh = [ 2, 2, 2 ];
+	st = [ 1, -4, 2 ];
+	for ( k = 3; k < 11; k++ ) {
+		sh.push( 1 );
+		st.push( 8 );
+	}
+	x = ndarray( 'float64', sequence( 8 ), sh, st, strides2offset( sh, st ), 'row-major' ); // eslint-disable-line max-len
+
+	modes = [ 'array', 'shared' ];
+	for ( i = 0; i < modes.length; i++ ) {
+		opts = {
+			'indices': modes[ i ]
+		};
+		actual = countIf( [ x ], opts, clbk );
+		t.strictEqual( actual, 8, 'returns expected value' );
+	}
+	t.end();
+
+	function clbk( v, indices, arr ) {
+		return ( v === arr.get.apply( arr, indices ) );
+	}
+});
+
+tape( 'generated kernels periodically check whether a signal has been aborted and, if so, throw an error containing the partial count', function test( t ) {
+	var controller;
+	var expected;
+	var values;
+	var sh1;
+	var sh2;
+	var st;
+	var i;
+
+	sh1 = [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 1024, 2 ];
+	sh2 = [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 1024, 2 ];
+	st = [ 2048, 2048, 2048, 2048, 2048, 2048, 2048, 2048, 2048, -2, 1 ];
+	values = [
+		[ kernel( 11, false, false ), ndarray( 'float64', sequence( 2048 ), sh1, shape2strides( sh1, 'row-major' ), 0, 'row-major' ) ], // eslint-disable-line max-len
+		[ kernel( 11, true, false ), ndarray( 'generic', toAccessorArray( Array.prototype.slice.call( sequence( 2048 ) ) ), sh1, shape2strides( sh1, 'column-major' ), 0, 'column-major' ) ], // eslint-disable-line max-len
+		[ kernel( 11, false, true ), ndarray( 'float64', sequence( 2048 ), sh2, st, 2046, 'row-major' ) ], // eslint-disable-line max-len
+		[ kernel( 11, true, true ), ndarray( 'generic', toAccessorArray( Array.prototype.slice.call( sequence( 2048 ) ) ), sh2, st, 2046, 'row-major' ) ] // eslint-disable-line max-len
+	];
+
+	// Kernels check the signal every 1024 tested elements:
+	expected = [ 1024, 1024, 1024, 1024 ];
+
+	for ( i = 0; i < values.length; i++ ) {
+		controller = abortController();
+		t.throws( badValue( values[ i ][ 0 ], values[ i ][ 1 ] ), isAbortError( expected[ i ] ), 'throws an error (case: ' + i + ')' ); // eslint-disable-line max-len
+	}
+	t.end();
+
+	function badValue( f, x ) {
+		return function badValue() {
+			x = ndarray2object( x );
+			f( x, {
+				'limit': numel( x.shape ),
+				'indices': 'none',
+				'signal': controller.signal,
+				'onProgress': null,
+				'progressInterval': 1024,
+				'total': numel( x.shape )
+			}, clbk, null );
+		};
+	}
+
+	function clbk() {
+		controller.abort();
+		return true;
+	}
+
+	function isAbortError( count ) {
+		return function isAbortError( err ) {
+			return ( err.name === 'AbortError' && err.count === count );
+		};
+	}
+});
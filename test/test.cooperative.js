@@ -0,0 +1,692 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float64Array = require( '@stdlib/array-float64' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var blockedCountIf3d = require( './../lib/3d_blocked.js' );
+var abortController = require( './fixtures/abort_controller.js' );
+var countIf = require( './../lib' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a data buffer containing a sequence of integers.
+*
+* @private
+* @param {NonNegativeInteger} N - number of elements
+* @returns {Float64Array} data buffer
+*/
+function sequence( N ) {
+	var out;
+	var i;
+
+	out = new Float64Array( N );
+	for ( i = 0; i < N; i++ ) {
+		out[ i ] = i;
+	}
+	return out;
+}
+
+
+// TESTS //
+
+tape( 'main export has a `cooperative` method', function test( t ) {
+	t.strictEqual( typeof countIf.cooperative, 'function', 'has method' );
+	t.end();
+});
+
+tape( 'the function returns a promise which resolves the number of elements which pass a test', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ), [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	countIf.cooperative( [ x ], clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return v > 0.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 5, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which resolves the number of elements which pass a test (shapes)', function test( t ) {
+	var expected;
+	var shapes;
+	var i;
+
+	// Includes 0-dimensional, contiguous, mixed sign strides, and high-dimensional (>10 dimensions) ndarrays:
+	shapes = [
+		[ [], [ 0 ], 3, 'row-major' ],
+		[ [ 8 ], [ -1 ], 7, 'row-major' ],
+		[ [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ],
+		[ [ 2, 4 ], [ 1, 2 ], 0, 'column-major' ],
+		[ [ 2, 2, 2 ], [ 1, -4, 2 ], 4, 'row-major' ],
+		[ [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2 ], [ 8, 8, 8, 8, 8, 8, 8, 8, 8, 1, -4, 2 ], 4, 'row-major' ]
+	];
+	i = 0;
+	next();
+
+	function next() {
+		var x;
+		if ( i >= shapes.length ) {
+			return t.end();
+		}
+		x = ndarray( 'float64', new Float64Array( [ 0.0, 1.0, 0.0, 3.0, 4.0, 0.0, 6.0, 7.0 ] ), shapes[ i ][ 0 ], shapes[ i ][ 1 ], shapes[ i ][ 2 ], shapes[ i ][ 3 ] );
+		expected = countIf( [ x ], clbk );
+		countIf.cooperative( [ x ], { 'sliceSize': 3 }, clbk ).then( onResolve, t.end );
+	}
+
+	function clbk( v ) {
+		return v > 0.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, expected, 'returns expected value' );
+		i += 1;
+		next();
+	}
+});
+
+tape( 'the function visits elements in the same order as the blocked kernels', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', sequence( 40*3*70 ), [ 40, 3, 70 ], [ -210, 70, 1 ], 39*210, 'row-major' );
+
+	expected = [];
+	x = ndarray2object( x );
+	blockedCountIf3d( x, {
+		'limit': 1e10,
+		'indices': 'array'
+	}, sync );
+
+	actual = [];
+	countIf.cooperative( [ x.ref ], { 'sliceSize': 7 }, clbk ).then( onResolve, t.end );
+
+	function sync( v, idx ) {
+		expected.push( [ v, idx ] );
+		return false;
+	}
+
+	function clbk( v, idx ) {
+		actual.push( [ v, idx ] );
+		return false;
+	}
+
+	function onResolve() {
+		t.deepEqual( actual, expected, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports specifying the block size', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', sequence( 40*3*70 ), [ 40, 3, 70 ], [ -210, 70, 1 ], 39*210, 'row-major' );
+
+	expected = [];
+	x = ndarray2object( x );
+	blockedCountIf3d( x, {
+		'limit': 1e10,
+		'indices': 'array',
+		'blockSize': 16
+	}, sync );
+
+	actual = [];
+	countIf.cooperative( [ x.ref ], {
+		'sliceSize': 7,
+		'blockSize': 16
+	}, clbk ).then( onResolve, t.end );
+
+	function sync( v, idx ) {
+		expected.push( [ v, idx ] );
+		return false;
+	}
+
+	function clbk( v, idx ) {
+		actual.push( [ v, idx ] );
+		return false;
+	}
+
+	function onResolve() {
+		t.deepEqual( actual, expected, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function tests elements in slices and yields to the event loop between slices', function test( t ) {
+	var calls;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] ), [ 3, 4 ], [ 4, 1 ], 0, 'row-major' );
+	calls = 0;
+	countIf.cooperative( [ x ], { 'sliceSize': 5 }, clbk ).then( onResolve, t.end );
+
+	// The first slice is tested synchronously:
+	t.strictEqual( calls, 5, 'returns expected value' );
+
+	// Timers are invoked in the order in which they are scheduled, so, by the time this timer fires, the function should have tested exactly one additional slice:
+	setTimeout( onTimeout, 0 );
+
+	function onTimeout() {
+		t.strictEqual( calls, 10, 'returns expected value' );
+	}
+
+	function clbk( v ) {
+		calls += 1;
+		return v > 0.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 11, 'returns expected value' );
+		t.strictEqual( calls, 12, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports limiting the duration of a slice', function test( t ) {
+	var calls;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( 1000 ), [ 10, 100 ], [ 100, 1 ], 0, 'row-major' );
+	calls = 0;
+	countIf.cooperative( [ x ], { 'sliceDuration': 0 }, clbk ).then( onResolve, t.end );
+
+	// The first slice should end as soon as the elapsed time is first checked:
+	t.ok( calls > 0 && calls < 1000, 'returns expected value' );
+
+	function clbk() {
+		calls += 1;
+		return true;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 1000, 'returns expected value' );
+		t.strictEqual( calls, 1000, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports ndarrays having accessor data buffers', function test( t ) {
+	var xbuf = toAccessorArray( [ 1.0, 2.0, 3.0, 4.0, 5.0, 0.0, 7.0, 8.0, 9.0, 10.0, 11.0, 12.0 ] );
+	var x = ndarray( 'generic', xbuf, [ 3, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+	countIf.cooperative( [ x ], { 'sliceSize': 2 }, clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return v > 0.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 11, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function resolves zero when provided an empty ndarray', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( 0 ), [ 2, 0 ], [ 1, 1 ], 0, 'row-major' );
+	countIf.cooperative( [ x ], clbk ).then( onResolve, t.end );
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 0, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports a `limit` option', function test( t ) {
+	var calls;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 0.0, 2.0, 3.0, 4.0, 5.0 ] ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+	calls = 0;
+	countIf.cooperative( [ x ], {
+		'limit': 2,
+		'sliceSize': 1
+	}, clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		calls += 1;
+		return v > 0.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 2, 'returns expected value' );
+		t.strictEqual( calls, 3, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function resolves zero when provided a `limit` option equal to zero', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0 ] ), [ 2 ], [ 1 ], 0, 'row-major' );
+	countIf.cooperative( [ x ], { 'limit': 0 }, clbk ).then( onResolve, t.end );
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 0, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports specifying how to provide element indices to the predicate function', function test( t ) {
+	var expected;
+	var actual;
+	var shared;
+	var modes;
+	var x;
+	var i;
+
+	// Note: as the ndarray has mixed sign strides, the synchronous kernels use blocked iteration...
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ -3, 1 ], 3, 'row-major' );
+	modes = [ 'array', 'shared', 'linear', 'none' ];
+	i = 0;
+	next();
+
+	function next() {
+		if ( i >= modes.length ) {
+			return t.end();
+		}
+		expected = [];
+		shared = [];
+		countIf( [ x ], { 'indices': modes[ i ] }, record( expected ) );
+
+		actual = [];
+		shared = [];
+		countIf.cooperative( [ x ], {
+			'indices': modes[ i ],
+			'sliceSize': 2
+		}, record( actual ) ).then( onResolve, t.end );
+	}
+
+	function record( out ) {
+		return clbk;
+
+		function clbk( v, idx, arr ) {
+			if ( modes[ i ] === 'none' ) {
+				out.push( [ v, arguments.length ] );
+			} else if ( modes[ i ] === 'linear' ) {
+				out.push( [ v, idx, arr === x ] );
+			} else {
+				out.push( [ v, idx.slice(), arr === x ] );
+				shared.push( idx );
+			}
+			return false;
+		}
+	}
+
+	function onResolve() {
+		t.deepEqual( actual, expected, 'returns expected value' );
+		if ( modes[ i ] === 'shared' ) {
+			t.strictEqual( shared[ 0 ], shared[ shared.length-1 ], 'returns expected value' );
+		} else if ( modes[ i ] === 'array' ) {
+			t.notEqual( shared[ 0 ], shared[ 1 ], 'returns expected value' );
+		}
+		i += 1;
+		next();
+	}
+});
+
+tape( 'the function supports providing an execution context', function test( t ) {
+	var ctx;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	ctx = {
+		'count': 0
+	};
+	countIf.cooperative( [ x ], { 'sliceSize': 1 }, clbk, ctx ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		this.count += 1; // eslint-disable-line no-invalid-this
+		return v > 2.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 2, 'returns expected value' );
+		t.strictEqual( ctx.count, 4, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if a predicate function throws an error', function test( t ) {
+	var calls;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	calls = 0;
+	countIf.cooperative( [ x ], { 'sliceSize': 1 }, clbk ).then( onResolve, onReject );
+
+	function clbk() {
+		calls += 1;
+		if ( calls === 3 ) {
+			throw new Error( 'beep' );
+		}
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err.message, 'beep', 'returns expected value' );
+		t.strictEqual( calls, 3, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if not provided exactly one input ndarray', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [
+		[],
+		[ x, x ],
+		[ x, x, x ]
+	];
+	i = 0;
+	next();
+
+	function next() {
+		if ( i >= values.length ) {
+			return t.end();
+		}
+		countIf.cooperative( values[ i ], clbk ).then( onResolve, onReject );
+	}
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof Error, true, 'returns expected value' );
+		i += 1;
+		next();
+	}
+});
+
+tape( 'the function returns a promise which rejects if provided a `sliceSize` option which is less than one', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [ 0, -1, 0.5, NaN ];
+	i = 0;
+	next();
+
+	function next() {
+		if ( i >= values.length ) {
+			return t.end();
+		}
+		countIf.cooperative( [ x ], { 'sliceSize': values[ i ] }, clbk ).then( onResolve, onReject ); // eslint-disable-line max-len
+	}
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof RangeError, true, 'returns expected value' );
+		i += 1;
+		next();
+	}
+});
+
+tape( 'the function returns a promise which rejects if provided a `sliceDuration` option which is less than zero', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [ -1, -0.5, NaN ];
+	i = 0;
+	next();
+
+	function next() {
+		if ( i >= values.length ) {
+			return t.end();
+		}
+		countIf.cooperative( [ x ], { 'sliceDuration': values[ i ] }, clbk ).then( onResolve, onReject ); // eslint-disable-line max-len
+	}
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof RangeError, true, 'returns expected value' );
+		i += 1;
+		next();
+	}
+});
+
+tape( 'the function supports a `sliceDuration` option equal to zero', function test( t ) {
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	countIf.cooperative( [ x ], { 'sliceDuration': 0 }, clbk ).then( onResolve, onReject ); // eslint-disable-line max-len
+
+	function clbk( v ) {
+		return v > 1.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 3, 'returns expected value' );
+		t.end();
+	}
+
+	function onReject() {
+		t.fail( 'should not reject' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if provided a signal which has already been aborted', function test( t ) {
+	var controller;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	controller = abortController();
+	controller.abort();
+	countIf.cooperative( [ x ], { 'signal': controller.signal }, clbk ).then( onResolve, onReject );
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err.name, 'AbortError', 'returns expected value' );
+		t.strictEqual( err.count, 0, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function stops testing elements and returns a promise which rejects if a signal is aborted between slices', function test( t ) {
+	var controller;
+	var calls;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+	controller = abortController();
+	calls = 0;
+	countIf.cooperative( [ x ], {
+		'sliceSize': 2,
+		'signal': controller.signal
+	}, clbk ).then( onResolve, onReject );
+
+	// Abort the operation after the first slice:
+	controller.abort();
+
+	function clbk() {
+		calls += 1;
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err.name, 'AbortError', 'returns expected value' );
+		t.strictEqual( err.count, 2, 'returns expected value' );
+		t.strictEqual( calls, 2, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports reporting progress upon completing each slice', function test( t ) {
+	var calls;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+	calls = [];
+	countIf.cooperative( [ x ], {
+		'sliceSize': 4,
+		'onProgress': onProgress
+	}, clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return v > 0.0;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+
+	function onResolve() {
+		t.deepEqual( calls, [ [ 4, 6 ], [ 6, 6 ] ], 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports specifying the order in which to visit elements', function test( t ) {
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ] ), [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+	actual = [];
+	countIf.cooperative( [ x ], {
+		'sliceSize': 4,
+		'order': 'row-major'
+	}, clbk ).then( onResolve, t.end );
+
+	function clbk( v, idx ) {
+		actual.push( [ v, idx ] );
+		return v > 0.0;
+	}
+
+	function onResolve( out ) {
+		var expected = [
+			[ 1.0, [ 0, 0 ] ],
+			[ 2.0, [ 0, 1 ] ],
+			[ 3.0, [ 0, 2 ] ],
+			[ 4.0, [ 1, 0 ] ],
+			[ 5.0, [ 1, 1 ] ],
+			[ 6.0, [ 1, 2 ] ]
+		];
+		t.strictEqual( out, 6, 'returns expected value' );
+		t.deepEqual( actual, expected, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if not provided a predicate function', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [
+		'gt',
+		'x > 0.0',
+		{
+			'op': 'gt',
+			'value': 0.0
+		},
+		null,
+		5
+	];
+	i = 0;
+	next();
+
+	function next() {
+		if ( i >= values.length ) {
+			return t.end();
+		}
+		countIf.cooperative( [ x ], values[ i ] ).then( onResolve, onReject );
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof TypeError, true, 'returns expected value' );
+		i += 1;
+		next();
+	}
+});
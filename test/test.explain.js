@@ -0,0 +1,383 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Complex128Array = require( '@stdlib/array-complex128' );
+var isCodegenSupported = require( './../lib/codegen/is_supported.js' );
+var explain = require( './../lib/explain.js' );
+var countIf = require( './../lib' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns an ndarray-like object.
+*
+* @private
+* @param {Collection} data - data buffer
+* @param {string} dtype - data type
+* @param {NonNegativeIntegerArray} shape - array shape
+* @param {IntegerArray} strides - array strides
+* @param {NonNegativeInteger} offset - index offset
+* @returns {Object} ndarray-like object
+*/
+function array( data, dtype, shape, strides, offset ) {
+	return {
+		'dtype': dtype,
+		'data': data,
+		'shape': shape,
+		'strides': strides,
+		'offset': offset,
+		'order': 'row-major'
+	};
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof explain, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'attached to the main export is an `explain` method', function test( t ) {
+	t.strictEqual( countIf.explain, explain, 'has method' );
+	t.end();
+});
+
+tape( 'the function describes the kernel used for an ndarray whose elements can be visited using nested loops', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = array( new Float64Array( 12 ), 'float64', [ 3, 4 ], [ 4, 1 ], 0 );
+	actual = explain( [ x ] );
+	expected = {
+		'kernel': 'strided',
+		'ndims': 2,
+		'accessors': false,
+		'iterationOrder': 1,
+		'loopOrder': null,
+		'blockSize': null
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	x = array( new Float64Array( 12 ), 'float64', [ 3, 4 ], [ -4, -1 ], 11 );
+	actual = explain( [ x ] );
+	expected = {
+		'kernel': 'strided',
+		'ndims': 2,
+		'accessors': false,
+		'iterationOrder': -1,
+		'loopOrder': null,
+		'blockSize': null
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function describes the kernel used for an ndarray having mixed sign strides', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = array( new Float64Array( 12 ), 'float64', [ 3, 4 ], [ -4, 1 ], 8 );
+	actual = explain( [ x ] );
+	expected = {
+		'kernel': 'blocked',
+		'ndims': 2,
+		'accessors': false,
+		'iterationOrder': 0,
+		'loopOrder': [ 1, 0 ],
+		'blockSize': 8
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	x = array( new Float64Array( 24 ), 'float64', [ 2, 3, 4 ], [ 1, -8, 2 ], 16 );
+	actual = explain( [ x ] );
+	expected = {
+		'kernel': 'blocked',
+		'ndims': 3,
+		'accessors': false,
+		'iterationOrder': 0,
+		'loopOrder': [ 0, 2, 1 ],
+		'blockSize': 8
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function indicates whether a kernel uses accessors', function test( t ) {
+	var actual;
+	var x;
+
+	x = array( new Complex128Array( 12 ), 'complex128', [ 3, 4 ], [ 4, 1 ], 0 );
+	actual = explain( [ x ] );
+	t.strictEqual( actual.kernel, 'strided', 'returns expected value' );
+	t.strictEqual( actual.accessors, true, 'returns expected value' );
+
+	x = array( new Complex128Array( 12 ), 'complex128', [ 3, 4 ], [ -4, 1 ], 8 );
+	actual = explain( [ x ] );
+	t.strictEqual( actual.kernel, 'blocked', 'returns expected value' );
+	t.strictEqual( actual.accessors, true, 'returns expected value' );
+	t.strictEqual( actual.blockSize, 4, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function describes the kernel used for a zero-dimensional ndarray', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = array( new Float64Array( 1 ), 'float64', [], [ 0 ], 0 );
+	actual = explain( [ x ] );
+	expected = {
+		'kernel': 'strided',
+		'ndims': 0,
+		'accessors': false,
+		'iterationOrder': 1,
+		'loopOrder': null,
+		'blockSize': null
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function indicates when an ndarray is empty', function test( t ) {
+	var actual;
+	var x;
+
+	x = array( new Float64Array( 0 ), 'float64', [ 3, 0 ], [ -1, 1 ], 0 );
+	actual = explain( [ x ] );
+	t.strictEqual( actual.kernel, 'none', 'returns expected value' );
+	t.strictEqual( actual.loopOrder, null, 'returns expected value' );
+	t.strictEqual( actual.blockSize, null, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function describes the kernel used for an ndarray having more than ten dimensions', function test( t ) {
+	var actual;
+	var kernel;
+	var x;
+
+	kernel = ( isCodegenSupported() ) ? 'generated' : 'nd';
+
+	x = array( new Float64Array( 8 ), 'float64', [ 1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2 ], [ 8, 8, 8, 8, 8, 8, 8, 8, 4, 2, 1 ], 0 );
+	actual = explain( [ x ] );
+	t.strictEqual( actual.kernel, kernel, 'returns expected value' );
+	t.strictEqual( actual.ndims, 11, 'returns expected value' );
+	t.strictEqual( actual.loopOrder, null, 'returns expected value' );
+
+	x = array( new Float64Array( 8 ), 'float64', [ 1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2 ], [ 8, 8, 8, 8, 8, 8, 8, 8, -4, 2, 1 ], 4 );
+	actual = explain( [ x ] );
+	t.strictEqual( actual.kernel, kernel+'-blocked', 'returns expected value' );
+	t.strictEqual( actual.ndims, 11, 'returns expected value' );
+	t.strictEqual( actual.loopOrder.length, 11, 'returns expected value' );
+	t.strictEqual( actual.blockSize, 8, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function describes the kernel used for multiple input ndarrays', function test( t ) {
+	var actual;
+	var x;
+	var y;
+
+	x = array( new Float64Array( 12 ), 'float64', [ 3, 4 ], [ -4, 1 ], 8 );
+	y = array( new Float64Array( 12 ), 'float64', [ 3, 4 ], [ 4, 1 ], 0 );
+
+	actual = explain( [ x, y ] );
+	t.strictEqual( actual.kernel, 'blocked', 'returns expected value' );
+	t.deepEqual( actual.loopOrder, [ 1, 0 ], 'returns expected value' );
+
+	actual = explain( [ y, x ] );
+	t.strictEqual( actual.kernel, 'strided', 'returns expected value' );
+
+	actual = explain( [ x, y, y ] );
+	t.strictEqual( actual.kernel, 'nd', 'returns expected value' );
+	t.strictEqual( actual.loopOrder, null, 'returns expected value' );
+
+	y = array( new Complex128Array( 12 ), 'complex128', [ 3, 4 ], [ 4, 1 ], 0 );
+	actual = explain( [ x, x, y ] );
+	t.strictEqual( actual.accessors, true, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function throws an error if provided input ndarrays having different shapes', function test( t ) {
+	var x;
+	var y;
+
+	x = array( new Float64Array( 12 ), 'float64', [ 3, 4 ], [ 4, 1 ], 0 );
+	y = array( new Float64Array( 12 ), 'float64', [ 4, 3 ], [ 3, 1 ], 0 );
+
+	t.throws( badValue, Error, 'throws an error' );
+	t.end();
+
+	function badValue() {
+		explain( [ x, y ] );
+	}
+});
+
+tape( 'the function supports specifying the block size', function test( t ) {
+	var actual;
+	var x;
+
+	x = array( new Float64Array( 12 ), 'float64', [ 3, 4 ], [ -4, 1 ], 8 );
+
+	actual = explain( [ x ], {
+		'blockSize': 32
+	});
+	t.strictEqual( actual.blockSize, 32, 'returns expected value' );
+
+	actual = explain( [ x ], {
+		'blockSize': blockSize
+	});
+	t.strictEqual( actual.blockSize, 16, 'returns expected value' );
+
+	x = array( new Float64Array( 12 ), 'float64', [ 3, 4 ], [ 4, 1 ], 0 );
+	actual = explain( [ x ], {
+		'blockSize': 32
+	});
+	t.strictEqual( actual.blockSize, null, 'returns expected value' );
+
+	t.end();
+
+	function blockSize( dtype ) {
+		return ( dtype === 'float64' ) ? 16 : 64;
+	}
+});
+
+tape( 'the function supports specifying the order in which to visit elements', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = array( new Float64Array( 6 ), 'float64', [ 2, 3 ], [ 3, 1 ], 0 );
+
+	actual = explain( [ x ], {
+		'order': 'column-major'
+	});
+	expected = {
+		'kernel': 'nd',
+		'ndims': 2,
+		'accessors': false,
+		'iterationOrder': 1,
+		'loopOrder': null,
+		'blockSize': null
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = explain( [ x ], {
+		'order': 'row-major'
+	});
+	expected = {
+		'kernel': 'strided',
+		'ndims': 2,
+		'accessors': false,
+		'iterationOrder': 1,
+		'loopOrder': null,
+		'blockSize': null
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = explain( [ x ], {
+		'order': 'memory'
+	});
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function supports specifying the order in which to visit elements (mixed sign strides)', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = array( new Float64Array( 12 ), 'float64', [ 3, 4 ], [ -4, 1 ], 8 );
+
+	actual = explain( [ x ], {
+		'order': 'row-major'
+	});
+	expected = {
+		'kernel': 'nd',
+		'ndims': 2,
+		'accessors': false,
+		'iterationOrder': 0,
+		'loopOrder': null,
+		'blockSize': null
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = explain( [ x ], {
+		'order': 'column-major'
+	});
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function supports specifying the order in which to visit elements (multiple input ndarrays)', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+	var y;
+
+	x = array( new Float64Array( 6 ), 'float64', [ 2, 3 ], [ 3, 1 ], 0 );
+	y = array( new Float64Array( 6 ), 'float64', [ 2, 3 ], [ 3, 1 ], 0 );
+
+	actual = explain( [ x, y ], {
+		'order': 'column-major'
+	});
+	expected = {
+		'kernel': 'nd',
+		'ndims': 2,
+		'accessors': false,
+		'iterationOrder': 1,
+		'loopOrder': null,
+		'blockSize': null
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = explain( [ x, y ], {
+		'order': 'row-major'
+	});
+	expected = {
+		'kernel': 'strided',
+		'ndims': 2,
+		'accessors': false,
+		'iterationOrder': 1,
+		'loopOrder': null,
+		'blockSize': null
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+});
@@ -0,0 +1,327 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float64Array = require( '@stdlib/array-float64' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+var zeros = require( '@stdlib/array-zeros' );
+var abs = require( '@stdlib/math-base-special-abs' );
+var floor = require( '@stdlib/math-base-special-floor' );
+var sqrt = require( '@stdlib/math-base-special-sqrt' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var abortController = require( './fixtures/abort_controller.js' );
+var countIf = require( './../lib' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a data buffer containing a sequence of numbers in which every seventh element is `NaN`.
+*
+* @private
+* @param {NonNegativeInteger} N - number of elements
+* @returns {Float64Array} data buffer
+*/
+function sequence( N ) {
+	var out;
+	var i;
+
+	out = new Float64Array( N );
+	for ( i = 0; i < N; i++ ) {
+		out[ i ] = ( i%7 === 6 ) ? NaN : ( i%20 ) - 5.5;
+	}
+	return out;
+}
+
+/**
+* Returns a list of ndarrays having various layouts.
+*
+* @private
+* @returns {Array<ndarray>} list of ndarrays
+*/
+function arrays() {
+	var sh = [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 5 ];
+	var st = [ 10, 10, 10, 10, 10, 10, 10, 10, 10, 5, 1 ];
+	return [
+		ndarray( 'float64', sequence( 4 ), [], [ 0 ], 3, 'row-major' ),
+		ndarray( 'float64', sequence( 3000 ), [ 1500 ], [ -2 ], 2999, 'row-major' ),
+		ndarray( 'float64', sequence( 60 ), [ 3, 20 ], [ 20, 1 ], 0, 'row-major' ),
+		ndarray( 'float64', sequence( 60 ), [ 3, 20 ], [ 1, 3 ], 0, 'column-major' ),
+		ndarray( 'float64', sequence( 60 ), [ 3, 20 ], [ -20, 1 ], 40, 'row-major' ),
+		ndarray( 'float64', sequence( 1000 ), [ 10, 10, 10 ], [ 1, -10, 100 ], 90, 'column-major' ),
+		ndarray( 'generic', toAccessorArray( sequence( 1000 ) ), [ 10, 10, 10 ], [ -100, 10, -1 ], 909, 'row-major' ),
+		ndarray( 'float64', sequence( 10 ), sh, st, 0, 'row-major' ),
+		ndarray( 'generic', toAccessorArray( sequence( 10 ) ), sh, st, 0, 'row-major' )
+	];
+}
+
+
+// TESTS //
+
+tape( 'the function supports providing an expression in place of a predicate function', function test( t ) {
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, NaN, 3.0, -4.0, 5.0, NaN ] ), [ 3, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	actual = countIf( [ x ], 'x > 0 && x < 5' );
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	actual = countIf( [ x ], 'isnan( x ) || -x === 4' );
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	actual = countIf( [ x ], '!( x <= 3 )' );
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function returns the same result when provided an expression as when provided an equivalent predicate function', function test( t ) {
+	var expressions;
+	var predicates;
+	var expected;
+	var actual;
+	var values;
+	var i;
+	var j;
+
+	expressions = [
+		'x > 0 && x < 10',
+		'x <= -2.5 || x >= 1.0e1',
+		'isnan( x )',
+		'abs( x ) < 3',
+		'floor( x ) % 2 === 0',
+		'sqrt( x * x ) > ceil( 3.2 )',
+		'x - 1 - 1 > 0',
+		'x != x',
+		'-x + 2 * 3 > 1'
+	];
+	predicates = [
+		function predicate( x ) {
+			return x > 0 && x < 10;
+		},
+		function predicate( x ) {
+			return x <= -2.5 || x >= 10;
+		},
+		function predicate( x ) {
+			return x !== x;
+		},
+		function predicate( x ) {
+			return abs( x ) < 3;
+		},
+		function predicate( x ) {
+			return floor( x ) % 2 === 0;
+		},
+		function predicate( x ) {
+			return sqrt( x * x ) > 4;
+		},
+		function predicate( x ) {
+			return x > 2;
+		},
+		function predicate( x ) {
+			return x !== x;
+		},
+		function predicate( x ) {
+			return -x + 6 > 1;
+		}
+	];
+	values = arrays();
+	for ( i = 0; i < values.length; i++ ) {
+		for ( j = 0; j < expressions.length; j++ ) {
+			expected = countIf( [ values[ i ] ], predicates[ j ] );
+			actual = countIf( [ values[ i ] ], expressions[ j ] );
+			t.strictEqual( actual, expected, 'returns expected value. ndarray: '+i+'. expression: '+expressions[ j ]+'.' );
+		}
+	}
+	t.end();
+});
+
+tape( 'the function supports expressions which reference element indices', function test( t ) {
+	var expected;
+	var actual;
+	var values;
+	var i;
+
+	values = arrays().slice( 2 );
+	for ( i = 0; i < values.length; i++ ) {
+		expected = countIf( [ values[ i ] ], predicate );
+		actual = countIf( [ values[ i ] ], 'x > 0 && ( i0 + i1 ) % 2 === 1' );
+		t.strictEqual( actual, expected, 'returns expected value. ndarray: '+i+'.' );
+	}
+	t.end();
+
+	function predicate( x, indices ) {
+		return x > 0 && ( indices[ 0 ] + indices[ 1 ] ) % 2 === 1;
+	}
+});
+
+tape( 'the function supports expressions containing literals', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( [ 1.0, NaN, Infinity, -4.0 ] ), [ 4 ], [ 1 ], 0, 'row-major' );
+
+	t.strictEqual( countIf( [ x ], 'true' ), 4, 'returns expected value' );
+	t.strictEqual( countIf( [ x ], 'false' ), 0, 'returns expected value' );
+	t.strictEqual( countIf( [ x ], 'x === Infinity' ), 1, 'returns expected value' );
+	t.strictEqual( countIf( [ x ], 'x === NaN' ), 0, 'returns expected value' );
+	t.strictEqual( countIf( [ x ], 'x > .5' ), 2, 'returns expected value' );
+	t.strictEqual( countIf( [ x ], 'x > 5e-1' ), 2, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the function compiles the equality operators `==` and `!=` to their strict counterparts', function test( t ) {
+	var x = ndarray( 'generic', [ 1, '1', 2, '2' ], [ 4 ], [ 1 ], 0, 'row-major' );
+
+	t.strictEqual( countIf( [ x ], 'x == 1' ), 1, 'returns expected value' );
+	t.strictEqual( countIf( [ x ], 'x != 1' ), 3, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the function supports expressions for ndarrays having different data types', function test( t ) {
+	var xbuf;
+	var x;
+	var y;
+
+	xbuf = zeros( 6, 'int32' );
+	xbuf[ 1 ] = 5;
+	xbuf[ 4 ] = 7;
+	x = ndarray( 'int32', xbuf, [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+	y = ndarray( 'generic', [ 0, 5, 0, 0, 7, 0 ], [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	// Using the same expression for multiple data types should not affect the results:
+	t.strictEqual( countIf( [ x ], 'x > 0 && x < 6' ), 1, 'returns expected value' );
+	t.strictEqual( countIf( [ y ], 'x > 0 && x < 6' ), 1, 'returns expected value' );
+	t.strictEqual( countIf( [ x ], 'x > 0 && x < 6' ), 1, 'returns expected value' );
+	t.end();
+});
+
+tape( 'the function supports providing options and an expression', function test( t ) {
+	var controller;
+	var calls;
+	var x;
+
+	x = ndarray( 'float64', sequence( 10 ), [ 2, 5 ], [ 5, 1 ], 0, 'row-major' );
+
+	t.strictEqual( countIf( [ x ], {
+		'limit': 2
+	}, 'x > 0' ), 2, 'returns expected value' );
+
+	t.strictEqual( countIf( [ x ], {
+		'limit': 2
+	}, 'x > 0 && i0 === 0' ), 0, 'returns expected value' );
+
+	calls = [];
+	countIf( [ x ], {
+		'onProgress': onProgress,
+		'progressInterval': 4
+	}, 'x > 0' );
+	t.deepEqual( calls, [ [ 4, 10 ], [ 8, 10 ], [ 10, 10 ] ], 'returns expected value' );
+
+	controller = abortController();
+	controller.abort();
+	t.throws( badValue, Error, 'throws an error' );
+
+	t.end();
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+
+	function badValue() {
+		countIf( [ x ], {
+			'signal': controller.signal
+		}, 'x > 0' );
+	}
+});
+
+tape( 'the function throws an error if provided an invalid expression', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', sequence( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [
+		'x >',
+		'x > 0)',
+		'(x > 0',
+		'x 2',
+		'()',
+		'x # 2',
+		'x = 2',
+		'abs()',
+		'abs( x, 2 )'
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), SyntaxError, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf( [ x ], value );
+		};
+	}
+});
+
+tape( 'the function throws an error if provided an expression which references an unsupported identifier or function', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', sequence( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [
+		'y > 0',
+		'constructor',
+		'Math.abs( x )',
+		'eval( x )',
+		'process',
+		'pow( x, 2 ) > 1'
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), Error, 'throws an error when provided '+values[ i ] );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf( [ x ], value );
+		};
+	}
+});
+
+tape( 'the function throws an error if provided an expression which references an element index for a dimension which exceeds the number of ndarray dimensions', function test( t ) {
+	var x = ndarray( 'float64', sequence( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	t.throws( badValue, RangeError, 'throws an error' );
+	t.end();
+
+	function badValue() {
+		countIf( [ x ], 'x > 0 && i2 === 0' );
+	}
+});
+
+tape( 'the function throws an error if provided an expression and more than one input ndarray', function test( t ) {
+	var x = ndarray( 'float64', sequence( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	t.throws( badValue, Error, 'throws an error' );
+	t.end();
+
+	function badValue() {
+		countIf( [ x, x ], 'x > 0' );
+	}
+});
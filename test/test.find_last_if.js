@@ -0,0 +1,391 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var ones = require( '@stdlib/array-ones' );
+var real = require( '@stdlib/complex-float64-real' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Complex128Array = require( '@stdlib/array-complex128' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var countIf = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export has a `findLastIf` method', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof countIf.findLastIf, 'function', 'has method' );
+	t.end();
+});
+
+tape( 'the function returns the last element which passes a test (row-major)', function test( t ) {
+	var expected;
+	var actual;
+	var N;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 2.0, 3.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	N = 0;
+	actual = countIf.findLastIf( [ x ], clbk );
+	expected = {
+		'value': 3.0,
+		'indices': [ 1, 0 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+	t.strictEqual( N, 2, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		N += 1;
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns the last element which passes a test (column-major)', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 2.0, 3.0, 0.0 ] ), [ 2, 2 ], [ 1, 2 ], 0, 'column-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	expected = {
+		'value': 3.0,
+		'indices': [ 0, 1 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports specifying the logical order in which to visit elements', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 2.0, 3.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	actual = countIf.findLastIf( [ x ], {
+		'order': 'column-major'
+	}, clbk );
+	expected = {
+		'value': 2.0,
+		'indices': [ 0, 1 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns the last element in logical order which passes a test (mixed sign strides)', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0 ] ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	expected = {
+		'value': 5.0,
+		'indices': [ 1, 1, 1 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = countIf.findLastIf( [ x ], {
+		'order': 'column-major'
+	}, clbk );
+	expected = {
+		'value': 5.0,
+		'indices': [ 1, 1, 1 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return ( v >= 4.0 && v !== 6.0 );
+	}
+});
+
+tape( 'the function returns the last element in logical order which passes a test (mixed sign strides, column-major)', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0 ] ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	expected = {
+		'value': 6.0,
+		'indices': [ 1, 0, 0 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = countIf.findLastIf( [ x ], {
+		'order': 'column-major'
+	}, clbk );
+	expected = {
+		'value': 3.0,
+		'indices': [ 0, 0, 1 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return ( v === 3.0 || v === 6.0 );
+	}
+});
+
+tape( 'the function returns the last element in logical order which passes a test (ambiguous strides)', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	// Note: strides which are both row-major and column-major...
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 1, 1 ], 0, 'row-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	expected = {
+		'value': 2.0,
+		'indices': [ 1, 0 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 1, 1 ], 0, 'row-major' );
+	actual = countIf.findLastIf( [ x ], {
+		'order': 'column-major'
+	}, clbk );
+	expected = {
+		'value': 2.0,
+		'indices': [ 0, 1 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v === 2.0;
+	}
+});
+
+tape( 'the function returns the last element in logical order which passes a test (zero strides)', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0 ] ), [ 2, 2 ], [ 0, 0 ], 0, 'row-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	expected = {
+		'value': 1.0,
+		'indices': [ 1, 0 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0 ] ), [ 2, 2 ], [ 0, 0 ], 0, 'column-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	expected = {
+		'value': 1.0,
+		'indices': [ 0, 1 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v, idx ) {
+		return ( idx[ 0 ] + idx[ 1 ] === 1 );
+	}
+});
+
+tape( 'the function returns the last element which passes a test (accessors)', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = ndarray( 'complex128', new Complex128Array( new Float64Array( [ 1.0, 1.0, 2.0, 2.0, 3.0, 3.0, 0.0, 0.0 ] ) ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	t.strictEqual( real( actual.value ), 3.0, 'returns expected value' );
+	t.deepEqual( actual.indices, [ 1, 0 ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return real( v ) !== 0.0;
+	}
+});
+
+tape( 'the function returns the last element which passes a test (>10 dimensions)', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 0.0, 0.0 ] ), [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2 ], [ 4, 4, 4, 4, 4, 4, 4, 4, 4, 2, 1 ], 0, 'row-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	expected = {
+		'value': 2.0,
+		'indices': [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = countIf.findLastIf( [ x ], {
+		'order': 'column-major'
+	}, clbk );
+	expected = {
+		'value': 2.0,
+		'indices': [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns the last element which passes a test (0-dimensional)', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 5.0 ] ), [], [ 0 ], 0, 'row-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	expected = {
+		'value': 5.0,
+		'indices': []
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0 ] ), [], [ 0 ], 0, 'row-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	t.strictEqual( actual, null, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns `null` if no elements pass a test', function test( t ) {
+	var expected;
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 0.0, 0.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	t.strictEqual( actual, null, 'returns expected value' );
+
+	x = ndarray( 'float64', ones( 4, 'float64' ), [ 2, 0 ], [ 2, 1 ], 0, 'row-major' );
+	actual = countIf.findLastIf( [ x ], clbk );
+	t.strictEqual( actual, null, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function provides the predicate function with subscripts for the input ndarray', function test( t ) {
+	var expected;
+	var indices;
+	var values;
+	var arrays;
+	var actual;
+	var ctx;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	indices = [];
+	values = [];
+	arrays = [];
+	ctx = {
+		'count': 0
+	};
+	actual = countIf.findLastIf( [ x ], clbk, ctx );
+
+	expected = {
+		'value': 2.0,
+		'indices': [ 0, 1 ]
+	};
+	t.deepEqual( actual, expected, 'returns expected value' );
+	t.strictEqual( ctx.count, 3, 'returns expected value' );
+
+	expected = [ 4.0, 3.0, 2.0 ];
+	t.deepEqual( values, expected, 'returns expected value' );
+
+	expected = [
+		[ 1, 1 ],
+		[ 1, 0 ],
+		[ 0, 1 ]
+	];
+	t.deepEqual( indices, expected, 'returns expected value' );
+
+	expected = [ x, x, x ];
+	t.deepEqual( arrays, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v, idx, arr ) {
+		this.count += 1; // eslint-disable-line no-invalid-this
+		values.push( v );
+		indices.push( idx.slice() );
+		arrays.push( arr );
+		return v < 3.0;
+	}
+});
+
+tape( 'the function throws an error if not provided a predicate function', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	values = [
+		'gt',
+		'x > 0.0',
+		{
+			'op': 'gt',
+			'value': 0.0
+		},
+		null,
+		5
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+JSON.stringify( values[ i ] ) );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf.findLastIf( [ x ], value );
+		};
+	}
+});
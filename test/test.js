@@ -22,7 +22,12 @@
 
 var tape = require( 'tape' );
 var ones = require( '@stdlib/array-ones' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Complex128Array = require( '@stdlib/array-complex128' );
+var real = require( '@stdlib/complex-float64-real' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
 var ndarray = require( '@stdlib/ndarray-ctor' );
+var abortController = require( './fixtures/abort_controller.js' );
 var countIf = require( './../lib' );
 
 
@@ -49,3 +54,1006 @@ tape( 'the function returns `0` if provided an empty input ndarray', function te
 		return v !== 0.0;
 	}
 });
+
+tape( 'the function supports stopping iteration once the number of elements which pass a test equals a specified limit', function test( t ) {
+	var actual;
+	var opts;
+	var N;
+	var x;
+
+	x = ndarray( 'float64', ones( 8, 'float64' ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+	opts = {
+		'limit': 3
+	};
+
+	N = 0;
+	actual = countIf( [ x ], opts, clbk );
+	t.strictEqual( actual, 3, 'returns expected value' );
+	t.strictEqual( N, 3, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		N += 1;
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports stopping iteration once the number of elements which pass a test equals a specified limit (blocked)', function test( t ) {
+	var actual;
+	var opts;
+	var N;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 0.0, 1.0, 1.0, 0.0, 1.0, 1.0, 1.0 ] ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+	opts = {
+		'limit': 4
+	};
+
+	N = 0;
+	actual = countIf( [ x ], opts, clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+	t.strictEqual( N < 8, true, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		N += 1;
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports stopping iteration once the number of elements which pass a test equals a specified limit (accessors)', function test( t ) {
+	var actual;
+	var opts;
+	var N;
+	var x;
+
+	x = ndarray( 'complex128', new Complex128Array( ones( 16, 'float64' ) ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+	opts = {
+		'limit': 5
+	};
+
+	N = 0;
+	actual = countIf( [ x ], opts, clbk );
+	t.strictEqual( actual, 5, 'returns expected value' );
+	t.strictEqual( N, 5, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		N += 1;
+		return real( v ) !== 0.0;
+	}
+});
+
+tape( 'the function supports stopping iteration once the number of elements which pass a test equals a specified limit (>10 dimensions)', function test( t ) {
+	var actual;
+	var opts;
+	var sh;
+	var st;
+	var N;
+	var x;
+
+	sh = [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2 ];
+	st = [ 4, 4, 4, 4, 4, 4, 4, 4, 4, 2, 1 ];
+	x = ndarray( 'float64', ones( 4, 'float64' ), sh, st, 0, 'row-major' );
+	opts = {
+		'limit': 2
+	};
+
+	N = 0;
+	actual = countIf( [ x ], opts, clbk );
+	t.strictEqual( actual, 2, 'returns expected value' );
+	t.strictEqual( N, 2, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		N += 1;
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns the number of elements which pass a test if the limit is never reached', function test( t ) {
+	var actual;
+	var opts;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 0.0, 1.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	opts = {
+		'limit': 3
+	};
+
+	actual = countIf( [ x ], opts, clbk );
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns `0` without invoking the predicate function if the limit is `0`', function test( t ) {
+	var actual;
+	var opts;
+	var x;
+
+	opts = {
+		'limit': 0
+	};
+
+	x = ndarray( 'float64', ones( 4, 'float64' ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	actual = countIf( [ x ], opts, clbk );
+	t.strictEqual( actual, 0, 'returns expected value' );
+
+	x = ndarray( 'float64', ones( 1, 'float64' ), [], [ 0 ], 0, 'row-major' );
+	actual = countIf( [ x ], opts, clbk );
+	t.strictEqual( actual, 0, 'returns expected value' );
+
+	t.end();
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+});
+
+tape( 'the function only provides element values to a predicate function which declares fewer than two parameters', function test( t ) {
+	var expected;
+	var actual;
+	var values;
+	var i;
+
+	values = [
+		ndarray( 'float64', ones( 1, 'float64' ), [], [ 0 ], 0, 'row-major' ),
+		ndarray( 'float64', ones( 8, 'float64' ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ),
+		ndarray( 'float64', ones( 8, 'float64' ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' ),
+		ndarray( 'complex128', new Complex128Array( ones( 2, 'float64' ) ), [], [ 0 ], 0, 'row-major' ),
+		ndarray( 'complex128', new Complex128Array( ones( 16, 'float64' ) ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ),
+		ndarray( 'complex128', new Complex128Array( ones( 16, 'float64' ) ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' ),
+		ndarray( 'float64', ones( 4, 'float64' ), [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2 ], [ 4, 4, 4, 4, 4, 4, 4, 4, 4, 2, 1 ], 0, 'row-major' )
+	];
+	expected = [ 1, 8, 8, 1, 8, 8, 4 ];
+	for ( i = 0; i < values.length; i++ ) {
+		actual = countIf( [ values[ i ] ], clbk );
+		t.strictEqual( actual, expected[ i ], 'returns expected value' );
+	}
+	t.end();
+
+	function clbk( v ) {
+		t.strictEqual( arguments.length, 1, 'returns expected value' );
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function provides element indices to a predicate function which declares two or more parameters', function test( t ) {
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', ones( 8, 'float64' ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+
+	actual = countIf( [ x ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v, indices ) {
+		t.strictEqual( arguments.length, 3, 'returns expected value' );
+		return indices[ 1 ] < 2;
+	}
+});
+
+tape( 'the function supports specifying that element indices should be provided to a predicate function (indices=array)', function test( t ) {
+	var expected;
+	var actual;
+	var values;
+	var opts;
+	var i;
+
+	opts = {
+		'indices': 'array'
+	};
+	values = [
+		ndarray( 'float64', ones( 1, 'float64' ), [], [ 0 ], 0, 'row-major' ),
+		ndarray( 'float64', ones( 8, 'float64' ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ),
+		ndarray( 'complex128', new Complex128Array( ones( 16, 'float64' ) ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' ),
+		ndarray( 'float64', ones( 4, 'float64' ), [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2 ], [ 4, 4, 4, 4, 4, 4, 4, 4, 4, 2, 1 ], 0, 'row-major' )
+	];
+	expected = [ 1, 2, 4, 2 ];
+	for ( i = 0; i < values.length; i++ ) {
+		actual = countIf( [ values[ i ] ], opts, clbk );
+		t.strictEqual( actual, expected[ i ], 'returns expected value' );
+	}
+	t.end();
+
+	function clbk() {
+		var idx = arguments[ 1 ];
+		t.strictEqual( arguments.length, 3, 'returns expected value' );
+		return ( idx.length === 0 || idx[ idx.length-1 ] === 0 );
+	}
+});
+
+tape( 'the function supports specifying that element indices should not be provided to a predicate function (indices=none)', function test( t ) {
+	var actual;
+	var opts;
+	var x;
+
+	opts = {
+		'indices': 'none'
+	};
+	x = ndarray( 'float64', ones( 8, 'float64' ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+
+	actual = countIf( [ x ], opts, clbk );
+	t.strictEqual( actual, 8, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v, indices ) {
+		t.strictEqual( indices, void 0, 'returns expected value' );
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports providing a single reused array of element indices to a predicate function (indices=shared)', function test( t ) {
+	var expected;
+	var actual;
+	var values;
+	var opts;
+	var ref;
+	var i;
+
+	opts = {
+		'indices': 'shared'
+	};
+	values = [
+		ndarray( 'float64', ones( 1, 'float64' ), [], [ 0 ], 0, 'row-major' ),
+		ndarray( 'float64', ones( 4, 'float64' ), [ 4 ], [ 1 ], 0, 'row-major' ),
+		ndarray( 'float64', ones( 8, 'float64' ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ),
+		ndarray( 'float64', ones( 8, 'float64' ), [ 2, 4 ], [ 1, 2 ], 0, 'column-major' ),
+		ndarray( 'complex128', new Complex128Array( ones( 16, 'float64' ) ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' ),
+		ndarray( 'float64', ones( 4, 'float64' ), [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2 ], [ 4, 4, 4, 4, 4, 4, 4, 4, 4, 2, 1 ], 0, 'row-major' )
+	];
+	expected = [ 1, 1, 2, 2, 4, 2 ];
+	for ( i = 0; i < values.length; i++ ) {
+		ref = null;
+		actual = countIf( [ values[ i ] ], opts, clbk );
+		t.strictEqual( actual, expected[ i ], 'returns expected value' );
+	}
+	t.end();
+
+	function clbk( v, indices ) {
+		if ( ref === null ) {
+			ref = indices;
+		}
+		t.strictEqual( indices, ref, 'returns expected value' );
+		return ( indices.length === 0 || indices[ indices.length-1 ] === 0 );
+	}
+});
+
+tape( 'the function provides element indices which are consistent with the ndarray view (blocked)', function test( t ) {
+	var expected;
+	var actual;
+	var modes;
+	var opts;
+	var x;
+	var i;
+
+	// Mixed-sign strides whose loop interchange order is not its own inverse:
+	x = ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], [ 2, 2, 2 ], [ 1, -4, 2 ], 4, 'row-major' );
+
+	modes = [ 'array', 'shared' ];
+	expected = 8;
+	for ( i = 0; i < modes.length; i++ ) {
+		opts = {
+			'indices': modes[ i ]
+		};
+		actual = countIf( [ x ], opts, clbk );
+		t.strictEqual( actual, expected, 'returns expected value' );
+	}
+	t.end();
+
+	function clbk( v, indices, arr ) {
+		return ( v === arr.get( indices[ 0 ], indices[ 1 ], indices[ 2 ] ) );
+	}
+});
+
+tape( 'the function supports providing linear view indices to a predicate function (indices=linear)', function test( t ) {
+	var expected;
+	var values;
+	var actual;
+	var opts;
+	var sh;
+	var st;
+	var i;
+
+	opts = {
+		'indices': 'linear'
+	};
+	sh = [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2 ];
+	st = [ 4, 4, 4, 4, 4, 4, 4, 4, 4, 2, 1 ];
+	values = [
+		ndarray( 'generic', [ 5 ], [], [ 0 ], 0, 'row-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3 ], [ 4 ], [ -1 ], 3, 'row-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], [ 2, 4 ], [ 1, 2 ], 0, 'column-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], [ 2, 2, 2 ], [ 1, -4, 2 ], 4, 'row-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], [ 2, 2, 2 ], [ 1, -4, 2 ], 4, 'column-major' ),
+		ndarray( 'generic', toAccessorArray( [ 0, 1, 2, 3, 4, 5, 6, 7 ] ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3 ], sh, st, 0, 'row-major' )
+	];
+	expected = [
+		[ 5 ],
+		[ 3, 2, 1, 0 ],
+		[ 0, 1, 2, 3, 4, 5, 6, 7 ],
+		[ 0, 1, 2, 3, 4, 5, 6, 7 ],
+		[ 4, 6, 0, 2, 5, 7, 1, 3 ],
+		[ 4, 5, 0, 1, 6, 7, 2, 3 ],
+		[ 2, 3, 0, 1, 6, 7, 4, 5 ],
+		[ 0, 1, 2, 3 ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		actual = countIf( [ values[ i ] ], opts, clbk );
+		t.strictEqual( actual, expected[ i ].length, 'returns expected value' );
+	}
+	t.end();
+
+	function clbk( v, idx ) {
+		return ( v === expected[ i ][ idx ] );
+	}
+});
+
+tape( 'the function throws an error if provided a signal which has already been aborted', function test( t ) {
+	var controller;
+	var values;
+	var sh;
+	var st;
+	var i;
+
+	sh = [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2 ];
+	st = [ 4, 4, 4, 4, 4, 4, 4, 4, 4, 2, 1 ];
+	values = [
+		ndarray( 'generic', [ 5 ], [], [ 0 ], 0, 'row-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3 ], [ 4 ], [ -1 ], 3, 'row-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], [ 2, 2, 2 ], [ 1, -4, 2 ], 4, 'row-major' ),
+		ndarray( 'generic', toAccessorArray( [ 0, 1, 2, 3, 4, 5, 6, 7 ] ), [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3 ], sh, st, 0, 'row-major' )
+	];
+	controller = abortController();
+	controller.abort();
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), isAbortError( 0 ), 'throws an error' );
+	}
+	t.end();
+
+	function badValue( x ) {
+		return function badValue() {
+			countIf( [ x ], { 'signal': controller.signal }, clbk );
+		};
+	}
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+
+	function isAbortError( count ) {
+		return function isAbortError( err ) {
+			return ( err.name === 'AbortError' && err.count === count );
+		};
+	}
+});
+
+tape( 'the function periodically checks whether a signal has been aborted and, if so, throws an error containing the partial count', function test( t ) {
+	var controller;
+	var expected;
+	var values;
+	var sh;
+	var i;
+
+	sh = [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 2048 ];
+	values = [
+		ndarray( 'float64', new Float64Array( ones( 2048 ) ), [ 2048 ], [ 1 ], 0, 'row-major' ),
+		ndarray( 'generic', ones( 2048 ), [ 2, 1024 ], [ 1024, 1 ], 0, 'row-major' ),
+		ndarray( 'generic', ones( 2048 ), [ 1024, 2 ], [ 1, 1024 ], 0, 'column-major' ),
+		ndarray( 'generic', ones( 2048 ), [ 2, 32, 32 ], [ 1024, -32, 1 ], 992, 'row-major' ),
+		ndarray( 'generic', toAccessorArray( ones( 2048 ) ), [ 2, 32, 32 ], [ 1024, -32, 1 ], 992, 'row-major' ),
+		ndarray( 'generic', ones( 2048 ), [ 2, 1024, 1 ], [ 1, 2, 2048 ], 0, 'row-major' ),
+		ndarray( 'float64', new Float64Array( ones( 2048 ) ), sh, ones( sh.length ), 0, 'row-major' )
+	];
+
+	// The kernels check the signal every 1024 tested elements, regardless of the number of elements in the innermost loop:
+	expected = [ 1024, 1024, 1024, 1024, 1024, 1024, 1024 ];
+
+	for ( i = 0; i < values.length; i++ ) {
+		controller = abortController();
+		t.throws( badValue( values[ i ] ), isAbortError( expected[ i ] ), 'throws an error' );
+	}
+	t.end();
+
+	function badValue( x ) {
+		return function badValue() {
+			countIf( [ x ], { 'signal': controller.signal }, clbk );
+		};
+	}
+
+	function clbk() {
+		controller.abort();
+		return true;
+	}
+
+	function isAbortError( count ) {
+		return function isAbortError( err ) {
+			return ( err.name === 'AbortError' && err.count === count );
+		};
+	}
+});
+
+tape( 'the function throws an error having a `cause` property equal to the abort reason', function test( t ) {
+	var controller;
+	var reason;
+	var x;
+
+	x = ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+	reason = new Error( 'beep' );
+	controller = abortController();
+	controller.abort( reason );
+	try {
+		countIf( [ x ], { 'signal': controller.signal }, clbk );
+		t.fail( 'should throw' );
+	} catch ( err ) {
+		t.strictEqual( err.name, 'AbortError', 'returns expected value' );
+		t.strictEqual( err.cause, reason, 'returns expected value' );
+	}
+	t.end();
+
+	function clbk() {
+		return true;
+	}
+});
+
+tape( 'the function does not throw if provided a signal which is not aborted', function test( t ) {
+	var controller;
+	var actual;
+	var x;
+
+	x = ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7 ], [ 2, 2, 2 ], [ 1, -4, 2 ], 4, 'row-major' );
+	controller = abortController();
+	actual = countIf( [ x ], { 'signal': controller.signal }, clbk );
+	t.strictEqual( actual, 7, 'returns expected value' );
+	t.end();
+
+	function clbk( v ) {
+		return v > 0;
+	}
+});
+
+tape( 'the function supports reporting progress at regular intervals (non-blocked)', function test( t ) {
+	var expected;
+	var values;
+	var calls;
+	var opts;
+	var sh;
+	var i;
+
+	sh = [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 5 ];
+	values = [
+		ndarray( 'generic', [ 5 ], [], [ 0 ], 0, 'row-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3, 4 ], [ 5 ], [ -1 ], 4, 'row-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3, 4, 5, 6, 7, 8, 9 ], [ 2, 5 ], [ 5, 1 ], 0, 'row-major' ),
+		ndarray( 'generic', toAccessorArray( [ 0, 1, 2, 3, 4, 5, 6, 7, 8, 9 ] ), [ 2, 5 ], [ 1, 2 ], 0, 'column-major' ),
+		ndarray( 'generic', [ 0, 1, 2, 3, 4 ], sh, ones( sh.length ), 0, 'row-major' )
+	];
+	expected = [
+		[ [ 1, 1 ] ],
+		[ [ 2, 5 ], [ 4, 5 ], [ 5, 5 ] ],
+		[ [ 2, 10 ], [ 4, 10 ], [ 6, 10 ], [ 8, 10 ], [ 10, 10 ] ],
+		[ [ 2, 10 ], [ 4, 10 ], [ 6, 10 ], [ 8, 10 ], [ 10, 10 ] ],
+		[ [ 2, 5 ], [ 4, 5 ], [ 5, 5 ] ]
+	];
+	opts = {
+		'onProgress': onProgress,
+		'progressInterval': 2
+	};
+	for ( i = 0; i < values.length; i++ ) {
+		calls = [];
+		countIf( [ values[ i ] ], opts, clbk );
+		t.deepEqual( calls, expected[ i ], 'returns expected value' );
+	}
+	t.end();
+
+	function clbk( v ) {
+		return v > 0;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function supports reporting progress upon completing each block (blocked)', function test( t ) {
+	var calls;
+	var x;
+
+	// Note: the block size for double-precision floating-point numbers is eight elements per dimension, so the ndarray comprises a block of 3x8 elements and a block of 3x2 elements...
+	x = ndarray( 'float64', new Float64Array( ones( 30 ) ), [ 3, 10 ], [ -10, 1 ], 20, 'row-major' );
+	calls = [];
+	countIf( [ x ], { 'onProgress': onProgress }, clbk );
+	t.deepEqual( calls, [ [ 24, 30 ], [ 30, 30 ] ], 'returns expected value' );
+
+	// The progress interval does not apply to blocked iteration:
+	calls = [];
+	countIf( [ x ], {
+		'onProgress': onProgress,
+		'progressInterval': 1
+	}, clbk );
+	t.deepEqual( calls, [ [ 24, 30 ], [ 30, 30 ] ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v > 0;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function reports progress every 1024 processed elements by default', function test( t ) {
+	var calls;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( 2500 ), [ 2500 ], [ 1 ], 0, 'row-major' );
+	calls = [];
+	countIf( [ x ], { 'onProgress': onProgress }, clbk );
+	t.deepEqual( calls, [ [ 1024, 2500 ], [ 2048, 2500 ], [ 2500, 2500 ] ], 'returns expected value' );
+	t.end();
+
+	function clbk( v ) {
+		return v > 0;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function does not report progress for elements which are not tested (limit)', function test( t ) {
+	var calls;
+	var x;
+
+	x = ndarray( 'generic', [ 1, 1, 1, 1, 1, 1 ], [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+	calls = [];
+	countIf( [ x ], {
+		'limit': 3,
+		'onProgress': onProgress,
+		'progressInterval': 2
+	}, clbk );
+	t.deepEqual( calls, [ [ 2, 6 ] ], 'returns expected value' );
+	t.end();
+
+	function clbk( v ) {
+		return v > 0;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function supports specifying the block size used for blocked iteration', function test( t ) {
+	var calls;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( ones( 30 ) ), [ 3, 10 ], [ -10, 1 ], 20, 'row-major' );
+
+	// Note: when the block size is four elements per dimension, the ndarray comprises two blocks of 3x4 elements and a block of 3x2 elements...
+	calls = [];
+	out = countIf( [ x ], {
+		'blockSize': 4,
+		'onProgress': onProgress
+	}, clbk );
+	t.strictEqual( out, 30, 'returns expected value' );
+	t.deepEqual( calls, [ [ 12, 30 ], [ 24, 30 ], [ 30, 30 ] ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v > 0;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function supports specifying a function which returns the block size used for blocked iteration', function test( t ) {
+	var dtypes;
+	var calls;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( ones( 30 ) ), [ 3, 10 ], [ -10, 1 ], 20, 'row-major' );
+
+	dtypes = [];
+	calls = [];
+	out = countIf( [ x ], {
+		'blockSize': blockSize,
+		'onProgress': onProgress
+	}, clbk );
+	t.strictEqual( out, 30, 'returns expected value' );
+	t.deepEqual( dtypes, [ 'float64' ], 'returns expected value' );
+	t.deepEqual( calls, [ [ 15, 30 ], [ 30, 30 ] ], 'returns expected value' );
+
+	t.end();
+
+	function blockSize( dtype ) {
+		dtypes.push( dtype );
+		return 5;
+	}
+
+	function clbk( v ) {
+		return v > 0;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function supports specifying the block size used for blocked iteration (accessors)', function test( t ) {
+	var calls;
+	var out;
+	var x;
+
+	x = ndarray( 'complex128', new Complex128Array( ones( 60 ) ), [ 3, 10 ], [ -10, 1 ], 20, 'row-major' );
+
+	calls = [];
+	out = countIf( [ x ], {
+		'blockSize': 4,
+		'onProgress': onProgress
+	}, clbk );
+	t.strictEqual( out, 30, 'returns expected value' );
+	t.deepEqual( calls, [ [ 12, 30 ], [ 24, 30 ], [ 30, 30 ] ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return real( v ) > 0;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function supports specifying the block size used for blocked iteration (>10 dimensions)', function test( t ) {
+	var calls;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( ones( 30 ) ), [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 3, 10 ], [ 30, 30, 30, 30, 30, 30, 30, 30, 30, -10, 1 ], 20, 'row-major' );
+
+	calls = [];
+	out = countIf( [ x ], {
+		'blockSize': 4,
+		'onProgress': onProgress
+	}, clbk );
+	t.strictEqual( out, 30, 'returns expected value' );
+	t.deepEqual( calls, [ [ 12, 30 ], [ 24, 30 ], [ 30, 30 ] ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v > 0;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function ignores the block size when not performing blocked iteration', function test( t ) {
+	var calls;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( ones( 30 ) ), [ 3, 10 ], [ 10, 1 ], 0, 'row-major' );
+
+	calls = [];
+	out = countIf( [ x ], {
+		'blockSize': 4,
+		'onProgress': onProgress,
+		'progressInterval': 20
+	}, clbk );
+	t.strictEqual( out, 30, 'returns expected value' );
+	t.deepEqual( calls, [ [ 20, 30 ], [ 30, 30 ] ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v > 0;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function supports visiting elements in row-major order', function test( t ) {
+	var expected;
+	var actual;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ -3, 1 ], 3, 'row-major' );
+
+	actual = [];
+	out = countIf( [ x ], {
+		'order': 'row-major'
+	}, clbk );
+
+	expected = [
+		[ 4.0, [ 0, 0 ] ],
+		[ 5.0, [ 0, 1 ] ],
+		[ 6.0, [ 0, 2 ] ],
+		[ 1.0, [ 1, 0 ] ],
+		[ 2.0, [ 1, 1 ] ],
+		[ 3.0, [ 1, 2 ] ]
+	];
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v, idx ) {
+		actual.push( [ v, idx ] );
+		return v > 0.0;
+	}
+});
+
+tape( 'the function supports visiting elements in column-major order', function test( t ) {
+	var expected;
+	var actual;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ -3, 1 ], 3, 'row-major' );
+
+	actual = [];
+	out = countIf( [ x ], {
+		'order': 'column-major'
+	}, clbk );
+
+	expected = [
+		[ 4.0, [ 0, 0 ] ],
+		[ 1.0, [ 1, 0 ] ],
+		[ 5.0, [ 0, 1 ] ],
+		[ 2.0, [ 1, 1 ] ],
+		[ 6.0, [ 0, 2 ] ],
+		[ 3.0, [ 1, 2 ] ]
+	];
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v, idx ) {
+		actual.push( [ v, idx ] );
+		return v > 0.0;
+	}
+});
+
+tape( 'the function supports visiting elements in a logical order which differs from the order in which elements are stored in memory', function test( t ) {
+	var actual;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ] ), [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+
+	actual = [];
+	out = countIf( [ x ], clbk );
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ], 'returns expected value' );
+
+	actual = [];
+	out = countIf( [ x ], {
+		'order': 'memory'
+	}, clbk );
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ], 'returns expected value' );
+
+	actual = [];
+	out = countIf( [ x ], {
+		'order': 'row-major'
+	}, clbk );
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		actual.push( v );
+		return v > 0.0;
+	}
+});
+
+tape( 'the function stops iterating at the first elements in a specified logical order which pass a test', function test( t ) {
+	var actual;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ] ), [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+
+	actual = [];
+	out = countIf( [ x ], {
+		'order': 'row-major',
+		'limit': 2
+	}, clbk );
+	t.strictEqual( out, 2, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 2.0 ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		actual.push( v );
+		return v > 0.0;
+	}
+});
+
+tape( 'the function provides linear view indices with respect to the order of the ndarray when visiting elements in a specified logical order', function test( t ) {
+	var expected;
+	var actual;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ -3, 1 ], 3, 'row-major' );
+
+	actual = [];
+	out = countIf( [ x ], {
+		'order': 'column-major',
+		'indices': 'linear'
+	}, clbk );
+
+	expected = [
+		[ 4.0, 0 ],
+		[ 1.0, 3 ],
+		[ 5.0, 1 ],
+		[ 2.0, 4 ],
+		[ 6.0, 2 ],
+		[ 3.0, 5 ]
+	];
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v, idx ) {
+		actual.push( [ v, idx ] );
+		return v > 0.0;
+	}
+});
+
+tape( 'the function supports visiting elements in a specified logical order (accessors)', function test( t ) {
+	var actual;
+	var out;
+	var x;
+
+	x = ndarray( 'generic', toAccessorArray( [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ] ), [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+
+	actual = [];
+	out = countIf( [ x ], {
+		'order': 'row-major'
+	}, clbk );
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		actual.push( v );
+		return v > 0.0;
+	}
+});
+
+tape( 'the function supports visiting elements in a specified logical order (>10 dimensions)', function test( t ) {
+	var actual;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ] ), [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 3 ], [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 2 ], 0, 'column-major' );
+
+	actual = [];
+	out = countIf( [ x ], {
+		'order': 'row-major'
+	}, clbk );
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		actual.push( v );
+		return v > 0.0;
+	}
+});
+
+tape( 'the function supports visiting elements in a specified logical order (predicate descriptors and expressions)', function test( t ) {
+	var calls;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, -4.0, 2.0, -5.0, 3.0, -6.0 ] ), [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+
+	// Note: when visiting elements in row-major order, all elements which pass the test are visited before the first element which does not pass the test...
+	calls = [];
+	out = countIf( [ x ], {
+		'order': 'row-major',
+		'limit': 3,
+		'onProgress': onProgress,
+		'progressInterval': 1
+	}, {
+		'op': 'gt',
+		'value': 0.0
+	});
+	t.strictEqual( out, 3, 'returns expected value' );
+	t.deepEqual( calls, [ [ 1, 6 ], [ 2, 6 ] ], 'returns expected value' );
+
+	calls = [];
+	out = countIf( [ x ], {
+		'order': 'row-major',
+		'limit': 3,
+		'onProgress': onProgress,
+		'progressInterval': 1
+	}, 'x > 0' );
+	t.strictEqual( out, 3, 'returns expected value' );
+	t.deepEqual( calls, [ [ 1, 6 ], [ 2, 6 ] ], 'returns expected value' );
+
+	calls = [];
+	out = countIf( [ x ], {
+		'limit': 3,
+		'onProgress': onProgress,
+		'progressInterval': 1
+	}, 'x > 0' );
+	t.strictEqual( out, 3, 'returns expected value' );
+	t.deepEqual( calls, [ [ 1, 6 ], [ 2, 6 ], [ 3, 6 ], [ 4, 6 ] ], 'returns expected value' );
+
+	t.end();
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function supports visiting elements in a specified logical order (zero strides)', function test( t ) {
+	var actual;
+	var out;
+	var x;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0 ] ), [ 2, 2 ], [ 0, 0 ], 0, 'row-major' );
+
+	actual = [];
+	out = countIf( [ x ], {
+		'order': 'row-major'
+	}, clbk );
+	t.strictEqual( out, 4, 'returns expected value' );
+	t.deepEqual( actual, [ [ 0, 0 ], [ 0, 1 ], [ 1, 0 ], [ 1, 1 ] ], 'returns expected value' );
+
+	actual = [];
+	out = countIf( [ x ], {
+		'order': 'column-major'
+	}, clbk );
+	t.strictEqual( out, 4, 'returns expected value' );
+	t.deepEqual( actual, [ [ 0, 0 ], [ 1, 0 ], [ 0, 1 ], [ 1, 1 ] ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v, idx ) {
+		actual.push( idx );
+		return v > 0.0;
+	}
+});
@@ -0,0 +1,469 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var ones = require( '@stdlib/array-ones' );
+var filled = require( '@stdlib/array-base-filled' );
+var real = require( '@stdlib/complex-float64-real' );
+var imag = require( '@stdlib/complex-float64-imag' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Complex128Array = require( '@stdlib/array-complex128' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var abortController = require( './fixtures/abort_controller.js' );
+var countIf = require( './../lib' );
+
+
+// TESTS //
+
+tape( 'main export has a `mask` method', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof countIf.mask, 'function', 'has method' );
+	t.end();
+});
+
+tape( 'the function assigns predicate results to an output ndarray and returns the number of elements which pass a test (row-major)', function test( t ) {
+	var expected;
+	var actual;
+	var xbuf;
+	var ybuf;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 0.0, 3.0, 0.0, 5.0, 6.0 ] );
+	x = ndarray( 'float64', xbuf, [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	ybuf = [ false, false, false, false, false, false ];
+	y = ndarray( 'generic', ybuf, [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	actual = countIf.mask( [ x, y ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	expected = [ true, false, true, false, true, true ];
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function assigns predicate results to an output ndarray and returns the number of elements which pass a test (column-major)', function test( t ) {
+	var expected;
+	var actual;
+	var xbuf;
+	var ybuf;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 0.0, 3.0, 0.0, 5.0, 6.0 ] );
+	x = ndarray( 'float64', xbuf, [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+
+	ybuf = [ false, false, false, false, false, false ];
+	y = ndarray( 'generic', ybuf, [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+
+	actual = countIf.mask( [ x, y ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	expected = [ true, false, true, false, true, true ];
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports input and output ndarrays having different memory layouts', function test( t ) {
+	var expected;
+	var actual;
+	var xbuf;
+	var ybuf;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 0.0, 3.0, 0.0, 5.0, 6.0 ] );
+	x = ndarray( 'float64', xbuf, [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	ybuf = [ false, false, false, false, false, false ];
+	y = ndarray( 'generic', ybuf, [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+
+	actual = countIf.mask( [ x, y ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	expected = [ true, false, false, true, true, true ];
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function assigns predicate results to an output ndarray and returns the number of elements which pass a test (mixed sign strides)', function test( t ) {
+	var expected;
+	var actual;
+	var xbuf;
+	var ybuf;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 0.0, 1.0, 2.0, 3.0, 4.0, 5.0, 6.0, 7.0 ] );
+	x = ndarray( 'float64', xbuf, [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+
+	ybuf = [ false, false, false, false, false, false, false, false ];
+	y = ndarray( 'generic', ybuf, [ 2, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' );
+
+	actual = countIf.mask( [ x, y ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	expected = [ false, false, false, false, true, true, true, true ];
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	ybuf = [ false, false, false, false, false, false, false, false ];
+	y = ndarray( 'generic', ybuf, [ 2, 2, 2 ], [ 1, 2, 4 ], 0, 'column-major' );
+
+	actual = countIf.mask( [ x, y ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	expected = [ false, true, false, true, false, true, false, true ];
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v > 3.0;
+	}
+});
+
+tape( 'the function assigns predicate results to an output ndarray and returns the number of elements which pass a test (accessors)', function test( t ) {
+	var expected;
+	var actual;
+	var xbuf;
+	var ybuf;
+	var x;
+	var y;
+
+	xbuf = new Float64Array( [ 1.0, 1.0, 0.0, 0.0, 3.0, 3.0, 4.0, 4.0 ] );
+	x = ndarray( 'complex128', new Complex128Array( xbuf ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	ybuf = [ false, false, false, false ];
+	y = ndarray( 'generic', toAccessorArray( ybuf ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	actual = countIf.mask( [ x, y ], clbk );
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	expected = [ true, false, true, true ];
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	ybuf = [ false, false, false, false ];
+	x = ndarray( 'float64', xbuf, [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'generic', toAccessorArray( ybuf ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	actual = countIf.mask( [ x, y ], clbk2 );
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	expected = [ true, true, false, false ];
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return ( real( v ) !== 0.0 && imag( v ) !== 0.0 );
+	}
+
+	function clbk2( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function assigns predicate results to an output ndarray and returns the number of elements which pass a test (0-dimensional)', function test( t ) {
+	var actual;
+	var ybuf;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 5.0 ] ), [], [ 0 ], 1, 'row-major' );
+
+	ybuf = [ false ];
+	y = ndarray( 'generic', ybuf, [], [ 0 ], 0, 'row-major' );
+
+	actual = countIf.mask( [ x, y ], clbk );
+	t.strictEqual( actual, 1, 'returns expected value' );
+	t.deepEqual( ybuf, [ true ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function assigns predicate results to an output ndarray and returns the number of elements which pass a test (>10 dimensions)', function test( t ) {
+	var expected;
+	var actual;
+	var ybuf;
+	var sh;
+	var st;
+	var x;
+	var y;
+
+	sh = [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2 ];
+	st = [ 4, 4, 4, 4, 4, 4, 4, 4, 4, 2, 1 ];
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 0.0, 0.0, 4.0 ] ), sh, st, 0, 'row-major' );
+
+	ybuf = [ false, false, false, false ];
+	y = ndarray( 'generic', ybuf, sh, st, 0, 'row-major' );
+
+	actual = countIf.mask( [ x, y ], clbk );
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	expected = [ true, false, false, true ];
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports input and output ndarrays having different memory layouts (>10 dimensions)', function test( t ) {
+	var expected;
+	var actual;
+	var ybuf;
+	var sh;
+	var x;
+	var y;
+
+	sh = [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2 ];
+	x = ndarray( 'float64', new Float64Array( [ 0.0, 1.0, 0.0, 0.0 ] ), sh, [ 4, 4, 4, 4, 4, 4, 4, 4, 4, 2, 1 ], 0, 'row-major' );
+
+	ybuf = [ false, false, false, false ];
+	y = ndarray( 'generic', ybuf, sh, [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 2 ], 0, 'column-major' );
+
+	actual = countIf.mask( [ x, y ], clbk );
+	t.strictEqual( actual, 1, 'returns expected value' );
+
+	expected = [ false, false, true, false ];
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function returns `0` and does not assign any values if provided an empty input ndarray', function test( t ) {
+	var actual;
+	var ybuf;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', ones( 4, 'float64' ), [ 0 ], [ 1 ], 0, 'row-major' );
+
+	ybuf = [ false, false, false, false ];
+	y = ndarray( 'generic', ybuf, [ 0 ], [ 1 ], 0, 'row-major' );
+
+	actual = countIf.mask( [ x, y ], clbk );
+	t.strictEqual( actual, 0, 'returns expected value' );
+	t.deepEqual( ybuf, [ false, false, false, false ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports specifying the callback execution context', function test( t ) {
+	var expected;
+	var indices;
+	var values;
+	var arrays;
+	var actual;
+	var ybuf;
+	var ctx;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 0.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	ybuf = [ false, false, false, false ];
+	y = ndarray( 'generic', ybuf, [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	indices = [];
+	values = [];
+	arrays = [];
+	ctx = {
+		'count': 0
+	};
+	actual = countIf.mask( [ x, y ], clbk, ctx );
+
+	t.strictEqual( actual, 3, 'returns expected value' );
+	t.strictEqual( ctx.count, 4, 'returns expected value' );
+
+	expected = [ 1.0, 0.0, 3.0, 4.0 ];
+	t.deepEqual( values, expected, 'returns expected value' );
+
+	expected = [
+		[ 0, 0 ],
+		[ 0, 1 ],
+		[ 1, 0 ],
+		[ 1, 1 ]
+	];
+	t.deepEqual( indices, expected, 'returns expected value' );
+
+	expected = [ x, x, x, x ];
+	t.deepEqual( arrays, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v, idx, arr ) {
+		this.count += 1; // eslint-disable-line no-invalid-this
+		values.push( v );
+		indices.push( idx );
+		arrays.push( arr );
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports stopping iteration once the number of elements which pass a test equals a specified limit', function test( t ) {
+	var expected;
+	var actual;
+	var opts;
+	var ybuf;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 0.0, 3.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	ybuf = [ null, null, null, null, null, null ];
+	y = ndarray( 'generic', ybuf, [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	opts = {
+		'limit': 2
+	};
+	actual = countIf.mask( [ x, y ], opts, clbk );
+	t.strictEqual( actual, 2, 'returns expected value' );
+
+	expected = [ true, false, true, null, null, null ];
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports aborting the operation', function test( t ) {
+	var controller;
+	var expected;
+	var ybuf;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', ones( 2048 ), [ 2, 1024 ], [ 1024, 1 ], 0, 'row-major' );
+
+	ybuf = filled( null, 2048 );
+	y = ndarray( 'generic', ybuf, [ 2, 1024 ], [ 1024, 1 ], 0, 'row-major' );
+
+	controller = abortController();
+	try {
+		countIf.mask( [ x, y ], { 'signal': controller.signal }, clbk );
+		t.fail( 'should throw' );
+	} catch ( err ) {
+		t.strictEqual( err.name, 'AbortError', 'returns expected value' );
+		t.strictEqual( err.count, 1024, 'returns expected value' );
+	}
+	// The function checks the signal every 1024 tested elements:
+	expected = filled( true, 1024 ).concat( filled( null, 1024 ) );
+	t.deepEqual( ybuf, expected, 'returns expected value' );
+
+	t.end();
+
+	function clbk( v ) {
+		controller.abort();
+		return v !== 0.0;
+	}
+});
+
+tape( 'the function supports reporting progress', function test( t ) {
+	var calls;
+	var x;
+	var y;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 0.0, 3.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+	y = ndarray( 'generic', [ null, null, null, null, null, null ], [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	calls = [];
+	countIf.mask( [ x, y ], {
+		'onProgress': onProgress,
+		'progressInterval': 4
+	}, clbk );
+	t.deepEqual( calls, [ [ 4, 6 ], [ 6, 6 ] ], 'returns expected value' );
+	t.end();
+
+	function clbk( v ) {
+		return v !== 0.0;
+	}
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function throws an error if not provided a predicate function', function test( t ) {
+	var values;
+	var y;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'generic', [ false, false, false, false ], [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	values = [
+		'gt',
+		'x > 0.0',
+		{
+			'op': 'gt',
+			'value': 0.0
+		},
+		null,
+		5
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+JSON.stringify( values[ i ] ) );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			countIf.mask( [ x, y ], value );
+		};
+	}
+});
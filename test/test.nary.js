@@ -0,0 +1,441 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var zeros = require( '@stdlib/array-zeros' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Complex128Array = require( '@stdlib/array-complex128' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+var real = require( '@stdlib/complex-float64-real' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var abortController = require( './fixtures/abort_controller.js' );
+var countIf = require( './../lib' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a list of three input ndarrays having the specified shape and stride lengths.
+*
+* @private
+* @param {NonNegativeIntegerArray} shape - array shape
+* @param {IntegerArray} strides - stride lengths
+* @param {NonNegativeInteger} offset - index offset
+* @param {string} order - memory layout
+* @returns {Array<ndarray>} list of ndarrays
+*/
+function arrays( shape, strides, offset, order ) {
+	var x = ndarray( 'float64', new Float64Array( [ 1.0, 5.0, 3.0, 0.0, 6.0, 2.0, 4.0, 8.0 ] ), shape, strides, offset, order );
+	var y = ndarray( 'generic', [ 2.0, 2.0, 2.0, 2.0, 2.0, 2.0, 2.0, 2.0 ], shape, strides, offset, order );
+	var z = ndarray( 'generic', [ true, true, false, true, true, true, false, true ], shape, strides, offset, order );
+	return [ x, y, z ];
+}
+
+/**
+* Predicate function.
+*
+* @private
+* @param {number} x - first element
+* @param {number} y - second element
+* @param {boolean} z - third element
+* @returns {boolean} result
+*/
+function predicate( x, y, z ) {
+	return ( x > y && z );
+}
+
+
+// TESTS //
+
+tape( 'the function counts the number of sets of corresponding elements in multiple ndarrays which pass a test', function test( t ) {
+	var actual;
+
+	actual = countIf( arrays( [ 8 ], [ 1 ], 0, 'row-major' ), predicate );
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	actual = countIf( arrays( [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ), predicate );
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	actual = countIf( arrays( [ 2, 4 ], [ 1, 2 ], 0, 'column-major' ), predicate );
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	actual = countIf( arrays( [ 2, 2, 2 ], [ -4, 2, -1 ], 5, 'row-major' ), predicate );
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	actual = countIf( arrays( [ 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2 ], [ 8, 8, 8, 8, 8, 8, 8, 8, 8, 4, 2, 1 ], 0, 'row-major' ), predicate );
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function counts the number of sets of corresponding elements in multiple ndarrays which pass a test (0-dimensional)', function test( t ) {
+	var actual;
+
+	actual = countIf( arrays( [], [ 0 ], 1, 'row-major' ), predicate );
+	t.strictEqual( actual, 1, 'returns expected value' );
+
+	actual = countIf( arrays( [], [ 0 ], 2, 'row-major' ), predicate );
+	t.strictEqual( actual, 0, 'returns expected value' );
+
+	t.end();
+});
+
+tape( 'the function counts the number of sets of corresponding elements in multiple ndarrays which pass a test (accessors)', function test( t ) {
+	var actual;
+	var list;
+
+	list = arrays( [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+	list[ 0 ] = ndarray( 'complex128', new Complex128Array( [ 1.0, 0.0, 5.0, 0.0, 3.0, 0.0, 0.0, 0.0, 6.0, 0.0, 2.0, 0.0, 4.0, 0.0, 8.0, 0.0 ] ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+	list[ 1 ] = ndarray( 'generic', toAccessorArray( [ 2.0, 2.0, 2.0, 2.0, 2.0, 2.0, 2.0, 2.0 ] ), [ 2, 4 ], [ 4, 1 ], 0, 'row-major' );
+
+	actual = countIf( list, clbk );
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	t.end();
+
+	function clbk( x, y, z ) {
+		return ( real( x ) > y && z );
+	}
+});
+
+tape( 'the function supports input ndarrays having different memory layouts', function test( t ) {
+	var actual;
+	var x;
+	var y;
+	var z;
+
+	// x = y = z = [ [ 1, 2 ], [ 3, 4 ] ]
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	y = ndarray( 'generic', [ 1.0, 3.0, 2.0, 4.0 ], [ 2, 2 ], [ 1, 2 ], 0, 'column-major' );
+	z = ndarray( 'generic', [ 4.0, 3.0, 2.0, 1.0 ], [ 2, 2 ], [ -2, -1 ], 3, 'row-major' );
+
+	actual = countIf( [ x, y ], { 'indices': 'none' }, clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	actual = countIf( [ x, y, z ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	actual = countIf( [ y, z, x ], clbk );
+	t.strictEqual( actual, 4, 'returns expected value' );
+
+	t.end();
+
+	function clbk( a, b, c ) {
+		return ( a === b && ( c === void 0 || b === c ) );
+	}
+});
+
+tape( 'the function throws an error if provided input ndarrays which do not have the same shape', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', zeros( 4, 'float64' ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [
+		ndarray( 'float64', zeros( 2, 'float64' ), [ 2 ], [ 1 ], 0, 'row-major' ),
+		ndarray( 'float64', zeros( 2, 'float64' ), [ 1, 2 ], [ 2, 1 ], 0, 'row-major' ),
+		ndarray( 'float64', zeros( 4, 'float64' ), [ 4 ], [ 1 ], 0, 'row-major' ),
+		ndarray( 'float64', zeros( 4, 'float64' ), [ 2, 2, 1 ], [ 2, 1, 1 ], 0, 'row-major' )
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValues( [ x, values[ i ] ] ), Error, 'throws an error when provided two ndarrays (shape: ['+values[ i ].shape.join( ',' )+'])' );
+		t.throws( badValues( [ x, x, values[ i ] ] ), Error, 'throws an error when provided three ndarrays (shape: ['+values[ i ].shape.join( ',' )+'])' );
+	}
+	t.end();
+
+	function badValues( list ) {
+		return function badValues() {
+			countIf( list, predicate );
+		};
+	}
+});
+
+tape( 'the function returns `0` if provided empty input ndarrays', function test( t ) {
+	var actual;
+	var x;
+
+	x = ndarray( 'float64', zeros( 4, 'float64' ), [ 0, 2 ], [ 2, 1 ], 0, 'row-major' );
+
+	actual = countIf( [ x, x ], clbk );
+	t.strictEqual( actual, 0, 'returns expected value' );
+
+	actual = countIf( [ x, x, x ], clbk );
+	t.strictEqual( actual, 0, 'returns expected value' );
+
+	t.end();
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+});
+
+tape( 'the function supports stopping iteration once the number of sets of elements which pass a test equals a specified limit', function test( t ) {
+	var actual;
+	var N;
+
+	N = 0;
+	actual = countIf( arrays( [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ), { 'limit': 2 }, clbk );
+	t.strictEqual( actual, 2, 'returns expected value' );
+	t.strictEqual( N, 5, 'returns expected value' );
+
+	N = 0;
+	actual = countIf( arrays( [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ), { 'limit': 0 }, clbk );
+	t.strictEqual( actual, 0, 'returns expected value' );
+	t.strictEqual( N, 0, 'returns expected value' );
+
+	t.end();
+
+	function clbk( x, y, z ) {
+		N += 1;
+		return predicate( x, y, z );
+	}
+});
+
+tape( 'the function supports specifying the predicate function execution context', function test( t ) {
+	var actual;
+	var ctx;
+
+	ctx = {
+		'count': 0
+	};
+	actual = countIf( arrays( [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ), clbk, ctx );
+	t.strictEqual( actual, 3, 'returns expected value' );
+	t.strictEqual( ctx.count, 8, 'returns expected value' );
+
+	ctx = {
+		'count': 0
+	};
+	actual = countIf( arrays( [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ), {}, clbk, ctx );
+	t.strictEqual( actual, 3, 'returns expected value' );
+	t.strictEqual( ctx.count, 8, 'returns expected value' );
+
+	t.end();
+
+	function clbk( x, y, z ) {
+		this.count += 1; // eslint-disable-line no-invalid-this
+		return predicate( x, y, z );
+	}
+});
+
+tape( 'the function only provides element values to a predicate function which declares no more parameters than the number of input ndarrays', function test( t ) {
+	var actual;
+
+	actual = countIf( arrays( [ 2, 4 ], [ 4, 1 ], 0, 'row-major' ), clbk );
+	t.strictEqual( actual, 3, 'returns expected value' );
+
+	t.end();
+
+	function clbk( x, y, z ) {
+		t.strictEqual( arguments.length, 3, 'returns expected value' );
+		return predicate( x, y, z );
+	}
+});
+
+tape( 'the function supports specifying how to provide element indices to a predicate function', function test( t ) {
+	var expected;
+	var actual;
+	var list;
+
+	list = arrays( [ 2, 2, 2 ], [ -4, 2, -1 ], 5, 'row-major' );
+	expected = [
+		[ 0, 0, 0 ],
+		[ 0, 0, 1 ],
+		[ 0, 1, 0 ],
+		[ 0, 1, 1 ],
+		[ 1, 0, 0 ],
+		[ 1, 0, 1 ],
+		[ 1, 1, 0 ],
+		[ 1, 1, 1 ]
+	];
+
+	actual = [];
+	countIf( list, clbk );
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = [];
+	countIf( list, { 'indices': 'array' }, clbk );
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = [];
+	countIf( list, { 'indices': 'shared' }, clbk );
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = [];
+	countIf( list, { 'indices': 'linear' }, clbk );
+	t.deepEqual( actual, [ 0, 1, 2, 3, 4, 5, 6, 7 ], 'returns expected value' );
+
+	actual = [];
+	countIf( list, { 'indices': 'none' }, clbk );
+	t.deepEqual( actual, [ void 0, void 0, void 0, void 0, void 0, void 0, void 0, void 0 ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( x, y, z, idx ) {
+		actual.push( ( typeof idx === 'object' ) ? idx.slice() : idx );
+		return false;
+	}
+});
+
+tape( 'the function supports specifying how to provide element indices to a predicate function (column-major)', function test( t ) {
+	var expected;
+	var actual;
+	var list;
+
+	list = arrays( [ 2, 2, 2 ], [ 1, -4, 2 ], 4, 'column-major' );
+	expected = [
+		[ 0, 0, 0 ],
+		[ 1, 0, 0 ],
+		[ 0, 1, 0 ],
+		[ 1, 1, 0 ],
+		[ 0, 0, 1 ],
+		[ 1, 0, 1 ],
+		[ 0, 1, 1 ],
+		[ 1, 1, 1 ]
+	];
+
+	actual = [];
+	countIf( list, { 'indices': 'array' }, clbk );
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = [];
+	countIf( list, { 'indices': 'shared' }, clbk );
+	t.deepEqual( actual, expected, 'returns expected value' );
+
+	actual = [];
+	countIf( list, { 'indices': 'linear' }, clbk );
+	t.deepEqual( actual, [ 0, 1, 2, 3, 4, 5, 6, 7 ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( x, y, z, idx ) {
+		if ( typeof idx === 'object' ) {
+			t.strictEqual( x, list[ 0 ].get.apply( list[ 0 ], idx ), 'returns expected value' );
+			actual.push( idx.slice() );
+		} else {
+			actual.push( idx );
+		}
+		return false;
+	}
+});
+
+tape( 'the function provides zero-dimensional element indices', function test( t ) {
+	var actual;
+	var list;
+
+	list = arrays( [], [ 0 ], 1, 'row-major' );
+
+	actual = [];
+	countIf( list, { 'indices': 'array' }, clbk );
+	countIf( list, { 'indices': 'shared' }, clbk );
+	countIf( list, { 'indices': 'linear' }, clbk );
+	t.deepEqual( actual, [ [], [], 0 ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( x, y, z, idx ) {
+		actual.push( ( typeof idx === 'object' ) ? idx.slice() : idx );
+		return false;
+	}
+});
+
+tape( 'the function supports aborting the operation', function test( t ) {
+	var controller;
+	var x;
+	var y;
+	var z;
+
+	x = ndarray( 'float64', new Float64Array( 2048 ), [ 2, 1024 ], [ 1024, 1 ], 0, 'row-major' );
+	y = ndarray( 'float64', new Float64Array( 2048 ), [ 2, 1024 ], [ 1, 2 ], 0, 'column-major' );
+	z = ndarray( 'float64', new Float64Array( 2048 ), [ 2, 1024 ], [ 1024, 1 ], 0, 'row-major' );
+
+	// The kernel checks the signal at regular intervals:
+	controller = abortController();
+	try {
+		countIf( [ x, y, z ], { 'signal': controller.signal }, clbk );
+		t.fail( 'should throw' );
+	} catch ( err ) {
+		t.strictEqual( err.name, 'AbortError', 'returns expected value' );
+		t.strictEqual( err.count, 1024, 'returns expected value' );
+	}
+	t.end();
+
+	function clbk() {
+		controller.abort();
+		return true;
+	}
+});
+
+tape( 'the function supports reporting progress', function test( t ) {
+	var calls;
+
+	calls = [];
+	countIf( arrays( [ 2, 2, 2 ], [ 4, 2, 1 ], 0, 'row-major' ), {
+		'onProgress': onProgress,
+		'progressInterval': 3
+	}, predicate );
+	t.deepEqual( calls, [ [ 3, 8 ], [ 6, 8 ], [ 8, 8 ] ], 'returns expected value' );
+	t.end();
+
+	function onProgress( processed, total ) {
+		calls.push( [ processed, total ] );
+	}
+});
+
+tape( 'the function supports specifying the order in which to visit elements', function test( t ) {
+	var actual;
+	var out;
+	var x;
+	var y;
+	var z;
+
+	x = ndarray( 'float64', new Float64Array( [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ] ), [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+	y = ndarray( 'float64', new Float64Array( [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ] ), [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+	z = ndarray( 'float64', new Float64Array( [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ] ), [ 2, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	actual = [];
+	out = countIf( [ x, y, z ], {
+		'order': 'row-major'
+	}, clbk );
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 2.0, 3.0, 4.0, 5.0, 6.0 ], 'returns expected value' );
+
+	actual = [];
+	out = countIf( [ x, y, z ], {
+		'order': 'row-major',
+		'indices': 'linear'
+	}, clbk2 );
+	t.strictEqual( out, 6, 'returns expected value' );
+	t.deepEqual( actual, [ 0, 2, 4, 1, 3, 5 ], 'returns expected value' );
+
+	t.end();
+
+	function clbk( vx, vy, vz ) {
+		actual.push( vx );
+		return vx === vy && vy === vz;
+	}
+
+	function clbk2( vx, vy, vz, idx ) {
+		actual.push( idx );
+		return vx === vy && vy === vz;
+	}
+});
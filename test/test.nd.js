@@ -30,9 +30,82 @@ var numel = require( '@stdlib/ndarray-base-numel' );
 var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
 var strides2offset = require( '@stdlib/ndarray-base-strides2offset' );
 var ndarray = require( '@stdlib/ndarray-ctor' );
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+var vind2bind = require( '@stdlib/ndarray-base-vind2bind' );
+var ind2sub = require( '@stdlib/ndarray-base-ind2sub' );
+var accessorCountIfnd = require( './../lib/nd_accessors.js' );
+var countIfnd = require( './../lib/nd.js' );
+var accessorMasknd = require( './../lib/mask/nd_accessors.js' );
+var masknd = require( './../lib/mask/nd.js' );
 var countIf = require( './../lib' );
 
 
+// FUNCTIONS //
+
+/**
+* Returns a list of ndarray meta data objects for testing the n-dimensional kernels.
+*
+* @private
+* @param {boolean} accessors - boolean indicating whether to use data buffers which use accessors
+* @returns {Array<Object>} list of input and output ndarray meta data objects
+*/
+function fixtures( accessors ) {
+	var shapes;
+	var orders;
+	var xbuf;
+	var ybuf;
+	var out;
+	var sh;
+	var st;
+	var N;
+	var i;
+	var j;
+	var k;
+	var m;
+
+	shapes = [
+		[ 5 ],
+		[ 3, 4 ],
+		[ 2, 3, 4 ],
+		[ 2, 1, 1, 1, 1, 1, 1, 1, 1, 3, 2 ],
+		[ 1, 2, 1, 1, 1, 1, 1, 1, 2, 1, 3, 2 ]
+	];
+	orders = [ 'row-major', 'column-major' ];
+	out = [];
+	for ( i = 0; i < shapes.length; i++ ) {
+		sh = shapes[ i ];
+		N = numel( sh );
+		for ( j = 0; j < orders.length; j++ ) {
+			for ( k = 0; k < 3; k++ ) {
+				st = shape2strides( sh, orders[ j ] );
+				if ( k === 1 ) {
+					// Mixed sign strides:
+					st[ 0 ] *= -1;
+				} else if ( k === 2 ) {
+					// Strides which do not match the specified order:
+					st = shape2strides( sh, orders[ 1-j ] );
+				}
+				xbuf = zeros( N, 'float64' );
+				ybuf = zeros( N, 'float64' );
+				for ( m = 0; m < N; m++ ) {
+					xbuf[ m ] = m;
+				}
+				if ( accessors ) {
+					xbuf = toAccessorArray( xbuf );
+					ybuf = toAccessorArray( ybuf );
+				}
+				out.push( [
+					ndarray2object( ndarray( 'generic', xbuf, sh, st, strides2offset( sh, st ), orders[ j ] ) ), // eslint-disable-line max-len
+					ndarray2object( ndarray( 'generic', ybuf, sh, shape2strides( sh, orders[ j ] ), 0, orders[ j ] ) ) // eslint-disable-line max-len
+				] );
+			}
+		}
+	}
+	return out;
+}
+
+
 // TESTS //
 
 tape( 'main export is a function', function test( t ) {
@@ -1038,3 +1111,121 @@ tape( 'the function counts the number of elements in an n-dimensional ndarray pa
 		return ( real( v ) !== 0.0 && imag( v ) !== 0.0 );
 	}
 });
+
+tape( 'the n-dimensional kernels visit elements according to linear view indices', function test( t ) {
+	var expected;
+	var accessors;
+	var actual;
+	var list;
+	var x;
+	var i;
+	var j;
+
+	for ( accessors = 0; accessors < 2; accessors++ ) {
+		list = fixtures( Boolean( accessors ) );
+		for ( i = 0; i < list.length; i++ ) {
+			x = list[ i ][ 0 ];
+
+			expected = [];
+			for ( j = 0; j < numel( x.shape ); j++ ) {
+				expected.push( vind2bind( x.shape, x.strides, x.offset, x.order, j, 'throw' ), ind2sub( x.shape, x.strides, 0, x.order, j, 'throw' ), j ); // eslint-disable-line max-len
+			}
+			actual = [];
+			if ( accessors ) {
+				accessorCountIfnd( x, opts( 'array' ), clbk, null );
+			} else {
+				countIfnd( x, opts( 'array' ), clbk, null );
+			}
+			t.deepEqual( actual, expected, 'returns expected value' );
+		}
+	}
+	t.end();
+
+	function opts( indices ) {
+		return {
+			'limit': -1,
+			'indices': indices
+		};
+	}
+
+	function clbk( v, idx ) {
+		actual.push( v, idx, actual.length/3 );
+		return true;
+	}
+});
+
+tape( 'the n-dimensional mask kernels assign test results to the output ndarray', function test( t ) {
+	var accessors;
+	var expected;
+	var actual;
+	var idx;
+	var list;
+	var out;
+	var x;
+	var y;
+	var i;
+	var j;
+
+	for ( accessors = 0; accessors < 2; accessors++ ) {
+		list = fixtures( Boolean( accessors ) );
+		for ( i = 0; i < list.length; i++ ) {
+			x = list[ i ][ 0 ];
+			y = list[ i ][ 1 ];
+			if ( accessors ) {
+				out = accessorMasknd( x, y, opts(), clbk, null );
+			} else {
+				out = masknd( x, y, opts(), clbk, null );
+			}
+			t.strictEqual( out, Math.floor( ( numel( x.shape )+1 ) / 2 ), 'returns expected value' );
+			for ( j = 0; j < numel( x.shape ); j++ ) {
+				idx = vind2bind( x.shape, x.strides, x.offset, x.order, j, 'throw' );
+				if ( accessors ) {
+					actual = y.data.get( j );
+					expected = ( x.data.get( idx ) % 2 === 0 );
+				} else {
+					actual = y.data[ j ];
+					expected = ( x.data[ idx ] % 2 === 0 );
+				}
+				t.strictEqual( Boolean( actual ), expected, 'returns expected value' );
+			}
+		}
+	}
+	t.end();
+
+	function opts() {
+		return {
+			'limit': -1,
+			'indices': 'none'
+		};
+	}
+
+	function clbk( v ) {
+		return ( v % 2 === 0 );
+	}
+});
+
+tape( 'the n-dimensional kernels are not affected by predicate functions which mutate a shared array of element indices', function test( t ) {
+	var actual;
+	var list;
+	var x;
+	var i;
+
+	list = fixtures( false );
+	for ( i = 0; i < list.length; i++ ) {
+		x = list[ i ][ 0 ];
+		actual = countIfnd( x, {
+			'limit': -1,
+			'indices': 'shared'
+		}, clbk, null );
+		t.strictEqual( actual, numel( x.shape ), 'returns expected value' );
+	}
+	t.end();
+
+	function clbk( v, idx ) {
+		var k;
+		for ( k = 0; k < idx.length; k++ ) {
+			idx[ k ] = -1;
+		}
+		return true;
+	}
+});
@@ -0,0 +1,284 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float64Array = require( '@stdlib/array-float64' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var strides2offset = require( '@stdlib/ndarray-base-strides2offset' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var ndarray2object = require( '@stdlib/ndarray-base-ndarraylike2object' );
+var blockedCountIfnd = require( './../lib/nd_blocked.js' );
+var blockedAccessorCountIfnd = require( './../lib/nd_blocked_accessors.js' );
+var blockedMasknd = require( './../lib/mask/nd_blocked.js' );
+var blockedAccessorMasknd = require( './../lib/mask/nd_blocked_accessors.js' );
+var kernel = require( './../lib/codegen/main.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a data buffer containing a sequence of integers.
+*
+* @private
+* @param {NonNegativeInteger} N - number of elements
+* @returns {Float64Array} data buffer
+*/
+function sequence( N ) {
+	var out;
+	var i;
+
+	out = new Float64Array( N );
+	for ( i = 0; i < N; i++ ) {
+		out[ i ] = i;
+	}
+	return out;
+}
+
+/**
+* Returns a list of ndarray layouts for a specified number of dimensions.
+*
+* @private
+* @param {PositiveInteger} ndims - number of dimensions
+* @returns {Array<Object>} layouts
+*/
+function layouts( ndims ) {
+	var out;
+	var sh;
+	var st;
+	var k;
+
+	// Limit the number of elements, while ensuring that the first (and last) dimensions are non-singleton:
+	sh = [];
+	for ( k = 0; k < ndims; k++ ) {
+		sh.push( ( k < 6 || k === ndims-1 ) ? 2 : 1 );
+	}
+	sh[ 0 ] = 3;
+	out = [];
+
+	st = shape2strides( sh, 'row-major' );
+	out.push({
+		'shape': sh,
+		'strides': st,
+		'offset': 0,
+		'order': 'row-major'
+	});
+	st = shape2strides( sh, 'column-major' );
+	out.push({
+		'shape': sh,
+		'strides': st,
+		'offset': 0,
+		'order': 'column-major'
+	});
+
+	// Mixed sign strides:
+	st = shape2strides( sh, 'row-major' );
+	st[ 1 ] *= -1;
+	out.push({
+		'shape': sh,
+		'strides': st,
+		'offset': strides2offset( sh, st ),
+		'order': 'row-major'
+	});
+	st = shape2strides( sh, 'column-major' );
+	st[ 0 ] *= -1;
+	out.push({
+		'shape': sh,
+		'strides': st,
+		'offset': strides2offset( sh, st ),
+		'order': 'column-major'
+	});
+	return out;
+}
+
+/**
+* Invokes a kernel and returns a record of the operation.
+*
+* @private
+* @param {Function} f - kernel
+* @param {Object} layout - ndarray layout
+* @param {boolean} accessors - boolean indicating whether to use data buffers which use accessors
+* @param {string} imode - index mode
+* @param {boolean} mask - boolean indicating whether a kernel assigns test results to an output ndarray
+* @returns {Array} record
+*/
+function run( f, layout, accessors, imode, mask ) {
+	var xbuf;
+	var ybuf;
+	var log;
+	var out;
+	var N;
+	var x;
+	var y;
+	var o;
+
+	N = numel( layout.shape );
+	xbuf = sequence( N );
+	ybuf = [];
+	for ( o = 0; o < N; o++ ) {
+		ybuf.push( null );
+	}
+	if ( accessors ) {
+		xbuf = toAccessorArray( xbuf );
+		ybuf = toAccessorArray( ybuf );
+	}
+	x = ndarray2object( ndarray( 'generic', xbuf, layout.shape, layout.strides, layout.offset, layout.order ) ); // eslint-disable-line max-len
+	y = ndarray2object( ndarray( 'generic', ybuf, layout.shape, shape2strides( layout.shape, layout.order ), 0, layout.order ) ); // eslint-disable-line max-len
+
+	log = [];
+	o = {
+		'limit': N,
+		'indices': imode,
+		'onProgress': onProgress,
+		'progressInterval': 5,
+		'total': N
+	};
+	if ( mask ) {
+		out = f( x, y, o, predicate, null );
+		log.push( out );
+		for ( o = 0; o < N; o++ ) {
+			log.push( ( accessors ) ? ybuf.get( o ) : ybuf[ o ] );
+		}
+	} else {
+		out = f( x, o, predicate, null );
+		log.push( out );
+	}
+	return log;
+
+	function predicate( v, idx ) {
+		log.push( v, JSON.stringify( idx ) );
+		return ( v % 3 ) !== 0;
+	}
+
+	function onProgress( processed, total ) {
+		log.push( 'progress', processed, total );
+	}
+}
+
+
+// TESTS //
+
+tape( 'main export is a function', function test( t ) {
+	t.ok( true, __filename );
+	t.strictEqual( typeof blockedCountIfnd, 'function', 'main export is a function' );
+	t.strictEqual( typeof blockedAccessorCountIfnd, 'function', 'main export is a function' );
+	t.end();
+});
+
+tape( 'the function visits elements in the same order and invokes callbacks with the same arguments as the generated blocked kernels', function test( t ) {
+	var modes;
+	var list;
+	var f;
+	var g;
+	var n;
+	var i;
+	var j;
+
+	modes = [ 'none', 'shared', 'linear', 'array' ];
+	for ( n = 2; n <= 13; n++ ) {
+		list = layouts( n );
+		f = kernel( n, false, true, false );
+		g = kernel( n, false, true, true );
+		for ( i = 0; i < list.length; i++ ) {
+			for ( j = 0; j < modes.length; j++ ) {
+				t.deepEqual( run( blockedCountIfnd, list[ i ], false, modes[ j ], false ), run( f, list[ i ], false, modes[ j ], false ), 'returns expected value (ndims: ' + n + ', layout: ' + i + ', indices: ' + modes[ j ] + ')' ); // eslint-disable-line max-len
+				t.deepEqual( run( blockedMasknd, list[ i ], false, modes[ j ], true ), run( g, list[ i ], false, modes[ j ], true ), 'returns expected value (ndims: ' + n + ', layout: ' + i + ', indices: ' + modes[ j ] + ', mask: true)' ); // eslint-disable-line max-len
+			}
+		}
+	}
+	t.end();
+});
+
+tape( 'the function visits elements in the same order and invokes callbacks with the same arguments as the generated blocked kernels (accessors)', function test( t ) {
+	var modes;
+	var list;
+	var f;
+	var g;
+	var n;
+	var i;
+	var j;
+
+	modes = [ 'none', 'shared', 'linear', 'array' ];
+	for ( n = 2; n <= 13; n++ ) {
+		list = layouts( n );
+		f = kernel( n, true, true, false );
+		g = kernel( n, true, true, true );
+		for ( i = 0; i < list.length; i++ ) {
+			for ( j = 0; j < modes.length; j++ ) {
+				t.deepEqual( run( blockedAccessorCountIfnd, list[ i ], true, modes[ j ], false ), run( f, list[ i ], true, modes[ j ], false ), 'returns expected value (ndims: ' + n + ', layout: ' + i + ', indices: ' + modes[ j ] + ')' ); // eslint-disable-line max-len
+				t.deepEqual( run( blockedAccessorMasknd, list[ i ], true, modes[ j ], true ), run( g, list[ i ], true, modes[ j ], true ), 'returns expected value (ndims: ' + n + ', layout: ' + i + ', indices: ' + modes[ j ] + ', mask: true)' ); // eslint-disable-line max-len
+			}
+		}
+	}
+	t.end();
+});
+
+tape( 'the function supports tiling dimensions which exceed the block size', function test( t ) {
+	var list;
+	var sh;
+	var st;
+
+	// Generic ndarrays have a block size of eight:
+	sh = [ 19, 1, 1, 1, 1, 1, 1, 1, 1, 1, 17 ];
+	st = shape2strides( sh, 'row-major' );
+	st[ 0 ] *= -1;
+	list = [
+		{
+			'shape': sh,
+			'strides': st,
+			'offset': strides2offset( sh, st ),
+			'order': 'row-major'
+		}
+	];
+	t.deepEqual( run( blockedCountIfnd, list[ 0 ], false, 'array', false ), run( kernel( sh.length, false, true, false ), list[ 0 ], false, 'array', false ), 'returns expected value' ); // eslint-disable-line max-len
+	t.deepEqual( run( blockedAccessorCountIfnd, list[ 0 ], true, 'array', false ), run( kernel( sh.length, true, true, false ), list[ 0 ], true, 'array', false ), 'returns expected value' ); // eslint-disable-line max-len
+	t.deepEqual( run( blockedMasknd, list[ 0 ], false, 'array', true ), run( kernel( sh.length, false, true, true ), list[ 0 ], false, 'array', true ), 'returns expected value' ); // eslint-disable-line max-len
+	t.deepEqual( run( blockedAccessorMasknd, list[ 0 ], true, 'array', true ), run( kernel( sh.length, true, true, true ), list[ 0 ], true, 'array', true ), 'returns expected value' ); // eslint-disable-line max-len
+	t.end();
+});
+
+tape( 'the function supports stopping once a specified number of elements pass a test', function test( t ) {
+	var actual;
+	var xbuf;
+	var sh;
+	var st;
+	var x;
+
+	sh = [ 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 4 ];
+	st = shape2strides( sh, 'row-major' );
+	st[ 0 ] *= -1;
+	xbuf = sequence( 12 );
+	x = ndarray2object( ndarray( 'float64', xbuf, sh, st, strides2offset( sh, st ), 'row-major' ) ); // eslint-disable-line max-len
+
+	actual = blockedCountIfnd( x, {
+		'limit': 5,
+		'indices': 'none'
+	}, clbk, null );
+	t.strictEqual( actual, 5, 'returns expected value' );
+	t.end();
+
+	function clbk() {
+		return true;
+	}
+});
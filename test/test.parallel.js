@@ -0,0 +1,457 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float64Array = require( '@stdlib/array-float64' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var abortController = require( './fixtures/abort_controller.js' );
+var countIf = require( './../lib' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a typed array backed by a `SharedArrayBuffer` whose elements are equal to their indices.
+*
+* @private
+* @param {NonNegativeInteger} len - array length
+* @returns {Float64Array} output array
+*/
+function shared( len ) {
+	var out;
+	var i;
+
+	out = new Float64Array( new SharedArrayBuffer( len*8 ) ); // eslint-disable-line no-undef
+	for ( i = 0; i < len; i++ ) {
+		out[ i ] = i;
+	}
+	return out;
+}
+
+
+// TESTS //
+
+tape( 'main export has a `parallel` method', function test( t ) {
+	t.strictEqual( typeof countIf.parallel, 'function', 'has method' );
+	t.end();
+});
+
+tape( 'the function returns a promise which resolves the number of elements which pass a test', function test( t ) {
+	var x = ndarray( 'float64', shared( 12 ), [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	countIf.parallel( [ x ], clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return v > 4.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 4, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function partitions the work among multiple worker threads (row-major)', function test( t ) {
+	var x = ndarray( 'float64', shared( 3000 ), [ 1000, 3 ], [ 3, 1 ], 0, 'row-major' );
+	countIf.parallel( [ x ], { 'workers': 3 }, clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return v % 2.0 === 0.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 1500, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function partitions the work among multiple worker threads (column-major, mixed sign strides)', function test( t ) {
+	var x = ndarray( 'float64', shared( 3000 ), [ 3, 1000 ], [ -1, 3 ], 2, 'column-major' );
+	countIf.parallel( [ x ], { 'workers': 3 }, clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return v < 300.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 300, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports zero-dimensional ndarrays', function test( t ) {
+	var x = ndarray( 'float64', shared( 4 ), [], [ 0 ], 3, 'row-major' );
+	countIf.parallel( [ x ], clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return v === 3.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 1, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function resolves `0` if provided an empty ndarray', function test( t ) {
+	var x = ndarray( 'float64', shared( 4 ), [ 0, 2 ], [ 2, 1 ], 0, 'row-major' );
+	countIf.parallel( [ x ], clbk ).then( onResolve, t.end );
+
+	function clbk() {
+		return true;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 0, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports multiple input ndarrays', function test( t ) {
+	var x = ndarray( 'float64', shared( 2000 ), [ 1000, 2 ], [ 2, 1 ], 0, 'row-major' );
+	var y = ndarray( 'float64', shared( 2000 ), [ 1000, 2 ], [ 1, 1000 ], 0, 'column-major' );
+	countIf.parallel( [ x, y ], { 'workers': 2 }, clbk ).then( onResolve, t.end );
+
+	function clbk( vx, vy ) {
+		return vx === vy;
+	}
+
+	function onResolve( count ) {
+		// Corresponding elements are equal when `2*i + j === i + 1000*j` (i.e., at indices (0,0) and (999,1)):
+		t.strictEqual( count, 2, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function provides element indices with respect to the original ndarray view', function test( t ) {
+	var modes;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', shared( 3000 ), [ 1000, 3 ], [ 3, 1 ], 0, 'row-major' );
+	modes = [ 'array', 'shared', 'linear' ];
+
+	i = 0;
+	next();
+
+	function next() {
+		if ( i >= modes.length ) {
+			return t.end();
+		}
+		countIf.parallel( [ x ], { 'workers': 3, 'indices': modes[ i ] }, clbk ).then( onResolve, t.end );
+	}
+
+	function clbk( v, idx, arr ) {
+		if ( typeof idx === 'number' ) {
+			return ( v === idx && arr.shape[ 0 ] === 1000 );
+		}
+		return ( v === ( idx[ 0 ]*3 ) + idx[ 1 ] && arr.shape[ 0 ] === 1000 );
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 3000, 'returns expected value (indices='+modes[ i ]+')' );
+		i += 1;
+		next();
+	}
+});
+
+tape( 'the function supports specifying a limit', function test( t ) {
+	var x = ndarray( 'float64', shared( 3000 ), [ 1000, 3 ], [ 3, 1 ], 0, 'row-major' );
+	countIf.parallel( [ x ], { 'workers': 3, 'limit': 10 }, clbk ).then( onResolve, t.end );
+
+	function clbk() {
+		return true;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 10, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports specifying the predicate function execution context', function test( t ) {
+	var x = ndarray( 'float64', shared( 3000 ), [ 1000, 3 ], [ 3, 1 ], 0, 'row-major' );
+	var ctx = {
+		'threshold': 2000.0
+	};
+	countIf.parallel( [ x ], { 'workers': 2 }, clbk, ctx ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return v >= this.threshold; // eslint-disable-line no-invalid-this
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 1000, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if an input ndarray is not backed by a SharedArrayBuffer', function test( t ) {
+	var x = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	countIf.parallel( [ x ], clbk ).then( onResolve, onReject );
+
+	function clbk() {
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof TypeError, true, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if provided a `workers` option which is not a positive integer', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', shared( 12 ), [ 3, 4 ], [ 4, 1 ], 0, 'row-major' );
+	values = [ 0, -1, 1.5, NaN, Infinity, '2' ];
+	i = 0;
+	next();
+
+	function next() {
+		if ( i >= values.length ) {
+			return t.end();
+		}
+		countIf.parallel( [ x ], { 'workers': values[ i ] }, clbk ).then( onResolve, onReject ); // eslint-disable-line max-len
+	}
+
+	function clbk() {
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof RangeError, true, 'returns expected value' );
+		i += 1;
+		next();
+	}
+});
+
+tape( 'the function returns a promise which rejects if provided a predicate function which cannot be serialized', function test( t ) {
+	var x = ndarray( 'float64', shared( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	countIf.parallel( [ x ], clbk.bind( null ) ).then( onResolve, onReject );
+
+	function clbk() {
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof TypeError, true, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if a predicate function throws an error', function test( t ) {
+	var x = ndarray( 'float64', shared( 3000 ), [ 1000, 3 ], [ 3, 1 ], 0, 'row-major' );
+	countIf.parallel( [ x ], { 'workers': 2 }, clbk ).then( onResolve, onReject );
+
+	function clbk( v ) {
+		if ( v > 10.0 ) {
+			throw new Error( 'beep' );
+		}
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err.message, 'beep', 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if unable to spawn a worker thread', function test( t ) {
+	var x = ndarray( 'float64', shared( 3000 ), [ 1000, 3 ], [ 3, 1 ], 0, 'row-major' );
+
+	// Functions cannot be cloned via the structured clone algorithm:
+	countIf.parallel( [ x ], { 'workers': 2 }, clbk, { 'beep': clbk } ).then( onResolve, onReject ); // eslint-disable-line max-len
+
+	function clbk() {
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof Error, true, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if a worker thread exits before reporting a result', function test( t ) {
+	var x = ndarray( 'float64', shared( 3000 ), [ 1000, 3 ], [ 3, 1 ], 0, 'row-major' );
+	countIf.parallel( [ x ], { 'workers': 2 }, clbk ).then( onResolve, onReject );
+
+	function clbk( v ) {
+		if ( v > 10.0 ) {
+			process.exit( 3 ); // eslint-disable-line node/no-process-exit
+		}
+		return true;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof Error, true, 'returns expected value' );
+		t.strictEqual( /Exit code: 3/.test( err.message ), true, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function supports providing an abort signal', function test( t ) {
+	var controller;
+	var x;
+
+	x = ndarray( 'float64', shared( 12 ), [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	controller = abortController();
+	countIf.parallel( [ x ], { 'signal': controller.signal }, clbk ).then( onResolve, t.end );
+
+	function clbk( v ) {
+		return v > 4.0;
+	}
+
+	function onResolve( count ) {
+		t.strictEqual( count, 4, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if provided a signal which has already been aborted', function test( t ) {
+	var controller;
+	var x;
+
+	x = ndarray( 'float64', shared( 12 ), [ 3, 1, 2 ], [ 4, 4, 1 ], 1, 'row-major' );
+	controller = abortController();
+	controller.abort();
+	countIf.parallel( [ x ], { 'signal': controller.signal }, clbk ).then( onResolve, onReject );
+
+	function clbk( v ) {
+		return v > 4.0;
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err.name, 'AbortError', 'returns expected value' );
+		t.strictEqual( err.count, 0, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function terminates worker threads and returns a promise which rejects if a signal is aborted', function test( t ) {
+	var controller;
+	var x;
+
+	x = ndarray( 'float64', shared( 3000 ), [ 1000, 3 ], [ 3, 1 ], 0, 'row-major' );
+	controller = abortController();
+	countIf.parallel( [ x ], {
+		'workers': 2,
+		'signal': controller.signal
+	}, clbk ).then( onResolve, onReject );
+
+	setTimeout( onTimeout, 100 );
+
+	function clbk() {
+		// Never return in order to simulate a long-running operation:
+		while ( true ) {} // eslint-disable-line no-constant-condition, no-empty
+	}
+
+	function onTimeout() {
+		controller.abort();
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err.name, 'AbortError', 'returns expected value' );
+		t.strictEqual( err.count, 0, 'returns expected value' );
+		t.end();
+	}
+});
+
+tape( 'the function returns a promise which rejects if not provided a predicate function', function test( t ) {
+	var values;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	values = [
+		'gt',
+		'x > 0.0',
+		{
+			'op': 'gt',
+			'value': 0.0
+		},
+		null,
+		5
+	];
+	i = 0;
+	next();
+
+	function next() {
+		if ( i >= values.length ) {
+			return t.end();
+		}
+		countIf.parallel( [ x ], values[ i ] ).then( onResolve, onReject );
+	}
+
+	function onResolve() {
+		t.fail( 'should not resolve' );
+		t.end();
+	}
+
+	function onReject( err ) {
+		t.strictEqual( err instanceof TypeError, true, 'returns expected value' );
+		i += 1;
+		next();
+	}
+});
@@ -0,0 +1,527 @@
+/**
+* @license Apache-2.0
+*
+* Copyright (c) 2025 The Stdlib Authors.
+*
+* Licensed under the Apache License, Version 2.0 (the "License");
+* you may not use this file except in compliance with the License.
+* You may obtain a copy of the License at
+*
+*    http://www.apache.org/licenses/LICENSE-2.0
+*
+* Unless required by applicable law or agreed to in writing, software
+* distributed under the License is distributed on an "AS IS" BASIS,
+* WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+* See the License for the specific language governing permissions and
+* limitations under the License.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+var tape = require( 'tape' );
+var Float64Array = require( '@stdlib/array-float64' );
+var Complex128Array = require( '@stdlib/array-complex128' );
+var toAccessorArray = require( '@stdlib/array-base-to-accessor-array' );
+var real = require( '@stdlib/complex-float64-real' );
+var shape2strides = require( '@stdlib/ndarray-base-shape2strides' );
+var strides2offset = require( '@stdlib/ndarray-base-strides2offset' );
+var numel = require( '@stdlib/ndarray-base-numel' );
+var ndarray = require( '@stdlib/ndarray-ctor' );
+var countIf = require( './../lib' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a data buffer containing a sequence of integers.
+*
+* @private
+* @param {NonNegativeInteger} N - number of elements
+* @param {integer} start - first integer
+* @returns {Float64Array} data buffer
+*/
+function sequence( N, start ) {
+	var out;
+	var i;
+
+	out = new Float64Array( N );
+	for ( i = 0; i < N; i++ ) {
+		out[ i ] = start + i;
+	}
+	return out;
+}
+
+/**
+* Returns a list of ndarray layouts.
+*
+* @private
+* @returns {Array<Object>} layouts
+*/
+function layouts() {
+	var shapes;
+	var out;
+	var sh;
+	var st;
+	var i;
+
+	shapes = [
+		[],
+		[ 6 ],
+		[ 3, 4 ],
+		[ 2, 3, 4 ],
+		[ 2, 1, 1, 1, 1, 1, 1, 1, 1, 3, 2 ]
+	];
+	out = [];
+	for ( i = 0; i < shapes.length; i++ ) {
+		sh = shapes[ i ];
+		if ( sh.length === 0 ) {
+			out.push({
+				'shape': sh,
+				'strides': [ 0 ],
+				'order': 'row-major'
+			});
+			continue;
+		}
+		out.push({
+			'shape': sh,
+			'strides': shape2strides( sh, 'row-major' ),
+			'order': 'row-major'
+		});
+		out.push({
+			'shape': sh,
+			'strides': shape2strides( sh, 'column-major' ),
+			'order': 'column-major'
+		});
+		if ( sh.length > 1 ) {
+			// Mixed sign strides:
+			st = shape2strides( sh, 'row-major' );
+			st[ 1 ] *= -1;
+			out.push({
+				'shape': sh,
+				'strides': st,
+				'order': 'row-major'
+			});
+		}
+	}
+	return out;
+}
+
+
+// TESTS //
+
+tape( 'main export has a `plan` method', function test( t ) {
+	t.strictEqual( typeof countIf.plan, 'function', 'has method' );
+	t.end();
+});
+
+tape( 'the function returns a function', function test( t ) {
+	var meta = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	t.strictEqual( typeof countIf.plan( meta ), 'function', 'returns expected value' );
+	t.strictEqual( typeof countIf.plan( meta, {} ), 'function', 'returns expected value' );
+	t.end();
+});
+
+tape( 'the returned function returns the same result as the main function when provided data buffers and index offsets', function test( t ) {
+	var expected;
+	var actual;
+	var list;
+	var xbuf;
+	var run;
+	var st;
+	var sh;
+	var ox;
+	var N;
+	var i;
+	var j;
+
+	list = layouts();
+	for ( i = 0; i < list.length; i++ ) {
+		sh = list[ i ].shape;
+		st = list[ i ].strides;
+		N = numel( sh );
+		ox = strides2offset( sh, st );
+		run = countIf.plan( ndarray( 'float64', new Float64Array( N ), sh, st, ox, list[ i ].order ) ); // eslint-disable-line max-len
+		for ( j = 0; j < 3; j++ ) {
+			// Use a different data buffer and index offset for each invocation:
+			xbuf = sequence( N+j, -j-3 );
+			expected = countIf( [ ndarray( 'float64', xbuf, sh, st, ox+j, list[ i ].order ) ], clbk ); // eslint-disable-line max-len
+			actual = run( xbuf, ox+j, clbk );
+			t.strictEqual( actual, expected, 'returns expected value' );
+		}
+	}
+	t.end();
+
+	function clbk( v ) {
+		return ( v > 0.0 );
+	}
+});
+
+tape( 'the returned function visits elements in the same order as the main function', function test( t ) {
+	var expected;
+	var actual;
+	var modes;
+	var list;
+	var xbuf;
+	var run;
+	var log;
+	var st;
+	var sh;
+	var ox;
+	var i;
+	var j;
+
+	modes = [ 'none', 'shared', 'linear', 'array' ];
+	list = layouts();
+	for ( i = 0; i < list.length; i++ ) {
+		sh = list[ i ].shape;
+		st = list[ i ].strides;
+		ox = strides2offset( sh, st );
+		xbuf = sequence( numel( sh ), 0 );
+		for ( j = 0; j < modes.length; j++ ) {
+			log = [];
+			countIf( [ ndarray( 'float64', xbuf, sh, st, ox, list[ i ].order ) ], opts( modes[ j ] ), clbk ); // eslint-disable-line max-len
+			expected = log;
+
+			log = [];
+			run = countIf.plan( ndarray( 'float64', xbuf, sh, st, ox, list[ i ].order ), opts( modes[ j ] ) ); // eslint-disable-line max-len
+			run( xbuf, ox, clbk );
+			actual = log;
+
+			t.deepEqual( actual, expected, 'returns expected value' );
+		}
+	}
+	t.end();
+
+	function opts( indices ) {
+		return {
+			'indices': indices,
+			'onProgress': onProgress,
+			'progressInterval': 5
+		};
+	}
+
+	function clbk( v, idx ) {
+		log.push( v, JSON.stringify( idx ) );
+		return true;
+	}
+
+	function onProgress( processed, total ) {
+		log.push( 'progress', processed, total );
+	}
+});
+
+tape( 'the returned function visits elements in the same order as the main function when invoked multiple times', function test( t ) {
+	var expected;
+	var actual;
+	var modes;
+	var list;
+	var xbuf;
+	var run;
+	var log;
+	var st;
+	var sh;
+	var ox;
+	var i;
+	var j;
+	var k;
+
+	modes = [ 'shared', 'linear', 'array' ];
+	list = layouts();
+	for ( i = 0; i < list.length; i++ ) {
+		sh = list[ i ].shape;
+		st = list[ i ].strides;
+		ox = strides2offset( sh, st );
+		xbuf = sequence( numel( sh ), 0 );
+		for ( j = 0; j < modes.length; j++ ) {
+			log = [];
+			countIf( [ ndarray( 'float64', xbuf, sh, st, ox, list[ i ].order ) ], opts( modes[ j ] ), clbk ); // eslint-disable-line max-len
+			expected = log;
+
+			run = countIf.plan( ndarray( 'float64', xbuf, sh, st, ox, list[ i ].order ), opts( modes[ j ] ) ); // eslint-disable-line max-len
+			for ( k = 0; k < 3; k++ ) {
+				log = [];
+				run( xbuf, ox, clbk );
+				actual = log;
+				t.deepEqual( actual, expected, 'returns expected value (layout: ' + i + ', indices: ' + modes[ j ] + ', invocation: ' + k + ')' ); // eslint-disable-line max-len
+			}
+		}
+	}
+	t.end();
+
+	function opts( indices ) {
+		return {
+			'indices': indices
+		};
+	}
+
+	function clbk( v, idx ) {
+		log.push( v, JSON.stringify( idx ) );
+		return true;
+	}
+});
+
+tape( 'the returned function provides element indices which are consistent with the ndarray view when invoked multiple times (mixed sign strides)', function test( t ) {
+	var run;
+	var x;
+	var k;
+
+	x = ndarray( 'generic', [ 1, 2, 3, 4, 5, 6 ], [ 2, 3 ], [ -3, 1 ], 3, 'row-major' );
+	run = countIf.plan( x, {
+		'indices': 'array'
+	});
+	for ( k = 0; k < 4; k++ ) {
+		t.strictEqual( run( x.data, 3, clbk ), 6, 'returns expected value (invocation: ' + k + ')' );
+	}
+	t.end();
+
+	function clbk( v, idx ) {
+		return ( v === x.get( idx[ 0 ], idx[ 1 ] ) );
+	}
+});
+
+tape( 'when not provided an `indices` option, the returned function provides element indices depending on the number of parameters declared by the predicate function', function test( t ) {
+	var indices;
+	var xbuf;
+	var run;
+
+	xbuf = sequence( 4, 1 );
+	run = countIf.plan( ndarray( 'float64', xbuf, [ 2, 2 ], [ 2, 1 ], 0, 'row-major' ) ); // eslint-disable-line max-len
+
+	indices = [];
+	t.strictEqual( run( xbuf, 0, clbk1 ), 4, 'returns expected value' );
+	t.deepEqual( indices, [ void 0, void 0, void 0, void 0 ], 'returns expected value' );
+
+	indices = [];
+	t.strictEqual( run( xbuf, 0, clbk2 ), 4, 'returns expected value' );
+	t.deepEqual( indices, [ [ 0, 0 ], [ 0, 1 ], [ 1, 0 ], [ 1, 1 ] ], 'returns expected value' );
+
+	t.end();
+
+	function clbk1( v ) {
+		indices.push( arguments[ 1 ] );
+		return v > 0.0;
+	}
+
+	function clbk2( v, idx ) {
+		indices.push( idx );
+		return v > 0.0;
+	}
+});
+
+tape( 'the returned function supports providing an execution context', function test( t ) {
+	var xbuf;
+	var run;
+	var ctx;
+
+	xbuf = sequence( 4, 1 );
+	run = countIf.plan( ndarray( 'float64', xbuf, [ 2, 2 ], [ 2, 1 ], 0, 'row-major' ) ); // eslint-disable-line max-len
+
+	ctx = {
+		'count': 0
+	};
+	t.strictEqual( run( xbuf, 0, clbk, ctx ), 4, 'returns expected value' );
+	t.strictEqual( ctx.count, 4, 'returns expected value' );
+	t.end();
+
+	function clbk( v ) {
+		this.count += 1; // eslint-disable-line no-invalid-this
+		return v > 0.0;
+	}
+});
+
+tape( 'the returned function provides the predicate function the ndarray-like object used to create the plan', function test( t ) {
+	var meta;
+	var xbuf;
+	var run;
+
+	xbuf = sequence( 4, 1 );
+	meta = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	run = countIf.plan( meta );
+	run( xbuf, 0, clbk );
+	t.end();
+
+	function clbk( v, idx, arr ) {
+		t.strictEqual( arr, meta, 'returns expected value' );
+		return v > 0.0;
+	}
+});
+
+tape( 'the function supports providing a `limit` option', function test( t ) {
+	var xbuf;
+	var meta;
+
+	xbuf = sequence( 8, 1 );
+	meta = ndarray( 'float64', xbuf, [ 2, 2, 2 ], [ 4, -2, 1 ], 2, 'row-major' );
+
+	t.strictEqual( countIf.plan( meta, { 'limit': 3 } )( xbuf, 2, clbk ), 3, 'returns expected value' );
+	t.strictEqual( countIf.plan( meta, { 'limit': 0 } )( xbuf, 2, clbk ), 0, 'returns expected value' );
+	t.end();
+
+	function clbk( v ) {
+		return v > 0.0;
+	}
+});
+
+tape( 'the function supports providing a `blockSize` option', function test( t ) {
+	var xbuf;
+	var meta;
+	var run;
+	var n;
+
+	xbuf = sequence( 30, 1 );
+	meta = ndarray( 'float64', xbuf, [ 3, 10 ], [ -10, 1 ], 20, 'row-major' );
+
+	n = 0;
+	run = countIf.plan( meta, {
+		'blockSize': blockSize,
+		'onProgress': onProgress
+	});
+	t.strictEqual( n, 1, 'resolves the block size when creating a plan' );
+
+	t.strictEqual( run( xbuf, 20, clbk ), 30, 'returns expected value' );
+	t.strictEqual( run( xbuf, 20, clbk ), 30, 'returns expected value' );
+	t.strictEqual( n, 1, 'does not resolve the block size when invoked' );
+	t.end();
+
+	function blockSize( dtype ) {
+		t.strictEqual( dtype, 'float64', 'provides expected value' );
+		n += 1;
+		return 5;
+	}
+
+	function clbk( v ) {
+		return v > 0.0;
+	}
+
+	function onProgress( processed, total ) {
+		t.strictEqual( processed % 15 === 0, true, 'reports progress upon completing each block' );
+		t.strictEqual( total, 30, 'returns expected value' );
+	}
+});
+
+tape( 'the function supports providing an `order` option', function test( t ) {
+	var actual;
+	var xbuf;
+	var meta;
+	var run;
+
+	xbuf = new Float64Array( [ 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ] );
+	meta = ndarray( 'float64', xbuf, [ 2, 3 ], [ 1, 2 ], 0, 'column-major' );
+
+	run = countIf.plan( meta, {
+		'order': 'row-major',
+		'limit': 4
+	});
+
+	actual = [];
+	t.strictEqual( run( xbuf, 0, clbk ), 4, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 2.0, 3.0, 4.0 ], 'returns expected value' );
+
+	actual = [];
+	t.strictEqual( run( new Float64Array( [ 0.0, 1.0, 4.0, 2.0, 5.0, 3.0, 6.0 ] ), 1, clbk ), 4, 'returns expected value' );
+	t.deepEqual( actual, [ 1.0, 2.0, 3.0, 4.0 ], 'returns expected value' );
+	t.end();
+
+	function clbk( v ) {
+		actual.push( v );
+		return v > 0.0;
+	}
+});
+
+tape( 'the returned function returns `0` when the plan was created for an empty ndarray', function test( t ) {
+	var run = countIf.plan( ndarray( 'float64', new Float64Array( 0 ), [ 2, 0 ], [ 1, 1 ], 0, 'row-major' ) ); // eslint-disable-line max-len
+	t.strictEqual( run( new Float64Array( 0 ), 0, clbk ), 0, 'returns expected value' );
+	t.end();
+
+	function clbk() {
+		t.fail( 'should not be called' );
+		return true;
+	}
+});
+
+tape( 'the returned function supports data buffers which use accessors', function test( t ) {
+	var xbuf;
+	var run;
+	var sh;
+	var st;
+
+	sh = [ 2, 2, 2 ];
+	st = [ 4, -2, 1 ];
+	run = countIf.plan( ndarray( 'complex128', new Complex128Array( 8 ), sh, st, 2, 'row-major' ) ); // eslint-disable-line max-len
+
+	xbuf = new Complex128Array( [ 1.0, 0.0, -2.0, 0.0, 3.0, 0.0, -4.0, 0.0, 5.0, 0.0, 6.0, 0.0, -7.0, 0.0, 8.0, 0.0 ] ); // eslint-disable-line max-len
+	t.strictEqual( run( xbuf, 2, clbk ), 5, 'returns expected value' );
+
+	xbuf = new Complex128Array( [ 0.0, 0.0, 1.0, 0.0, 1.0, 0.0, 1.0, 0.0, 1.0, 0.0, 1.0, 0.0, 1.0, 0.0, 1.0, 0.0, 1.0, 0.0 ] ); // eslint-disable-line max-len
+	t.strictEqual( run( xbuf, 3, clbk ), 8, 'returns expected value' );
+	t.end();
+
+	function clbk( v ) {
+		return real( v ) > 0.0;
+	}
+});
+
+tape( 'the function throws an error if not provided a predicate function', function test( t ) {
+	var values;
+	var run;
+	var x;
+	var i;
+
+	x = ndarray( 'float64', new Float64Array( 4 ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' );
+	run = countIf.plan( x );
+
+	values = [
+		'gt',
+		'x > 0.0',
+		{
+			'op': 'gt',
+			'value': 0.0
+		},
+		null,
+		5
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ] ), TypeError, 'throws an error when provided '+JSON.stringify( values[ i ] ) );
+	}
+	t.end();
+
+	function badValue( value ) {
+		return function badValue() {
+			run( x.data, 0, value );
+		};
+	}
+});
+
+tape( 'the returned function throws an error if provided a data buffer which does not use the same element access protocol as the data buffer used to create the plan', function test( t ) {
+	var values;
+	var run1;
+	var run2;
+	var i;
+
+	run1 = countIf.plan( ndarray( 'generic', [ 0.0, 0.0, 0.0, 0.0 ], [ 2, 2 ], [ 2, 1 ], 0, 'row-major' ) ); // eslint-disable-line max-len
+	run2 = countIf.plan( ndarray( 'generic', toAccessorArray( [ 0.0, 0.0, 0.0, 0.0 ] ), [ 2, 2 ], [ 2, 1 ], 0, 'row-major' ) ); // eslint-disable-line max-len
+
+	values = [
+		[ run1, toAccessorArray( [ 1.0, 2.0, 3.0, 4.0 ] ) ],
+		[ run2, [ 1.0, 2.0, 3.0, 4.0 ] ]
+	];
+	for ( i = 0; i < values.length; i++ ) {
+		t.throws( badValue( values[ i ][ 0 ], values[ i ][ 1 ] ), TypeError, 'throws an error (case: ' + i + ')' ); // eslint-disable-line max-len
+	}
+	t.strictEqual( run1( [ 1.0, 2.0, 3.0, 4.0 ], 0, clbk ), 4, 'returns expected value' );
+	t.strictEqual( run2( toAccessorArray( [ 1.0, 2.0, 3.0, 4.0 ] ), 0, clbk ), 4, 'returns expected value' );
+	t.end();
+
+	function badValue( run, data ) {
+		return function badValue() {
+			run( data, 0, clbk );
+		};
+	}
+
+	function clbk( v ) {
+		return v > 0.0;
+	}
+});